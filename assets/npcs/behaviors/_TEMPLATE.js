@@ -1,10 +1,116 @@
+/**
+ * Behavior module template. Copy this file, point a template's
+ * "behaviorModule" in npcs.json at the copy, and delete what you don't need.
+ *
+ * Behavior modules run in a sandbox (server/scripting.js): there is no
+ * require() or process, and each hook call gets a few milliseconds of CPU
+ * before it is cut off (a module that keeps overrunning is switched off until
+ * it is saved again). Hooks must be synchronous: an async hook, or one that
+ * returns a promise, is treated as failed. Everything else comes through `gameState`:
+ *
+ *   Time and state
+ *     gameState.tick, gameState.time     – server tick / { tick, hour, day }
+ *     gameState.memory                   – this NPC's own object; keep plain JSON data
+ *                                          here and it survives ticks and restarts
+ *     gameState.random()                 – seeded per NPC, in [0, 1)
+ *     gameState.randomInt(min, max)      – inclusive
+ *
+ *   Players and messaging
+ *     gameState.playersInRoom(zone?, roomId?)
+ *         – players in this NPC's room (or the one given):
+ *           [{ id, name, role, zone, roomId, x, y, hp, maxHp, inventory }]
+ *           x/y are tile coordinates like npc.x/npc.y; inventory lists item keys
+ *     gameState.sendToPlayer(playerId, msg)
+ *     gameState.broadcastToRoom(zone, roomId, msg)
+ *     gameState.emote(text)              – speech bubble over this NPC
+ *
+ *   World
+ *     gameState.spawnObject(type, x, y)  – object id/key/name on a tile of this room;
+ *                                          returns the instanceId or null
+ *     gameState.moveTo(x, y)             – walk to a tile in this room; false if
+ *                                          already walking or there's no path
+ *
+ *   Quests (quests.json)
+ *     gameState.questEvent(playerId, name)      – fire an { "event": name } trigger
+ *     gameState.startQuest(playerId, questId)
+ *     gameState.questProgress(playerId, questId) – { step, done } or null
+ *
+ *   Timers
+ *     gameState.setTimeout(fn, ms, ...args) / gameState.clearTimeout(handle)
+ *         – cancelled when this file is reloaded, and for objects when they
+ *           are picked up, put in a container, given, sold or deleted
+ *
+ * Objects (objects.json "behaviorModule", e.g. assets/objects/behaviors/) use
+ * the same API and hooks with the object instance in place of `npc`, plus
+ *   onPickup(obj, player, gameState) – return false to refuse
+ *   onDrop(obj, player, gameState), onUse(obj, player, gameState)
+ *   onOpen(obj, player, gameState) – containers; return false to keep it shut
+ *   onClose(obj, player, gameState)
+ * and gameState.setState(patch) to change the state players see (moveTo is
+ * NPC-only; onTick runs while the object lies in the world).
+ *
+ * `npc` is the live NPC ({ instanceId, name, zone, roomId, x, y, hp, ... }).
+ * `player` arguments have the same shape as playersInRoom() entries.
+ * console.log/warn/error print with this file's name.
+ *
+ * Besides the hooks below, a behavior may react to events:
+ *   onSpawn(npc, gameState)                      – placed in the world (server start)
+ *   onPathComplete(npc, gameState)               – finished a walk
+ *   onPlayerEnter(npc, player, event, gameState) – event.scope is 'room', or
+ *   onPlayerLeave(npc, player, event, gameState)   'proximity' (within the template's
+ *                                                  "proximityRadius" tiles, default 3)
+ *   onSpeak(npc, player, event, gameState)       – event { text, channel }
+ *   onItemGiven(npc, player, event, gameState)   – event { item, instanceId };
+ *                                                  return false to refuse it
+ *   getDescription(npc, player, context, gameState) – context { timeOfDay, season,
+ *                                                  description }; return the text
+ *                                                  `examine` shows (or nothing to keep it)
+ */
 module.exports = {
-    // Called every tick, after movement
-    onTick(npc, gameState) {
-      const { playersInRoom, broadcastToRoom } = gameState;
-      const near = gameState.playersInRoom(npc.zone, npc.roomId)
-                         .some(p => Math.hypot(p.x - npc.x, p.y - npc.y) < 3);
-      const toss = Math.random();
+  // Called every tick (1 Hz), after roaming
+  onTick(npc, gameState) {
+    if (gameState.random() < 0.05) {
+      gameState.moveTo(npc.x + gameState.randomInt(-2, 2), npc.y + gameState.randomInt(-2, 2));
     }
-  };
-  
\ No newline at end of file
+  },
+
+  // A player came within proximityRadius (or into the room)
+  onPlayerEnter(npc, player, event, gameState) {
+    if (event.scope !== 'proximity' || gameState.memory.greeted) return;
+    gameState.memory.greeted = true;
+    gameState.emote(`Hello, ${player.name}!`);
+    // Forget the greeting after a minute
+    gameState.setTimeout(() => (gameState.memory.greeted = false), 60 * 1000);
+  },
+
+  onSpeak(npc, player, event, gameState) {
+    if (/\bhello\b/i.test(event.text)) gameState.emote(`Hi there, ${player.name}.`);
+  },
+
+  // Keep only rocks; anything else goes back to the player
+  onItemGiven(npc, player, event, gameState) {
+    return event.item === 'rock';
+  },
+
+  // What `player` sees on examine; context.description is the content's text
+  getDescription(npc, player, context, gameState) {
+    if (context.timeOfDay === 'night') return `${context.description} It looks sleepy.`;
+  },
+
+  // Extra right-click menu entries for `player`
+  getContextMenu(npc, player, gameState) {
+    return [
+      { label: 'wave', action: 'wave' },
+      { label: 'ask for a rock', action: 'rock', visible: !player.inventory.includes('rock') },
+    ];
+  },
+
+  // A menu entry from getContextMenu was chosen
+  onContextAction(actionId, npc, player, gameState) {
+    if (actionId === 'wave') {
+      gameState.sendToPlayer(player.id, { type: 'notification', text: `${npc.name} waves back.` });
+    } else if (actionId === 'rock') {
+      gameState.spawnObject('rock', player.x, player.y);
+    }
+  },
+};
@@ -1,10 +1,12 @@
+// Players close to each fido, counted by the proximity enter/leave hooks
+const nearby = {};
+
 module.exports = {
   // Called every tick, after movement
   onTick(npc, gameState) {
-    const { playersInRoom, broadcastToRoom } = gameState;
-    const near = gameState.playersInRoom(npc.zone, npc.roomId)
-                       .some(p => Math.hypot(p.x - npc.x, p.y - npc.y) < 3);
-    const toss = Math.random();
+    const { broadcastToRoom } = gameState;
+    const near = nearby[npc.instanceId] > 0;
+    const toss = gameState.random();
     if (!near && toss < .5) {
       let message = '';
       if (toss > .35) {
@@ -16,15 +18,34 @@ module.exports = {
             volume: 0.5
           }
         });
-        broadcastToRoom(npc.zone, npc.roomId, {
-          type: 'emote',
-          instanceId: npc.instanceId,
-          text: message
-        });
+        gameState.emote(message);
       }
     }
   },
 
+  onPlayerEnter(npc, player, event, gameState) {
+    if (event.scope !== 'proximity') return;
+    nearby[npc.instanceId] = (nearby[npc.instanceId] || 0) + 1;
+    gameState.emote('wags his tail.');
+  },
+
+  onPlayerLeave(npc, player, event) {
+    if (event.scope !== 'proximity') return;
+    nearby[npc.instanceId] = Math.max(0, (nearby[npc.instanceId] || 0) - 1);
+  },
+
+  onItemGiven(npc, player, event, gameState) {
+    if (event.item !== 'dog_treat') {
+      gameState.emote('sniffs it and looks away.');
+      return false;
+    }
+    gameState.emote('gobbles up the treat.');
+  },
+
+  getDescription(npc, player, context) {
+    if (nearby[npc.instanceId] > 0) return context.description + ' He watches you, tail wagging.';
+  },
+
   getContextMenu(npc, player, gameState) {
     return [
       {
@@ -34,25 +55,19 @@ module.exports = {
       {
         label: 'praise fido',
         action: 'give-treat',
-        visible: player.inventory && player.inventory.includes('dog_treat')
+        visible: player.inventory.includes('dog_treat')
       }
     ];
   },
 
   onContextAction(actionId, npc, player, gameState) {
-    const { broadcastToRoom, sendToPlayer } = gameState;
     if (actionId === 'pet-fido') {
-      console.log(">> " + JSON.stringify(player));
       gameState.sendToPlayer(player.id, {
         type: 'notification',
         text: "Fido wagged his tail."
       });
     } else if (actionId === 'give-treat') {
-      broadcastToRoom(npc.zone, npc.roomId, {
-        type: 'emote',
-        instanceId: npc.instanceId,
-        text: 'gobbles up the treat.'
-      });
+      gameState.emote('gobbles up the treat.');
     }
   }
-};
\ No newline at end of file
+};
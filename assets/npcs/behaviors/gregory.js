@@ -4,19 +4,14 @@
 module.exports = {
     // Called every tick, after movement
     onTick(npc, gameState) {
-      const { playersInRoom, broadcastToRoom } = gameState;
-      const near = gameState.playersInRoom(npc.zone, npc.roomId)
+      const near = gameState.playersInRoom()
                          .some(p => Math.hypot(p.x - npc.x, p.y - npc.y) < 3);
-      const toss = Math.random();
+      const toss = gameState.random();
       if (!near && toss < .3) {
         let message = '';
         if (toss > .15) {
-          message = 'Purchase';
-          broadcastToRoom(npc.zone, npc.roomId, {
-            type: 'emote',
-            instanceId: npc.instanceId,
-            text: message
-          });
+          message = 'Fine wares for sale!';
+          gameState.emote(message);
         }
       }
     }
@@ -0,0 +1,11 @@
+// A bush that can be shaken; now and then something lives in it
+module.exports = {
+  getContextMenu(bush, player, gameState) {
+    return [{ label: 'Shake', action: 'shake' }];
+  },
+
+  onContextAction(actionId, bush, player, gameState) {
+    if (actionId !== 'shake') return;
+    gameState.emote(gameState.random() < 0.25 ? 'rustles, and a bird flies out!' : 'rustles.');
+  },
+};
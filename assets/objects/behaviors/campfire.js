@@ -0,0 +1,35 @@
+// Burns for a couple of minutes once lit, crackling now and then
+const BURN_TICKS = 120;
+const isLit = (fire) => !!(fire.state && fire.state.lit);
+
+module.exports = {
+  onUse(fire, player, gameState) {
+    if (isLit(fire)) {
+      gameState.sendToPlayer(player.id, {
+        type: 'notification',
+        text: 'The fire is already burning.',
+      });
+      return;
+    }
+    gameState.memory.fuel = BURN_TICKS;
+    gameState.setState({ lit: true });
+    gameState.emote('catches and begins to crackle.');
+  },
+
+  onTick(fire, gameState) {
+    if (!isLit(fire)) return;
+    gameState.memory.fuel = (gameState.memory.fuel || 0) - 1;
+    if (gameState.memory.fuel <= 0) {
+      gameState.setState({ lit: false });
+      gameState.emote('burns down to embers.');
+    } else if (gameState.random() < 0.05) {
+      gameState.emote('*crackle*');
+    }
+  },
+
+  onPickup(fire, player, gameState) {
+    if (!isLit(fire)) return;
+    gameState.sendToPlayer(player.id, { type: 'notification', text: "It's too hot to pick up." });
+    return false;
+  },
+};
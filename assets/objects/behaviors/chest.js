@@ -0,0 +1,21 @@
+// A chest (a container, see server/containers.js); it has to be shut before anyone carries it off
+const isOpen = (chest) => !!(chest.state && chest.state.open);
+
+module.exports = {
+  onOpen(chest, player, gameState) {
+    gameState.emote('creaks open.');
+  },
+
+  onClose(chest, player, gameState) {
+    gameState.emote('shuts with a thud.');
+  },
+
+  onPickup(chest, player, gameState) {
+    if (!isOpen(chest)) return;
+    gameState.sendToPlayer(player.id, {
+      type: 'notification',
+      text: 'Close the chest before you pick it up.',
+    });
+    return false;
+  },
+};
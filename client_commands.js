@@ -0,0 +1,185 @@
+/**
+ * good-fido: Client console commands
+ * -------------------------------------------------------------------------------
+ * - Lines typed as "/name args" in the chat input are run here.
+ * - Local commands (chat shortcuts, /help, /clear) never leave the browser;
+ *   anything else is sent as { type: 'command', name, args } and the server
+ *   answers with 'command-result'.
+ * - The server sends the commands this player may run ('command-list'), used
+ *   by /help and tab completion.
+ * - Keeps a short history of submitted lines for ArrowUp/ArrowDown
+ *   (completion and history themselves live in command-line.mjs).
+ */
+import { log, mutedPlayers, playerId, playerTiles, ws } from './client_main.js';
+import { startWhisper } from './ui.js';
+import { completeLine, createLineHistory } from './command-line.mjs';
+
+const HISTORY_MAX = 50;
+
+const localCommands = new Map(); // name -> definition
+const localAliases = new Map(); // alias -> name
+let serverCommands = []; // [{ name, aliases, usage, description }]
+
+const history = createLineHistory(HISTORY_MAX);
+
+/** Send a message if the socket is open. @returns {boolean} */
+function send(payload) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+  ws.send(JSON.stringify(payload));
+  return true;
+}
+
+/**
+ * Register a browser-side command.
+ * @param {{name:string, aliases?:string[], usage?:string, description?:string, run:Function}} def
+ */
+function registerLocalCommand(def) {
+  const command = { aliases: [], usage: `/${def.name}`, description: '', ...def };
+  localCommands.set(command.name, command);
+  command.aliases.forEach((alias) => localAliases.set(alias, command.name));
+}
+
+function resolveLocal(name) {
+  return localCommands.get(name) || localCommands.get(localAliases.get(name)) || null;
+}
+
+/** Replace the server-provided command list (sent on login and role changes). */
+export function setServerCommands(commands) {
+  serverCommands = Array.isArray(commands) ? commands : [];
+}
+
+// --- Built-in local commands ---
+
+/** Chat shortcut: /say, /shout, /global all take the rest of the line as text. */
+function chatCommand(name, channel, aliases, description) {
+  registerLocalCommand({
+    name,
+    aliases,
+    usage: `/${name} <message>`,
+    description,
+    run(args) {
+      if (!args.length) return log(`Usage: ${this.usage}`);
+      send({ type: 'chat', channel, text: args.join(' ') });
+    },
+  });
+}
+
+chatCommand('say', 'say', [], 'Talk to everyone in the room.');
+chatCommand('shout', 'shout', ['y'], 'Shout to players nearby.');
+chatCommand('global', 'global', ['g'], 'Talk to everyone online.');
+
+registerLocalCommand({
+  name: 'whisper',
+  aliases: ['w', 'tell'],
+  usage: '/whisper <player> [message]',
+  description: 'Talk privately to one player.',
+  run(args) {
+    if (!args.length) return log(`Usage: ${this.usage}`);
+    // Without a message, switch the chat row to whisper mode instead
+    if (args.length === 1) return startWhisper(args[0]);
+    send({ type: 'chat', channel: 'whisper', to: args[0], text: args.slice(1).join(' ') });
+  },
+});
+
+registerLocalCommand({
+  name: 'mute',
+  usage: '/mute <player>',
+  description: "Stop seeing a player's chat.",
+  run(args) {
+    if (!args.length) return log(`Muted: ${mutedPlayers.join(', ') || 'nobody'}`);
+    send({ type: 'chat-mute', name: args[0], muted: true });
+  },
+});
+
+registerLocalCommand({
+  name: 'unmute',
+  usage: '/unmute <player>',
+  description: "See a player's chat again.",
+  run(args) {
+    if (!args.length) return log(`Usage: ${this.usage}`);
+    send({ type: 'chat-mute', name: args[0], muted: false });
+  },
+});
+
+registerLocalCommand({
+  name: 'clear',
+  usage: '/clear',
+  description: 'Clear the console log.',
+  run() {
+    const logPanel = document.getElementById('log-panel');
+    if (logPanel) logPanel.innerHTML = '';
+  },
+});
+
+registerLocalCommand({
+  name: 'help',
+  aliases: ['?'],
+  usage: '/help [command]',
+  description: 'List commands, or show help for one.',
+  run(args) {
+    const all = [...localCommands.values(), ...serverCommands];
+    if (args.length) {
+      const name = args[0].replace(/^\//, '').toLowerCase();
+      const command = all.find((c) => c.name === name || c.aliases.includes(name));
+      if (!command) return log(`Unknown command: /${name}`);
+      const aka = command.aliases.length ? ` (also /${command.aliases.join(', /')})` : '';
+      log(`${command.usage}${aka} – ${command.description}`);
+      return;
+    }
+    log('Commands:');
+    all.forEach((c) => log(`  ${c.usage} – ${c.description}`));
+  },
+});
+
+// --- Parsing, completion, history ---
+
+/** Every command name and alias the player can type. */
+function knownCommandNames() {
+  const names = new Set([...localCommands.keys(), ...localAliases.keys()]);
+  serverCommands.forEach((c) => [c.name, ...c.aliases].forEach((n) => names.add(n)));
+  return [...names].sort();
+}
+
+/**
+ * Run a console line beginning with "/". Local commands run here; the rest go to the server.
+ * @param {string} line
+ */
+export function runCommandLine(line) {
+  const trimmed = line.trim();
+  history.push(trimmed);
+
+  const [rawName, ...args] = trimmed.slice(1).split(/\s+/);
+  const name = (rawName || '').toLowerCase();
+  if (!name) return;
+  const local = resolveLocal(name);
+  if (local) {
+    local.run(args);
+    return;
+  }
+  if (!send({ type: 'command', name, args })) log('Not connected.');
+}
+
+/**
+ * Tab completion: the first word completes against command names, later
+ * words against online player names. Several matches complete to their
+ * common prefix and list the candidates in the log.
+ * @param {string} line – current input value
+ * @returns {string} the completed line (unchanged if nothing matches)
+ */
+export function completeCommandLine(line) {
+  const playerNames = Object.entries(playerTiles)
+    .filter(([id, p]) => Number(id) !== playerId && p.name)
+    .map(([, p]) => p.name);
+  const completed = completeLine(line, knownCommandNames(), playerNames);
+  if (completed.matches.length > 1) log(completed.matches.join('  '));
+  return completed.line;
+}
+
+/**
+ * Step through previously run command lines.
+ * @param {-1|1} direction – -1 = older (ArrowUp), 1 = newer (ArrowDown)
+ * @returns {string|null} the line to show, '' past the newest, or null if no history
+ */
+export function browseHistory(direction) {
+  return history.browse(direction);
+}
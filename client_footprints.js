@@ -0,0 +1,97 @@
+/**
+ * good-fido: Footprint decals
+ * -------------------------------------------------------------------------------
+ * - Players and NPCs stepping onto a tile whose physics has `footprint` leave
+ *   a decal pointing the way they walked; it fades out over the rule's
+ *   `footprintLifetime` (see footprintOn() in tile-physics.mjs).
+ * - The server decides where prints are and sends them as `footprints`
+ *   messages (each new step, plus the room's whole trail when we enter it),
+ *   so everyone in the room, late arrivals included, sees the same trails.
+ * - Rules may name any image key from assets.json as `footprintSprite`.
+ *   Without one (or if it failed to load) the default decal is used, a
+ *   texture generated here under the key "footprint" rather than an asset.
+ */
+import { TILE_SIZE } from './client_main.js';
+import { FOOTPRINT_DEFAULTS } from './tile-physics.mjs';
+
+// Oldest decals are dropped past this many per room
+const MAX_DECALS = 150;
+// Decals sit just above the tile layer, under objects, NPCs and players
+const DECAL_DEPTH = 0;
+
+const decals = [];
+let trackedRoomKey = null;
+// Bumped whenever the decals are cleared, so prints scheduled for a trail we
+// have since left (or had replaced by a snapshot) are dropped, even if we are
+// back in the same room by then
+let generation = 0;
+
+/** Draw the default decal: a pair of paw prints pointing right (rotation 0). */
+function ensureDefaultTexture(scene) {
+  if (scene.textures.exists(FOOTPRINT_DEFAULTS.sprite)) return;
+  const g = scene.make.graphics({ x: 0, y: 0, add: false });
+  g.fillStyle(0x3b2a1a, 1);
+  g.fillEllipse(5, 3, 7, 4);
+  g.fillEllipse(11, 9, 7, 4);
+  g.generateTexture(FOOTPRINT_DEFAULTS.sprite, 16, 12);
+  g.destroy();
+}
+
+/** Remove every decal (room change). */
+export function clearFootprints() {
+  generation += 1;
+  decals.splice(0).forEach((decal) => decal.destroy());
+}
+
+/**
+ * Draw one print, part-way faded if it is `age` ms old.
+ * @param {{x:number, y:number, dx:number, dy:number, sprite:string, lifetime:number, alpha:number, age:number}} print
+ */
+function addDecal(scene, print) {
+  const remaining = print.lifetime - print.age;
+  if (remaining <= 0) return;
+  ensureDefaultTexture(scene);
+  const key = scene.textures.exists(print.sprite) ? print.sprite : FOOTPRINT_DEFAULTS.sprite;
+  const decal = scene.add
+    .image(print.x * TILE_SIZE + TILE_SIZE / 2, print.y * TILE_SIZE + TILE_SIZE / 2, key)
+    .setRotation(Math.atan2(print.dy, print.dx))
+    .setAlpha(print.alpha * (remaining / print.lifetime))
+    .setDepth(DECAL_DEPTH);
+  decals.push(decal);
+  if (decals.length > MAX_DECALS) decals.shift().destroy();
+
+  scene.tweens.add({
+    targets: decal,
+    alpha: 0,
+    duration: remaining,
+    ease: 'Quad.easeIn',
+    onComplete: () => {
+      const index = decals.indexOf(decal);
+      if (index !== -1) decals.splice(index, 1);
+      decal.destroy();
+    },
+  });
+}
+
+/**
+ * Show prints from a `footprints` message for the room on screen.
+ * Prints with a negative age (NPC steps still ahead) appear when reached.
+ * @param {Phaser.Scene} scene
+ * @param {string} roomKey – "zoneId,roomId" of the room on screen
+ * @param {Array<Object>} prints
+ * @param {boolean} [replace] – a room snapshot: drop the decals shown so far
+ */
+export function showFootprints(scene, roomKey, prints, replace = false) {
+  if (replace || roomKey !== trackedRoomKey) clearFootprints();
+  trackedRoomKey = roomKey;
+  const shownIn = generation;
+  prints.forEach((print) => {
+    if (print.age >= 0) {
+      addDecal(scene, print);
+      return;
+    }
+    scene.time.delayedCall(-print.age, () => {
+      if (generation === shownIn) addDecal(scene, { ...print, age: 0 });
+    });
+  });
+}
@@ -13,20 +13,46 @@
  * - Context Menus: objects & NPCs expose simple right-click/inspect actions.
  */
 import {
+  appendChatLine,
+  closeContainer,
+  closeDialogue,
   createCharInfoOverlay,
   createFloatingConsole,
+  focusChatInput,
   openInspectorPanel,
+  refreshTileBehaviorEditor,
   removeCharInfoOverlay,
+  showContainer,
+  showDialogue,
+  showShop,
   showTerrainSelector,
+  updateCoinsUI,
   updateConsoleLayout,
   updateEditGrid,
+  updateEquipmentUI,
   updateInventoryUI,
+  updateQuestsUI,
+  updateVitalsUI,
 } from './ui.js';
+import { setServerCommands } from './client_commands.js';
+import { clearFootprints, showFootprints } from './client_footprints.js';
+import {
+  bounceOn,
+  computeFinalPhysics as mergeTilePhysics,
+  DIRECTION_VECTORS,
+  MAX_BODY_SPEED,
+  stepVelocity,
+} from './tile-physics.mjs';
 
 // --- PHYSICS RULES LOADING ---
 // Global object to hold loaded physics rules
 let physicsRules = {};
 
+/** Effective physics for a tile's properties under the loaded rules (see tile-physics.mjs). */
+function computeFinalPhysics(properties) {
+  return mergeTilePhysics(properties, physicsRules);
+}
+
 // --- ANIMATION DEFINITIONS LOADING ---
 // Global object to hold loaded animation definitions
 let animations = {};
@@ -89,6 +115,21 @@ let objectTypes = {}; // will map typeId → object type definition (including s
 
 // --- Player inventory ---
 let myInventory = [];
+// Names whose chat the server filters out for us (kept in sync via 'chat-mutes')
+let mutedPlayers = [];
+// What our role allows ("message:<type>" / "command:<name>"), sent by the server
+let myPermissions = [];
+// Our health, kept in sync via 'vitals'
+let myVitals = { hp: 0, maxHp: 0 };
+// Our currency, kept in sync via 'coins'
+let myCoins = 0;
+// Our quest log, kept in sync via 'quest-log'
+let myQuests = [];
+// How full our inventory is (stacks and weight), sent with 'init-inventory'
+let myCarry = { slots: 0, maxSlots: 0, weight: 0, maxWeight: 0 };
+// What we wear (slot → { instanceId, typeId }) and our stats with it, via 'equipment'
+let myEquipment = { slots: [], equipment: {}, stats: {} };
+let localHealthBar = null;
 // Temporary store of instances awaiting server confirmation
 let pendingPickupInstances = {};
 // --- Character Info Overlay ---
@@ -97,6 +138,45 @@ let charInfoEl = null;
 let pendingNPCs = [];
 const gameFont = 'Solway';
 
+/** True if our role allows `permission`, e.g. 'message:edit-tile'. */
+function hasPermission(permission) {
+  return myPermissions.includes(permission);
+}
+
+/**
+ * Adopt the role/permissions from the server. Losing edit rights leaves
+ * edit mode and closes the tile editor.
+ */
+function applyRole(role, permissions) {
+  myPermissions = Array.isArray(permissions) ? permissions : [];
+  if (playerTiles[playerId]) playerTiles[playerId].role = role;
+  if (editMode && !hasPermission('message:edit-tile')) {
+    editMode = false;
+    updateEditGrid(currentScene);
+    document.getElementById('terrain-selector')?.remove();
+    log('Edit mode OFF');
+  }
+}
+
+/**
+ * Redraw the health bar above the local player's name label
+ * (green → yellow → red as HP drops).
+ */
+function drawLocalHealthBar(sprite) {
+  if (!myVitals.maxHp) return;
+  if (!localHealthBar || !localHealthBar.scene) {
+    localHealthBar = currentScene.add.graphics().setDepth(1001);
+  }
+  const ratio = Math.max(0, Math.min(1, myVitals.hp / myVitals.maxHp));
+  const color = ratio > 0.5 ? 0x4caf50 : ratio > 0.25 ? 0xffc107 : 0xf44336;
+  const x = sprite.x;
+  const y = sprite.y - TILE_SIZE / 2 - 11;
+  localHealthBar.clear();
+  localHealthBar.fillStyle(0x000000, 0.6).fillRect(x, y, TILE_SIZE, 4);
+  localHealthBar.fillStyle(color, 1).fillRect(x, y, TILE_SIZE * ratio, 4);
+  localHealthBar.setVisible(sprite.visible);
+}
+
 /** Append a line of text to the floating in-page console (and auto-scroll). */
 function log(msg) {
   createFloatingConsole();
@@ -143,8 +223,8 @@ function playMovementAnimation(sprite, dx, dy) {
  */
 function showEmote(instanceId, text) {
   if (!currentScene) return;
-  // Find the sprite: players (by numeric id) or npcSprites
-  const sprite = players[instanceId] || npcSprites[instanceId];
+  // Find the sprite: players (by numeric id), npcSprites or objectSprites
+  const sprite = players[instanceId] || npcSprites[instanceId] || objectSprites[instanceId];
   if (!sprite) return;
   // If a previous emote bubble exists, remove it immediately
   const existing = emoteBubbles[instanceId];
@@ -227,7 +307,74 @@ function showEmote(instanceId, text) {
 const emoteBubbles = {};
 const _debug = false;
 
-const ws = new WebSocket('ws://localhost:8081');
+// Game socket; replaced by connectSocket() once a fresh socket is open
+let ws = null;
+// True once the current socket has carried its first (login/account/resume) message
+let socketUsed = false;
+// Session token from init/resumed, kept per tab so reloads and drops can resume
+const SESSION_STORAGE_KEY = 'goodfido.session';
+const RECONNECT_BASE_MS = 500;
+const RECONNECT_MAX_MS = 10000;
+let reconnectAttempts = 0;
+// Set when the server ends our session (e.g. logged in elsewhere): don't reconnect
+let sessionEnded = false;
+
+/**
+ * Open a new game socket; `ws` switches over once it is open. The server
+ * closes the socket after a failed login or an account action, so the login
+ * form reconnects before each attempt.
+ * @returns {Promise<WebSocket>} resolves once the socket is open
+ */
+function connectSocket() {
+  const socket = new WebSocket('ws://localhost:8081');
+  socket.onmessage = handleServerMessage;
+  socket.onclose = () => handleSocketClose(socket);
+  return new Promise((resolve, reject) => {
+    socket.addEventListener(
+      'open',
+      () => {
+        ws = socket;
+        socketUsed = false;
+        resolve(socket);
+      },
+      { once: true }
+    );
+    socket.addEventListener('error', () => reject(new Error('Connection failed')), {
+      once: true,
+    });
+  });
+}
+
+/** In-game socket dropped: keep the scene and try to resume the session. */
+function handleSocketClose(socket) {
+  if (socket !== ws || playerId === null || sessionEnded) return;
+  log('Connection lost. Reconnecting…');
+  scheduleReconnect();
+}
+
+/** Retry `resume` with exponential backoff until the server answers. */
+function scheduleReconnect() {
+  const token = sessionStorage.getItem(SESSION_STORAGE_KEY);
+  if (!token) {
+    log('Session lost. Reload the page to log in again.');
+    return;
+  }
+  const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** reconnectAttempts);
+  reconnectAttempts++;
+  setTimeout(() => {
+    sendAccountRequest({ action: 'resume', token }).catch(() => scheduleReconnect());
+  }, delay);
+}
+
+/** Send a first message ({ action, name, password, ... }), reconnecting if needed. */
+function sendAccountRequest(payload) {
+  const ready =
+    ws && ws.readyState === WebSocket.OPEN && !socketUsed ? Promise.resolve(ws) : connectSocket();
+  return ready.then((socket) => {
+    socketUsed = true;
+    socket.send(JSON.stringify(payload));
+  });
+}
 
 const loadingOverlay = document.createElement('div');
 loadingOverlay.style.position = 'absolute';
@@ -296,10 +443,20 @@ createButton.style.fontSize = '16px';
 createButton.style.cursor = 'pointer';
 createButton.style.fontFamily = gameFont;
 
+const accountButton = document.createElement('button');
+accountButton.type = 'button';
+accountButton.textContent = 'Manage Account';
+accountButton.style.marginTop = '10px';
+accountButton.style.padding = '8px 16px';
+accountButton.style.fontSize = '16px';
+accountButton.style.cursor = 'pointer';
+accountButton.style.fontFamily = gameFont;
+
 nameForm.appendChild(nameInput);
 nameForm.appendChild(passwordInput);
 nameForm.appendChild(submitButton);
 nameForm.appendChild(createButton);
+nameForm.appendChild(accountButton);
 
 /*nameForm.appendChild(nameInput);
 nameForm.insertBefore(passwordInput, submitButton);
@@ -380,23 +537,144 @@ createForm.appendChild(dropdown2);
 createForm.appendChild(createSubmit);
 document.body.appendChild(createForm);
 
+// --- Account management form (password change / character deletion) ---
+const accountForm = document.createElement('form');
+accountForm.style.position = 'absolute';
+accountForm.style.top = '50%';
+accountForm.style.left = '50%';
+accountForm.style.transform = 'translate(-50%, -50%)';
+accountForm.style.background = '#222';
+accountForm.style.padding = '20px';
+accountForm.style.border = '2px solid #aaa';
+accountForm.style.borderRadius = '8px';
+accountForm.style.display = 'none';
+accountForm.style.flexDirection = 'column';
+accountForm.style.alignItems = 'center';
+accountForm.style.zIndex = '1000';
+
+/** Styled text/password input for the account form. */
+function makeAccountInput(type, placeholder) {
+  const input = document.createElement('input');
+  input.type = type;
+  input.placeholder = placeholder;
+  input.style.marginBottom = '10px';
+  input.style.padding = '8px';
+  input.style.fontSize = '16px';
+  input.style.fontFamily = gameFont;
+  return input;
+}
+
+/** Styled button for the account form. */
+function makeAccountButton(type, text) {
+  const button = document.createElement('button');
+  button.type = type;
+  button.textContent = text;
+  button.style.marginTop = '10px';
+  button.style.padding = '8px 16px';
+  button.style.fontSize = '16px';
+  button.style.cursor = 'pointer';
+  button.style.fontFamily = gameFont;
+  return button;
+}
+
+const accountName = makeAccountInput('text', 'Character Name');
+const accountPass = makeAccountInput('password', 'Current Password');
+const accountNewPass = makeAccountInput('password', 'New Password');
+const accountConfirmPass = makeAccountInput('password', 'Confirm New Password');
+const changePasswordButton = makeAccountButton('submit', 'Change Password');
+const deleteCharacterButton = makeAccountButton('button', 'Delete Character');
+deleteCharacterButton.style.background = '#a33';
+deleteCharacterButton.style.color = 'white';
+const accountBackButton = makeAccountButton('button', 'Back');
+
+accountForm.appendChild(accountName);
+accountForm.appendChild(accountPass);
+accountForm.appendChild(accountNewPass);
+accountForm.appendChild(accountConfirmPass);
+accountForm.appendChild(changePasswordButton);
+accountForm.appendChild(deleteCharacterButton);
+accountForm.appendChild(accountBackButton);
+document.body.appendChild(accountForm);
+
+/** Return to the login form with an error (red) or confirmation (green) line. */
+function showLoginNotice(text, isError = true) {
+  createForm.style.display = 'none';
+  accountForm.style.display = 'none';
+  if (!document.body.contains(nameForm)) {
+    document.body.appendChild(nameForm);
+  }
+  nameForm.style.display = 'flex';
+  errorDiv.textContent = text;
+  errorDiv.style.color = isError ? 'red' : 'lightgreen';
+  errorDiv.style.display = 'block';
+}
+
 createButton.addEventListener('click', () => {
   nameForm.style.display = 'none';
   createForm.style.display = 'flex';
 });
 
+accountButton.addEventListener('click', () => {
+  nameForm.style.display = 'none';
+  accountName.value = nameInput.value.trim();
+  accountForm.style.display = 'flex';
+});
+
+accountBackButton.addEventListener('click', () => {
+  accountForm.style.display = 'none';
+  nameForm.style.display = 'flex';
+});
+
+accountForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const name = accountName.value.trim();
+  const password = accountPass.value.trim();
+  const newPassword = accountNewPass.value.trim();
+  if (!name || !password || !newPassword) {
+    alert('Name, current password and new password are required.');
+    return;
+  }
+  if (newPassword !== accountConfirmPass.value.trim()) {
+    alert('New passwords do not match.');
+    return;
+  }
+  sendAccountRequest({ action: 'change-password', name, password, newPassword }).catch(() =>
+    showLoginNotice('Cannot reach the server.')
+  );
+});
+
+deleteCharacterButton.addEventListener('click', () => {
+  const name = accountName.value.trim();
+  const password = accountPass.value.trim();
+  if (!name || !password) {
+    alert('Name and current password are required.');
+    return;
+  }
+  if (!confirm(`Permanently delete "${name}" and everything they carry?`)) return;
+  sendAccountRequest({ action: 'delete-character', name, password }).catch(() =>
+    showLoginNotice('Cannot reach the server.')
+  );
+});
+
 nameForm.addEventListener('submit', (e) => {
   e.preventDefault();
   const name = nameInput.value.trim();
   const password = passwordInput.value.trim();
   if (name && password) {
-    ws.send(JSON.stringify({ name, password, create: false }));
-    nameForm.remove();
-    const gameDiv = document.getElementById('game');
-    if (gameDiv) gameDiv.style.visibility = 'visible';
+    sendAccountRequest({ action: 'login', name, password }).catch(() =>
+      showLoginNotice('Cannot reach the server.')
+    );
+    showGameView();
   }
 });
 
+/** Hide the login form and reveal the game canvas. */
+function showGameView() {
+  nameForm.remove();
+  const gameDiv = document.getElementById('game');
+  if (gameDiv) gameDiv.style.visibility = 'visible';
+}
+
 // --- Character creation form submit handling ---
 createForm.addEventListener('submit', (e) => {
   e.preventDefault();
@@ -413,39 +691,97 @@ createForm.addEventListener('submit', (e) => {
     return;
   }
 
-  if (ws.readyState === WebSocket.OPEN) {
-    const payload = { name, password, create: true };
-    if (_debug) console.log('Sending new character payload:', payload);
-    ws.send(JSON.stringify(payload));
-    createForm.remove();
-  } else {
-    alert('Connection not ready. Please try again.');
-  }
+  const payload = { action: 'create', name, password };
+  if (_debug) console.log('Sending new character payload:', payload);
+  sendAccountRequest(payload).catch(() => showLoginNotice('Cannot reach the server.'));
+  createForm.style.display = 'none';
 });
-const zone = { rooms: {}, currentRoomX: 0, currentRoomY: 0 };
 
-// Load world manifest and room data via HTTP API
+connectSocket()
+  .then(() => {
+    // Reloaded tab with a live session: skip the login form
+    const token = sessionStorage.getItem(SESSION_STORAGE_KEY);
+    if (token) sendAccountRequest({ action: 'resume', token });
+  })
+  .catch(() => showLoginNotice('Cannot reach the server.'));
+// Loaded rooms keyed "zoneId,roomId"; zone ids are the string keys of world.json `zones`
+const zone = { rooms: {}, currentZoneId: '0', currentRoomId: 0 };
+
+// In-flight/settled room fetches keyed "zoneId,roomId" (resolve to the room or null)
+const roomLoads = new Map();
+
+// Load the world manifest; rooms are fetched on demand via loadRoom()
 async function loadWorldData() {
   //log("Requesting world data.");
   const manifest = await fetch('/api/world').then((r) => r.json());
   //log(JSON.stringify(manifest));
   // Clear existing rooms
   zone.rooms = {};
+  roomLoads.clear();
   zone.defs = manifest.zones; // save for future reference
   for (const [zoneId, zoneDef] of Object.entries(manifest.zones)) {
-    zoneDef.id = parseInt(zoneId, 10);
-    const index = await fetch(`/api/${zoneDef.path}/index.json`).then((r) => r.json());
-    for (const roomInfo of index.rooms) {
-      const roomData = await fetch(`/api/${zoneDef.path}/${roomInfo.id}.json`).then((r) =>
-        r.json()
-      );
-      zone.rooms[`${zoneDef.id},${roomInfo.id}`] = roomData;
-    }
+    zoneDef.id = zoneId;
+  }
+}
+
+/**
+ * Fetch a room from the server cache unless it is already loaded.
+ * Concurrent callers share one request; unknown rooms resolve to null.
+ * @param {boolean} [refresh] - refetch even if loaded (the old copy stays until replaced)
+ * @returns {Promise<Object|null>}
+ */
+function loadRoom(zoneId, roomId, refresh = false) {
+  const key = `${zoneId},${roomId}`;
+  if (refresh) roomLoads.delete(key);
+  else if (zone.rooms[key]) return Promise.resolve(zone.rooms[key]);
+  if (!roomLoads.has(key)) {
+    const request = fetch(`/api/rooms/${encodeURIComponent(zoneId)}/${roomId}`)
+      .then((r) => (r.ok ? r.json() : null))
+      .then((roomData) => {
+        if (roomData) zone.rooms[key] = roomData;
+        else console.warn('Room not available:', key);
+        return roomData;
+      })
+      .catch((err) => {
+        console.warn('Failed to load room', key, err);
+        roomLoads.delete(key); // allow a retry on the next attempt
+        return null;
+      });
+    roomLoads.set(key, request);
   }
+  return roomLoads.get(key);
+}
+
+/** Start fetching every room reachable through `room`'s tileExits and teleport exits. */
+function prefetchNeighbours(zoneId, room) {
+  if (!room) return;
+  const targets = [];
+  (room.tiles || []).forEach((row) =>
+    row.forEach((tile) => Object.values(tile?.tileExits || {}).forEach((t) => targets.push(t)))
+  );
+  (room.exits || []).forEach((exit) => targets.push(exit.to));
+  targets.forEach((t) => {
+    if (!t || t.roomId === undefined) return;
+    loadRoom(t.zoneId === undefined ? zoneId : String(t.zoneId), t.roomId);
+  });
 }
 
 function getCurrentRoom() {
-  return zone.rooms[`${zone.currentRoomX},${zone.currentRoomY}`];
+  return zone.rooms[`${zone.currentZoneId},${zone.currentRoomId}`];
+}
+
+/** True if a playerTiles entry is in the zone + room currently on screen. */
+function isInCurrentRoom(pd) {
+  return pd.zone === zone.currentZoneId && pd.roomId === zone.currentRoomId;
+}
+
+/** Refresh the console's location panel with the current room and zone names. */
+function updateLocationInfo() {
+  const locationInfo = document.getElementById('location-info');
+  const room = getCurrentRoom();
+  if (!locationInfo || !room) return;
+  const zoneName = zone.defs?.[zone.currentZoneId]?.name || zone.currentZoneId;
+  locationInfo.innerHTML = `<b><span style="font-size:1.2em;">${room.name}</span></b><br>(${zoneName})`;
 }
 
 const TILE_SIZE = 32;
@@ -479,6 +815,9 @@ function playRoomAmbience(room) {
   }
 }
 let lastDirection = 'down';
+// Last position reported to the server (sliding/drift moves us without input)
+let lastSentX = null;
+let lastSentY = null;
 let sceneReady = false,
   preloadDone = false,
   localSpriteReady = false;
@@ -622,6 +961,7 @@ function addNPC(npc) {
     sprite.body.moves = false;
   }
   npcSprites[npc.instanceId] = sprite;
+  sprite.setData('name', npc.name);
   // Make NPC clickable for context menu
   sprite.setInteractive();
   sprite.on('pointerdown', (pointer) => {
@@ -631,6 +971,28 @@ function addNPC(npc) {
   });
 }
 
+/** Fade out and remove one NPC sprite (it walked into another room). */
+function removeNPC(instanceId) {
+  const sprite = npcSprites[instanceId];
+  if (!sprite) return;
+  delete npcSprites[instanceId];
+  currentScene.tweens.killTweensOf(sprite);
+  currentScene.tweens.add({
+    targets: sprite,
+    alpha: 0,
+    duration: 200,
+    onComplete: () => sprite.destroy(),
+  });
+}
+
+/** NPCs shown in the current room, for menus: [{ instanceId, name }]. */
+function roomNpcs() {
+  return Object.entries(npcSprites).map(([instanceId, sprite]) => ({
+    instanceId,
+    name: sprite.getData('name'),
+  }));
+}
+
 /** Remove all NPC sprites from the scene (before respawn/init). */
 function clearNPCs() {
   // Log keys rather than trying to stringify sprite objects
@@ -642,6 +1004,14 @@ function clearNPCs() {
   }
 }
 
+/**
+ * Ask the server to describe something; the answer comes back as `examine-result`.
+ * @param {{targetType:'npc'|'object'|'item'|'player'|'tile', instanceId?:string, playerId?:string, x?:number, y?:number}} target
+ */
+function sendExamine(target) {
+  ws.send(JSON.stringify({ type: 'examine', ...target }));
+}
+
 /**
  * Build a lightweight context menu for objects (Pick up / Examine).
  * Sends `pickup` to server and updates local optimistic UI on click.
@@ -676,8 +1046,8 @@ function showObjectContextMenu(instance, x, y) {
       JSON.stringify({
         type: 'pickup',
         instanceId: instance.instanceId,
-        zone: zone.currentRoomX,
-        roomId: zone.currentRoomY,
+        zone: zone.currentZoneId,
+        roomId: zone.currentRoomId,
       })
     );
     // optimistically remove from world and stash instance for confirmation
@@ -697,15 +1067,18 @@ function showObjectContextMenu(instance, x, y) {
   examineObj.style.padding = '4px';
   examineObj.style.cursor = 'pointer';
   examineObj.addEventListener('click', () => {
-    const def = objectTypes[instance.typeId] || {};
-    openInspectorPanel({
-      name: def.name || 'Unknown',
-      spriteKey: def.sprite,
-      description: def.description,
-    });
+    sendExamine({ targetType: 'object', instanceId: instance.instanceId });
     menu.remove();
   });
   menu.appendChild(examineObj);
+  // Extra entries from the object's behavior module (Use, Open, ...)
+  ws.send(
+    JSON.stringify({
+      type: 'get-context-menu',
+      targetType: 'object',
+      instanceId: instance.instanceId,
+    })
+  );
 
   document.body.appendChild(menu);
   // Prevent clicks inside the menu from closing it immediately
@@ -771,20 +1144,8 @@ function showNPCContextMenu(npc, x, y) {
   examine.textContent = 'Examine';
   examine.style.padding = '4px';
   examine.style.cursor = 'pointer';
-  /*examine.addEventListener('click', () => {
-   ws.send(JSON.stringify({
-      type: 'context-action',
-      action: 'examine',
-      targetType: 'npc',
-      instanceId: npc.instanceId
-    }));
-    */
   examine.addEventListener('click', () => {
-    openInspectorPanel({
-      name: npc.name,
-      spriteKey: npc.sprite,
-      description: npc.description,
-    });
+    sendExamine({ targetType: 'npc', instanceId: npc.instanceId });
     menu.remove();
   });
   menu.appendChild(examine);
@@ -1041,25 +1402,11 @@ function drawRoom(scene) {
         }
 
         // --- PHYSICS RULES APPLICATION ---
-        // If tile has a properties object, check for physicsRule and apply
+        // Cache the rule + overrides merge for movement/sound lookups
         if (tile.properties) {
-          // Build the finalPhysics object
-          let finalPhysics = {};
-          // Apply physics rule if specified
-          if (tile.properties.physicsRule && physicsRules[tile.properties.physicsRule]) {
-            Object.assign(finalPhysics, physicsRules[tile.properties.physicsRule]);
-          }
-          // Apply overrides if specified (all other keys except physicsRule)
-          for (const [key, value] of Object.entries(tile.properties)) {
-            if (key !== 'physicsRule') {
-              finalPhysics[key] = value;
-            }
-          }
-          // Apply finalPhysics to the tile's physics body if needed
-          // Example: set friction for this tile if a physics body exists
-          // (In this implementation, you may want to use this info elsewhere, e.g. in movement logic)
-          // Optionally, you could store finalPhysics on the tile for easy lookup
-          tile._finalPhysics = finalPhysics;
+          tile._finalPhysics = computeFinalPhysics(tile.properties);
+        } else {
+          delete tile._finalPhysics;
         }
       }
     }
@@ -1091,18 +1438,86 @@ function drawRoom(scene) {
   updateEditGrid(scene);
 }
 
+// --- Equipment overlays ---
+// Worn items are drawn over the player sprite, each at its slot's spot and in
+// a fixed order (a hat goes over a vest). The image is the definition's
+// `equip.overlay`, or its `sprite`; items without loaded art aren't drawn.
+const OVERLAY_ORDER = ['body', 'feet', 'hands', 'head', 'tool'];
+// Where each slot's overlay is centred, as fractions of the sprite's width/height
+const OVERLAY_ANCHORS = {
+  head: [0.5, 0.12],
+  body: [0.5, 0.55],
+  hands: [0.2, 0.65],
+  feet: [0.5, 0.92],
+  tool: [0.85, 0.6],
+};
+const OVERLAY_SIZE = TILE_SIZE / 2;
+
+/** Replace the overlays on a player's sprite with their current equipment. */
+function setPlayerEquipment(id, equipment) {
+  const sprite = players[id];
+  if (!sprite || !currentScene) return;
+  clearEquipmentOverlays(sprite);
+  sprite.equipmentOverlays = [];
+  OVERLAY_ORDER.forEach((slot) => {
+    const entry = equipment && equipment[slot];
+    const def = entry && objectTypes[entry.typeId];
+    if (!def) return;
+    const key = (def.equip && def.equip.overlay) || def.sprite;
+    if (!key || !currentScene.textures.exists(key)) return;
+    const image = currentScene.add.image(0, 0, key).setDisplaySize(OVERLAY_SIZE, OVERLAY_SIZE);
+    image.equipSlot = slot;
+    sprite.equipmentOverlays.push(image);
+  });
+  syncEquipmentOverlays(sprite);
+}
+
+/** Destroy a sprite's equipment overlays. */
+function clearEquipmentOverlays(sprite) {
+  (sprite.equipmentOverlays || []).forEach((image) => image.destroy());
+  sprite.equipmentOverlays = [];
+}
+
+/** Keep a sprite's overlays on top of it, wherever it is and whether it is shown. */
+function syncEquipmentOverlays(sprite) {
+  if (!sprite.equipmentOverlays || !sprite.equipmentOverlays.length) return;
+  const topLeft = sprite.getTopLeft();
+  sprite.equipmentOverlays.forEach((image, index) => {
+    const [fx, fy] = OVERLAY_ANCHORS[image.equipSlot];
+    image.setPosition(topLeft.x + sprite.displayWidth * fx, topLeft.y + sprite.displayHeight * fy);
+    image.setDepth(sprite.depth + 1 + index * 0.01);
+    image.setVisible(sprite.visible);
+  });
+}
+
+/** Remove a player's sprite + label immediately (no departure animation). */
+function destroyPlayerSprite(id) {
+  const sprite = players[id];
+  if (sprite) {
+    if (sprite.playerLabel) sprite.playerLabel.destroy();
+    clearEquipmentOverlays(sprite);
+    sprite.destroy();
+  }
+  delete players[id];
+  delete playerTiles[id];
+}
+
 /**
  * Ensure assets/scene are ready, then create a player sprite + label.
  * Remote players are immovable colliders; local player is dynamic.
  * @param {number} id
- * @param {{x:number,y:number,roomId:number,name?:string,privilege?:number}} pos
+ * @param {{x:number,y:number,roomId:number,name?:string,role?:string}} pos
  */
 function safeAddPlayer(id, pos) {
   if (!sceneReady || !preloadDone) {
     pendingPlayers.push({ id, pos });
     return;
   }
-  if (players[id]) return;
+  if (players[id]) {
+    // Already drawn (e.g. a resumed session): move it to where the server has it
+    if (pos) repositionPlayer(id, pos);
+    return;
+  }
   if (!currentScene.textures.exists('player')) {
     pendingPlayers.push({ id, pos });
     return;
@@ -1113,9 +1528,10 @@ function safeAddPlayer(id, pos) {
   if (pos && typeof pos.x === 'number' && typeof pos.y === 'number') {
     tileX = Math.floor(pos.x / TILE_SIZE);
     tileY = Math.floor(pos.y / TILE_SIZE);
-    // Use pos.roomId rather than legacy roomX/roomY
+    // Use pos.zone/pos.roomId rather than legacy roomX/roomY
     if (id === playerId && typeof pos.roomId === 'number') {
-      zone.currentRoomY = pos.roomId;
+      zone.currentRoomId = pos.roomId;
+      if (pos.zone !== undefined) zone.currentZoneId = String(pos.zone);
     }
   } else {
     tileX = Math.floor(room.width / 2);
@@ -1124,9 +1540,10 @@ function safeAddPlayer(id, pos) {
   playerTiles[id] = {
     tileX,
     tileY,
-    roomId: pos.roomId !== undefined ? pos.roomId : zone.currentRoomY,
+    zone: pos.zone !== undefined ? String(pos.zone) : zone.currentZoneId,
+    roomId: pos.roomId !== undefined ? pos.roomId : zone.currentRoomId,
     name: pos.name || id.toString(),
-    privilege: pos.privilege,
+    role: pos.role,
   };
 
   const sprite = currentScene.physics.add.sprite(0, 0, 'player');
@@ -1136,7 +1553,7 @@ function safeAddPlayer(id, pos) {
   sprite.setCollideWorldBounds(true);
   // Ensure sprite physics is movable and responds to velocity
   sprite.body.setAllowGravity(false);
-  sprite.body.setMaxVelocity(100, 100);
+  sprite.body.setMaxVelocity(MAX_BODY_SPEED, MAX_BODY_SPEED);
   sprite.body.setImmovable(false);
   sprite.body.moves = true;
   sprite.body.enable = true; // Explicitly enable body
@@ -1155,6 +1572,14 @@ function safeAddPlayer(id, pos) {
   positionSprite(sprite, tileX, tileY, currentScene);
 
   players[id] = sprite;
+  setPlayerEquipment(id, pos.equipment);
+  // Right-click a player to examine them
+  sprite.setInteractive();
+  sprite.on('pointerdown', (pointer) => {
+    if (!pointer.rightButtonDown()) return;
+    pointer.event.stopPropagation();
+    sendExamine({ targetType: 'player', playerId: id });
+  });
   // --- Player-vs-player collision setup ---
   if (playerId !== null) {
     const localSprite = players[playerId];
@@ -1178,7 +1603,7 @@ function safeAddPlayer(id, pos) {
     }
   }
   const pdata = playerTiles[id];
-  if (pdata.roomId === zone.currentRoomY) {
+  if (isInCurrentRoom(pdata)) {
     sprite.setVisible(true);
   } else {
     sprite.setVisible(false);
@@ -1191,12 +1616,92 @@ function safeAddPlayer(id, pos) {
       currentScene.cameras.main.setZoom(zoomLevel);
       drawRoom(currentScene);
       adjustCameraCentering(currentScene);
-      lastRoomX = zone.currentRoomX;
-      lastRoomY = zone.currentRoomY;
+      lastRoomX = zone.currentZoneId;
+      lastRoomY = zone.currentRoomId;
     });
   }
 }
 
+/** Send the local player's current sprite position to the server. */
+function sendPositionUpdate(sprite) {
+  // Dropped connection: the server resyncs our position on resume
+  if (ws.readyState !== WebSocket.OPEN) return;
+  ws.send(
+    JSON.stringify({
+      type: 'update',
+      id: playerId,
+      name: playerTiles[playerId].name,
+      x: sprite.x,
+      y: sprite.y,
+      zone: zone.currentZoneId,
+      roomId: zone.currentRoomId,
+    })
+  );
+}
+
+/**
+ * Snap the local player back to a server-authoritative position after a
+ * rejected move. Switches zone/room (redraw + object/NPC refresh) if needed.
+ * @param {{x:number,y:number,zone:string,roomId:number,reason?:string}} correction
+ */
+function applyPositionCorrection(correction) {
+  const sprite = players[playerId];
+  const tiles = playerTiles[playerId];
+  if (!sprite || !sprite.body || !tiles) return;
+  if (_debug) console.log('Position corrected by server:', correction.reason);
+
+  sprite.body.reset(correction.x, correction.y);
+  sprite.body.setVelocity(0, 0);
+  tiles.tileX = Math.floor((correction.x + TILE_SIZE / 2) / TILE_SIZE);
+  tiles.tileY = Math.floor((correction.y + TILE_SIZE / 2) / TILE_SIZE);
+  const zoneId = String(correction.zone ?? zone.currentZoneId);
+  if (zoneId === zone.currentZoneId && correction.roomId === zone.currentRoomId) return;
+
+  zone.currentZoneId = zoneId;
+  zone.currentRoomId = correction.roomId;
+  tiles.zone = zoneId;
+  tiles.roomId = correction.roomId;
+  transitionInProgress = true;
+  loadRoom(zoneId, correction.roomId).then((room) => {
+    transitionInProgress = false;
+    // A later correction or transition may have moved us on already
+    if (!room || zone.currentZoneId !== zoneId || zone.currentRoomId !== correction.roomId) return;
+    drawRoom(currentScene);
+    adjustCameraCentering(currentScene);
+    playRoomAmbience(room);
+    updateLocationInfo();
+    prefetchNeighbours(zoneId, room);
+    clearObjects();
+    clearNPCs();
+    clearFootprints();
+    ws.send(
+      JSON.stringify({
+        type: 'request-objects-and-npcs',
+        zone: zone.currentZoneId,
+        roomId: zone.currentRoomId,
+      })
+    );
+  });
+}
+
+/** Snap an existing player sprite to a position from the server, dropping any tween. */
+function repositionPlayer(id, pos) {
+  const sprite = players[id];
+  if (typeof pos.x !== 'number' || typeof pos.y !== 'number') return;
+  currentScene.tweens.killTweensOf(sprite);
+  if (sprite.playerLabel) currentScene.tweens.killTweensOf(sprite.playerLabel);
+  const tileX = Math.floor(pos.x / TILE_SIZE);
+  const tileY = Math.floor(pos.y / TILE_SIZE);
+  playerTiles[id] = {
+    ...playerTiles[id],
+    tileX,
+    tileY,
+    zone: pos.zone !== undefined ? String(pos.zone) : playerTiles[id]?.zone,
+    roomId: pos.roomId !== undefined ? pos.roomId : playerTiles[id]?.roomId,
+  };
+  positionSprite(sprite, tileX, tileY, currentScene);
+}
+
 /** Spawn initial player set after scene+assets+init payload are ready. */
 function tryStart() {
   if (sceneReady && preloadDone && initData) {
@@ -1212,29 +1717,73 @@ function tryStart() {
   updateConsoleLayout();
 }
 
-ws.onmessage = (event) => {
+function handleServerMessage(event) {
   // --- Server → Client message router (typed envelopes via `msg.type`) ---
-  const zid = zone.currentRoomX;
-  const zname = zone.defs[zid]?.name;
+  const zid = zone.currentZoneId;
+  const zname = zone.defs?.[zid]?.name;
 
   const msg = JSON.parse(event.data);
-  if (msg.type === 'init') {
+  if (msg.type === 'init' || (msg.type === 'resumed' && playerId === null)) {
     // Seed world state, local id, and schedule deferred spawns/UI refresh.
     log('Received startup data...configuring world.');
+    if (msg.sessionToken) sessionStorage.setItem(SESSION_STORAGE_KEY, msg.sessionToken);
+    if (msg.type === 'resumed') showGameView();
     playerId = msg.id;
-    initData = msg;
-    if (sceneReady && preloadDone) {
-      drawRoom(currentScene);
-      adjustCameraCentering(currentScene);
-      tryStart();
-      playRoomAmbience(getCurrentRoom());
-      // Now the Phaser scene is ready — spawn any NPCs we buffered
-      if (pendingNPCs.length) {
-        clearNPCs();
-        pendingNPCs.forEach((npc) => addNPC(npc));
-        pendingNPCs = [];
+    applyRole(msg.role, msg.permissions);
+    zone.currentZoneId = String(msg.zone ?? zone.currentZoneId);
+    zone.currentRoomId = msg.roomId ?? zone.currentRoomId;
+    // The starting room must be loaded before anything draws or spawns in it
+    loadRoom(zone.currentZoneId, zone.currentRoomId).then((room) => {
+      initData = msg;
+      prefetchNeighbours(zone.currentZoneId, room);
+      if (sceneReady && preloadDone) {
+        drawRoom(currentScene);
+        adjustCameraCentering(currentScene);
+        tryStart();
+        playRoomAmbience(getCurrentRoom());
+        // Now the Phaser scene is ready — spawn any NPCs we buffered
+        if (pendingNPCs.length) {
+          clearNPCs();
+          pendingNPCs.forEach((npc) => addNPC(npc));
+          pendingNPCs = [];
+        }
       }
+    });
+  } else if (msg.type === 'resumed') {
+    // Reconnected mid-game: keep the scene, resync players and our position.
+    // init-objects/init-inventory/init-npcs follow and refresh the room.
+    sessionStorage.setItem(SESSION_STORAGE_KEY, msg.sessionToken);
+    reconnectAttempts = 0;
+    log('Reconnected.');
+    applyRole(msg.role, msg.permissions);
+    if (msg.id !== playerId) {
+      // Grace period ran out and the server gave us a new id
+      players[msg.id] = players[playerId];
+      playerTiles[msg.id] = playerTiles[playerId];
+      delete players[playerId];
+      delete playerTiles[playerId];
+      playerId = msg.id;
+    }
+    Object.keys(players)
+      .filter((id) => Number(id) !== playerId && !(id in msg.players))
+      .forEach((id) => destroyPlayerSprite(id));
+    Object.entries(msg.players).forEach(([id, pos]) => {
+      if (Number(id) !== playerId) safeAddPlayer(Number(id), pos);
+    });
+    applyPositionCorrection({ x: msg.x, y: msg.y, zone: msg.zone, roomId: msg.roomId });
+  } else if (msg.type === 'resume-failed') {
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    if (playerId === null) {
+      showLoginNotice(msg.message);
+    } else {
+      // Mid-game with a dead session: start over from the login form
+      log(msg.message);
+      setTimeout(() => location.reload(), 2000);
     }
+  } else if (msg.type === 'session-ended') {
+    sessionEnded = true;
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    log(msg.message);
   } else if (msg.type === 'join') {
     log('New player connection');
     safeAddPlayer(msg.id, msg.pos);
@@ -1245,11 +1794,19 @@ ws.onmessage = (event) => {
     const targetY = msg.y;
     const name = msg.name;
     const roomId = msg.roomId;
+    const zoneId = String(msg.zone ?? zone.currentZoneId);
 
     // Ensure we have a player sprite
     if (!players[msg.id]) {
-      // Safe-add player using new signature: pass roomId as pos.roomId
-      safeAddPlayer(msg.id, { x: targetX, y: targetY, name, roomId, privilege: msg.privilege });
+      // Safe-add player using new signature: pass zone/roomId on pos
+      safeAddPlayer(msg.id, {
+        x: targetX,
+        y: targetY,
+        name,
+        zone: zoneId,
+        roomId,
+        role: msg.role,
+      });
     }
     const remoteSprite = players[msg.id];
     if (remoteSprite) {
@@ -1298,8 +1855,9 @@ ws.onmessage = (event) => {
       if (!playerTiles[msg.id]) playerTiles[msg.id] = {};
       playerTiles[msg.id].x = targetX;
       playerTiles[msg.id].y = targetY;
+      playerTiles[msg.id].zone = zoneId;
       playerTiles[msg.id].roomId = roomId;
-      playerTiles[msg.id].privilege = msg.privilege;
+      playerTiles[msg.id].role = msg.role;
       playerTiles[msg.id].name = name || msg.id.toString();
     }
   }
@@ -1319,6 +1877,7 @@ ws.onmessage = (event) => {
         ease: 'Back.easeIn',
         onComplete: () => {
           if (label) label.destroy();
+          clearEquipmentOverlays(sprite);
           sprite.destroy();
           delete players[departedId];
           delete playerTiles[departedId];
@@ -1328,9 +1887,9 @@ ws.onmessage = (event) => {
       });
     }
   } else if (msg.type === 'room-updated') {
-    // Apply patch (terrain or tileExits) and redraw if viewing this room.
+    // Apply patch (terrain, tileExits or properties) and redraw if viewing this room.
     const { roomId, patch } = msg;
-    const zid = zone.currentRoomX;
+    const zid = String(msg.zoneId ?? zone.currentZoneId);
     const roomKey = `${zid},${roomId}`;
     const room = zone.rooms[roomKey];
     if (room && room.tiles && room.tiles[patch.y] && room.tiles[patch.y][patch.x]) {
@@ -1347,32 +1906,61 @@ ws.onmessage = (event) => {
           tile.tileExits = patch.tileExits;
         }
       }
+      // Apply physics rule/override update if present (drawRoom recomputes _finalPhysics)
+      if (patch.properties !== undefined) {
+        if (patch.properties === null) {
+          delete tile.properties;
+          delete tile._finalPhysics;
+        } else {
+          tile.properties = patch.properties;
+        }
+        refreshTileBehaviorEditor(zid, roomId, patch.x, patch.y);
+      }
       // Redraw if currently viewing this room
-      if (zone.currentRoomY === roomId) {
+      if (zone.currentZoneId === zid && zone.currentRoomId === roomId) {
         drawRoom(currentScene);
         adjustCameraCentering(currentScene);
       }
     }
+  } else if (msg.type === 'room-resized') {
+    // Refetch the resized room if we're in it; otherwise just forget the stale copy.
+    const zid = String(msg.zoneId ?? zone.currentZoneId);
+    const roomKey = `${zid},${msg.roomId}`;
+    if (zone.currentZoneId === zid && zone.currentRoomId === msg.roomId) {
+      loadRoom(zid, msg.roomId, true).then((room) => {
+        if (room && zone.currentZoneId === zid && zone.currentRoomId === msg.roomId) {
+          drawRoom(currentScene);
+          adjustCameraCentering(currentScene);
+        }
+      });
+    } else {
+      delete zone.rooms[roomKey];
+      roomLoads.delete(roomKey);
+    }
+  } else if (msg.type === 'position-correction') {
+    // Server rejected a move (void, bounds, speed, illegal exit): reconcile.
+    applyPositionCorrection(msg);
   } else if (msg.type === 'error') {
-    errorDiv.textContent = msg.message || 'Login error.';
-    errorDiv.style.display = 'block';
-
-    if (!document.body.contains(nameForm)) {
-      document.body.appendChild(nameForm);
+    // In-game errors go to the console; before login they belong on the login form.
+    if (playerId !== null) {
+      log(msg.message || 'Error.');
+      return;
     }
-
-    nameForm.style.display = 'flex';
+    showLoginNotice(msg.message || 'Login error.');
     passwordInput.value = '';
     passwordInput.focus();
+  } else if (msg.type === 'account-updated') {
+    // Password changed / character deleted; the server closes this socket.
+    accountPass.value = '';
+    accountNewPass.value = '';
+    accountConfirmPass.value = '';
+    if (msg.action === 'delete-character') nameInput.value = '';
+    passwordInput.value = '';
+    showLoginNotice(msg.message, false);
   } else if (msg.type === 'time-update') {
     // Refresh on-screen location/time HUD elements.
-    const locationInfo = document.getElementById('location-info');
     const timeInfo = document.getElementById('time-info');
-    if (locationInfo) {
-      const room = getCurrentRoom();
-      //            locationInfo.innerHTML = `<b><span style="font-size:1.2em;">${room.name}</span></b><br>(${zone.defs[zone.currentRoomX]?.name || zone.currentRoomX})`;
-      locationInfo.innerHTML = `<b><span style="font-size:1.2em;">${room.name}</span></b>`;
-    }
+    updateLocationInfo();
     if (timeInfo) {
       const { day, hour, year, season } = msg;
       timeInfo.innerHTML = `<span style="font-size:.8em;">${season} Year ${year}, day ${day}.<br>${hour}</span>`;
@@ -1382,8 +1970,15 @@ ws.onmessage = (event) => {
   else if (msg.type === 'init-inventory') {
     // Replace local inventory with server-authoritative snapshot.
     myInventory = msg.inventory.slice();
+    if (msg.capacity) myCarry = msg.capacity;
     // Refresh UI if overlay open
     if (uiRefs.charInfoEl) updateInventoryUI();
+  } else if (msg.type === 'footprints') {
+    // Decals left in a room: its whole trail when we enter it, then each new step.
+    const roomKey = `${msg.zone},${msg.roomId}`;
+    if (currentScene && roomKey === `${zone.currentZoneId},${zone.currentRoomId}`) {
+      showFootprints(currentScene, roomKey, msg.prints, msg.replace);
+    }
   } else if (msg.type === 'init-objects') {
     // Wipe & paint objects for the current room.
     clearObjects();
@@ -1425,19 +2020,23 @@ ws.onmessage = (event) => {
     // Refresh inventory display if open
     if (uiRefs.charInfoEl) updateInventoryUI();
     // Render dropped object on map if it's in our current room
-    if (
-      inst.zone.toString() === zone.currentRoomX.toString() &&
-      inst.roomId === zone.currentRoomY
-    ) {
+    if (String(inst.zone) === zone.currentZoneId && inst.roomId === zone.currentRoomId) {
+      addObject(inst);
+    }
+  } else if (msg.type === 'object-updated') {
+    // An object's behavior changed its state: refresh our copy and its sprite.
+    const inst = msg.instance;
+    myInventory = myInventory.map((i) => (i.instanceId === inst.instanceId ? inst : i));
+    if (!inst.state?.open) closeContainer(inst.instanceId);
+    if (objectSprites[inst.instanceId]) {
+      objectSprites[inst.instanceId].destroy();
+      delete objectSprites[inst.instanceId];
       addObject(inst);
     }
   } else if (msg.type === 'object-spawned') {
     // Render new instance if spawn occurred in our current room.
     const inst = msg.instance;
-    if (
-      inst.zone.toString() === zone.currentRoomX.toString() &&
-      inst.roomId === zone.currentRoomY
-    ) {
+    if (String(inst.zone) === zone.currentZoneId && inst.roomId === zone.currentRoomId) {
       addObject(inst);
     }
   } else if (msg.type === 'npc-start-path') {
@@ -1484,8 +2083,74 @@ ws.onmessage = (event) => {
       });
     });
     timeline.play();
+  } else if (msg.type === 'npc-leave') {
+    // An NPC walked out of our room through an exit.
+    removeNPC(msg.instanceId);
+  } else if (msg.type === 'npc-enter') {
+    // An NPC walked into our room through an exit.
+    const npc = msg.npc;
+    if (String(npc.zone) !== zone.currentZoneId || npc.roomId !== zone.currentRoomId) return;
+    if (!sceneReady || !preloadDone || !currentScene) {
+      pendingNPCs.push(npc);
+      return;
+    }
+    if (npcSprites[npc.instanceId]) npcSprites[npc.instanceId].destroy();
+    addNPC(npc);
+  } else if (msg.type === 'definitions-updated') {
+    // Server reloaded edited data files (hot reload).
+    if (msg.properties) {
+      physicsRules = msg.properties;
+      // drawRoom recomputes each tile's _finalPhysics
+      if (currentScene && getCurrentRoom()) drawRoom(currentScene);
+    }
+    if (msg.objects) {
+      objectTypes = {};
+      msg.objects.forEach((o) => {
+        objectTypes[o.id] = o;
+      });
+      // Re-render the room's objects with the new definitions
+      ws.send(
+        JSON.stringify({
+          type: 'request-objects-and-npcs',
+          zone: zone.currentZoneId,
+          roomId: zone.currentRoomId,
+        })
+      );
+    }
   } else if (msg.type === 'notification') {
-    log(`oh no. ${msg}`);
+    log(msg.text);
+  } else if (msg.type === 'dialogue') {
+    // An NPC conversation node: show its text and our choices.
+    showDialogue(msg);
+  } else if (msg.type === 'dialogue-end') {
+    closeDialogue();
+  } else if (msg.type === 'coins') {
+    myCoins = msg.coins;
+    updateCoinsUI();
+  } else if (msg.type === 'quest-log') {
+    myQuests = msg.quests;
+    updateQuestsUI();
+  } else if (msg.type === 'equipment') {
+    // What we wear changed (or we just joined); worn items leave the inventory grid.
+    myEquipment = { slots: msg.slots, equipment: msg.equipment, stats: msg.stats };
+    setPlayerEquipment(playerId, msg.equipment);
+    updateEquipmentUI();
+    if (uiRefs.charInfoEl) updateInventoryUI();
+  } else if (msg.type === 'player-equipment') {
+    setPlayerEquipment(msg.id, msg.equipment);
+  } else if (msg.type === 'shop') {
+    // A vendor's wares and offers for our items; refreshed after every trade.
+    showShop(msg);
+  } else if (msg.type === 'container') {
+    // An open container's contents and our items; refreshed after every put/take.
+    showContainer(msg);
+  } else if (msg.type === 'examine-result') {
+    // Server-side description of an NPC, object, item, player or tile.
+    openInspectorPanel(msg);
+  } else if (msg.type === 'item-given') {
+    // An NPC accepted an item from our inventory.
+    myInventory = myInventory.filter((i) => i.instanceId !== msg.instanceId);
+    if (uiRefs.charInfoEl) updateInventoryUI();
   } else if (msg.type === 'npc-move') {
     // Snap sprite to final authoritative tile after animation completes.
     // Final authoritative update after path completion: snap to exact tile
@@ -1496,6 +2161,34 @@ ws.onmessage = (event) => {
       const y = npc.y * TILE_SIZE + TILE_SIZE / 2;
       sprite.setPosition(x, y);
     }
+  } else if (msg.type === 'chat') {
+    // Player speech: log line, plus a bubble over the speaker for say/shout.
+    appendChatLine(msg);
+    if (msg.channel === 'emote' && players[msg.id]?.visible) {
+      showEmote(msg.id, `*${msg.text}*`);
+    } else if ((msg.channel === 'say' || msg.channel === 'shout') && players[msg.id]?.visible) {
+      showEmote(msg.id, msg.text);
+    }
+  } else if (msg.type === 'chat-mutes') {
+    // Server-confirmed list of names whose chat we don't receive.
+    mutedPlayers = msg.muted || [];
+  } else if (msg.type === 'role-updated') {
+    // An admin changed our role.
+    applyRole(msg.role, msg.permissions);
+    log(`Your role is now ${msg.role}.`);
+  } else if (msg.type === 'vitals') {
+    // Our HP changed (hazard damage, regeneration, respawn).
+    myVitals = { hp: msg.hp, maxHp: msg.maxHp };
+    updateVitalsUI();
+  } else if (msg.type === 'player-died') {
+    // Server respawns us; a position-correction and fresh vitals follow.
+    log(msg.message);
+  } else if (msg.type === 'command-list') {
+    // Server commands this player may run (for /help and tab completion).
+    setServerCommands(msg.commands);
+  } else if (msg.type === 'command-result') {
+    // Reply to a slash command.
+    log(msg.text);
   } else if (msg.type === 'emote') {
     // Bubble a short message above a player/NPC.
     // Display a transient emote bubble for any sprite
@@ -1515,7 +2208,7 @@ ws.onmessage = (event) => {
     console.log(`CONTEXT MENU: ${JSON.stringify(msg)}`);
     const menu = msg.options;
     if (typeof renderContextMenu === 'function') {
-      renderContextMenu(menu, msg.instanceId);
+      renderContextMenu(menu, msg.instanceId, msg.targetType);
     } else {
       console.warn('renderContextMenu function is not defined');
     }
@@ -1529,7 +2222,7 @@ ws.onmessage = (event) => {
       console.warn('performContextAction function is not defined');
     }
   }
-};
+}
 
 /**
  * Initialize Phaser with arcade physics and responsive scaling.
@@ -1717,14 +2410,14 @@ function create() {
   this.cameras.main.setZoom(zoomLevel);
 
   this.scale.on('resize', (gameSize) => {
-    if (!zone.rooms || !Object.keys(zone.rooms).length) return;
+    if (!getCurrentRoom()) return;
     drawRoom(this);
     adjustCameraCentering(this);
     this.time.delayedCall(0, () => {
       for (const [id, sprite] of Object.entries(players)) {
         const pd = playerTiles[id];
-        // Use roomId for visibility logic
-        if (pd.roomId === zone.currentRoomY) {
+        // Use zone + roomId for visibility logic
+        if (isInCurrentRoom(pd)) {
           if (id !== playerId && !movementInProgress) {
             positionSprite(sprite, pd.tileX, pd.tileY, this);
           }
@@ -1746,16 +2439,27 @@ function create() {
 
   // --- Wizard Edit Mode Toggle (press E) ---
   this.input.keyboard.on('keydown-E', () => {
-    if (playerTiles[playerId]?.privilege >= 10) {
+    if (hasPermission('message:edit-tile')) {
       editMode = !editMode;
       updateEditGrid(currentScene);
       log(`Edit mode ${editMode ? 'ON' : 'OFF'}`);
     }
   });
+  // Right-click on the ground examines the tile (game objects handle their own clicks)
+  this.input.mouse.disableContextMenu();
+  this.input.on('pointerdown', (pointer, currentlyOver) => {
+    if (editMode || !pointer.rightButtonDown() || currentlyOver.length) return;
+    const worldPoint = this.cameras.main.getWorldPoint(pointer.x, pointer.y);
+    sendExamine({
+      targetType: 'tile',
+      x: Math.floor(worldPoint.x / TILE_SIZE),
+      y: Math.floor(worldPoint.y / TILE_SIZE),
+    });
+  });
   // Click-to-edit handler
   this.input.on('pointerdown', (pointer) => {
     if (!editMode) return;
-    if (playerTiles[playerId]?.privilege < 10) return;
+    if (!hasPermission('message:edit-tile')) return;
     const cam = this.cameras.main;
     const worldPoint = cam.getWorldPoint(pointer.x, pointer.y);
     const tx = Math.floor(worldPoint.x / TILE_SIZE);
@@ -1772,6 +2476,76 @@ function create() {
   }
 }
 
+/**
+ * Fade out, move the local player to `target` (tile coords; `zoneId` defaults
+ * to the current zone), redraw, then fade back in and refresh objects/NPCs.
+ * Shared by tileExits, teleport exits and cross-zone hops.
+ * @param {{zoneId?:string|number, roomId:number, x:number, y:number}} target
+ * @param {string} [arrivalMessage] - console line; `{room}`/`{zone}` are filled in
+ */
+function transitionToRoom(target, arrivalMessage) {
+  const sprite = players[playerId];
+  const tiles = playerTiles[playerId];
+  const zoneId = target.zoneId === undefined ? zone.currentZoneId : String(target.zoneId);
+  const key = `${zoneId},${target.roomId}`;
+  if (!zone.rooms[key]) {
+    // Not prefetched yet: hold still until it arrives, then retry
+    transitionInProgress = true;
+    sprite.body.setVelocity(0, 0);
+    loadRoom(zoneId, target.roomId).then((room) => {
+      transitionInProgress = false;
+      if (room) transitionToRoom(target, arrivalMessage);
+    });
+    return;
+  }
+  transitionInProgress = true;
+  zone.currentZoneId = zoneId;
+  zone.currentRoomId = target.roomId;
+  tiles.zone = zoneId;
+  tiles.roomId = target.roomId;
+  tiles.tileX = target.x;
+  tiles.tileY = target.y;
+  const cam = currentScene.cameras.main;
+  const newX = target.x * TILE_SIZE + TILE_SIZE / 2;
+  const newY = target.y * TILE_SIZE + TILE_SIZE / 2;
+  cam.fadeOut(100);
+  cam.once('camerafadeoutcomplete', () => {
+    // Clear any active emote bubbles at start of transition
+    Object.values(emoteBubbles).forEach((b) => b.destroy());
+    Object.keys(emoteBubbles).forEach((id) => delete emoteBubbles[id]);
+    drawRoom(currentScene);
+    adjustCameraCentering(currentScene);
+    sprite.body.reset(newX, newY);
+    // Report the exit right away so the server can validate the room change
+    sendPositionUpdate(sprite);
+    if (arrivalMessage) {
+      log(
+        arrivalMessage
+          .replace('{room}', getCurrentRoom().name)
+          .replace('{zone}', zone.defs[zoneId]?.name || zoneId)
+      );
+    }
+    cam.fadeIn(100);
+    cam.once('camerafadeincomplete', () => {
+      transitionInProgress = false;
+      playRoomAmbience(getCurrentRoom());
+      updateLocationInfo();
+      prefetchNeighbours(zone.currentZoneId, getCurrentRoom());
+      // Clear old objects and request new ones after the transition
+      clearObjects();
+      clearNPCs();
+      clearFootprints();
+      ws.send(
+        JSON.stringify({
+          type: 'request-objects-and-npcs',
+          zone: zone.currentZoneId,
+          roomId: zone.currentRoomId,
+        })
+      );
+    });
+  });
+}
+
 /**
  * Per-frame update:
  * - Visibility/collision toggling by room.
@@ -1780,7 +2554,7 @@ function create() {
  * - Tile SFX + emote bubble tracking.
  * - Broadcast local player position deltas to server.
  */
-function update() {
+function update(time, delta) {
   if (playerId === null || !localSpriteReady) return;
   // Don’t process movement or tile logic while fading between rooms
   if (transitionInProgress) return;
@@ -1790,7 +2564,7 @@ function update() {
     const pd = playerTiles[id];
     if (!pd) continue;
 
-    const inRoom = pd.roomId === zone.currentRoomY;
+    const inRoom = isInCurrentRoom(pd);
 
     if (inRoom) {
       if (id !== playerId) {
@@ -1808,6 +2582,7 @@ function update() {
       s.setVisible(false);
       if (s.playerLabel) s.playerLabel.setVisible(false);
     }
+    syncEquipmentOverlays(s);
     // Disable collisions for sprites in other rooms
     if (s.body) {
       s.body.enable = inRoom;
@@ -1840,20 +2615,16 @@ function update() {
   // --- FLUID PHYSICS-BASED MOVEMENT ---
   if (!sprite.body) return;
 
-  // Reset velocity
-  sprite.body.setVelocity(0, 0);
-  const speed = 100; // pixels per second
+  // Walking (input accepted) vs. standing, sliding or drifting
   let moving = false;
+  {
+    // Determine movement direction (only one per frame)
+    let inputDir = null;
+    if (cursors.left.isDown) inputDir = 'left';
+    else if (cursors.right.isDown) inputDir = 'right';
+    else if (cursors.up.isDown) inputDir = 'up';
+    else if (cursors.down.isDown) inputDir = 'down';
 
-  // Determine movement direction (only one per frame)
-  let inputDir = null;
-  if (cursors.left.isDown) inputDir = 'left';
-  else if (cursors.right.isDown) inputDir = 'right';
-  else if (cursors.up.isDown) inputDir = 'up';
-  else if (cursors.down.isDown) inputDir = 'down';
-
-  if (inputDir) {
-    lastDirection = inputDir;
     const room = getCurrentRoom();
     const currTileX = Math.min(
       room.width - 1,
@@ -1863,57 +2634,37 @@ function update() {
       room.height - 1,
       Math.max(0, Math.floor(sprite.body.center.y / TILE_SIZE))
     );
-    // Read tile properties for friction (if any), also consider physicsRule
-    const tileDef = room.tiles[currTileY][currTileX] || {};
-    // Use _finalPhysics if present, else fallback to properties
-    let tileProps = tileDef._finalPhysics || tileDef.properties || {};
-
-    let velocityX = 0,
-      velocityY = 0,
-      animKey = null;
-
-    if (inputDir === 'left') {
-      const targetX = currTileX - 1;
-      if (targetX >= 0 && room.tiles[currTileY][targetX].terrain !== 'void') {
-        velocityX = -speed;
-        animKey = 'walk-left';
-      }
-    } else if (inputDir === 'right') {
-      const targetX = currTileX + 1;
-      if (targetX < room.width && room.tiles[currTileY][targetX].terrain !== 'void') {
-        velocityX = speed;
-        animKey = 'walk-right';
-      }
-    } else if (inputDir === 'up') {
-      const targetY = currTileY - 1;
-      if (targetY >= 0 && room.tiles[targetY][currTileX].terrain !== 'void') {
-        velocityY = -speed;
-        animKey = 'walk-up';
-      }
-    } else if (inputDir === 'down') {
-      const targetY = currTileY + 1;
-      if (targetY < room.height && room.tiles[targetY][currTileX].terrain !== 'void') {
-        velocityY = speed;
-        animKey = 'walk-down';
+    // Effective tile physics (rule + overrides), cached on the tile by drawRoom
+    const tileProps = room.tiles[currTileY][currTileX]._finalPhysics || {};
+
+    const input = { x: 0, y: 0 };
+    let animKey = null;
+    if (inputDir) {
+      lastDirection = inputDir;
+      const step = DIRECTION_VECTORS[inputDir];
+      // Never walk into void; sliding or drifting into it is stopped by the void colliders
+      const target = room.tiles[currTileY + step.y]?.[currTileX + step.x];
+      if (target && target.terrain !== 'void') {
+        input.x = step.x;
+        input.y = step.y;
+        animKey = `walk-${inputDir}`;
       }
     }
 
-    // Apply friction multiplier if defined
-    if (tileProps.friction !== undefined) {
-      velocityX *= tileProps.friction;
-      velocityY *= tileProps.friction;
-    }
+    // Momentum (ice), drift (conveyors) and speed scaling (slowFactor) come from tile-physics.mjs;
+    // arcade bounce makes walls push back on bouncy tiles
+    const velocity = stepVelocity(sprite.body.velocity, input, tileProps, delta / 1000);
+    sprite.body.setBounce(bounceOn(tileProps));
+    sprite.body.setVelocity(velocity.x, velocity.y);
 
-    if (velocityX !== 0 || velocityY !== 0) {
-      sprite.body.setVelocity(velocityX, velocityY);
+    moving = animKey !== null;
+    if (moving) {
       sprite.anims.play(animKey, true);
-      moving = true;
-    }
-  }
-  if (!moving) {
-    const idleKey = `idle-${lastDirection}`;
-    if (sprite.anims.animationManager.exists(idleKey)) {
-      sprite.anims.play(idleKey, true);
+    } else {
+      const idleKey = `idle-${lastDirection}`;
+      if (sprite.anims.animationManager.exists(idleKey)) {
+        sprite.anims.play(idleKey, true);
+      }
     }
   }
 
@@ -1931,10 +2682,8 @@ function update() {
       Math.max(0, Math.floor(sprite.body.center.y / TILE_SIZE))
     );
     const tile = room.tiles[currTileY]?.[currTileX];
-    // physicsRules is loaded from properties.json at startup
-    const ruleName = tile?.properties?.physicsRule;
-    const rule = ruleName ? physicsRules[ruleName] : null;
-    const soundConfig = rule?.sound;
+    // Rule sound, unless the tile overrides it (see computeFinalPhysics)
+    const soundConfig = tile?._finalPhysics?.sound;
     if (soundConfig) {
       const { resource, type } = soundConfig;
       if (type === 'loop') {
@@ -1961,6 +2710,7 @@ function update() {
     const localName = playerTiles[playerId].name;
     sprite.playerLabel.setText(localName);
   }
+  drawLocalHealthBar(sprite);
 
   // --- TILE-AWARENESS & ROOM TRANSITION LOGIC ---
   // Use the physics body center for accurate tile detection, clamped to room bounds
@@ -1980,7 +2730,7 @@ function update() {
   const justArrivedOnTile =
     prevTileX === undefined || currTileX !== prevTileX || currTileY !== prevTileY;
 
-  // Unified room-transition logic
+  // Unified room-transition logic (tileExits may target another zone)
   const tile = room.tiles[currTileY]?.[currTileX];
   const exitDef = tile?.tileExits?.[lastDirection];
   if (
@@ -1988,93 +2738,19 @@ function update() {
     !transitionInProgress &&
     (justArrivedOnTile || sprite.body.blocked[lastDirection] || !moving)
   ) {
-    transitionInProgress = true;
-    // Switch to the new room by its ID; zone ID stays the same
-    const newRoomId = exitDef.roomId;
-    zone.currentRoomY = newRoomId;
-    tiles.roomId = newRoomId;
-    tiles.tileX = exitDef.x;
-    tiles.tileY = exitDef.y;
-    const cam = currentScene.cameras.main;
-    const newX = tiles.tileX * TILE_SIZE + TILE_SIZE / 2;
-    const newY = tiles.tileY * TILE_SIZE + TILE_SIZE / 2;
-    cam.fadeOut(100);
-    cam.once('camerafadeoutcomplete', () => {
-      // Clear any active emote bubbles at start of transition
-      Object.values(emoteBubbles).forEach((b) => b.destroy());
-      Object.keys(emoteBubbles).forEach((id) => delete emoteBubbles[id]);
-      drawRoom(currentScene);
-      adjustCameraCentering(currentScene);
-      sprite.body.reset(newX, newY);
-      cam.fadeIn(100);
-      cam.once('camerafadeincomplete', () => {
-        transitionInProgress = false;
-        playRoomAmbience(getCurrentRoom());
-        // Update room info panel after room transition
-        const locationInfo = document.getElementById('location-info');
-        if (locationInfo) {
-          const room = getCurrentRoom();
-          locationInfo.innerHTML = `<b><span style="font-size:1.2em;">${room.name}</span></b>`;
-        }
-        // Clear old objects and request new ones after room transition
-        clearObjects();
-        clearNPCs();
-        ws.send(
-          JSON.stringify({
-            type: 'request-objects-and-npcs',
-            zone: zone.currentRoomX,
-            roomId: zone.currentRoomY,
-          })
-        );
-      });
-    });
+    transitionToRoom(exitDef);
     return;
   }
 
   // Teleport-exit logic: handle room.exits array
   const teleport = room.exits?.find((e) => e.from.x === currTileX && e.from.y === currTileY);
   if (teleport && !transitionInProgress) {
-    transitionInProgress = true;
     const { to } = teleport;
-    // Apply teleport destination
-    zone.currentRoomY = to.roomId;
-    tiles.roomId = to.roomId;
-    tiles.tileX = to.x;
-    tiles.tileY = to.y;
-    const cam = currentScene.cameras.main;
-    const newX = to.x * TILE_SIZE + TILE_SIZE / 2;
-    const newY = to.y * TILE_SIZE + TILE_SIZE / 2;
-    cam.fadeOut(100);
-    cam.once('camerafadeoutcomplete', () => {
-      // Clear any active emote bubbles at start of transition
-      Object.values(emoteBubbles).forEach((b) => b.destroy());
-      Object.keys(emoteBubbles).forEach((id) => delete emoteBubbles[id]);
-      drawRoom(currentScene);
-      adjustCameraCentering(currentScene);
-      sprite.body.reset(newX, newY);
-      log(`You teleport to ${getCurrentRoom().name}.`);
-      cam.fadeIn(100);
-      cam.once('camerafadeincomplete', () => {
-        transitionInProgress = false;
-        playRoomAmbience(getCurrentRoom());
-        // Update room info panel after teleport
-        const locationInfo = document.getElementById('location-info');
-        if (locationInfo) {
-          const room = getCurrentRoom();
-          locationInfo.innerHTML = `Zone: ${zone.defs[zone.currentRoomX]?.name || zone.currentRoomX}<br>Room: ${room.name}`;
-        }
-        // Clear old objects and request new ones after teleport
-        clearObjects();
-        clearNPCs();
-        ws.send(
-          JSON.stringify({
-            type: 'request-objects-and-npcs',
-            zone: zone.currentRoomX,
-            roomId: zone.currentRoomY,
-          })
-        );
-      });
-    });
+    const zoneChanged = to.zoneId !== undefined && String(to.zoneId) !== zone.currentZoneId;
+    transitionToRoom(
+      to,
+      zoneChanged ? 'You teleport to {room}, {zone}.' : 'You teleport to {room}.'
+    );
     return;
   }
 
@@ -2086,19 +2762,11 @@ function update() {
     }
   }
 
-  // --- Broadcast local player position to server every movement frame ---
-  if (moving) {
-    ws.send(
-      JSON.stringify({
-        type: 'update',
-        id: playerId,
-        name: playerTiles[playerId].name,
-        x: sprite.x,
-        y: sprite.y,
-        roomId: zone.currentRoomY,
-        privilege: playerTiles[playerId].privilege,
-      })
-    );
+  // --- Broadcast local player position to server whenever the body moved ---
+  if (sprite.x !== lastSentX || sprite.y !== lastSentY) {
+    lastSentX = sprite.x;
+    lastSentY = sprite.y;
+    sendPositionUpdate(sprite);
   }
 
   // (Phaser handles physics debug drawing via config.debug)
@@ -2114,9 +2782,15 @@ function update() {
   }
 }
 
-// Toggle character info overlay on question mark
+// Toggle character info overlay on question mark; Enter jumps to the chat input,
+// "/" does the same with a command started
 window.addEventListener('keydown', (e) => {
-  if (e.key === '?') {
+  const target = e.target;
+  if (target instanceof HTMLInputElement || target instanceof HTMLSelectElement) return;
+  if ((e.key === 'Enter' || e.key === '/') && playerId !== null) {
+    e.preventDefault();
+    focusChatInput(e.key === '/' ? '/' : undefined);
+  } else if (e.key === '?') {
     if (uiRefs.charInfoEl) {
       removeCharInfoOverlay();
     } else createCharInfoOverlay();
@@ -2135,12 +2809,13 @@ function hideContextMenu() {
 }
 
 /**
- * Render extra server-provided NPC options into an existing menu panel.
+ * Render extra server-provided NPC/object options into an existing menu panel.
  * @param {{label:string,action:string}[]} menu
- * @param {string} instance - npc instance id
+ * @param {string} instance - npc or object instance id
+ * @param {'npc'|'object'} [targetType]
  */
-function renderContextMenu(menu, instance) {
-  const container = document.getElementById('npc-menu');
+function renderContextMenu(menu, instance, targetType = 'npc') {
+  const container = document.getElementById(targetType === 'object' ? 'object-menu' : 'npc-menu');
   if (!container) return;
 
   menu.forEach((item) => {
@@ -2154,7 +2829,7 @@ function renderContextMenu(menu, instance) {
         JSON.stringify({
           type: 'context-action',
           action: item.action,
-          targetType: 'npc',
+          targetType,
           instanceId: instance,
         })
       );
@@ -2185,12 +2860,20 @@ export {
   editMode,
   gameFont,
   getCurrentRoom,
+  hasPermission,
   log,
+  mutedPlayers,
+  myCarry,
+  myCoins,
+  myEquipment,
   myInventory,
+  myQuests,
+  myVitals,
   objectTypes,
   physicsRules,
   playerId,
   playerTiles,
+  roomNpcs,
   TILE_SIZE,
   ws,
   zone
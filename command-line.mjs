@@ -0,0 +1,66 @@
+/**
+ * good-fido: Console line editing
+ * -------------------------------------------------------------------------------
+ * - completeLine(): tab completion for "/name args" lines. The first word
+ *   completes against command names, later words against player names.
+ * - createLineHistory(): the submitted-line history behind ArrowUp/ArrowDown.
+ *
+ * No browser state here; client_commands.js supplies the names and logs the
+ * candidates.
+ */
+
+/**
+ * Complete the last word of a console line.
+ * A single match completes in full (plus a space); several complete to their
+ * common prefix.
+ * @param {string} line
+ * @param {string[]} commandNames – names and aliases, without the "/"
+ * @param {string[]} playerNames
+ * @returns {{line:string, matches:string[]}} matches are the candidates for the last word
+ */
+export function completeLine(line, commandNames, playerNames) {
+  if (!line.startsWith('/')) return { line, matches: [] };
+  const words = line.split(' ');
+  const partial = words[words.length - 1];
+  const candidates = words.length === 1 ? commandNames.map((n) => `/${n}`) : playerNames;
+  const lower = partial.toLowerCase();
+  const matches = candidates.filter((c) => c.toLowerCase().startsWith(lower));
+  if (!matches.length) return { line, matches };
+
+  let common = matches[0];
+  matches.forEach((m) => {
+    while (!m.toLowerCase().startsWith(common.toLowerCase())) common = common.slice(0, -1);
+  });
+  words[words.length - 1] = matches.length === 1 ? `${matches[0]} ` : common;
+  return { line: words.join(' '), matches };
+}
+
+/**
+ * History of submitted lines, newest last. Repeating the previous line
+ * doesn't add an entry; the oldest entries drop off past `max`.
+ * @param {number} max
+ */
+export function createLineHistory(max) {
+  const lines = [];
+  let index = 0; // lines.length = "not browsing"
+
+  /** Record a submitted line and stop browsing. */
+  function push(line) {
+    if (lines[lines.length - 1] !== line) lines.push(line);
+    if (lines.length > max) lines.shift();
+    index = lines.length;
+  }
+
+  /**
+   * Step through the history.
+   * @param {-1|1} direction – -1 = older (ArrowUp), 1 = newer (ArrowDown)
+   * @returns {string|null} the line to show, '' past the newest, or null if no history
+   */
+  function browse(direction) {
+    if (!lines.length) return null;
+    index = Math.max(0, Math.min(lines.length, index + direction));
+    return lines[index] ?? '';
+  }
+
+  return { push, browse };
+}
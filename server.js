@@ -10,7 +10,7 @@
  * - Rooms/zones: tile-based maps; server streams deltas.
  * - Objects: defined in room JSON; live instances respawn on timers.
  * - NPCs: templated from npcs.json; optional behavior modules.
- * - Security: salted+hashed passwords; privilege-gated edits.
+ * - Security: salted+hashed passwords; role-based permissions (server/roles.js).
  *
  * Will Shaw <wsshaw@gmail.com>
  */
@@ -22,7 +22,39 @@ const http = require('http');
 
 // ms per tile for NPCs at rate=1
 const NPC_BASE_TILE_DURATION = 320;
+// How long a disconnected player's entity stays in the world awaiting a resume, in ms
+const SESSION_GRACE_MS = 30 * 1000;
 const crypto = require('crypto');
+const movement = require('./server/movement');
+const { createRoomCache } = require('./server/room-cache');
+const accounts = require('./server/accounts');
+const { createSessionTokens } = require('./server/sessions');
+const chat = require('./server/chat');
+const { createCommandRegistry } = require('./server/commands');
+const roles = require('./server/roles');
+const tileProperties = require('./server/tile-properties');
+const { createHotReloader, behaviorUsers, swapBehavior } = require('./server/hot-reload');
+const { readManifest } = require('./server/manifests');
+const { createPathfinder } = require('./server/pathfinding');
+const { ROAM_DEFAULTS, tileDistance, constraintOf, createRoaming } = require('./server/roaming');
+const { NPC_PROXIMITY_RADIUS, createNpcEvents } = require('./server/npc-events');
+const { createScriptRuntime } = require('./server/scripting');
+const dialogue = require('./server/dialogue');
+const descriptions = require('./server/descriptions');
+const shops = require('./server/shops');
+const quests = require('./server/quests');
+const containers = require('./server/containers');
+const inventory = require('./server/inventory');
+const equipment = require('./server/equipment');
+const vitals = require('./server/vitals');
+
+const { TILE_SIZE, PLAYER_MOVE_BURST, pixelToTile, isPassableTile } = movement;
+
+// Tile physics is an ES module shared with the client; the server starts listening once it loads
+let tilePhysics = null;
+const tilePhysicsReady = import('./tile-physics.mjs').then((mod) => {
+  tilePhysics = mod;
+});
 
 // --- HTTP API server for world data ---
 
@@ -171,6 +203,16 @@ function validateRoomId(roomId) {
   return { valid: true, sanitized: parsed };
 }
 
+/**
+ * Validate a character name (it doubles as the player file name)
+ */
+function validatePlayerName(name) {
+  if (typeof name !== 'string' || !/^[A-Za-z0-9_][A-Za-z0-9 _-]{0,23}$/.test(name)) {
+    return { valid: false, error: 'Names may only use letters, digits, spaces, _ and -' };
+  }
+  return { valid: true };
+}
+
 /**
  * Validate tile exits structure
  */
@@ -201,11 +243,49 @@ function validateTileExits(tileExits) {
     if (exit.roomId < 0 || exit.x < 0 || exit.y < 0) {
       return { valid: false, error: 'Exit coordinates must be non-negative' };
     }
+
+    // Optional cross-zone target; omitted means "same zone as this room"
+    if (exit.zoneId !== undefined && resolveZoneKey(exit.zoneId) === null) {
+      return { valid: false, error: `Unknown exit zone: ${exit.zoneId}` };
+    }
   }
   
   return { valid: true };
 }
 
+// --- Player Movement Validation ---
+// The checks live in server/movement.js; rooms come from the room cache.
+
+/**
+ * Normalize a zone id from a message or exit (number or string) to a zone key.
+ * @returns {string|null} key into worldData.zones, or null if unknown
+ */
+function resolveZoneKey(zoneId) {
+  if (zoneId === undefined || zoneId === null) return null;
+  const key = String(zoneId);
+  return Object.prototype.hasOwnProperty.call(worldData.zones, key) ? key : null;
+}
+
+/** Effective physics of the tile at (tx, ty): rule from properties.json plus overrides. */
+function tilePhysicsAt(roomJson, tx, ty) {
+  const tile = roomJson && roomJson.tiles[ty]?.[tx];
+  return tilePhysics.computeFinalPhysics(tile && tile.properties, physicsRules);
+}
+
+/**
+ * Validate a client movement update against the authoritative player state
+ * (see server/movement.js); tile physics such as slowFactor and conveyors set
+ * the speed, see tile-physics.mjs.
+ * @returns {{valid:boolean, error?:string, zone?:string}} zone is the accepted zone key
+ */
+function validatePlayerMove(player, moveState, msg, now) {
+  return movement.validateMove(player, moveState, msg, now, {
+    getRoom: roomCache.getRoom,
+    resolveZone: resolveZoneKey,
+    maxSpeedAt: (room, tx, ty) => tilePhysics.maxSpeedOn(tilePhysicsAt(room, tx, ty)),
+  });
+}
+
 // --- Game time state ---
 const stateFile = path.join(__dirname, 'state.json');
 let gameTime = { tick: 0, hour: 0, day: 0 };
@@ -330,6 +410,18 @@ app.get('/api/zones/:zoneName/:roomId.json', (req, res) => {
   res.sendFile(path.join(worldDir, 'zones', zoneName, `${roomId}.json`));
 });
 
+// Serve a single room definition from the server-side room cache
+app.get('/api/rooms/:zoneId/:roomId', (req, res) => {
+  const zoneKey = resolveZoneKey(req.params.zoneId);
+  const roomId = Number(req.params.roomId);
+  const roomJson = zoneKey !== null ? roomCache.getRoom(zoneKey, roomId) : null;
+  if (!roomJson) {
+    res.status(404).json({ error: 'Unknown room' });
+    return;
+  }
+  res.json(roomJson);
+});
+
 // Serve object data
 app.get('/api/objects', (req, res) => {
   // returns an array of all loaded objects
@@ -343,28 +435,78 @@ const wss = new WebSocket.Server({ server });
 console.log(`Starting server.`);
 
 const worldData = JSON.parse(fs.readFileSync(__dirname + '/world/world.json', 'utf8'));
+// New characters (and players whose saved zone no longer exists) start here
+const defaultZoneKey = Array.isArray(worldData.zones) ? '0' : Object.keys(worldData.zones)[0];
+// Room definitions are loaded on first use and shared by validation, NPCs and editors
+const roomCache = createRoomCache({ worldDir, worldData, logError });
 
-const objectsManifestPath = path.join(__dirname, 'objects.json');
-let objects = {};
-if (fs.existsSync(objectsManifestPath)) {
+// Physics rule templates for tile behavior edits, and the audio/image keys tile
+// sounds and footprint decals may use
+let physicsRules = {};
+let audioKeys = [];
+let imageKeys = [];
+/** (Re)read properties.json and assets.json; on a parse error the previous values stay. */
+function loadPhysicsRules() {
   try {
-    const manifest = JSON.parse(fs.readFileSync(objectsManifestPath, 'utf8'));
-    manifest.forEach((entry) => {
-      const objFilePath = path.join(__dirname, entry.path);
-      try {
-        const objData = JSON.parse(fs.readFileSync(objFilePath, 'utf8'));
-        objects[objData.id] = objData;
-      } catch (err) {
-        console.warn(`Failed to load object file ${entry.path}:`, err);
-      }
-    });
+    physicsRules = JSON.parse(fs.readFileSync(path.join(__dirname, 'properties.json'), 'utf8'));
+    const assetsJson = JSON.parse(fs.readFileSync(path.join(__dirname, 'assets.json'), 'utf8'));
+    audioKeys = Object.keys(assetsJson.audio || {});
+    imageKeys = Object.keys(assetsJson).filter((key) => key !== 'audio');
+  } catch (error) {
+    logError('PROPERTIES_LOAD', error, {});
+  }
+}
+loadPhysicsRules();
+
+// --- Behavior modules ---
+// NPC templates and object definitions may name a `behaviorModule`, run in the
+// script sandbox (server/scripting.js) with the gameState API (scriptApiFor).
+
+const scriptRuntime = createScriptRuntime({ logError });
+// Loaded behaviors by absolute path, shared by every template naming the file
+const behaviorCache = new Map();
+
+/**
+ * Load a template's or object definition's behavior module into the script
+ * sandbox. Loaded files are cached; `fresh` re-reads the file (hot reload)
+ * and leaves the cached version in place if the new one fails.
+ */
+function loadBehaviorModule(data, fresh = false) {
+  const behaviorPath = path.join(__dirname, data.behaviorModule);
+  if (!fresh && behaviorCache.has(behaviorPath)) return behaviorCache.get(behaviorPath);
+  try {
+    const behavior = scriptRuntime.load(behaviorPath);
+    behaviorCache.set(behaviorPath, behavior);
+    return behavior;
   } catch (err) {
-    console.warn('Failed to parse objects.json:', err);
+    console.warn(`Failed to load behavior module for ${data.name}:`, err);
+    return null;
   }
-} else {
-  console.warn(`Object manifest not found at ${objectsManifestPath}`);
 }
 
+const objectsManifestPath = path.join(__dirname, 'objects.json');
+/**
+ * Read object definitions from objects.json, keyed by id.
+ * @returns {Object|null} null if the manifest is missing or unparseable
+ */
+function loadObjectDefinitions() {
+  if (!fs.existsSync(objectsManifestPath)) {
+    console.warn(`Object manifest not found at ${objectsManifestPath}`);
+    return null;
+  }
+  // Objects whose file fails to load are left out rather than failing the rest
+  const entries = readManifest(objectsManifestPath, { baseDir: __dirname, skipBroken: true });
+  if (!entries) return null;
+  const definitions = {};
+  entries.forEach(([key, objData]) => {
+    if (key && !objData.key) objData.key = key;
+    if (objData.behaviorModule) objData.behavior = loadBehaviorModule(objData);
+    definitions[objData.id] = objData;
+  });
+  return definitions;
+}
+let objects = loadObjectDefinitions() || {};
+
 // --- Object state and spawn definitions ---
 const objectsStatePath = path.join(__dirname, 'objects-state.json');
 let objectInstances = [];
@@ -384,30 +526,30 @@ const zoneKeys = Array.isArray(zoneDefs)
   ? zoneDefs.map((_, idx) => idx.toString())
   : Object.keys(zoneDefs);
 zoneKeys.forEach((zoneKey) => {
-  const zoneDef = zoneDefs[zoneKey];
-  const zonePath = typeof zoneDef === 'string' ? zoneDef : zoneDef.path;
-  const zoneDir = path.join(worldDir, zonePath);
-  fs.readdirSync(zoneDir).forEach((file) => {
-    if (!file.endsWith('.json')) return;
-    const roomFilePath = path.join(zoneDir, file);
-    const roomJson = JSON.parse(fs.readFileSync(roomFilePath, 'utf8'));
-    // Determine roomId: use JSON id if present, otherwise filename
-    const rid =
-      typeof roomJson.id === 'number' ? roomJson.id : parseInt(path.basename(file, '.json'), 10);
-    if (!Array.isArray(roomJson.spawns)) return;
+  roomCache.listRoomIds(zoneKey).forEach((rid) => {
+    const roomJson = roomCache.getRoom(zoneKey, rid);
+    if (!roomJson || !Array.isArray(roomJson.spawns)) return;
     roomJson.spawns.forEach((sp) => {
-      spawnDefs.push({
+      const spawn = {
         ...sp,
         zone: zoneKey,
         roomId: rid,
         respawnAfterSec: sp.respawnAfterSec || null,
-      });
+      };
+      if (sp.loot !== undefined) {
+        const check = containers.validateLoot(sp.loot, (key) => !!findObjectDefinition(key));
+        if (!check.valid) {
+          console.warn(`Ignoring loot of the spawn at ${zoneKey}/${rid}: ${check.error}`);
+          delete spawn.loot;
+        }
+      }
+      spawnDefs.push(spawn);
     });
   });
 });
 // Ensure every spawn has a live instance
 spawnDefs.forEach((def) => {
-  const exists = objectInstances.some(
+  let inst = objectInstances.find(
     (i) =>
       i.typeId === def.typeId &&
       i.zone === def.zone &&
@@ -415,8 +557,9 @@ spawnDefs.forEach((def) => {
       i.x === def.x &&
       i.y === def.y
   );
-  if (!exists) {
-    objectInstances.push({
+  const created = !inst;
+  if (created) {
+    inst = {
       instanceId: crypto.randomBytes(8).toString('hex'),
       typeId: def.typeId,
       zone: def.zone,
@@ -424,10 +567,16 @@ spawnDefs.forEach((def) => {
       x: def.x,
       y: def.y,
       pickedUpBy: null,
+      containedIn: null,
       removedAt: null,
       respawnAfterSec: def.respawnAfterSec,
-    });
+    };
+    objectInstances.push(inst);
   }
+  // The instance keeps its spawn's loot table to refill from when it respawns
+  if (def.loot) inst.loot = def.loot;
+  else delete inst.loot;
+  if (created) fillFromLoot(inst);
 });
 
 /**
@@ -441,45 +590,279 @@ function saveObjectsState() {
 }
 saveObjectsState();
 
+/** Object definition by id, key or name (case-insensitive), or undefined. */
+function findObjectDefinition(query) {
+  const q = String(query).toLowerCase();
+  return Object.values(objects).find(
+    (o) =>
+      String(o.id) === q ||
+      (o.key && o.key.toLowerCase() === q) ||
+      (o.name && o.name.toLowerCase() === q)
+  );
+}
+
+/** The key an object instance's type is known by in content (e.g. "rock"). */
+function itemKeyOf(inst) {
+  const def = objects[inst.typeId];
+  return (def && def.key) || String(inst.typeId);
+}
+
+/** Object as clients see it (script state and loot tables stay on the server). */
+function publicObjectView(inst) {
+  const { memory, rngState, loot, ...rest } = inst;
+  return rest;
+}
+
+/** Is the object lying in the world, rather than carried, held by an NPC or in a container? */
+function liesInWorld(inst) {
+  return inst.pickedUpBy === null && !inst.containedIn;
+}
+
+// Players must stand within this many tiles of an object lying in the world to
+// pick it up or use it as a container (2 takes in the diagonal neighbours)
+const REACH_RANGE = 2;
+
+/** Does the player carry the object, or stand within REACH_RANGE of it? */
+function withinReach(player, inst) {
+  if (inst.pickedUpBy === player.name) return true;
+  const tile = { x: pixelToTile(player.x), y: pixelToTile(player.y) };
+  return (
+    liesInWorld(inst) &&
+    inst.zone === player.zone &&
+    inst.roomId === player.roomId &&
+    tileDistance(tile, inst) <= REACH_RANGE
+  );
+}
+
+/** Item keys in a player's inventory. */
+function inventoryKeys(playerName) {
+  return objectInstances.filter((i) => i.pickedUpBy === playerName).map(itemKeyOf);
+}
+
+/** Place a new object of type `def` on a tile, persist it and show it to the room. */
+function spawnObjectInstance(def, zone, roomId, x, y) {
+  const instance = {
+    instanceId: crypto.randomBytes(8).toString('hex'),
+    typeId: def.id,
+    zone,
+    roomId,
+    x,
+    y,
+    pickedUpBy: null,
+    containedIn: null,
+    removedAt: null,
+    respawnAfterSec: null,
+  };
+  objectInstances.push(instance);
+  saveObjectsState();
+  broadcastToRoom(zone, roomId, { type: 'object-spawned', instance: publicObjectView(instance) });
+  return instance;
+}
+
+/**
+ * Create an object of type `def` straight into `ownerName`'s inventory (dialogue
+ * rewards, purchases); `at` ({ zone, roomId, x, y }) is where it drops later.
+ * Stackable items join a stack the player has when there is room. Capacity is
+ * the caller's to check (see giveNewItem); the caller saves object state.
+ * @returns {Object} the instance now holding the item
+ */
+function createInventoryItem(def, ownerName, at) {
+  const carried = objectInstances.filter((i) => i.pickedUpBy === ownerName);
+  const stack = inventory.findStack(carried, { typeId: def.id }, def);
+  if (stack) {
+    stack.quantity = inventory.quantityOf(stack) + 1;
+    return stack;
+  }
+  const instance = {
+    instanceId: crypto.randomBytes(8).toString('hex'),
+    typeId: def.id,
+    zone: at.zone,
+    roomId: at.roomId,
+    x: at.x,
+    y: at.y,
+    pickedUpBy: ownerName,
+    containedIn: null,
+    removedAt: null,
+    respawnAfterSec: null,
+  };
+  objectInstances.push(instance);
+  return instance;
+}
+
+// --- Inventory stacks and capacity ---
+// See server/inventory.js. Every change to a player's inventory is answered
+// with an `init-inventory` carrying how full it is.
+
+/** Weight of an object instance, including what's inside it. */
+function instanceWeight(inst) {
+  const own = inventory.weightOf(objects[inst.typeId], inventory.quantityOf(inst));
+  return contentsOf(inst).reduce((sum, i) => sum + instanceWeight(i), own);
+}
+
+/** Stacks and total weight of the instances a player carries. */
+function carriedLoad(carried) {
+  return {
+    slots: carried.length,
+    weight: carried.reduce((sum, i) => sum + instanceWeight(i), 0),
+  };
+}
+
+/** The `init-inventory` message for a player: their items and how much they carry. */
+function inventoryMessage(playerName) {
+  const carried = objectInstances.filter((i) => i.pickedUpBy === playerName);
+  const load = carriedLoad(carried);
+  return {
+    type: 'init-inventory',
+    inventory: carried.map(publicObjectView),
+    capacity: {
+      slots: load.slots,
+      maxSlots: inventory.MAX_SLOTS,
+      weight: load.weight,
+      maxWeight: inventory.MAX_WEIGHT,
+    },
+  };
+}
+
+/**
+ * Can `playerName` also carry `quantity` items of type `typeId`, weighing
+ * `weight` in all? On success `stack` is the stack they merge into, if any
+ * (`mayStack` false keeps them apart).
+ * @returns {{valid:boolean, error?:string, stack?:Object}}
+ */
+function checkCarry(playerName, typeId, quantity, weight, mayStack = true) {
+  const carried = objectInstances.filter((i) => i.pickedUpBy === playerName);
+  const def = objects[typeId];
+  const stack = mayStack ? inventory.findStack(carried, { typeId, quantity }, def) : undefined;
+  const check = inventory.checkCapacity(carriedLoad(carried), { slots: stack ? 0 : 1, weight });
+  return check.valid ? { valid: true, stack } : check;
+}
+
+/**
+ * Move an object into `playerName`'s inventory, merged into `stack` when given
+ * (the instance itself is then gone).
+ * @returns {Object} the instance now holding it
+ */
+function addToInventory(playerName, inst, stack) {
+  inst.containedIn = null;
+  if (!stack) {
+    inst.pickedUpBy = playerName;
+    return inst;
+  }
+  stack.quantity = inventory.quantityOf(stack) + inventory.quantityOf(inst);
+  objectInstances.splice(objectInstances.indexOf(inst), 1);
+  return stack;
+}
+
+/**
+ * Hand player `id` a new object of type `def` (dialogue gifts, quest rewards):
+ * into their inventory if they can carry it, else onto the ground at their
+ * feet. The caller saves object state and sends the inventory.
+ */
+function giveNewItem(id, def) {
+  const player = positions.get(id);
+  const at = {
+    zone: player.zone,
+    roomId: player.roomId,
+    x: pixelToTile(player.x),
+    y: pixelToTile(player.y),
+  };
+  if (checkCarry(player.name, def.id, 1, inventory.weightOf(def)).valid) {
+    createInventoryItem(def, player.name, at);
+    return;
+  }
+  spawnObjectInstance(def, at.zone, at.roomId, at.x, at.y);
+  const name = def.name || 'item';
+  sendToPlayer(id, {
+    type: 'notification',
+    text: `You can't carry the ${name}; it drops at your feet.`,
+  });
+}
+
+/**
+ * Split `quantity` items off a stack as a new instance next to it; the whole
+ * instance if that is all of it.
+ */
+function splitStack(inst, quantity = 1) {
+  const total = inventory.quantityOf(inst);
+  if (quantity >= total) return inst;
+  inst.quantity = total - quantity;
+  const part = {
+    instanceId: crypto.randomBytes(8).toString('hex'),
+    typeId: inst.typeId,
+    zone: inst.zone,
+    roomId: inst.roomId,
+    x: inst.x,
+    y: inst.y,
+    pickedUpBy: inst.pickedUpBy,
+    containedIn: inst.containedIn,
+    removedAt: null,
+    respawnAfterSec: null,
+    quantity,
+  };
+  objectInstances.push(part);
+  return part;
+}
+
 /**
  * NPC Model
- * - Templates: from npcs.json, may link to behaviorModule.
+ * - Templates: from npcs.json, may link to behaviorModule and a dialogue tree,
+ *   and may declare a `shop` (see Vendors).
  * - Instances: created per room’s npcs[] array.
- * - Behavior: optional { onTick, getContextMenu, onContextAction }.
+ * - Behavior: optional { onTick, getContextMenu, onContextAction } and event
+ *   hooks (see NPC Event Hooks), run in the script sandbox
+ *   (server/scripting.js) with the gameState API (scriptApiFor).
  * - Movement: server picks random paths; clients animate.
  */
 const npcsManifestPath = path.join(__dirname, 'npcs.json');
-let npcTemplates = [];
-try {
-  if (fs.existsSync(npcsManifestPath)) {
-    const manifest = JSON.parse(fs.readFileSync(npcsManifestPath, 'utf8'));
-    for (const entry of manifest) {
-      const npcData = JSON.parse(fs.readFileSync(path.join(__dirname, entry.path), 'utf8'));
-      // Load custom behavior module if specified
-      if (npcData.behaviorModule) {
-        try {
-          const behaviorPath = path.join(__dirname, npcData.behaviorModule);
-          npcData.behavior = require(behaviorPath);
-        } catch (err) {
-          console.warn(`Failed to load behavior module for NPC ${npcData.name}:`, err);
-        }
-      }
-      npcTemplates.push(npcData);
+
+/** Read and check a template's dialogue tree (server/dialogue.js); null if unusable. */
+function loadDialogueTree(npcData) {
+  try {
+    const tree = JSON.parse(fs.readFileSync(path.join(__dirname, npcData.dialogue), 'utf8'));
+    const check = dialogue.validateDialogueTree(tree);
+    if (check.valid) return tree;
+    console.warn(`Invalid dialogue for NPC ${npcData.name}: ${check.error}`);
+  } catch (err) {
+    console.warn(`Failed to load dialogue for NPC ${npcData.name}:`, err);
+  }
+  return null;
+}
+
+/**
+ * Read NPC templates from npcs.json (and the template files it points to).
+ * @returns {Array<Object>|null} null if the manifest is missing or unparseable
+ */
+function loadNpcTemplates() {
+  const entries = readManifest(npcsManifestPath, { baseDir: __dirname });
+  if (!entries) return null;
+  const templates = entries.map(([, npcData]) => {
+    // Load custom behavior module if specified
+    if (npcData.behaviorModule) {
+      npcData.behavior = loadBehaviorModule(npcData);
     }
-    // Diagnostic logging after loading npcTemplates
-    console.log(
-      'NPC templates loaded:',
-      npcTemplates.map((t) => t.name || t.id)
-    );
-    if (npcTemplates.length === 0) {
-      console.warn(
-        '⚠️ No NPC templates found. Check that npcs.json and template paths are correct.'
-      );
+    if (npcData.dialogue) {
+      npcData.dialogueTree = loadDialogueTree(npcData);
+    }
+    if (npcData.shop) {
+      const check = shops.validateShop(npcData.shop, (item) => !!findObjectDefinition(item));
+      if (!check.valid) {
+        console.warn(`Invalid shop for NPC ${npcData.name}: ${check.error}`);
+        npcData.shop = null;
+      }
     }
+    return npcData;
+  });
+  // Diagnostic logging after loading npcTemplates
+  console.log(
+    'NPC templates loaded:',
+    templates.map((t) => t.name || t.id)
+  );
+  if (templates.length === 0) {
+    console.warn('⚠️ No NPC templates found. Check that npcs.json and template paths are correct.');
   }
-} catch (err) {
-  console.warn('Failed to load NPC templates:', err);
+  return templates;
 }
+let npcTemplates = loadNpcTemplates() || [];
 const npcStatePath = path.join(__dirname, 'npcs-state.json');
 let npcInstances = [];
 
@@ -505,21 +888,15 @@ if (Array.isArray(rawNpcState) && rawNpcState.length > 0) {
   console.log('Regenerating NPC instances. zoneKeys:', zoneKeys);
 
   zoneKeys.forEach((zoneKey) => {
-    const zoneDef = zoneDefs[zoneKey];
-    const zonePath = typeof zoneDef === 'string' ? zoneDef : zoneDef.path;
-    const zoneDir = path.join(worldDir, zonePath);
+    const roomIds = roomCache.listRoomIds(zoneKey);
     // Diagnostic logging at start of each zone iteration
-    console.log(`Scanning zone ${zoneKey} directory:`, zoneDir);
+    console.log(`Scanning zone ${zoneKey} rooms:`, roomIds);
 
-    fs.readdirSync(zoneDir).forEach((file) => {
-      if (!file.endsWith('.json')) return;
-      const roomFile = path.join(zoneDir, file);
-      const roomJson = JSON.parse(fs.readFileSync(roomFile, 'utf8'));
+    roomIds.forEach((rid) => {
+      const roomJson = roomCache.getRoom(zoneKey, rid);
+      if (!roomJson) return;
       // Diagnostic logging before checking roomJson.npcs
-      console.log(`Reading room file: ${roomFile}`);
-      console.log('Room JSON npc definitions:', roomJson.npcs);
-      const rid =
-        typeof roomJson.id === 'number' ? roomJson.id : parseInt(path.basename(file, '.json'), 10);
+      console.log(`Room ${zoneKey},${rid} npc definitions:`, roomJson.npcs);
 
       if (Array.isArray(roomJson.npcs)) {
         roomJson.npcs.forEach((def) => {
@@ -528,13 +905,12 @@ if (Array.isArray(rawNpcState) && rawNpcState.length > 0) {
             npcInstances.push({
               instanceId: crypto.randomBytes(8).toString('hex'),
               typeId: template.id,
-              name: template.name,
-              sprite: template.sprite,
               zone: zoneKey,
               roomId: rid,
               x: def.x,
               y: def.y,
-              roam: template.roam || null,
+              home: { zone: zoneKey, roomId: rid, x: def.x, y: def.y },
+              patrolIndex: 0,
               lastRoamTick: 0,
             });
           }
@@ -542,87 +918,311 @@ if (Array.isArray(rawNpcState) && rawNpcState.length > 0) {
       }
     });
   });
+}
 
-  // persist the freshly generated state
-  saveNpcState();
+/** The room npcs[] entry an NPC was spawned from, if it still exists. */
+function npcSpawnEntry(npc) {
+  const { home } = npc;
+  const room = roomCache.getRoom(home.zone, home.roomId);
+  const entries = (room && Array.isArray(room.npcs) && room.npcs) || [];
+  return entries.find((def) => def.typeId === npc.typeId && def.x === home.x && def.y === home.y);
+}
+
+/**
+ * Copy template-derived fields onto an NPC instance: name, sprite, behavior,
+ * stats (saved hp carries over) and roam settings. The room's npcs[] entry
+ * may override the template's roam settings and give patrol waypoints.
+ */
+function applyNpcTemplate(npc) {
+  const tmpl = npcTemplates.find((t) => t.id === npc.typeId);
+  const entry = npcSpawnEntry(npc) || {};
+  if (tmpl) {
+    npc.name = tmpl.name;
+    npc.sprite = tmpl.sprite;
+  }
+  npc.behavior = tmpl && tmpl.behavior ? tmpl.behavior : null;
+  const roam = tmpl && tmpl.roam;
+  npc.roam = roam || entry.roam ? { ...roam, ...entry.roam } : null;
+  npc.patrol = Array.isArray(entry.patrol) ? entry.patrol : null;
+  vitals.initVitals(npc, tmpl && tmpl.base_stats, npc.hp);
 }
+
 // Ensure movement state fields exist on each NPC
 npcInstances.forEach((npc) => {
-  if (!('movePath' in npc)) npc.movePath = null;
+  // Walks in progress don't survive a restart
+  npc.movePath = null;
+  if (!npc.home) npc.home = { zone: npc.zone, roomId: npc.roomId, x: npc.x, y: npc.y };
   if (!('moveStartTick' in npc)) npc.moveStartTick = 0;
   if (!('moveDuration' in npc)) npc.moveDuration = 0;
-  // Attach behavior module from template, if any
-  const tmpl = npcTemplates.find((t) => t.id === npc.typeId);
-  npc.behavior = tmpl && tmpl.behavior ? tmpl.behavior : null;
+  applyNpcTemplate(npc);
 });
+// persist the freshly generated (or template-refreshed) state
+saveNpcState();
 // Persist NPCs
 function saveNpcState() {
   fs.writeFileSync(npcStatePath, JSON.stringify(npcInstances, null, 2));
 }
+/** NPC as clients see it (behavior script state stays on the server). */
+function publicNpcView(npc) {
+  const { memory, rngState, shopStock, ...rest } = npc;
+  return rest;
+}
 // Helper to broadcast NPC movement
 function broadcastNpcMovement(npc) {
   broadcastToRoom(npc.zone, npc.roomId, {
     type: 'npc-move',
-    npc,
+    npc: publicNpcView(npc),
+  });
+}
+
+// --- Footprints ---
+// Walkers stepping onto a tile whose physics has `footprint` leave a decal
+// (see footprintOn() in tile-physics.mjs). The server keeps each room's
+// recent prints and sends them as `footprints` { zone, roomId, prints,
+// replace? }: every new step to the room, and the whole trail (replace: true)
+// to a player entering it, so everyone sees the same trails. A print's `age`
+// is ms since it was left; NPC steps still ahead on a path have a negative one.
+
+// Oldest prints are dropped past this many per room (the client keeps as many decals)
+const MAX_FOOTPRINTS_PER_ROOM = 150;
+const footprintTrails = new Map(); // "zone,roomId" -> [{ x, y, dx, dy, sprite, lifetime, alpha, at }]
+
+/** A room's prints that haven't faded yet (pruning the rest). */
+function liveFootprints(zone, roomId, now) {
+  const key = `${zone},${roomId}`;
+  const trail = (footprintTrails.get(key) || []).filter((p) => p.at + p.lifetime > now);
+  if (trail.length) footprintTrails.set(key, trail);
+  else footprintTrails.delete(key);
+  return trail;
+}
+
+/** Prints as clients get them: `at` becomes an age relative to now. */
+function footprintView(prints, now) {
+  return prints.map(({ at, ...print }) => ({ ...print, age: now - at }));
+}
+
+/**
+ * Record the prints left by steps in a room and send them to the players there.
+ * @param {Array<{from:{x:number,y:number}, to:{x:number,y:number}, at:number}>} steps
+ *   – tile moves, `at` being when the walker lands on `to`
+ */
+function leaveFootprints(zone, roomId, steps) {
+  const room = roomCache.getRoom(zone, roomId);
+  if (!room) return;
+  const prints = [];
+  steps.forEach(({ from, to, at }) => {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const footprint = (dx || dy) && tilePhysics.footprintOn(tilePhysicsAt(room, to.x, to.y));
+    if (footprint) prints.push({ x: to.x, y: to.y, dx, dy, ...footprint, at });
+  });
+  if (!prints.length) return;
+  const now = Date.now();
+  const trail = [...liveFootprints(zone, roomId, now), ...prints].slice(-MAX_FOOTPRINTS_PER_ROOM);
+  footprintTrails.set(`${zone},${roomId}`, trail);
+  broadcastToRoom(zone, roomId, {
+    type: 'footprints',
+    zone,
+    roomId,
+    prints: footprintView(prints, now),
+  });
+}
+
+/** The `footprints` snapshot of a room for a player entering it. */
+function footprintsMessage(zone, roomId) {
+  const now = Date.now();
+  const prints = footprintView(liveFootprints(zone, roomId, now), now);
+  return { type: 'footprints', zone, roomId, prints, replace: true };
+}
+
+// --- NPC Pathfinding ---
+
+// Extra cost of stepping on a hazard tile: NPCs only cross one if there is no other way
+const HAZARD_STEP_COST = 20;
+const pathfinder = createPathfinder({ getRoom: roomCache.getRoom, resolveZoneKey });
+
+/** "zone,roomId,x,y" keys of tiles taken by solid objects and by NPCs other than `exceptNpc`. */
+function occupiedTiles(exceptNpc) {
+  const occupied = new Set();
+  objectInstances.forEach((inst) => {
+    if (liesInWorld(inst) && objects[inst.typeId]?.solid) {
+      occupied.add(`${inst.zone},${inst.roomId},${inst.x},${inst.y}`);
+    }
+  });
+  npcInstances.forEach((other) => {
+    if (other !== exceptNpc) occupied.add(`${other.zone},${other.roomId},${other.x},${other.y}`);
   });
+  return occupied;
+}
+
+/**
+ * Tile cost function for an NPC's path: slow tiles (slowFactor) cost more,
+ * hazards much more, and occupied tiles or rooms outside its `roam.constrain`
+ * are blocked.
+ * @returns {Function} (zone, roomId, x, y) => number (Infinity = blocked)
+ */
+function npcTileCost(npc) {
+  const occupied = occupiedTiles(npc);
+  const minCost = tilePhysics.BASE_WALK_SPEED / tilePhysics.MAX_BODY_SPEED;
+  return (zone, roomId, x, y) => {
+    if (!roaming.mayEnterRoom(npc, zone, roomId)) return Infinity;
+    if (occupied.has(`${zone},${roomId},${x},${y}`)) return Infinity;
+    const physics = tilePhysicsAt(roomCache.getRoom(zone, roomId), x, y);
+    const cost = Math.max(minCost, tilePhysics.BASE_WALK_SPEED / tilePhysics.walkSpeedOn(physics));
+    return vitals.hazardDamage(physics) > 0 ? cost + HAZARD_STEP_COST : cost;
+  };
+}
+
+/**
+ * Plan an NPC's walk to `target` with A* (server/pathfinding.js). Diagonal
+ * steps follow the NPC's `roam.diagonal` setting.
+ * @param {Object} npc
+ * @param {{zone?:string, roomId?:number, x:number, y:number}} target – defaults to the NPC's room
+ * @param {boolean} [crossRooms] – allow routes through tileExits/exits (default: unless
+ *   `roam.constrain` keeps the NPC in its room)
+ * @returns {Array<{zone:string, roomId:number, path:Array<[number,number]>}>|null} legs per room
+ */
+function planNpcRoute(npc, target, crossRooms = constraintOf(npc) !== 'room') {
+  return pathfinder.findPath(
+    { zone: npc.zone, roomId: npc.roomId, x: npc.x, y: npc.y },
+    { zone: npc.zone, roomId: npc.roomId, ...target },
+    {
+      tileCost: npcTileCost(npc),
+      diagonal: !!(npc.roam && npc.roam.diagonal),
+      crossRooms,
+      minTileCost: tilePhysics.BASE_WALK_SPEED / tilePhysics.MAX_BODY_SPEED,
+    }
+  );
 }
 
-// Pick a random passable tile in the room
-function pickRandomTile(roomDef, passableOnly = true) {
-  const coords = [];
-  for (let y = 0; y < roomDef.tiles.length; y++) {
-    for (let x = 0; x < roomDef.tiles[y].length; x++) {
-      // TODO: apply passability checks based on terrain and tileExits
-      coords.push({ x, y });
+// --- NPC Roaming ---
+
+/** Tiles of connected players in a room: [{ id, x, y }]. */
+function playerTilesInRoom(zone, roomId) {
+  const result = [];
+  for (const [id, p] of positions) {
+    const connected = clients.get(id)?.readyState === WebSocket.OPEN;
+    if (connected && p.zone === zone && p.roomId === roomId) {
+      result.push({ id, x: pixelToTile(p.x), y: pixelToTile(p.y) });
     }
   }
-  return coords[Math.floor(Math.random() * coords.length)];
+  return result;
+}
+
+// Roam targets and room constraints (server/roaming.js)
+const roaming = createRoaming({
+  getRoom: roomCache.getRoom,
+  resolveZoneKey,
+  tileCost: npcTileCost,
+  playerTiles: playerTilesInRoom,
+});
+
+/** Tiles walked along a route (exit hops are free). */
+function routeLength(legs) {
+  return legs.reduce((sum, leg) => sum + leg.path.length - 1, 0);
+}
+
+/** The first `maxSteps` tiles of a route. */
+function truncateRoute(legs, maxSteps) {
+  const result = [];
+  let remaining = maxSteps;
+  for (const leg of legs) {
+    const path = leg.path.slice(0, remaining + 1);
+    result.push({ ...leg, path });
+    remaining -= path.length - 1;
+    if (remaining <= 0) break;
+  }
+  return result;
+}
+
+/** Move an NPC through an exit: leave its room, appear in the next one. */
+function moveNpcToRoom(npc, zone, roomId, [x, y]) {
+  broadcastToRoom(npc.zone, npc.roomId, { type: 'npc-leave', instanceId: npc.instanceId });
+  npc.zone = zone;
+  npc.roomId = roomId;
+  npc.x = x;
+  npc.y = y;
+  broadcastToRoom(zone, roomId, { type: 'npc-enter', npc: publicNpcView(npc) });
 }
 
 /**
- * Breadth-first search pathfinder on a grid.
- * @param {[number,number]} start
- * @param {[number,number]} end
- * @param {Array<Array<{terrain:string}>>} tiles
- * @param {Object} tileExits    (ignored for now)
- * @returns {Array<[number,number]>|null}
+ * Walk an NPC along a planned route. Clients animate each leg
+ * ('npc-start-path'); between legs the NPC changes room.
  */
-function findPath(start, end, tiles, tileExits) {
-  const rows = tiles.length;
-  const cols = tiles[0].length;
-  const key = ([x, y]) => `${x},${y}`;
-  const dirs = [
-    [1, 0],
-    [-1, 0],
-    [0, 1],
-    [0, -1],
-  ];
-  const visited = new Set([key(start)]);
-  const queue = [[start]];
-
-  while (queue.length) {
-    const path = queue.shift();
-    const [x, y] = path[path.length - 1];
-    if (x === end[0] && y === end[1]) return path;
-    for (const [dx, dy] of dirs) {
-      const nx = x + dx,
-        ny = y + dy;
-      if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
-      const k2 = `${nx},${ny}`;
-      if (visited.has(k2)) continue;
-      const tile = tiles[ny][nx];
-      if (tile.terrain === 'void') continue;
-      visited.add(k2);
-      queue.push(path.concat([[nx, ny]]));
+function walkNpcRoute(npc, legs, segmentDuration) {
+  const walkLeg = (index) => {
+    const leg = legs[index];
+    if (index > 0) moveNpcToRoom(npc, leg.zone, leg.roomId, leg.path[0]);
+    npc.movePath = leg.path;
+    const steps = leg.path.length - 1;
+    if (steps > 0) {
+      broadcastToRoom(npc.zone, npc.roomId, {
+        type: 'npc-start-path',
+        instanceId: npc.instanceId,
+        path: leg.path,
+        segmentDuration,
+      });
+      // The NPC lands on path[i] after i segments
+      const start = Date.now();
+      const tileSteps = leg.path.slice(1).map(([x, y], i) => {
+        const [fromX, fromY] = leg.path[i];
+        return {
+          from: { x: fromX, y: fromY },
+          to: { x, y },
+          at: start + (i + 1) * segmentDuration,
+        };
+      });
+      leaveFootprints(npc.zone, npc.roomId, tileSteps);
     }
-  }
-  return null;
+    // Use managed timer to prevent memory leaks
+    startNpcMovementTimer(
+      npc.instanceId,
+      () => {
+        // update official position
+        [npc.x, npc.y] = leg.path[leg.path.length - 1];
+        if (index + 1 < legs.length) {
+          walkLeg(index + 1);
+          return;
+        }
+        npc.movePath = null;
+        saveNpcState();
+        // inform any late-joining clients
+        broadcastNpcMovement(npc);
+        npcEvents.updateAwareness(npc);
+        npcEvents.dispatch(npc, 'onPathComplete');
+      },
+      steps * segmentDuration
+    );
+  };
+  walkLeg(0);
 }
 
-/** Send to all players in a room. */
-function broadcastToRoom(zone, roomId, msg) {
+/** One tick of roaming for an NPC: maybe pick a target for its `roam.type` and walk there. */
+function roamNpc(npc) {
+  const roam = npc.roam && { ...ROAM_DEFAULTS, ...npc.roam };
+  if (!roam) return;
+  // If already en route, let clients handle the walk
+  if (npc.movePath) return;
+  if (Math.random() * 100 >= roam.frequency) return;
+
+  const target = roaming.pickTarget(npc, roam);
+  if (!target) return;
+  let legs = planNpcRoute(npc, target);
+  if (!legs) return;
+  const length = routeLength(legs) - (target.stopShort || 0);
+  // Random walks outside the configured min/max are skipped rather than cut short
+  if (roam.type === 'random' && (length < roam.minDuration || length > roam.maxDuration)) return;
+  if (length <= 0) return;
+  legs = truncateRoute(legs, Math.min(length, roam.maxDuration));
+  // ms per tile adjusted by rate
+  walkNpcRoute(npc, legs, Math.floor(NPC_BASE_TILE_DURATION / (roam.rate || 1)));
+}
+
+/** Send to all players in a room (optionally only those passing `filter(playerId)`). */
+function broadcastToRoom(zone, roomId, msg, filter = null) {
   const data = JSON.stringify(msg);
   for (const [otherId, client] of clients) {
+    if (filter && !filter(otherId)) continue;
     const pos = positions.get(otherId);
     if (pos && pos.zone === zone && pos.roomId === roomId && client.readyState === WebSocket.OPEN) {
       client.send(data);
@@ -664,6 +1264,32 @@ function broadcastToProximity(zone, roomId, centerX, centerY, radius, msg) {
     }
   }
 }
+
+/**
+ * Broadcast to clients whose tile lies within a tile-radius of a tile (chat shouts).
+ * @param {string} zone       – zone key
+ * @param {number} roomId     – room number
+ * @param {number} tileX      – X tile coordinate of the origin
+ * @param {number} tileY      – Y tile coordinate of the origin
+ * @param {number} radius     – tile radius (1 ⇒ 3×3 square)
+ * @param {Object} msg        – message object to send
+ * @param {Function} [filter] – (playerId) => boolean; false skips that player
+ */
+function broadcastWithinTiles(zone, roomId, tileX, tileY, radius, msg, filter = null) {
+  const data = JSON.stringify(msg);
+  for (const [otherId, client] of clients) {
+    if (filter && !filter(otherId)) continue;
+    const pos = positions.get(otherId);
+    if (pos && pos.zone === zone && pos.roomId === roomId && client.readyState === WebSocket.OPEN) {
+      const dx = Math.abs(pixelToTile(pos.x) - tileX);
+      const dy = Math.abs(pixelToTile(pos.y) - tileY);
+      if (dx <= radius && dy <= radius) {
+        client.send(data);
+      }
+    }
+  }
+}
+
 const playerDir = path.join(__dirname, 'players');
 fs.mkdirSync(playerDir, { recursive: true });
 
@@ -672,6 +1298,7 @@ const clients = new Map();
 const positions = new Map();
 const colors = ['red', 'green', 'blue', 'orange', 'purple', 'yellow'];
 const nameMap = new Map(); // id -> name
+const moveStates = new Map(); // id -> { budget, lastMoveAt } for movement validation
 
 /** Validate inbound player JSON. */
 function isValidPlayerData(data) {
@@ -694,616 +1321,2695 @@ function savePlayerData(data) {
     name: data.name,
     x: data.x,
     y: data.y,
+    zone: data.zone,
     roomId: data.roomId,
     color: data.color,
     inventory: data.inventory,
-    privilege: data.privilege,
+    role: data.role,
+    muted: data.muted,
+    stats: data.stats,
+    hp: data.hp,
+    flags: data.flags,
+    coins: data.coins,
+    quests: data.quests,
+    equipment: data.equipment,
     salt: data.salt,
     hash: data.hash,
+    iterations: data.iterations,
   };
   fs.writeFileSync(playerFile, JSON.stringify(safeData, null, 2));
 }
 
-/** Hash password with PBKDF2-SHA512 + random salt. */
-function hashPassword(password) {
-  const salt = crypto.randomBytes(16).toString('hex');
-  const hash = crypto.pbkdf2Sync(password, salt, 1000, 64, 'sha512').toString('hex');
-  return { salt, hash };
+/** Player record as other clients may see it (no credentials). */
+function publicPlayerView(data) {
+  const { salt, hash, iterations, muted, lastDamagedTick, flags, coins, quests, ...rest } = data;
+  if (Array.isArray(rest.inventory)) rest.inventory = rest.inventory.map(publicObjectView);
+  return rest;
 }
 
-/** Verify password against salt+hash. */
-function verifyPassword(password, salt, hash) {
-  const hashed = crypto.pbkdf2Sync(password, salt, 1000, 64, 'sha512').toString('hex');
-  return hash === hashed;
+/** Player id currently logged in under `name`, or null. */
+function findOnlinePlayerId(name) {
+  for (const [pid, p] of positions) {
+    if (p.name === name) return pid;
+  }
+  return null;
 }
 
+// Failed logins back off exponentially per character name and per IP
+const loginThrottle = accounts.createLoginThrottle();
+setInterval(() => loginThrottle.prune(), 10 * 60 * 1000).unref();
+
+const ACCOUNT_ACTIONS = ['login', 'create', 'change-password', 'delete-character', 'resume'];
+// Names with a `create` still hashing its password; the file isn't written until it finishes
+const pendingCreates = new Set();
+
+// Signed tokens let a dropped client resume without re-entering credentials
+const sessionTokens = createSessionTokens();
+const pendingDisconnects = new Map(); // id -> grace-period timeout
+
 /**
- * First message must be { name, password, create }.
- * - Auth or character creation.
- * - On success: init payload (players, time, objects, NPCs).
- * - Later messages: { type, ... } envelopes (update, pickup, etc.).
+ * Handle the credential-only first-message actions (password change,
+ * character deletion). The caller has already verified the old password.
+ * @returns {Promise<{success:boolean, message:string}>}
  */
-wss.on('connection', (ws) => {
-  // --- Client→Server message router ---
-  ws.once('message', async (nameMsg) => {
-    let parsed;
-    try {
-      parsed = JSON.parse(nameMsg);
-    } catch (e) {
-      ws.close();
-      return;
-    }
-    const { name, password, create } = parsed;
-    if (!name || !password) {
-      ws.close();
-      return;
-    }
+async function performAccountAction(action, parsed, data, playerFile) {
+  if (action === 'change-password') {
+    const check = accounts.validateNewPassword(parsed.newPassword);
+    if (!check.valid) return { success: false, message: check.error };
+    const { salt, hash, iterations } = await accounts.hashPassword(parsed.newPassword);
+    Object.assign(data, { salt, hash, iterations });
+    savePlayerData(data);
+    // Keep a live session's copy in step so its save-on-close won't restore the old hash
+    const onlineId = findOnlinePlayerId(data.name);
+    if (onlineId !== null) Object.assign(positions.get(onlineId), { salt, hash, iterations });
+    return { success: true, message: 'Password changed.' };
+  }
+  // delete-character
+  if (findOnlinePlayerId(data.name) !== null) {
+    return { success: false, message: 'Character is currently online.' };
+  }
+  fs.unlinkSync(playerFile);
+  // Drop carried items so a future character with this name doesn't inherit them;
+  // room spawns are recreated on the next restart.
+  objectInstances = objectInstances.filter((inst) => {
+    if (inst.pickedUpBy !== data.name) return true;
+    scriptRuntime.clearTimers(inst);
+    return false;
+  });
+  pruneOrphanedContents();
+  saveObjectsState();
+  console.log(`Deleted character "${data.name}".`);
+  return { success: true, message: 'Character deleted.' };
+}
 
-    const id = clientId++;
-    const color = colors[id % colors.length];
-    nameMap.set(id, name);
-    clients.set(id, ws);
+/** Read players/<name>.json, or null if missing/unreadable. */
+function loadPlayerRecord(name) {
+  if (!validatePlayerName(name).valid) return null;
+  const playerFile = path.join(playerDir, `${name}.json`);
+  if (!fs.existsSync(playerFile)) return null;
+  const result = safeFileRead(playerFile);
+  if (!result.success) return null;
+  try {
+    return JSON.parse(result.data);
+  } catch (error) {
+    logError('PLAYER_PARSE', error, { name });
+    return null;
+  }
+}
 
-    const playerFile = path.join(playerDir, `${name}.json`);
-    let initialPos = {
-      name,
-      x: 400,
-      y: 300,
-      roomId: 0,
-      color,
-      privilege: 0,
-      inventory: [],
-    };
+/** Current password salt for a name; session tokens are bound to it. */
+function lookupSessionSalt(name) {
+  const id = findOnlinePlayerId(name);
+  if (id !== null) return positions.get(id).salt;
+  const record = loadPlayerRecord(name);
+  return record ? record.salt : null;
+}
 
-    try {
-      if (fs.existsSync(playerFile)) {
-        const data = JSON.parse(fs.readFileSync(playerFile, 'utf8'));
-        if (!data.salt || !data.hash) {
-          console.warn(`No password data for ${name}.`);
-          ws.send(JSON.stringify({ type: 'error', message: 'Missing password data.' }));
-          ws.close();
-          return;
+// Coins a new character starts with
+const STARTING_COINS = 20;
+
+/** In-world state for a character, defaults overlaid with a saved record. */
+function buildInitialPos(name, data = {}) {
+  const initialPos = {
+    name,
+    x: 400,
+    y: 300,
+    zone: defaultZoneKey,
+    roomId: 0,
+    color: colors[clientId % colors.length],
+    role: roles.DEFAULT_ROLE,
+    inventory: [],
+    muted: [],
+    flags: {},
+    coins: STARTING_COINS,
+    quests: {},
+  };
+  // Fill in any valid fields from data, even if isValidPlayerData fails
+  if (typeof data.x === 'number') initialPos.x = data.x;
+  if (typeof data.y === 'number') initialPos.y = data.y;
+  if (typeof data.roomId === 'number') initialPos.roomId = data.roomId;
+  if (resolveZoneKey(data.zone) !== null) initialPos.zone = resolveZoneKey(data.zone);
+  if (typeof data.color === 'string') initialPos.color = data.color;
+  initialPos.role = roles.roleOfRecord(data);
+  if (Array.isArray(data.inventory)) initialPos.inventory = data.inventory;
+  if (Array.isArray(data.muted)) initialPos.muted = data.muted.filter((n) => typeof n === 'string');
+  if (data.flags && typeof data.flags === 'object' && !Array.isArray(data.flags)) {
+    initialPos.flags = data.flags;
+  }
+  if (Number.isInteger(data.coins) && data.coins >= 0) initialPos.coins = data.coins;
+  if (data.quests && typeof data.quests === 'object' && !Array.isArray(data.quests)) {
+    initialPos.quests = data.quests;
+  }
+  if (data.salt) {
+    initialPos.salt = data.salt;
+    initialPos.hash = data.hash;
+    initialPos.iterations = data.iterations;
+  }
+  // Only items the player still carries stay worn
+  initialPos.equipment = equipment.sanitizeEquipment(data.equipment, (entry) =>
+    objectInstances.some((i) => i.instanceId === entry.instanceId && i.pickedUpBy === name)
+  );
+  vitals.initVitals(initialPos, data.stats, data.hp, equipmentModifiers(initialPos.equipment));
+  // Nobody logs back in dead
+  if (initialPos.hp <= 0) vitals.restoreVitals(initialPos);
+  return initialPos;
+}
+
+/**
+ * Send the world snapshot for player `id`: an `init` (fresh client) or
+ * `resumed` (reconnected client) envelope with a new session token, followed
+ * by time, room objects, inventory and NPCs.
+ */
+function sendWelcome(ws, id, type) {
+  const player = positions.get(id);
+  ws.send(
+    JSON.stringify({
+      type,
+      id,
+      players: Object.fromEntries([...positions].map(([pid, p]) => [pid, publicPlayerView(p)])),
+      world: worldData.rooms,
+      x: player.x,
+      y: player.y,
+      zone: player.zone,
+      roomId: player.roomId,
+      role: player.role,
+      permissions: roles.permissionsFor(player.role),
+      sessionToken: sessionTokens.issue(player.name, player.salt),
+    })
+  );
+
+  // Immediately send current game time to client
+  ws.send(JSON.stringify(getFormattedTimeMessage()));
+
+  // Send initial objects for this room
+  const initObjects = objectInstances.filter(
+    (i) => i.zone === player.zone && i.roomId === player.roomId && liesInWorld(i)
+  );
+  ws.send(JSON.stringify({ type: 'init-objects', objects: initObjects.map(publicObjectView) }));
+  ws.send(JSON.stringify(footprintsMessage(player.zone, player.roomId)));
+
+  // Send initial inventory for this player (by name)
+  ws.send(JSON.stringify(inventoryMessage(player.name)));
+
+  // Send initial NPCs in this room
+  const initNpcs = npcInstances
+    .filter((n) => n.zone === player.zone && n.roomId === player.roomId)
+    .map(publicNpcView);
+  ws.send(JSON.stringify({ type: 'init-npcs', npcs: initNpcs }));
+
+  // Chat mute list and the console commands this player may run
+  ws.send(JSON.stringify({ type: 'chat-mutes', muted: player.muted }));
+  ws.send(JSON.stringify({ type: 'command-list', commands: consoleCommands.list(player.role) }));
+  ws.send(JSON.stringify({ type: 'vitals', hp: player.hp, maxHp: player.maxHp }));
+  ws.send(JSON.stringify({ type: 'coins', coins: player.coins }));
+  ws.send(JSON.stringify(questLogMessage(player)));
+  ws.send(JSON.stringify(equipmentMessage(player)));
+}
+
+/** Add a newly logged-in character to the world and announce it. */
+function enterWorld(ws, initialPos, type) {
+  const id = clientId++;
+  const name = initialPos.name;
+  nameMap.set(id, name);
+  clients.set(id, ws);
+  positions.set(id, {
+    name: initialPos.name,
+    x: initialPos.x,
+    y: initialPos.y,
+    roomId: initialPos.roomId,
+    role: initialPos.role,
+    color: initialPos.color,
+    inventory: initialPos.inventory,
+    muted: initialPos.muted,
+    flags: initialPos.flags,
+    coins: initialPos.coins,
+    quests: initialPos.quests,
+    equipment: initialPos.equipment,
+    salt: initialPos.salt,
+    hash: initialPos.hash,
+    iterations: initialPos.iterations,
+    zone: initialPos.zone,
+    stats: initialPos.stats,
+    statModifiers: initialPos.statModifiers,
+    hp: initialPos.hp,
+    maxHp: initialPos.maxHp,
+    lastDamagedTick: null,
+  });
+  moveStates.set(id, { budget: PLAYER_MOVE_BURST, lastMoveAt: null });
+  console.log(`Client ${id} (${name}) connected.`);
+
+  sendWelcome(ws, id, type);
+
+  for (let [otherId, client] of clients) {
+    if (otherId !== id && client.readyState === WebSocket.OPEN) {
+      client.send(JSON.stringify({ type: 'join', id, pos: publicPlayerView(positions.get(id)) }));
+    }
+  }
+  bindPlayerSocket(ws, id, name);
+  updateNpcAwarenessIn(positions.get(id));
+}
+
+/**
+ * Move an existing player entity onto a new socket (session resume, or a
+ * fresh login while still in the world). Any previous live socket is told
+ * its session ended and closed.
+ */
+function rebindPlayer(ws, id, type) {
+  clearTimeout(pendingDisconnects.get(id));
+  pendingDisconnects.delete(id);
+  const previous = clients.get(id);
+  clients.set(id, ws);
+  if (previous && previous !== ws && previous.readyState === WebSocket.OPEN) {
+    previous.send(
+      JSON.stringify({ type: 'session-ended', message: 'Logged in from another connection.' })
+    );
+    previous.close();
+  }
+  moveStates.set(id, { budget: PLAYER_MOVE_BURST, lastMoveAt: null });
+  console.log(`Client ${id} (${nameMap.get(id)}) resumed.`);
+
+  sendWelcome(ws, id, type);
+  bindPlayerSocket(ws, id, nameMap.get(id));
+}
+
+/**
+ * First message must be { name, password, action } (legacy: `create` flag).
+ * - action: login | create | change-password (+ newPassword) | delete-character,
+ *   or { action: 'resume', token } to reattach after a dropped connection.
+ * - Auth or character creation; account actions reply and close the socket.
+ * - On success: init payload (players, time, objects, NPCs).
+ * - Later messages: { type, ... } envelopes (update, pickup, etc.).
+ */
+wss.on('connection', (ws, req) => {
+  const ipKey = `ip:${req.socket.remoteAddress}`;
+  // --- Client→Server message router ---
+  ws.once('message', async (nameMsg) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(nameMsg);
+    } catch (e) {
+      ws.close();
+      return;
+    }
+    const { name, password, create } = parsed;
+    const action = parsed.action || (create ? 'create' : 'login');
+    if (!ACCOUNT_ACTIONS.includes(action)) {
+      ws.close();
+      return;
+    }
+    const rejectLogin = (message, type = 'error') => {
+      ws.send(JSON.stringify({ type, message }));
+      ws.close();
+    };
+
+    // Reconnect with a session token: reattach to the entity (or reload it after the grace period)
+    if (action === 'resume') {
+      const waitMs = loginThrottle.retryAfter([ipKey]);
+      const resumedName = waitMs > 0 ? null : sessionTokens.verify(parsed.token, lookupSessionSalt);
+      if (!resumedName) {
+        if (waitMs === 0) loginThrottle.recordFailure([ipKey]);
+        rejectLogin('Session expired. Please log in again.', 'resume-failed');
+        return;
+      }
+      const existingId = findOnlinePlayerId(resumedName);
+      if (existingId !== null) {
+        rebindPlayer(ws, existingId, 'resumed');
+        return;
+      }
+      const record = loadPlayerRecord(resumedName);
+      if (!record) {
+        rejectLogin('Character not found.', 'resume-failed');
+        return;
+      }
+      enterWorld(ws, buildInitialPos(resumedName, record), 'resumed');
+      return;
+    }
+
+    if (!name || !password) {
+      ws.close();
+      return;
+    }
+    const nameValidation = validatePlayerName(name);
+    if (!nameValidation.valid) {
+      rejectLogin(nameValidation.error);
+      return;
+    }
+
+    const throttleKeys = [`name:${name.toLowerCase()}`, ipKey];
+    const waitMs = loginThrottle.retryAfter(throttleKeys);
+    if (waitMs > 0) {
+      rejectLogin(`Too many failed attempts. Try again in ${Math.ceil(waitMs / 1000)}s.`);
+      return;
+    }
+
+    const playerFile = path.join(playerDir, `${name}.json`);
+    let initialPos;
+    try {
+      if (fs.existsSync(playerFile)) {
+        const data = JSON.parse(fs.readFileSync(playerFile, 'utf8'));
+        if (!data.salt || !data.hash) {
+          console.warn(`No password data for ${name}.`);
+          rejectLogin('Missing password data.');
+          return;
         }
-        if (create) {
-          ws.send(JSON.stringify({ type: 'error', message: 'Character already exists.' }));
-          ws.close();
+        if (action === 'create') {
+          rejectLogin('Character already exists.');
+          return;
+        }
+        if (!(await accounts.verifyPassword(password, data))) {
+          loginThrottle.recordFailure(throttleKeys);
+          rejectLogin('Incorrect password.');
           return;
         }
-        if (!verifyPassword(password, data.salt, data.hash)) {
-          ws.send(JSON.stringify({ type: 'error', message: 'Incorrect password.' }));
+        loginThrottle.reset(throttleKeys[0]);
+        if (action !== 'login') {
+          const result = await performAccountAction(action, parsed, data, playerFile);
+          if (!result.success) {
+            rejectLogin(result.message);
+            return;
+          }
+          ws.send(JSON.stringify({ type: 'account-updated', action, message: result.message }));
           ws.close();
           return;
         }
-        // Fill in any valid fields from data, even if isValidPlayerData fails
-        if (typeof data.x === 'number') initialPos.x = data.x;
-        if (typeof data.y === 'number') initialPos.y = data.y;
-        if (typeof data.roomId === 'number') initialPos.roomId = data.roomId;
-        if (typeof data.color === 'string') initialPos.color = data.color;
-        if (typeof data.privilege === 'number') initialPos.privilege = data.privilege;
-        if (Array.isArray(data.inventory)) initialPos.inventory = data.inventory;
-        initialPos.salt = data.salt;
-        initialPos.hash = data.hash;
+        // Upgrade hashes made with an older/cheaper KDF cost
+        if (accounts.needsRehash(data)) {
+          Object.assign(data, await accounts.hashPassword(password));
+          savePlayerData(data);
+          console.log(`Rehashed password for ${name} (${data.iterations} iterations).`);
+        }
+        initialPos = buildInitialPos(name, data);
       } else {
-        console.log(`Creating new character "${name}" (create=${create})`);
-        const { salt, hash } = hashPassword(password);
-        initialPos.salt = salt;
-        initialPos.hash = hash;
+        if (action !== 'create') {
+          loginThrottle.recordFailure(throttleKeys);
+          rejectLogin('Character not found.');
+          return;
+        }
+        const passwordValidation = accounts.validateNewPassword(password);
+        if (!passwordValidation.valid) {
+          rejectLogin(passwordValidation.error);
+          return;
+        }
+        // Reserve the name before hashing so a concurrent create can't overwrite this one
+        if (pendingCreates.has(name)) {
+          rejectLogin('Character already exists.');
+          return;
+        }
+        pendingCreates.add(name);
+        try {
+          console.log(`Creating new character "${name}"`);
+          initialPos = { ...buildInitialPos(name), ...(await accounts.hashPassword(password)) };
+          console.log(`Writing new player file to: ${playerFile}`);
+          savePlayerData(initialPos);
+        } finally {
+          pendingCreates.delete(name);
+        }
+      }
+    } catch (e) {
+      console.warn(`Failed to load player data for ${name}:`, e);
+      rejectLogin('Failed to load character.');
+      return;
+    }
+    // The socket may have gone away while the password was being hashed
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    // Already in the world (another tab, or a dropped connection): take over that entity
+    const existingId = findOnlinePlayerId(name);
+    if (existingId !== null) {
+      rebindPlayer(ws, existingId, 'init');
+      return;
+    }
+    enterWorld(ws, initialPos, 'init');
+  });
+});
+
+/**
+ * Attach the in-game message router and close handler to a socket.
+ * Used for fresh logins and for sockets that resume an existing player.
+ */
+function bindPlayerSocket(ws, id, name) {
+  ws.on('message', (message) => {
+    try {
+      const msg = JSON.parse(message);
+      // Every message type needs a permission for the sender's role
+      const permission = `message:${msg.type}`;
+      if (!roles.can(positions.get(id)?.role, permission)) {
+        const error = roles.PERMISSIONS[permission]
+          ? 'Insufficient privileges'
+          : 'Unknown message type';
+        ws.send(JSON.stringify({ type: 'error', message: error }));
+        return;
+      }
+      // --- Updated 'update' handler using top-level fields ---
+      if (msg.type === 'update') {
+        // Validate against room tiles; accept + broadcast, or correct the client.
+        const player = positions.get(id);
+        if (!player) return;
+        const move = validatePlayerMove(player, moveStates.get(id), msg, Date.now());
+        const from = { zone: player.zone, roomId: player.roomId };
+        if (!move.valid) {
+          ws.send(
+            JSON.stringify({
+              type: 'position-correction',
+              x: player.x,
+              y: player.y,
+              zone: player.zone,
+              roomId: player.roomId,
+              reason: move.error,
+            })
+          );
+          return;
+        }
+        const fromTile = { x: pixelToTile(player.x), y: pixelToTile(player.y) };
+        player.x = msg.x;
+        player.y = msg.y;
+        player.zone = move.zone;
+        player.roomId = msg.roomId;
+        broadcastPlayerUpdate(id);
+        if (from.zone === player.zone && from.roomId === player.roomId) {
+          const to = { x: pixelToTile(player.x), y: pixelToTile(player.y) };
+          leaveFootprints(player.zone, player.roomId, [{ from: fromTile, to, at: Date.now() }]);
+        } else {
+          questEvent(id, { type: 'enter', zone: player.zone, roomId: player.roomId });
+        }
+        updateNpcAwarenessIn(from, player);
+      }
+      // Claim object instance; mark removal tick.
+      else if (msg.type === 'pickup') {
+        const player = positions.get(id);
+        if (!player || typeof msg.instanceId !== 'string') return;
+        console.log(
+          `Received pickup request from player ${id} for instance ${msg.instanceId} in zone ${player.zone}, room ${player.roomId}`
+        );
+        const inst = objectInstances.find((i) => i.instanceId === msg.instanceId);
+        if (inst && liesInWorld(inst) && !withinReach(player, inst)) {
+          ws.send(
+            JSON.stringify({ type: 'error', message: 'You need to be closer to pick that up.' })
+          );
+          ws.send(JSON.stringify({ type: 'object-spawned', instance: publicObjectView(inst) }));
+          return;
+        }
+        if (inst && liesInWorld(inst)) {
+          // Too much to carry, or the object's behavior refuses: put it back on
+          // the client that hid it. Respawning spawns stay whole to return later.
+          const quantity = inventory.quantityOf(inst);
+          const weight = instanceWeight(inst);
+          const carry = checkCarry(name, inst.typeId, quantity, weight, !inst.respawnAfterSec);
+          if (!carry.valid) {
+            ws.send(JSON.stringify({ type: 'error', message: carry.error }));
+            ws.send(JSON.stringify({ type: 'object-spawned', instance: publicObjectView(inst) }));
+            return;
+          }
+          const picker = scriptPlayerView(id, player);
+          if (dispatchObjectEvent(inst, 'onPickup', picker) === false) {
+            ws.send(JSON.stringify({ type: 'object-spawned', instance: publicObjectView(inst) }));
+            return;
+          }
+          // Timers it set lying in the world must not fire in someone's pocket
+          scriptRuntime.clearTimers(inst);
+          inst.pickedUpBy = name;
+          inst.removedAt = gameTime.tick;
+          console.log(`Object ${inst.instanceId} now picked by player ${name}`);
+          broadcastToRoom(inst.zone, inst.roomId, {
+            type: 'object-picked',
+            instance: publicObjectView(inst),
+            playerId: id,
+          });
+          addToInventory(name, inst, carry.stack);
+          saveObjectsState();
+          ws.send(JSON.stringify(inventoryMessage(name)));
+          questEvent(id, { type: 'pickup', item: itemKeyOf(inst) });
+        }
+      }
+      // Materialize item back into room at the player's feet (all of a stack, or
+      // `quantity` split off it); persist. The message's own position is ignored.
+      else if (msg.type === 'drop') {
+        const playerData = positions.get(id);
+        if (!playerData || typeof msg.instanceId !== 'string') return;
+        const carried = objectInstances.find((i) => i.instanceId === msg.instanceId);
+        if (carried && carried.pickedUpBy === name) {
+          if (isWornBy(positions.get(id), carried)) {
+            ws.send(JSON.stringify({ type: 'error', message: 'Take it off first.' }));
+            return;
+          }
+          const split = Number.isInteger(msg.quantity) && msg.quantity > 0;
+          const inst = split ? splitStack(carried, msg.quantity) : carried;
+          inst.pickedUpBy = null;
+          inst.removedAt = null;
+          inst.x = pixelToTile(playerData.x);
+          inst.y = pixelToTile(playerData.y);
+          inst.zone = playerData.zone;
+          inst.roomId = playerData.roomId;
+          saveObjectsState();
+          broadcastToRoom(inst.zone, inst.roomId, {
+            type: 'object-dropped',
+            instance: publicObjectView(inst),
+          });
+          // Persist updated inventory to player file
+          playerData.inventory = objectInstances.filter((i) => i.pickedUpBy === name);
+          savePlayerData(playerData);
+          ws.send(JSON.stringify(inventoryMessage(name)));
+          dispatchObjectEvent(inst, 'onDrop', scriptPlayerView(id, playerData));
+        }
+      } else if (msg.type === 'chat') {
+        // Player speech on say/shout/whisper/global channels.
+        handleChatMessage(id, msg);
+      } else if (msg.type === 'give-item') {
+        // Hand an inventory item to a nearby NPC.
+        handleGiveItem(id, msg);
+      } else if (msg.type === 'examine') {
+        // Describe an NPC, object, inventory item, player or tile.
+        handleExamine(id, msg);
+      } else if (msg.type === 'shop-buy') {
+        // Buy an item from a nearby vendor.
+        handleShopBuy(id, msg);
+      } else if (msg.type === 'shop-sell') {
+        // Sell an inventory item to a nearby vendor.
+        handleShopSell(id, msg);
+      } else if (msg.type === 'container-put') {
+        // Put an inventory item into an open container.
+        handleContainerPut(id, msg);
+      } else if (msg.type === 'container-take') {
+        // Take an item out of an open container.
+        handleContainerTake(id, msg);
+      } else if (msg.type === 'equip') {
+        // Wear an inventory item.
+        handleEquip(id, msg);
+      } else if (msg.type === 'unequip') {
+        // Take off what is worn in a slot.
+        handleUnequip(id, msg);
+      } else if (msg.type === 'dialogue-choice') {
+        // Answer in an NPC conversation.
+        handleDialogueChoice(id, msg);
+      } else if (msg.type === 'dialogue-end') {
+        // The player closed the dialogue panel.
+        endDialogue(id, false);
+      } else if (msg.type === 'command') {
+        // Slash command from the console: { name, args }.
+        const player = positions.get(id);
+        if (!player) return;
+        consoleCommands.execute(
+          {
+            id,
+            player,
+            reply: (text) => sendToPlayer(id, { type: 'command-result', text }),
+          },
+          msg.name,
+          msg.args || []
+        );
+      } else if (msg.type === 'chat-mute') {
+        // Add/remove a name on this player's chat mute list.
+        handleChatMute(id, msg);
+      } else if (msg.type === 'request-objects-and-npcs') {
+        // Refresh visible objects + NPCs for the player's authoritative room,
+        // so a client can't peek into rooms/zones it hasn't actually entered.
+        const player = positions.get(id);
+        if (!player) return;
+        const list = objectInstances.filter(
+          (i) => i.zone === player.zone && i.roomId === player.roomId && liesInWorld(i)
+        );
+        ws.send(JSON.stringify({ type: 'init-objects', objects: list.map(publicObjectView) }));
+        // Send NPCs for this room as well
+        const initNpcs = npcInstances
+          .filter((n) => n.zone === player.zone && n.roomId === player.roomId)
+          .map(publicNpcView);
+        ws.send(JSON.stringify({ type: 'init-npcs', npcs: initNpcs }));
+        ws.send(JSON.stringify(footprintsMessage(player.zone, player.roomId)));
+      }
+      // Ask behavior module for context options.
+      else if (msg.type === 'get-context-menu') {
+        const player = positions.get(id);
+        const { targetType, instanceId } = msg;
+
+        if (!player || !targetType || !instanceId) return;
+
+        const entity = findContextEntity(player, targetType, instanceId);
+        const behavior = entity && behaviorOf(entity);
+
+        // Vendors always offer to trade, containers to open, usable objects to be used
+        const builtIn = [];
+        if (entity && targetType === 'npc' && shopOf(entity)) {
+          builtIn.push({ label: 'Trade', action: 'trade' });
+        }
+        if (entity && targetType === 'object') builtIn.push(...containerMenu(entity));
+        if (targetType === 'object' && scriptRuntime.has(behavior, 'onUse')) {
+          builtIn.push({ label: 'Use', action: 'use' });
+        }
+        if (!entity || !scriptRuntime.has(behavior, 'getContextMenu')) {
+          ws.send(
+            JSON.stringify({ type: 'context-menu', instanceId, targetType, options: builtIn })
+          );
+          return;
+        }
+        const result = scriptRuntime.call(behavior, 'getContextMenu', [
+          entity,
+          scriptPlayerView(id, player),
+          scriptApiFor(entity),
+        ]);
+        const options = [...builtIn, ...(Array.isArray(result) ? result : [])];
+        ws.send(JSON.stringify({ type: 'context-menu', instanceId, targetType, options }));
+      }
+      // Invoke behavior’s onContextAction handler.
+      else if (msg.type === 'context-action') {
+        console.log("It's nothing, really." + JSON.stringify(msg));
+        const player = positions.get(id);
+        const { targetType, instanceId, action } = msg;
+
+        if (!player || !targetType || !instanceId || !action) return;
+
+        // Server-side scaffolding for NPC context actions
+        if (targetType === 'npc') {
+          if (action === 'examine') {
+            handleExamine(id, { targetType: 'npc', instanceId });
+            return;
+          } else if (action === 'talk') {
+            // NPCs with a dialogue tree answer; others leave `talk` to their behavior
+            const npc = npcInstances.find((n) => n.instanceId === instanceId);
+            if (npc && withinTalkRange(player, npc)) {
+              questEvent(id, { type: 'talk', npc: npc.name });
+            }
+            if (npc && startDialogue(id, npc)) return;
+          } else if (action === 'trade') {
+            const npc = npcInstances.find((n) => n.instanceId === instanceId);
+            if (npc && openShop(id, npc)) return;
+          }
+        }
+
+        const entity = findContextEntity(player, targetType, instanceId);
+        if (entity && targetType === 'object') {
+          if (handleContainerAction(id, entity, action)) return;
+          if (action === 'use') {
+            dispatchObjectEvent(entity, 'onUse', scriptPlayerView(id, player));
+            return;
+          }
+        }
+        const behavior = entity && behaviorOf(entity);
+        if (!scriptRuntime.has(behavior, 'onContextAction')) return;
+        scriptRuntime.call(behavior, 'onContextAction', [
+          action,
+          entity,
+          scriptPlayerView(id, player),
+          scriptApiFor(entity),
+        ]);
+      } else if (msg.type === 'edit-tile') {
+        // Privileged: update terrain and broadcast patch.
+        
+        // Validate roomId
+        const roomIdValidation = validateRoomId(msg.roomId);
+        if (!roomIdValidation.valid) {
+          ws.send(JSON.stringify({ type: 'error', message: roomIdValidation.error }));
+          return;
+        }
+        const roomId = roomIdValidation.sanitized;
+        
+        // Load the room JSON file
+        const zoneId = resolveZoneKey(msg.zoneId !== undefined ? msg.zoneId : defaultZoneKey);
+        if (zoneId === null) {
+          ws.send(JSON.stringify({ type: 'error', message: 'Unknown zone' }));
+          return;
+        }
+        const roomJson = roomCache.getRoom(zoneId, roomId);
+        if (!roomJson) {
+          ws.send(JSON.stringify({ type: 'error', message: 'Failed to load room data' }));
+          return;
+        }
+        
+        // Validate edit request
+        const validation = validateEditRequest(msg, roomJson);
+        if (!validation.valid) {
+          ws.send(JSON.stringify({ type: 'error', message: validation.error }));
+          return;
+        }
+        
+        // Apply the terrain change
+        roomJson.tiles[msg.y][msg.x].terrain = msg.terrain;
+        // Persist back to disk with error handling
+        const writeResult = roomCache.saveRoom(zoneId, roomId, roomJson);
+        if (!writeResult.success) {
+          ws.send(JSON.stringify({ type: 'error', message: 'Failed to save room changes' }));
+          return;
+        }
+        // Broadcast the edit to all clients
+        for (const client of clients.values()) {
+          if (client.readyState === WebSocket.OPEN) {
+            client.send(
+              JSON.stringify({
+                type: 'room-updated',
+                zoneId,
+                roomId,
+                patch: msg,
+              })
+            );
+          }
+        }
+      } else if (msg.type === 'edit-tile-behavior') {
+        // Privileged: set the tile's physics rule and/or property overrides.
+        const roomIdValidation = validateRoomId(msg.roomId);
+        if (!roomIdValidation.valid) {
+          ws.send(JSON.stringify({ type: 'error', message: roomIdValidation.error }));
+          return;
+        }
+        const roomId = roomIdValidation.sanitized;
+        const behaviorValidation = tileProperties.validateTileBehaviorEdit(msg, {
+          physicsRules,
+          audioKeys,
+          imageKeys,
+          footprintDefaults: tilePhysics.FOOTPRINT_DEFAULTS,
+        });
+        if (!behaviorValidation.valid) {
+          ws.send(JSON.stringify({ type: 'error', message: behaviorValidation.error }));
+          return;
+        }
+        const zoneId = resolveZoneKey(msg.zoneId !== undefined ? msg.zoneId : defaultZoneKey);
+        if (zoneId === null) {
+          ws.send(JSON.stringify({ type: 'error', message: 'Unknown zone' }));
+          return;
+        }
+        const roomJson = roomCache.getRoom(zoneId, roomId);
+        if (!roomJson) {
+          ws.send(JSON.stringify({ type: 'error', message: 'Failed to load room data' }));
+          return;
+        }
+        const coordValidation = validateEditRequest(msg, roomJson);
+        if (!coordValidation.valid) {
+          ws.send(JSON.stringify({ type: 'error', message: coordValidation.error }));
+          return;
+        }
+
+        // Merge into the tile's properties; an empty result removes the key
+        const tile = roomJson.tiles[msg.y][msg.x];
+        const properties = { ...(tile.properties || {}) };
+        if (msg.physicsRule !== undefined) {
+          if (msg.physicsRule) properties.physicsRule = msg.physicsRule;
+          else delete properties.physicsRule;
+        }
+        for (const [key, value] of Object.entries(msg.overrides || {})) {
+          if (value === null) delete properties[key];
+          else properties[key] = value;
+        }
+        if (Object.keys(properties).length) tile.properties = properties;
+        else delete tile.properties;
+
+        const writeResult = roomCache.saveRoom(zoneId, roomId, roomJson);
+        if (!writeResult.success) {
+          ws.send(JSON.stringify({ type: 'error', message: 'Failed to save tile behavior' }));
+          return;
+        }
+        // Clients replace the tile's properties wholesale (null = none)
+        for (const client of clients.values()) {
+          if (client.readyState === WebSocket.OPEN) {
+            client.send(
+              JSON.stringify({
+                type: 'room-updated',
+                zoneId,
+                roomId,
+                patch: { x: msg.x, y: msg.y, properties: tile.properties || null },
+              })
+            );
+          }
+        }
+      } else if (msg.type === 'edit-tile-exits') {
+        // Privileged: update/remove tileExits.
+        console.log('received tile exits data update.');
+        
+        // Validate roomId
+        const roomIdValidation = validateRoomId(msg.roomId);
+        if (!roomIdValidation.valid) {
+          ws.send(JSON.stringify({ type: 'error', message: roomIdValidation.error }));
+          return;
+        }
+        const roomId = roomIdValidation.sanitized;
+        
+        // Validate tile exits structure
+        const exitsValidation = validateTileExits(msg.tileExits);
+        if (!exitsValidation.valid) {
+          ws.send(JSON.stringify({ type: 'error', message: exitsValidation.error }));
+          return;
+        }
+        
+        const zoneId = resolveZoneKey(msg.zoneId !== undefined ? msg.zoneId : defaultZoneKey);
+        if (zoneId === null) {
+          ws.send(JSON.stringify({ type: 'error', message: 'Unknown zone' }));
+          return;
+        }
+        const roomJson = roomCache.getRoom(zoneId, roomId);
+        if (!roomJson) {
+          ws.send(JSON.stringify({ type: 'error', message: 'Failed to load room data' }));
+          return;
+        }
+        
+        // Validate coordinates using existing function
+        const coordValidation = validateEditRequest(msg, roomJson);
+        if (!coordValidation.valid) {
+          ws.send(JSON.stringify({ type: 'error', message: coordValidation.error }));
+          return;
+        }
+        
+        // Apply tileExits update (null means delete)
+        if (msg.tileExits === null) {
+          delete roomJson.tiles[msg.y][msg.x].tileExits;
+        } else {
+          roomJson.tiles[msg.y][msg.x].tileExits = msg.tileExits;
+        }
+        // Persist back to disk with error handling
+        const writeResult = roomCache.saveRoom(zoneId, roomId, roomJson);
+        if (!writeResult.success) {
+          ws.send(JSON.stringify({ type: 'error', message: 'Failed to save tile exits' }));
+          return;
+        }
+        // Broadcast the edit to all clients
+        for (const client of clients.values()) {
+          if (client.readyState === WebSocket.OPEN) {
+            client.send(
+              JSON.stringify({
+                type: 'room-updated',
+                zoneId,
+                roomId,
+                patch: msg,
+              })
+            );
+          }
+        }
+      }
+      // --- Handle privileged room resize ---
+      else if (msg.type === 'resize-room') {
+        // Privileged: grow/shrink room dimensions.
+        
+        // Validate roomId
+        const roomIdValidation = validateRoomId(msg.roomId);
+        if (!roomIdValidation.valid) {
+          ws.send(JSON.stringify({ type: 'error', message: roomIdValidation.error }));
+          return;
+        }
+        const roomId = roomIdValidation.sanitized;
+        
+        // Validate resize dimensions
+        const resizeValidation = validateResizeRequest(msg);
+        if (!resizeValidation.valid) {
+          ws.send(JSON.stringify({ type: 'error', message: resizeValidation.error }));
+          return;
+        }
+        
+        const newW = msg.width;
+        const newH = msg.height;
+        const zoneId = resolveZoneKey(msg.zoneId !== undefined ? msg.zoneId : defaultZoneKey);
+        if (zoneId === null) {
+          ws.send(JSON.stringify({ type: 'error', message: 'Unknown zone' }));
+          return;
+        }
+        const roomJson = roomCache.getRoom(zoneId, roomId);
+        if (!roomJson) {
+          ws.send(JSON.stringify({ type: 'error', message: 'Failed to load room data' }));
+          return;
+        }
+        const oldW = roomJson.width;
+        const oldH = roomJson.height;
+        // Resize each existing row
+        for (let y = 0; y < roomJson.tiles.length; y++) {
+          const row = roomJson.tiles[y];
+          if (newW > oldW) {
+            for (let x = oldW; x < newW; x++) {
+              row.push({ terrain: 'void', tileExits: {} });
+            }
+          } else if (newW < oldW) {
+            row.length = newW;
+          }
+        }
+        // Adjust number of rows
+        if (newH > oldH) {
+          for (let y = oldH; y < newH; y++) {
+            const newRow = [];
+            for (let x = 0; x < newW; x++) {
+              newRow.push({ terrain: 'void', tileExits: {} });
+            }
+            roomJson.tiles.push(newRow);
+          }
+        } else if (newH < oldH) {
+          roomJson.tiles.length = newH;
+        }
+        // Update metadata
+        roomJson.width = newW;
+        roomJson.height = newH;
+        // Persist back to disk with error handling
+        const writeResult = roomCache.saveRoom(zoneId, roomId, roomJson);
+        if (!writeResult.success) {
+          ws.send(JSON.stringify({ type: 'error', message: 'Failed to save room resize' }));
+          return;
+        }
+        // Broadcast the resize to all clients
+        for (const client of clients.values()) {
+          if (client.readyState === WebSocket.OPEN) {
+            client.send(
+              JSON.stringify({
+                type: 'room-resized',
+                zoneId,
+                roomId,
+                width: newW,
+                height: newH,
+              })
+            );
+          }
+        }
+      }
+    } catch (e) {
+      logError('MESSAGE_PARSE', e, { 
+        clientId: id, 
+        playerName: nameMap.get(id),
+        rawMessage: message.toString().substring(0, 200) // First 200 chars for debugging
+      });
+      // Send error response to client
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ 
+          type: 'error', 
+          message: 'Invalid message format' 
+        }));
+      }
+    }
+  });
+
+  ws.on('close', () => {
+    // Superseded by a resumed session or a newer login: nothing to clean up
+    if (clients.get(id) !== ws) return;
+    // Persist player snapshot now; keep the entity in the world for a resume.
+    const data = positions.get(id);
+    if (data) {
+      try {
+        savePlayerData(data);
+      } catch (err) {
+        logError('PLAYER_SAVE', err, { playerId: id, playerName: data.name });
+      }
+    }
+    pendingDisconnects.set(
+      id,
+      setTimeout(() => removePlayer(id), SESSION_GRACE_MS)
+    );
+    console.log(`Client ${id} (${name}) disconnected; holding for resume.`);
+  });
+}
+
+/**
+ * Drop a player whose grace period ran out (or who was kicked), and tell
+ * everyone they left. Saves first: the entity stays in the world after the
+ * save on close, so it may have changed since.
+ */
+function removePlayer(id) {
+  const name = nameMap.get(id);
+  const last = positions.get(id);
+  if (last) {
+    try {
+      savePlayerData(last);
+    } catch (err) {
+      logError('PLAYER_SAVE', err, { playerId: id, playerName: last.name });
+    }
+  }
+  pendingDisconnects.delete(id);
+  clients.delete(id);
+  positions.delete(id);
+  conversations.delete(id);
+  if (last) updateNpcAwarenessIn(last);
+  nameMap.delete(id);
+  moveStates.delete(id);
+  chatFlood.forget(id);
+  for (let client of clients.values()) {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(JSON.stringify({ type: 'leave', id }));
+    }
+  }
+  console.log(`Client ${id} (${name}) left.`);
+}
+
+// --- Player Chat ---
+
+const chatFlood = chat.createFloodGuard();
+
+/**
+ * Route a `chat` message: { channel, text, to? }.
+ * Receivers who muted the sender are skipped; errors go back as `error`.
+ */
+function handleChatMessage(id, msg) {
+  const sender = positions.get(id);
+  if (!sender) return;
+  const fail = (message) => sendToPlayer(id, { type: 'error', message });
+
+  const channel = msg.channel || 'say';
+  if (!chat.CHAT_CHANNELS.includes(channel)) {
+    fail('Unknown chat channel');
+    return;
+  }
+  const checked = chat.sanitizeChatText(msg.text);
+  if (!checked.valid) {
+    fail(checked.error);
+    return;
+  }
+  const flood = chatFlood.check(id, checked.text);
+  if (!flood.allowed) {
+    fail(flood.error);
+    return;
+  }
+
+  const out = {
+    type: 'chat',
+    channel,
+    id,
+    from: sender.name,
+    text: chat.maskProfanity(checked.text),
+  };
+  const notMuting = (otherId) => !(positions.get(otherId)?.muted || []).includes(sender.name);
+
+  if (channel === 'say' || channel === 'emote') {
+    broadcastToRoom(sender.zone, sender.roomId, out, notMuting);
+    notifyNpcsOfSpeech(id, channel, out.text);
+  } else if (channel === 'shout') {
+    broadcastWithinTiles(
+      sender.zone,
+      sender.roomId,
+      pixelToTile(sender.x),
+      pixelToTile(sender.y),
+      chat.SHOUT_RADIUS_TILES,
+      out,
+      notMuting
+    );
+    notifyNpcsOfSpeech(id, channel, out.text);
+  } else if (channel === 'global') {
+    for (const otherId of clients.keys()) {
+      if (notMuting(otherId)) sendToPlayer(otherId, out);
+    }
+  } else {
+    // whisper
+    if (typeof msg.to !== 'string' || !msg.to) {
+      fail('Whisper to whom?');
+      return;
+    }
+    const targetId = findOnlinePlayerId(msg.to);
+    if (targetId === null || clients.get(targetId).readyState !== WebSocket.OPEN) {
+      fail(`${msg.to} is not online.`);
+      return;
+    }
+    if (targetId === id) {
+      fail('You mutter to yourself.');
+      return;
+    }
+    out.to = msg.to;
+    if (notMuting(targetId)) sendToPlayer(targetId, out);
+    // Echo to the sender either way, so a mute isn't revealed
+    sendToPlayer(id, out);
+  }
+}
+
+/** Handle `chat-mute` { name, muted }: update, persist and echo the mute list. */
+function handleChatMute(id, msg) {
+  const player = positions.get(id);
+  if (!player) return;
+  const nameValidation = validatePlayerName(msg.name);
+  if (!nameValidation.valid || msg.name === player.name) {
+    sendToPlayer(id, { type: 'error', message: 'Invalid name to mute' });
+    return;
+  }
+  const muted = new Set(player.muted || []);
+  if (msg.muted === false) {
+    muted.delete(msg.name);
+  } else if (muted.size >= chat.MUTE_LIST_MAX) {
+    sendToPlayer(id, { type: 'error', message: 'Mute list is full' });
+    return;
+  } else {
+    muted.add(msg.name);
+  }
+  player.muted = [...muted];
+  savePlayerData(player);
+  sendToPlayer(id, { type: 'chat-mutes', muted: player.muted });
+}
+
+/** Send player `id`'s authoritative position to every other client. */
+function broadcastPlayerUpdate(id) {
+  const player = positions.get(id);
+  if (!player) return;
+  // Broadcast to other clients with flat structure
+  for (let [otherId, client] of clients) {
+    if (otherId !== id && client.readyState === WebSocket.OPEN) {
+      client.send(
+        JSON.stringify({
+          type: 'update',
+          id,
+          x: player.x,
+          y: player.y,
+          zone: player.zone,
+          roomId: player.roomId,
+          name: player.name,
+          role: player.role,
+        })
+      );
+    }
+  }
+}
+
+// --- Player Vitals ---
+
+/**
+ * Respawn point of a zone (world.json `spawn: { roomId, x, y }` in tiles),
+ * falling back to the default zone's, then to the new-character position.
+ * @returns {{zone:string, roomId:number, x:number, y:number}}
+ */
+function zoneSpawnPoint(zoneKey) {
+  for (const key of [zoneKey, defaultZoneKey]) {
+    const spawn = worldData.zones[key] && worldData.zones[key].spawn;
+    if (spawn && roomCache.getRoom(key, spawn.roomId)) {
+      return { zone: key, roomId: spawn.roomId, x: spawn.x, y: spawn.y };
+    }
+  }
+  return { zone: defaultZoneKey, roomId: 0, x: pixelToTile(400), y: pixelToTile(300) };
+}
+
+function sendVitals(id) {
+  const player = positions.get(id);
+  if (player) sendToPlayer(id, { type: 'vitals', hp: player.hp, maxHp: player.maxHp });
+}
+
+/** Death: tell the player, then respawn them at full health at their zone's spawn point. */
+function killPlayer(id, cause) {
+  const player = positions.get(id);
+  sendToPlayer(id, { type: 'player-died', message: `You died (${cause}).` });
+  console.log(`${player.name} died (${cause}).`);
+  vitals.restoreVitals(player);
+  const spawn = zoneSpawnPoint(player.zone);
+  const room = roomCache.getRoom(spawn.zone, spawn.roomId);
+  const tile = (room && findOpenTile(room, spawn.x, spawn.y)) || spawn;
+  teleportPlayer(id, spawn.zone, spawn.roomId, tile.x * TILE_SIZE, tile.y * TILE_SIZE);
+  sendVitals(id);
+  savePlayerData(player);
+}
+
+/**
+ * Per-second vitals update. Connected players on hazard tiles take the
+ * tile's damagePerSecond; everyone else regenerates.
+ */
+function updatePlayerVitals(tick) {
+  for (const [id, player] of positions) {
+    const room = roomCache.getRoom(player.zone, player.roomId);
+    const physics = tilePhysicsAt(room, pixelToTile(player.x), pixelToTile(player.y));
+    const damage = vitals.hazardDamage(physics);
+    const connected = clients.get(id)?.readyState === WebSocket.OPEN;
+    if (damage > 0 && connected) {
+      if (vitals.applyDamage(player, damage, tick)) {
+        killPlayer(id, physics.displayName || 'hazard');
+        continue;
+      }
+      sendVitals(id);
+    } else if (vitals.regenerate(player, tick)) {
+      sendVitals(id);
+    }
+  }
+}
+
+// --- Console Commands ---
+
+const consoleCommands = createCommandRegistry({ logError });
+
+/** Display name of a room, e.g. "The infinite plains (The Beginning)". */
+function describeRoom(zoneKey, roomId) {
+  const room = roomCache.getRoom(zoneKey, roomId);
+  const zoneDef = worldData.zones[zoneKey];
+  const roomName = (room && room.name) || `Room ${roomId}`;
+  return `${roomName} (${(zoneDef && zoneDef.name) || `zone ${zoneKey}`})`;
+}
+
+/** Nearest passable tile to (tx, ty), searching outward ring by ring; null if none. */
+function findOpenTile(roomJson, tx, ty) {
+  const maxRadius = Math.max(roomJson.width, roomJson.height);
+  for (let r = 0; r <= maxRadius; r++) {
+    for (let dy = -r; dy <= r; dy++) {
+      for (let dx = -r; dx <= r; dx++) {
+        if (Math.max(Math.abs(dx), Math.abs(dy)) !== r) continue;
+        if (isPassableTile(roomJson, tx + dx, ty + dy)) return { x: tx + dx, y: ty + dy };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Server-initiated move (admin commands): update the authoritative position,
+ * snap the mover's client with a `position-correction` (reason 'teleport')
+ * and show the move to everyone else.
+ */
+function teleportPlayer(targetId, zoneKey, roomId, px, py) {
+  const player = positions.get(targetId);
+  if (!player) return;
+  player.x = px;
+  player.y = py;
+  player.zone = zoneKey;
+  player.roomId = roomId;
+  moveStates.set(targetId, { budget: PLAYER_MOVE_BURST, lastMoveAt: null });
+  sendToPlayer(targetId, {
+    type: 'position-correction',
+    x: px,
+    y: py,
+    zone: zoneKey,
+    roomId,
+    reason: 'teleport',
+  });
+  broadcastPlayerUpdate(targetId);
+}
+
+/** Resolve a command's player-name argument to an online player id, or reply with an error. */
+function requireOnlinePlayer(ctx, name) {
+  const targetId = name ? findOnlinePlayerId(name) : null;
+  if (targetId === null) ctx.reply(`${name || 'That player'} is not online.`);
+  return targetId;
+}
+
+consoleCommands.register({
+  name: 'who',
+  usage: '/who',
+  description: 'List players in the world.',
+  run(ctx) {
+    const names = [...positions].map(([pid, p]) =>
+      clients.get(pid)?.readyState === WebSocket.OPEN ? p.name : `${p.name} (away)`
+    );
+    ctx.reply(`Online (${names.length}): ${names.join(', ')}`);
+  },
+});
+
+consoleCommands.register({
+  name: 'where',
+  usage: '/where',
+  description: 'Show your current location.',
+  run(ctx) {
+    const { player } = ctx;
+    ctx.reply(
+      `You are in ${describeRoom(player.zone, player.roomId)} at tile ` +
+        `${pixelToTile(player.x)},${pixelToTile(player.y)}.`
+    );
+  },
+});
+
+consoleCommands.register({
+  name: 'time',
+  usage: '/time',
+  description: 'Show the game time.',
+  run(ctx) {
+    const t = getFormattedTimeMessage();
+    ctx.reply(`It is ${t.hour}, day ${t.day} of year ${t.year} ${t.season}`);
+  },
+});
+
+consoleCommands.register({
+  name: 'emote',
+  aliases: ['me'],
+  usage: '/emote <action>',
+  description: 'Act something out to the room, e.g. /me waves.',
+  run(ctx, args) {
+    if (!args.length) {
+      ctx.reply(`Usage: ${this.usage}`);
+      return;
+    }
+    handleChatMessage(ctx.id, { channel: 'emote', text: args.join(' ') });
+  },
+});
+
+consoleCommands.register({
+  name: 'goto',
+  usage: '/goto <player> | /goto <zone> <room> [x y]',
+  description: 'Teleport to a player or a room.',
+  run(ctx, args) {
+    if (args.length === 1) {
+      const targetId = requireOnlinePlayer(ctx, args[0]);
+      if (targetId === null) return;
+      const target = positions.get(targetId);
+      teleportPlayer(ctx.id, target.zone, target.roomId, target.x, target.y);
+      ctx.reply(`You join ${target.name}.`);
+      return;
+    }
+    const zoneKey = resolveZoneKey(args[0]);
+    const roomId = Number(args[1]);
+    const room = zoneKey !== null ? roomCache.getRoom(zoneKey, roomId) : null;
+    if (!room) {
+      ctx.reply(`Usage: ${this.usage}`);
+      return;
+    }
+    const wantX = args.length >= 4 ? Number(args[2]) : Math.floor(room.width / 2);
+    const wantY = args.length >= 4 ? Number(args[3]) : Math.floor(room.height / 2);
+    const tile =
+      Number.isInteger(wantX) && Number.isInteger(wantY) ? findOpenTile(room, wantX, wantY) : null;
+    if (!tile) {
+      ctx.reply('There is nowhere to stand there.');
+      return;
+    }
+    teleportPlayer(ctx.id, zoneKey, roomId, tile.x * TILE_SIZE, tile.y * TILE_SIZE);
+    ctx.reply(`You teleport to ${describeRoom(zoneKey, roomId)}.`);
+  },
+});
+
+consoleCommands.register({
+  name: 'summon',
+  usage: '/summon <player>',
+  description: 'Bring a player to you.',
+  run(ctx, args) {
+    const targetId = requireOnlinePlayer(ctx, args[0]);
+    if (targetId === null) return;
+    const { player } = ctx;
+    teleportPlayer(targetId, player.zone, player.roomId, player.x, player.y);
+    sendToPlayer(targetId, {
+      type: 'command-result',
+      text: `You have been summoned by ${player.name}.`,
+    });
+    ctx.reply(`${args[0]} has been summoned.`);
+  },
+});
+
+consoleCommands.register({
+  name: 'spawn',
+  usage: '/spawn <object> [x y]',
+  description: 'Create an object (by id or name) at your feet or a tile.',
+  run(ctx, args) {
+    const def = findObjectDefinition(args[0] || '');
+    if (!def) {
+      const known = Object.values(objects).map((o) => o.key || o.id);
+      ctx.reply(`Usage: ${this.usage} (known: ${known.join(', ')})`);
+      return;
+    }
+    const { player } = ctx;
+    const room = roomCache.getRoom(player.zone, player.roomId);
+    const x = args.length >= 3 ? Number(args[1]) : pixelToTile(player.x);
+    const y = args.length >= 3 ? Number(args[2]) : pixelToTile(player.y);
+    if (!room || !Number.isInteger(x) || !Number.isInteger(y) || !room.tiles[y]?.[x]) {
+      ctx.reply('That tile is outside the room.');
+      return;
+    }
+    spawnObjectInstance(def, player.zone, player.roomId, x, y);
+    ctx.reply(`Spawned ${def.name || def.id} at ${x},${y}.`);
+  },
+});
+
+consoleCommands.register({
+  name: 'kick',
+  usage: '/kick <player> [reason]',
+  description: 'Disconnect a player.',
+  run(ctx, args) {
+    const targetId = requireOnlinePlayer(ctx, args[0]);
+    if (targetId === null) return;
+    if (targetId === ctx.id) {
+      ctx.reply('You cannot kick yourself.');
+      return;
+    }
+    const reason = args.slice(1).join(' ');
+    const socket = clients.get(targetId);
+    const target = positions.get(targetId);
+    // Revoke their session token so a client can't simply resume, save and drop the
+    // entity now (no resume grace period), then close the socket
+    sessionTokens.revoke(target.name);
+    clearTimeout(pendingDisconnects.get(targetId));
+    removePlayer(targetId);
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(
+        JSON.stringify({
+          type: 'session-ended',
+          message: `You have been kicked by ${ctx.player.name}${reason ? `: ${reason}` : '.'}`,
+        })
+      );
+      socket.close();
+    }
+    console.log(`${ctx.player.name} kicked ${target.name}${reason ? ` (${reason})` : ''}.`);
+    ctx.reply(`${target.name} has been kicked.`);
+  },
+});
+
+/** Tell an online player their role changed, with the permissions and commands that come with it. */
+function sendRoleUpdate(targetId) {
+  const player = positions.get(targetId);
+  sendToPlayer(targetId, {
+    type: 'role-updated',
+    role: player.role,
+    permissions: roles.permissionsFor(player.role),
+  });
+  sendToPlayer(targetId, { type: 'command-list', commands: consoleCommands.list(player.role) });
+}
+
+consoleCommands.register({
+  name: 'role',
+  usage: `/role <player> [${roles.ROLES.join('|')}]`,
+  description: "Show or change a player's role.",
+  run(ctx, args) {
+    const [name, newRole] = args;
+    if (!name || (newRole !== undefined && !roles.isRole(newRole))) {
+      ctx.reply(`Usage: ${this.usage}`);
+      return;
+    }
+    // Online players are changed in place; offline ones through their player file
+    const targetId = findOnlinePlayerId(name);
+    const record = targetId !== null ? positions.get(targetId) : loadPlayerRecord(name);
+    if (!record) {
+      ctx.reply(`There is no player named ${name}.`);
+      return;
+    }
+    const currentRole = roles.roleOfRecord(record);
+    if (!newRole) {
+      ctx.reply(`${record.name}'s role is ${currentRole}.`);
+      return;
+    }
+    if (targetId === ctx.id) {
+      ctx.reply('You cannot change your own role.');
+      return;
+    }
+    record.role = newRole;
+    savePlayerData(record);
+    if (targetId !== null) sendRoleUpdate(targetId);
+    console.log(`${ctx.player.name} changed ${record.name}'s role: ${currentRole} -> ${newRole}.`);
+    ctx.reply(`${record.name}'s role is now ${newRole}.`);
+  },
+});
+
+/** Broadcast or unicast (id) wrapper around ws.send. */
+function sendMessage(target, data) {
+  const message = JSON.stringify(data);
+  console.log(`message to send: ${message}`);
+  if (typeof target === 'number') {
+    const ws = clients.get(target);
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(message);
+    }
+  } else {
+    for (const ws of clients.values()) {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(message);
+      }
+    }
+  }
+}
+/** Lookup player by name in memory. */
+function getPlayerByName(name) {
+  for (const [id, data] of positions.entries()) {
+    if (data.name === name) return data;
+  }
+  return null;
+}
+
+// Start combined HTTP + WebSocket server
+const port = process.env.PORT || 8081;
+tilePhysicsReady
+  .then(() => {
+    npcInstances.forEach((npc) => npcEvents.dispatch(npc, 'onSpawn'));
+    server.listen(port, () => {
+      console.log(`HTTP + WebSocket server listening on port ${port}`);
+    });
+  })
+  .catch((error) => {
+    logError('STARTUP', error, { module: 'tile-physics.mjs' });
+    process.exit(1);
+  });
+
+// --- Behavior Scripting API ---
+// The gameState object passed to behavior hooks (onTick, getContextMenu,
+// onContextAction). Scripts run sandboxed (server/scripting.js) and reach the
+// world only through it; assets/npcs/behaviors/_TEMPLATE.js walks through it.
+
+/** Player as behavior scripts see it: tile coordinates, item keys, no credentials. */
+function scriptPlayerView(id, p) {
+  return {
+    id,
+    name: p.name,
+    role: p.role,
+    zone: p.zone,
+    roomId: p.roomId,
+    x: pixelToTile(p.x),
+    y: pixelToTile(p.y),
+    hp: p.hp,
+    maxHp: p.maxHp,
+    inventory: inventoryKeys(p.name),
+  };
+}
+
+/**
+ * Next number in [0, 1) from an entity's own seeded generator (mulberry32).
+ * The state is saved with the entity, so sequences continue across restarts.
+ */
+function nextScriptRandom(entity) {
+  if (!Number.isInteger(entity.rngState)) {
+    const seed = crypto.createHash('sha256').update(String(entity.instanceId)).digest();
+    entity.rngState = seed.readInt32LE(0);
+  }
+  let t = (entity.rngState = (entity.rngState + 0x6d2b79f5) | 0);
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Build the gameState API for an NPC or object running a behavior script.
+ * Room-scoped helpers default to the entity's current room.
+ */
+function scriptApiFor(entity) {
+  const behavior = behaviorOf(entity);
+  const isNpc = npcInstances.includes(entity);
+  if (!entity.memory || typeof entity.memory !== 'object') entity.memory = {};
+
+  return {
+    // --- Time and state ---
+    get tick() {
+      return gameTime.tick;
+    },
+    get time() {
+      return { tick: gameTime.tick, hour: gameTime.hour, day: gameTime.day };
+    },
+    // Plain JSON-serializable data kept across ticks and restarts
+    memory: entity.memory,
+    random: () => nextScriptRandom(entity),
+    randomInt: (min, max) => min + Math.floor(nextScriptRandom(entity) * (max - min + 1)),
+
+    // --- Players and messaging ---
+    playersInRoom: (zone = entity.zone, roomId = entity.roomId) => {
+      const players = [];
+      for (const [id, p] of positions) {
+        const connected = clients.get(id)?.readyState === WebSocket.OPEN;
+        if (connected && p.zone === zone && p.roomId === roomId) {
+          players.push(scriptPlayerView(id, p));
+        }
+      }
+      return players;
+    },
+    broadcastToRoom: (zone, roomId, msg) => broadcastToRoom(zone, roomId, msg),
+    sendToPlayer: (playerId, msg) => sendToPlayer(playerId, msg),
+    emote: (text) =>
+      broadcastToRoom(entity.zone, entity.roomId, {
+        type: 'emote',
+        instanceId: entity.instanceId,
+        text: String(text),
+      }),
+
+    // --- World ---
+    /** @returns {string|null} the new object's instanceId */
+    spawnObject: (type, x, y) => {
+      const def = findObjectDefinition(type);
+      const room = roomCache.getRoom(entity.zone, entity.roomId);
+      if (!def || !room || !Number.isInteger(x) || !Number.isInteger(y) || !room.tiles[y]?.[x]) {
+        return null;
+      }
+      return spawnObjectInstance(def, entity.zone, entity.roomId, x, y).instanceId;
+    },
+    /** Walk this NPC to a tile in its room. @returns {boolean} false if busy or unreachable */
+    moveTo: (x, y) => {
+      if (!isNpc || entity.movePath || !Number.isInteger(x) || !Number.isInteger(y)) return false;
+      const legs = planNpcRoute(entity, { x, y }, false);
+      if (!legs || routeLength(legs) <= 0) return false;
+      const rate = (entity.roam && entity.roam.rate) || 1;
+      walkNpcRoute(entity, legs, Math.floor(NPC_BASE_TILE_DURATION / rate));
+      return true;
+    },
+    /** Merge `patch` into this object's public `state`. @returns {boolean} false for NPCs */
+    setState: (patch) => {
+      if (isNpc || !patch || typeof patch !== 'object') return false;
+      updateObjectState(entity, patch);
+      return true;
+    },
+
+    // --- Quests ---
+    questEvent: (playerId, name) => questEvent(playerId, { type: 'event', name: String(name) }),
+    startQuest: (playerId, questId) => startPlayerQuest(playerId, String(questId)),
+    /** @returns {{step:number, done:boolean}|null} */
+    questProgress: (playerId, questId) => {
+      const player = positions.get(playerId);
+      if (!player || !Object.hasOwn(player.quests, questId)) return null;
+      const progress = player.quests[questId];
+      return progress ? { step: progress.step, done: progress.done } : null;
+    },
+
+    // --- Timers (run sandboxed; cancelled when the behavior is reloaded, or
+    // when an object is picked up, put away, given, sold or deleted) ---
+    setTimeout: (fn, delayMs, ...args) =>
+      scriptRuntime.setTimer(entity, behavior, fn, delayMs, args),
+    clearTimeout: (handle) => scriptRuntime.clearTimer(entity, handle),
+  };
+}
+
+// --- NPC Event Hooks ---
+// onSpawn, onPathComplete, onPlayerEnter/onPlayerLeave, onSpeak and
+// onItemGiven (see server/npc-events.js)
+
+// Players must stand within this many tiles of an NPC to hand it an item
+const GIVE_ITEM_RANGE = 2;
+
+function npcProximityRadius(npc) {
+  const tmpl = npcTemplates.find((t) => t.id === npc.typeId);
+  return tmpl && Number.isFinite(tmpl.proximityRadius)
+    ? tmpl.proximityRadius
+    : NPC_PROXIMITY_RADIUS;
+}
+
+const npcEvents = createNpcEvents({
+  runtime: scriptRuntime,
+  apiFor: scriptApiFor,
+  playersInRoom: (zone, roomId) =>
+    [...positions]
+      .filter(([, p]) => p.zone === zone && p.roomId === roomId)
+      .map(([id, p]) => scriptPlayerView(id, p)),
+  proximityRadius: npcProximityRadius,
+  shoutRadius: chat.SHOUT_RADIUS_TILES,
+});
+
+/** Update awareness of the NPCs in the given rooms ({ zone, roomId } entries). */
+function updateNpcAwarenessIn(...rooms) {
+  npcInstances.forEach((npc) => {
+    if (rooms.some((r) => r.zone === npc.zone && r.roomId === npc.roomId)) {
+      npcEvents.updateAwareness(npc);
+    }
+  });
+}
+
+/** Let NPCs within earshot of a say/shout react to it. */
+function notifyNpcsOfSpeech(id, channel, text) {
+  const speaker = positions.get(id);
+  if (!speaker) return;
+  npcEvents.notifySpeech(npcInstances, scriptPlayerView(id, speaker), channel, text);
+}
+
+/**
+ * Handle `give-item` { instanceId, npcId }: hand an inventory item to a nearby
+ * NPC whose behavior has onItemGiven. Accepted items are held by the NPC
+ * (`pickedUpBy: "npc:<instanceId>"`); respawning items return to the world as usual.
+ */
+function handleGiveItem(id, msg) {
+  const player = positions.get(id);
+  if (!player) return;
+  const fail = (message) => sendToPlayer(id, { type: 'error', message });
+  const inst = objectInstances.find(
+    (i) => i.instanceId === msg.instanceId && i.pickedUpBy === player.name
+  );
+  if (!inst) {
+    fail("You don't have that item.");
+    return;
+  }
+  if (isWornBy(player, inst)) {
+    fail('Take it off first.');
+    return;
+  }
+  if (contentsOf(inst).length) {
+    fail('Empty it before you give it away.');
+    return;
+  }
+  const npc = npcInstances.find(
+    (n) => n.instanceId === msg.npcId && n.zone === player.zone && n.roomId === player.roomId
+  );
+  if (!npc) {
+    fail('There is nobody like that here.');
+    return;
+  }
+  const playerTile = { x: pixelToTile(player.x), y: pixelToTile(player.y) };
+  if (tileDistance(playerTile, npc) > GIVE_ITEM_RANGE) {
+    fail(`You need to be closer to ${npc.name}.`);
+    return;
+  }
+  const def = objects[inst.typeId] || {};
+  const itemName = def.name || 'item';
+  const outcome = npcEvents.offerItem(npc, scriptPlayerView(id, player), {
+    item: itemKeyOf(inst),
+    instanceId: inst.instanceId,
+  });
+  if (outcome === 'unwanted') {
+    sendToPlayer(id, { type: 'notification', text: `${npc.name} doesn't want the ${itemName}.` });
+    return;
+  }
+  if (outcome === 'refused') {
+    sendToPlayer(id, { type: 'notification', text: `${npc.name} won't take the ${itemName}.` });
+    return;
+  }
+  // One off a stack
+  const given = splitStack(inst);
+  scriptRuntime.clearTimers(given);
+  given.pickedUpBy = `npc:${npc.instanceId}`;
+  saveObjectsState();
+  player.inventory = objectInstances.filter((i) => i.pickedUpBy === player.name);
+  savePlayerData(player);
+  sendToPlayer(id, { type: 'item-given', instanceId: given.instanceId, npcId: npc.instanceId });
+  sendToPlayer(id, inventoryMessage(player.name));
+}
+
+// --- Object Behaviors ---
+// Object definitions (objects.json) may name a `behaviorModule` like NPC
+// templates do. Hooks get the object instance first and gameState last:
+//   onPickup(obj, player, gs) – return false to refuse
+//   onDrop(obj, player, gs), onUse(obj, player, gs) – "Use" in the object menu
+//   onTick(obj, gs)           – every tick while it lies in the world
+//   onOpen(obj, player, gs)   – containers; return false to keep it shut
+//   onClose(obj, player, gs)
+// plus getContextMenu/onContextAction and getDescription as for NPCs.
+// gameState.setState(patch) changes the object's public `state` (e.g. { open: true }),
+// which clients receive as `object-updated` and examine variants can match.
+
+/** The behavior script of an NPC (its template's) or an object (its definition's). */
+function behaviorOf(entity) {
+  if (npcInstances.includes(entity)) return entity.behavior || null;
+  const def = objects[entity.typeId];
+  return (def && def.behavior) || null;
+}
+
+/**
+ * The NPC or object a context menu/action names. Objects must be carried by
+ * the player or lie in their room.
+ */
+function findContextEntity(player, targetType, instanceId) {
+  if (targetType === 'npc') {
+    return npcInstances.find((n) => n.instanceId === instanceId) || null;
+  }
+  if (targetType !== 'object') return null;
+  const inst = objectInstances.find((o) => o.instanceId === instanceId);
+  if (!inst) return null;
+  const carried = inst.pickedUpBy === player.name;
+  const inRoom = liesInWorld(inst) && inst.zone === player.zone && inst.roomId === player.roomId;
+  return carried || inRoom ? inst : null;
+}
+
+/** Call an object's behavior hook as hook(obj, ...args, gameState); undefined if it has none. */
+function dispatchObjectEvent(inst, hook, ...args) {
+  const behavior = behaviorOf(inst);
+  if (!scriptRuntime.has(behavior, hook)) return undefined;
+  return scriptRuntime.call(behavior, hook, [inst, ...args, scriptApiFor(inst)]);
+}
+
+/** Merge into an object's public state, persist, and show it to whoever can see the object. */
+function updateObjectState(inst, patch) {
+  inst.state = { ...inst.state, ...patch };
+  saveObjectsState();
+  const update = { type: 'object-updated', instance: publicObjectView(inst) };
+  if (liesInWorld(inst)) {
+    broadcastToRoom(inst.zone, inst.roomId, update);
+  } else {
+    const ownerId = findOnlinePlayerId(inst.pickedUpBy);
+    if (ownerId !== null) sendToPlayer(ownerId, update);
+  }
+}
+
+// --- Containers ---
+// Objects whose definition has a `container` (server/containers.js) hold other
+// objects. Their menu offers Open/Close and, with a key, Lock/Unlock; opening
+// one sends the player a `container` view of its contents and their own items.
+// `container-put` and `container-take` { containerId, instanceId } move items
+// in and out of an open container the player carries or stands next to, and
+// are answered with `init-inventory` and a fresh `container` view.
+
+/** Container settings of an object's definition, or null. */
+function containerOf(inst) {
+  return containers.containerSettings(objects[inst.typeId]);
+}
+
+/** The objects directly inside a container. */
+function contentsOf(inst) {
+  return objectInstances.filter((i) => i.containedIn === inst.instanceId);
+}
+
+/**
+ * Put newly rolled loot from the instance's spawn into it, as far as it has
+ * room; stackable items join a stack already inside.
+ */
+function fillFromLoot(inst) {
+  const settings = containerOf(inst);
+  if (!settings || !inst.loot) return;
+  containers.rollLoot(inst.loot).forEach((key) => {
+    const def = findObjectDefinition(key);
+    if (!def) return;
+    const contents = contentsOf(inst);
+    const stack = inventory.findStack(contents, { typeId: def.id }, def);
+    if (stack) {
+      stack.quantity = inventory.quantityOf(stack) + 1;
+      return;
+    }
+    if (contents.length >= settings.capacity) return;
+    objectInstances.push({
+      instanceId: crypto.randomBytes(8).toString('hex'),
+      typeId: def.id,
+      zone: inst.zone,
+      roomId: inst.roomId,
+      x: inst.x,
+      y: inst.y,
+      pickedUpBy: null,
+      containedIn: inst.instanceId,
+      removedAt: null,
+      respawnAfterSec: null,
+    });
+  });
+}
+
+/** Drop objects whose container no longer exists (and what was inside those). */
+function pruneOrphanedContents() {
+  let before;
+  do {
+    before = objectInstances.length;
+    const ids = new Set(objectInstances.map((i) => i.instanceId));
+    objectInstances = objectInstances.filter((i) => !i.containedIn || ids.has(i.containedIn));
+  } while (objectInstances.length !== before);
+}
+
+/**
+ * Before a carried container respawns, hand what is inside it back to its
+ * holder: into their inventory while it fits, the rest on the ground at their
+ * feet (or where the container lies, if they are offline or an NPC).
+ */
+function releaseContents(inst, holderName) {
+  const holderId = findOnlinePlayerId(holderName);
+  const holder = holderId !== null ? positions.get(holderId) : null;
+  const spot = holder
+    ? {
+        zone: holder.zone,
+        roomId: holder.roomId,
+        x: pixelToTile(holder.x),
+        y: pixelToTile(holder.y),
+      }
+    : { zone: inst.zone, roomId: inst.roomId, x: inst.x, y: inst.y };
+  contentsOf(inst).forEach((item) => {
+    const quantity = inventory.quantityOf(item);
+    const carry = checkCarry(holderName, item.typeId, quantity, instanceWeight(item));
+    if (carry.valid) {
+      addToInventory(holderName, item, carry.stack);
+      return;
+    }
+    Object.assign(item, spot, { containedIn: null });
+    broadcastToRoom(item.zone, item.roomId, {
+      type: 'object-spawned',
+      instance: publicObjectView(item),
+    });
+  });
+}
+
+/** What the player sees of an open container: its contents and what they could put in. */
+function containerView(id, inst) {
+  const player = positions.get(id);
+  const itemView = (i) => {
+    const def = objects[i.typeId] || {};
+    return {
+      instanceId: i.instanceId,
+      name: def.name || 'item',
+      spriteKey: def.sprite,
+      quantity: inventory.quantityOf(i),
+    };
+  };
+  const contents = contentsOf(inst);
+  return {
+    type: 'container',
+    instanceId: inst.instanceId,
+    name: (objects[inst.typeId] || {}).name || 'Container',
+    capacity: containerOf(inst).capacity,
+    items: contents.map(itemView),
+    carried: objectInstances
+      .filter((i) => i.pickedUpBy === player.name && i !== inst)
+      .map(itemView),
+  };
+}
+
+/** Built-in context menu options for a container, by its state. */
+function containerMenu(inst) {
+  const settings = containerOf(inst);
+  if (!settings) return [];
+  const state = inst.state || {};
+  if (state.locked) return [{ label: 'Unlock', action: 'unlock' }];
+  if (state.open) {
+    return [
+      { label: 'Look inside', action: 'open' },
+      { label: 'Close', action: 'close' },
+    ];
+  }
+  const lock = settings.key ? [{ label: 'Lock', action: 'lock' }] : [];
+  return [{ label: 'Open', action: 'open' }, ...lock];
+}
+
+/**
+ * Open, close, lock or unlock a container for player `id`.
+ * @returns {boolean} false if `action` is none of those (or the object no container)
+ */
+function handleContainerAction(id, inst, action) {
+  const settings = containerOf(inst);
+  if (!settings || !['open', 'close', 'lock', 'unlock'].includes(action)) return false;
+  const player = positions.get(id);
+  const fail = (message) => sendToPlayer(id, { type: 'error', message });
+  const state = inst.state || {};
+  const name = (objects[inst.typeId] || {}).name || 'it';
+  if (!withinReach(player, inst)) {
+    fail(`You need to be closer to the ${name}.`);
+    return true;
+  }
+  const viewer = scriptPlayerView(id, player);
+  if (action === 'open') {
+    if (state.locked) {
+      fail("It's locked.");
+      return true;
+    }
+    if (!state.open) {
+      if (dispatchObjectEvent(inst, 'onOpen', viewer) === false) return true;
+      updateObjectState(inst, { open: true });
+    }
+    sendToPlayer(id, containerView(id, inst));
+  } else if (action === 'close') {
+    if (!state.open) return true;
+    updateObjectState(inst, { open: false });
+    dispatchObjectEvent(inst, 'onClose', viewer);
+  } else {
+    const locking = action === 'lock';
+    const check = containers.checkLock(settings, inst, locking, inventoryKeys(player.name));
+    if (!check.valid) {
+      fail(check.error);
+      return true;
+    }
+    updateObjectState(inst, { locked: locking });
+    sendToPlayer(id, { type: 'notification', text: `You ${action} the ${name}.` });
+  }
+  return true;
+}
+
+/** The open container a `container-put`/`container-take` names, if the player can reach it; else reports why. */
+function openContainerFor(id, msg) {
+  const player = positions.get(id);
+  const inst = player && findContextEntity(player, 'object', msg.containerId);
+  const settings = inst && containerOf(inst);
+  if (!settings) {
+    sendToPlayer(id, { type: 'error', message: 'There is no container like that here.' });
+    return null;
+  }
+  if (!withinReach(player, inst)) {
+    const name = (objects[inst.typeId] || {}).name || 'container';
+    sendToPlayer(id, { type: 'error', message: `You need to be closer to the ${name}.` });
+    return null;
+  }
+  if (!(inst.state && inst.state.open)) {
+    sendToPlayer(id, { type: 'error', message: "It's closed." });
+    return null;
+  }
+  return { player, container: inst, settings };
+}
+
+/** Persist a move in or out of a container and send the player their inventory and the contents. */
+function finishContainerMove(id, container) {
+  const player = positions.get(id);
+  saveObjectsState();
+  player.inventory = objectInstances.filter((i) => i.pickedUpBy === player.name);
+  savePlayerData(player);
+  sendToPlayer(id, inventoryMessage(player.name));
+  sendToPlayer(id, containerView(id, container));
+}
+
+/** Handle `container-put` { containerId, instanceId }: the item must be in the player's inventory. */
+function handleContainerPut(id, msg) {
+  const found = openContainerFor(id, msg);
+  if (!found) return;
+  const { player, container, settings } = found;
+  const item = objectInstances.find(
+    (i) => i.instanceId === msg.instanceId && i.pickedUpBy === player.name
+  );
+  if (!item) {
+    sendToPlayer(id, { type: 'error', message: "You don't have that item." });
+    return;
+  }
+  if (isWornBy(player, item)) {
+    sendToPlayer(id, { type: 'error', message: 'Take it off first.' });
+    return;
+  }
+  const check = containers.checkPut(settings, container, item, contentsOf(container).length);
+  if (!check.valid) {
+    sendToPlayer(id, { type: 'error', message: check.error });
+    return;
+  }
+  scriptRuntime.clearTimers(item);
+  item.pickedUpBy = null;
+  item.containedIn = container.instanceId;
+  finishContainerMove(id, container);
+}
+
+/** Handle `container-take` { containerId, instanceId }. */
+function handleContainerTake(id, msg) {
+  const found = openContainerFor(id, msg);
+  if (!found) return;
+  const { player, container } = found;
+  const item = objectInstances.find(
+    (i) => i.instanceId === msg.instanceId && i.containedIn === container.instanceId
+  );
+  if (!item) {
+    sendToPlayer(id, { type: 'error', message: "That isn't in there." });
+    return;
+  }
+  const quantity = inventory.quantityOf(item);
+  const weight = instanceWeight(item);
+  const carry = checkCarry(player.name, item.typeId, quantity, weight, !item.respawnAfterSec);
+  if (!carry.valid) {
+    sendToPlayer(id, { type: 'error', message: carry.error });
+    return;
+  }
+  addToInventory(player.name, item, carry.stack);
+  finishContainerMove(id, container);
+  questEvent(id, { type: 'pickup', item: itemKeyOf(item) });
+}
+
+// --- NPC Dialogue ---
+// Talking to an NPC whose template has a `dialogue` tree (server/dialogue.js)
+// opens a conversation: the player is shown a node's text and choices, and
+// answers with `dialogue-choice` { index } until a choice without `next`
+// ends it (or the client closes it with `dialogue-end`).
+
+// Players must stand within this many tiles of an NPC to talk to it
+const TALK_RANGE = 3;
+
+const conversations = new Map(); // playerId -> { npcId, nodeId }
+
+function dialogueTreeOf(npc) {
+  const tmpl = npcTemplates.find((t) => t.id === npc.typeId);
+  return (tmpl && tmpl.dialogueTree) || null;
+}
+
+/** What dialogue conditions look at: the player's item keys and flags. */
+function dialogueSubject(player) {
+  return { items: inventoryKeys(player.name), flags: player.flags };
+}
+
+function withinTalkRange(player, npc) {
+  const tile = { x: pixelToTile(player.x), y: pixelToTile(player.y) };
+  return (
+    npc.zone === player.zone &&
+    npc.roomId === player.roomId &&
+    tileDistance(tile, npc) <= TALK_RANGE
+  );
+}
+
+/** Apply a node's or choice's actions for player `id`, then persist what changed. */
+function applyDialogueActions(id, npc, actions) {
+  const player = positions.get(id);
+  if (!actions || !actions.length) return;
+  let inventoryChanged = false;
+  actions.forEach((action) => {
+    if ('give' in action) {
+      const def = findObjectDefinition(action.give);
+      if (!def) {
+        console.warn(`Dialogue of NPC ${npc.name} gives unknown item "${action.give}"`);
+        return;
+      }
+      giveNewItem(id, def);
+      inventoryChanged = true;
+    } else if ('take' in action) {
+      const candidates = objectInstances.filter(
+        (i) => i.pickedUpBy === player.name && itemKeyOf(i) === action.take && !isWornBy(player, i)
+      );
+      // Only an empty one: what the player keeps in it isn't part of the deal
+      const inst = candidates.find((i) => !contentsOf(i).length);
+      if (!inst) {
+        if (candidates.length) {
+          const itemName = (objects[candidates[0].typeId] || {}).name || 'item';
+          sendToPlayer(id, {
+            type: 'notification',
+            text: `Empty the ${itemName} before you hand it over.`,
+          });
+        }
+        return;
+      }
+      const taken = splitStack(inst);
+      scriptRuntime.clearTimers(taken);
+      inventory.removeCarriedItem(objectInstances, taken, `npc:${npc.instanceId}`, gameTime.tick);
+      inventoryChanged = true;
+    } else if ('setFlag' in action) {
+      player.flags[action.setFlag] = 'value' in action ? action.value : true;
+    } else if ('clearFlag' in action) {
+      delete player.flags[action.clearFlag];
+    } else if ('startQuest' in action) {
+      startPlayerQuest(id, action.startQuest);
+    } else if ('questEvent' in action) {
+      questEvent(id, { type: 'event', name: action.questEvent });
+    } else if ('emote' in action) {
+      const names = { player: player.name, npc: npc.name };
+      broadcastToRoom(npc.zone, npc.roomId, {
+        type: 'emote',
+        instanceId: npc.instanceId,
+        text: dialogue.fillText(action.emote, names),
+      });
+    }
+  });
+  if (inventoryChanged) {
+    saveObjectsState();
+    player.inventory = objectInstances.filter((i) => i.pickedUpBy === player.name);
+    sendToPlayer(id, inventoryMessage(player.name));
+  }
+  savePlayerData(player);
+}
+
+/** Enter a node: run its actions and show it. A node without choices ends the talk. */
+function showDialogueNode(id, npc, tree, nodeId) {
+  const player = positions.get(id);
+  applyDialogueActions(id, npc, tree.nodes[nodeId].actions);
+  const names = { player: player.name, npc: npc.name };
+  const view = dialogue.nodeView(tree, nodeId, dialogueSubject(player), names);
+  const end = view.choices.length === 0;
+  if (end) {
+    conversations.delete(id);
+  } else {
+    conversations.set(id, { npcId: npc.instanceId, nodeId });
+  }
+  sendToPlayer(id, { type: 'dialogue', npcId: npc.instanceId, npcName: npc.name, ...view, end });
+}
+
+/**
+ * Start talking to an NPC.
+ * @returns {boolean} false if the NPC has no dialogue tree
+ */
+function startDialogue(id, npc) {
+  const tree = dialogueTreeOf(npc);
+  if (!tree) return false;
+  const player = positions.get(id);
+  if (!withinTalkRange(player, npc)) {
+    sendToPlayer(id, { type: 'error', message: `You need to be closer to ${npc.name}.` });
+    return true;
+  }
+  showDialogueNode(id, npc, tree, tree.start);
+  return true;
+}
+
+/** Stop a conversation; `notify` tells the client to close its panel. */
+function endDialogue(id, notify = true) {
+  if (conversations.delete(id) && notify) sendToPlayer(id, { type: 'dialogue-end' });
+}
+
+/** Handle `dialogue-choice` { index }: follow the picked choice of the current node. */
+function handleDialogueChoice(id, msg) {
+  const player = positions.get(id);
+  const conversation = conversations.get(id);
+  if (!player || !conversation) {
+    sendToPlayer(id, { type: 'error', message: 'You are not talking to anyone.' });
+    return;
+  }
+  const npc = npcInstances.find((n) => n.instanceId === conversation.npcId);
+  const tree = npc && dialogueTreeOf(npc);
+  // The NPC walked off, the player did, or the tree was edited under them
+  if (!tree || !tree.nodes[conversation.nodeId] || !withinTalkRange(player, npc)) {
+    endDialogue(id);
+    sendToPlayer(id, { type: 'notification', text: 'The conversation is over.' });
+    return;
+  }
+  const picked = dialogue.pickChoice(tree, conversation.nodeId, msg.index, dialogueSubject(player));
+  if (!picked.valid) {
+    sendToPlayer(id, { type: 'error', message: picked.error });
+    return;
+  }
+  applyDialogueActions(id, npc, picked.choice.actions);
+  if (picked.choice.next) {
+    showDialogueNode(id, npc, tree, picked.choice.next);
+  } else {
+    endDialogue(id);
+  }
+}
+
+// --- Vendors ---
+// NPCs whose template has a `shop` (server/shops.js) trade with players in
+// talking range. `trade` (context action) sends the player a `shop` view;
+// `shop-buy` { npcId, item } and `shop-sell` { npcId, instanceId } are checked
+// against the player's coins and the items they own, and answered with a
+// fresh `shop` view, `coins` and `init-inventory`.
+
+function shopOf(npc) {
+  const tmpl = npcTemplates.find((t) => t.id === npc.typeId);
+  return (tmpl && tmpl.shop) || null;
+}
+
+/** The vendor's stock, restocked up to now. */
+function currentStock(npc, shop) {
+  npc.shopStock = shops.restock(shop, npc.shopStock);
+  return npc.shopStock;
+}
 
-        if (create) {
-          console.log(`Writing new player file to: ${playerFile}`);
-          savePlayerData(initialPos);
-        }
-        if (!create) {
-          ws.send(JSON.stringify({ type: 'error', message: 'Character not found.' }));
-          ws.close();
-          return;
-        }
-      }
-    } catch (e) {
-      console.warn(`Failed to load player data for ${name}:`, e);
-    }
-    // Determine default zone key for single-zone use
-    const defaultZone = Array.isArray(worldData.zones) ? '0' : Object.keys(worldData.zones)[0];
-    positions.set(id, {
-      name: initialPos.name,
-      x: initialPos.x,
-      y: initialPos.y,
-      roomX: initialPos.roomX,
-      roomY: initialPos.roomY,
-      roomId: initialPos.roomId,
-      privilege: initialPos.privilege,
-      color: initialPos.color,
-      inventory: initialPos.inventory,
-      salt: initialPos.salt,
-      hash: initialPos.hash,
-      zone: defaultZone,
+/** What the player sees: the vendor's wares and the offers for their own items. */
+function shopView(id, npc, shop) {
+  const player = positions.get(id);
+  const stock = currentStock(npc, shop);
+  const wares = (shop.stock || []).map((entry) => {
+    const def = findObjectDefinition(entry.item) || {};
+    const quantity = shops.quantityOf(shop, stock, entry.item);
+    return {
+      item: entry.item,
+      name: def.name || entry.item,
+      spriteKey: def.sprite,
+      price: entry.price,
+      // null: endless supply
+      quantity: quantity === Infinity ? null : quantity,
+    };
+  });
+  const offers = [];
+  objectInstances
+    .filter((i) => i.pickedUpBy === player.name)
+    .forEach((inst) => {
+      const price = shops.offerFor(shop, itemKeyOf(inst));
+      if (price === null) return;
+      const def = objects[inst.typeId] || {};
+      offers.push({
+        instanceId: inst.instanceId,
+        name: def.name || 'item',
+        spriteKey: def.sprite,
+        price,
+      });
     });
-    console.log(`Client ${id} (${name}) connected.`);
-
-    ws.send(
-      JSON.stringify({
-        type: 'init',
-        id,
-        players: Object.fromEntries(positions),
-        world: worldData.rooms,
-        x: initialPos.x,
-        y: initialPos.y,
-        roomId: 0,
-        privilege: 10,
-      })
-    );
+  return {
+    type: 'shop',
+    npcId: npc.instanceId,
+    npcName: npc.name,
+    coins: player.coins,
+    wares,
+    offers,
+  };
+}
 
-    // Immediately send current game time to client
-    ws.send(JSON.stringify(getFormattedTimeMessage()));
+/**
+ * Show a vendor's shop to player `id`.
+ * @returns {boolean} false if the NPC is no vendor
+ */
+function openShop(id, npc) {
+  const shop = shopOf(npc);
+  if (!shop) return false;
+  const player = positions.get(id);
+  if (!withinTalkRange(player, npc)) {
+    sendToPlayer(id, { type: 'error', message: `You need to be closer to ${npc.name}.` });
+    return true;
+  }
+  sendToPlayer(id, shopView(id, npc, shop));
+  return true;
+}
 
-    // Send initial objects for this room
-    const myZone = positions.get(id).zone;
-    const initObjects = objectInstances.filter(
-      (i) => i.zone === myZone && i.roomId === initialPos.roomId && i.pickedUpBy === null
-    );
-    console.log(`${JSON.stringify(initObjects)}`);
-    ws.send(JSON.stringify({ type: 'init-objects', objects: initObjects }));
+/** The vendor a `shop-buy`/`shop-sell` names, if the player may trade with it; else reports why. */
+function vendorFor(id, msg) {
+  const player = positions.get(id);
+  const npc = player && npcInstances.find((n) => n.instanceId === msg.npcId);
+  const shop = npc && shopOf(npc);
+  if (!shop) {
+    sendToPlayer(id, { type: 'error', message: 'There is no shop like that here.' });
+    return null;
+  }
+  if (!withinTalkRange(player, npc)) {
+    sendToPlayer(id, { type: 'error', message: `You need to be closer to ${npc.name}.` });
+    return null;
+  }
+  return { player, npc, shop };
+}
 
-    // Send initial inventory for this player (by name)
-    const initInventory = objectInstances.filter((inst) => inst.pickedUpBy === name);
-    ws.send(JSON.stringify({ type: 'init-inventory', inventory: initInventory }));
+/** Persist a trade and send the player their new coins, inventory and shop view. */
+function finishTrade(id, npc, shop) {
+  const player = positions.get(id);
+  saveObjectsState();
+  saveNpcState();
+  player.inventory = objectInstances.filter((i) => i.pickedUpBy === player.name);
+  savePlayerData(player);
+  sendToPlayer(id, { type: 'coins', coins: player.coins });
+  sendToPlayer(id, inventoryMessage(player.name));
+  sendToPlayer(id, shopView(id, npc, shop));
+}
 
-    // Send initial NPCs in this room
-    const initNpcs = npcInstances.filter(
-      (n) => n.zone === myZone && n.roomId === initialPos.roomId
-    );
-    ws.send(JSON.stringify({ type: 'init-npcs', npcs: initNpcs }));
+/** Handle `shop-buy` { npcId, item }. */
+function handleShopBuy(id, msg) {
+  const vendor = vendorFor(id, msg);
+  if (!vendor) return;
+  const { player, npc, shop } = vendor;
+  const stock = currentStock(npc, shop);
+  const purchase = shops.checkPurchase(shop, stock, msg.item, player.coins);
+  if (!purchase.valid) {
+    sendToPlayer(id, { type: 'error', message: purchase.error });
+    return;
+  }
+  const def = findObjectDefinition(purchase.entry.item);
+  const carry = checkCarry(player.name, def.id, 1, inventory.weightOf(def));
+  if (!carry.valid) {
+    sendToPlayer(id, { type: 'error', message: carry.error });
+    return;
+  }
+  player.coins -= purchase.entry.price;
+  shops.removeFromStock(shop, stock, purchase.entry.item);
+  createInventoryItem(def, player.name, npc);
+  finishTrade(id, npc, shop);
+  sendToPlayer(id, {
+    type: 'notification',
+    text: `You buy the ${def.name || purchase.entry.item} for ${purchase.entry.price} coins.`,
+  });
+}
 
-    for (let [otherId, client] of clients) {
-      if (otherId !== id && client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify({ type: 'join', id, pos: initialPos }));
-      }
-    }
+/** Handle `shop-sell` { npcId, instanceId }: the item must be in the player's inventory. */
+function handleShopSell(id, msg) {
+  const vendor = vendorFor(id, msg);
+  if (!vendor) return;
+  const { player, npc, shop } = vendor;
+  const inst = objectInstances.find(
+    (i) => i.instanceId === msg.instanceId && i.pickedUpBy === player.name
+  );
+  if (!inst) {
+    sendToPlayer(id, { type: 'error', message: "You don't have that item." });
+    return;
+  }
+  const item = itemKeyOf(inst);
+  const price = shops.offerFor(shop, item);
+  if (price === null) {
+    sendToPlayer(id, { type: 'error', message: `${npc.name} doesn't buy that.` });
+    return;
+  }
+  if (contentsOf(inst).length) {
+    sendToPlayer(id, { type: 'error', message: 'Empty it before you sell it.' });
+    return;
+  }
+  if (isWornBy(player, inst)) {
+    sendToPlayer(id, { type: 'error', message: 'Take it off first.' });
+    return;
+  }
+  // One at a time off a stack; the vendor keeps a respawning item until it returns to its spot
+  const sold = splitStack(inst);
+  scriptRuntime.clearTimers(sold);
+  inventory.removeCarriedItem(objectInstances, sold, `npc:${npc.instanceId}`, gameTime.tick);
+  player.coins += price;
+  shops.addToStock(shop, currentStock(npc, shop), item);
+  finishTrade(id, npc, shop);
+  const name = (objects[inst.typeId] || {}).name || item;
+  sendToPlayer(id, { type: 'notification', text: `You sell the ${name} for ${price} coins.` });
+}
 
-    ws.on('message', (message) => {
-      try {
-        const msg = JSON.parse(message);
-        // --- Updated 'update' handler using top-level fields ---
-        if (msg.type === 'update') {
-          // Update authoritative position, then broadcast.
-          const player = positions.get(id);
-          if (player) {
-            player.x = msg.x;
-            player.y = msg.y;
-            player.roomId = msg.roomId;
-          }
-          // Broadcast to other clients with flat structure
-          for (let [otherId, client] of clients) {
-            if (otherId !== id && client.readyState === WebSocket.OPEN) {
-              client.send(
-                JSON.stringify({
-                  type: 'update',
-                  id,
-                  x: player.x,
-                  y: player.y,
-                  roomId: player.roomId,
-                  name: player.name,
-                  privilege: player.privilege,
-                })
-              );
-            }
-          }
-        }
-        // Claim object instance; mark removal tick.
-        else if (msg.type === 'pickup') {
-          const zoneKey = msg.zone.toString();
-          const roomNum = msg.roomId;
-          console.log(
-            `Received pickup request from player ${id} for instance ${msg.instanceId} in zone ${zoneKey}, room ${roomNum}`
-          );
-          const inst = objectInstances.find((i) => i.instanceId === msg.instanceId);
-          if (
-            inst &&
-            inst.pickedUpBy === null &&
-            inst.zone === zoneKey &&
-            inst.roomId === roomNum
-          ) {
-            inst.pickedUpBy = name;
-            inst.removedAt = gameTime.tick;
-            saveObjectsState();
-            console.log(`Object ${inst.instanceId} now picked by player ${name}`);
-            broadcastToRoom(zoneKey, inst.roomId, {
-              type: 'object-picked',
-              instance: inst,
-              playerId: id,
-            });
-          }
-        }
-        // Materialize item back into room; persist.
-        else if (msg.type === 'drop') {
-          const zoneKey = msg.zone.toString();
-          const inst = objectInstances.find((i) => i.instanceId === msg.instanceId);
-          if (inst && inst.pickedUpBy === name) {
-            inst.pickedUpBy = null;
-            inst.removedAt = null;
-            inst.x = msg.x;
-            inst.y = msg.y;
-            inst.zone = zoneKey;
-            inst.roomId = msg.roomId;
-            saveObjectsState();
-            broadcastToRoom(zoneKey, inst.roomId, {
-              type: 'object-dropped',
-              instance: inst,
-            });
-            // Persist updated inventory to player file
-            const playerData = positions.get(id);
-            playerData.inventory = objectInstances.filter((i) => i.pickedUpBy === name);
-            savePlayerData(playerData);
-          }
-        } else if (msg.type === 'request-objects-and-npcs') {
-          // Refresh visible objects + NPCs for a room.
-          const zoneKey = msg.zone.toString();
-          const list = objectInstances.filter(
-            (i) => i.zone === zoneKey && i.roomId === msg.roomId && i.pickedUpBy === null
-          );
-          ws.send(JSON.stringify({ type: 'init-objects', objects: list }));
-          // Send NPCs for this room as well
-          const initNpcs = npcInstances.filter(
-            (n) => n.zone === zoneKey && n.roomId === msg.roomId
-          );
-          ws.send(JSON.stringify({ type: 'init-npcs', npcs: initNpcs }));
-        }
-        // Ask behavior module for context options.
-        else if (msg.type === 'get-context-menu') {
-          const player = positions.get(id);
-          const { targetType, instanceId } = msg;
-
-          if (!player || !targetType || !instanceId) return;
-
-          let entity = null;
-          if (targetType === 'npc') {
-            entity = npcInstances.find((n) => n.instanceId === instanceId);
-          } else if (targetType === 'object') {
-            entity = objectInstances.find((o) => o.instanceId === instanceId);
-          }
+// --- Equipment ---
+// Objects whose definition has `equip` (server/equipment.js) are worn from the
+// inventory: `equip` { instanceId } and `unequip` { slot }. Worn items add
+// their stat modifiers to the player's stats; the player is answered with
+// `equipment` and `vitals`, and everyone else gets `player-equipment` to
+// redraw the overlays on that player's sprite.
 
-          if (!entity || !entity.behavior || typeof entity.behavior.getContextMenu !== 'function') {
-            ws.send(JSON.stringify({ type: 'context-menu', instanceId, options: [] }));
-            return;
-          }
-          const options = entity.behavior.getContextMenu(entity, player, {
-            playersInRoom: (z, r) =>
-              Array.from(positions.values()).filter((p) => p.zone === z && p.roomId === r),
-          });
-          ws.send(JSON.stringify({ type: 'context-menu', instanceId, targetType, options }));
-        }
-        // Invoke behavior’s onContextAction handler.
-        else if (msg.type === 'context-action') {
-          console.log("It's nothing, really." + JSON.stringify(msg));
-          const rawPlayer = positions.get(id);
-          const player = { id, ...rawPlayer };
-          const { targetType, instanceId, action } = msg;
-
-          if (!player || !targetType || !instanceId || !action) return;
-
-          // Server-side scaffolding for NPC context actions
-          if (targetType === 'npc') {
-            if (action === 'examine') {
-              console.log(`Player ${player.name} examines NPC ${instanceId}`);
-              // TODO: implement server-side examine logic
-            } else if (action === 'talk') {
-              console.log(`Player ${player.name} talks to NPC ${instanceId}`);
-              // TODO: implement server-side talk logic
-            }
-          }
+/** Stat modifiers of the items in an equipment map. */
+function equipmentModifiers(worn) {
+  return equipment.statModifiers(Object.values(worn).map((entry) => objects[entry.typeId]));
+}
 
-          let entity = null;
-          if (targetType === 'npc') {
-            entity = npcInstances.find((n) => n.instanceId === instanceId);
-          } else if (targetType === 'object') {
-            entity = objectInstances.find((o) => o.instanceId === instanceId);
-          }
+/** The `equipment` message: worn items by slot and the stats they add up to. */
+function equipmentMessage(player) {
+  return {
+    type: 'equipment',
+    slots: equipment.SLOTS,
+    equipment: player.equipment,
+    stats: vitals.effectiveStats(player),
+  };
+}
 
-          if (!entity || !entity.behavior || typeof entity.behavior.onContextAction !== 'function')
-            return;
+/** Is this inventory item worn by the player? */
+function isWornBy(player, inst) {
+  return equipment.isWorn(player.equipment, inst.instanceId);
+}
 
-          const gameState = {
-            playersInRoom: (zone, roomId) =>
-              Array.from(positions.entries())
-                .filter(([pid, p]) => p.zone === zone && p.roomId === roomId)
-                .map(([pid, p]) => ({ id: pid, ...p })),
-            broadcastToRoom,
-            sendToPlayer,
-          };
-          entity.behavior.onContextAction(action, entity, player, gameState);
-        } else if (msg.type === 'edit-tile') {
-          // Privileged: update terrain and broadcast patch.
-          const player = positions.get(id);
-          if (!player || player.privilege < 10) {
-            ws.send(JSON.stringify({ type: 'error', message: 'Insufficient privileges' }));
-            return;
-          }
-          
-          // Validate roomId
-          const roomIdValidation = validateRoomId(msg.roomId);
-          if (!roomIdValidation.valid) {
-            ws.send(JSON.stringify({ type: 'error', message: roomIdValidation.error }));
-            return;
-          }
-          const roomId = roomIdValidation.sanitized;
-          
-          // Load the room JSON file
-          const zoneId = msg.zoneId !== undefined ? msg.zoneId : 0;
-          const zoneDef = worldData.zones[zoneId];
-          if (!zoneDef) {
-            ws.send(JSON.stringify({ type: 'error', message: 'Unknown zone' }));
-            return;
-          }
-          const roomFile = path.join(worldDir, zoneDef.path, `${roomId}.json`);
-          let roomJson;
-          try {
-            roomJson = JSON.parse(fs.readFileSync(roomFile, 'utf8'));
-          } catch (e) {
-            ws.send(JSON.stringify({ type: 'error', message: 'Failed to load room data' }));
-            return;
-          }
-          
-          // Validate edit request
-          const validation = validateEditRequest(msg, roomJson);
-          if (!validation.valid) {
-            ws.send(JSON.stringify({ type: 'error', message: validation.error }));
-            return;
-          }
-          
-          // Apply the terrain change
-          roomJson.tiles[msg.y][msg.x].terrain = msg.terrain;
-          // Persist back to disk with error handling
-          const writeResult = safeFileWrite(roomFile, JSON.stringify(roomJson, null, 2));
-          if (!writeResult.success) {
-            ws.send(JSON.stringify({ type: 'error', message: 'Failed to save room changes' }));
-            return;
-          }
-          // Broadcast the edit to all clients
-          for (const client of clients.values()) {
-            if (client.readyState === WebSocket.OPEN) {
-              client.send(
-                JSON.stringify({
-                  type: 'room-updated',
-                  roomId,
-                  patch: msg,
-                })
-              );
-            }
-          }
-        } else if (msg.type === 'edit-tile-exits') {
-          // Privileged: update/remove tileExits.
-          console.log('received tile exits data update.');
-          const player = positions.get(id);
-          // Only allow privilege ≥ 10
-          if (!player || player.privilege < 10) {
-            ws.send(JSON.stringify({ type: 'error', message: 'Insufficient privileges' }));
-            return;
-          }
-          
-          // Validate roomId
-          const roomIdValidation = validateRoomId(msg.roomId);
-          if (!roomIdValidation.valid) {
-            ws.send(JSON.stringify({ type: 'error', message: roomIdValidation.error }));
-            return;
-          }
-          const roomId = roomIdValidation.sanitized;
-          
-          // Validate tile exits structure
-          const exitsValidation = validateTileExits(msg.tileExits);
-          if (!exitsValidation.valid) {
-            ws.send(JSON.stringify({ type: 'error', message: exitsValidation.error }));
-            return;
-          }
-          
-          const zoneId = msg.zoneId !== undefined ? msg.zoneId : 0;
-          const zoneDef = worldData.zones[zoneId];
-          if (!zoneDef) {
-            ws.send(JSON.stringify({ type: 'error', message: 'Unknown zone' }));
-            return;
-          }
-          const roomFile = path.join(worldDir, zoneDef.path, `${roomId}.json`);
-          console.log('[edit-tile-exits] writing to:', roomFile);
-          let roomJson;
-          try {
-            roomJson = JSON.parse(fs.readFileSync(roomFile, 'utf8'));
-          } catch (e) {
-            ws.send(JSON.stringify({ type: 'error', message: 'Failed to load room data' }));
-            return;
-          }
-          
-          // Validate coordinates using existing function
-          const coordValidation = validateEditRequest(msg, roomJson);
-          if (!coordValidation.valid) {
-            ws.send(JSON.stringify({ type: 'error', message: coordValidation.error }));
-            return;
-          }
-          
-          // Apply tileExits update (null means delete)
-          if (msg.tileExits === null) {
-            delete roomJson.tiles[msg.y][msg.x].tileExits;
-          } else {
-            roomJson.tiles[msg.y][msg.x].tileExits = msg.tileExits;
-          }
-          // Persist back to disk with error handling
-          const writeResult = safeFileWrite(roomFile, JSON.stringify(roomJson, null, 2));
-          if (!writeResult.success) {
-            ws.send(JSON.stringify({ type: 'error', message: 'Failed to save tile exits' }));
-            return;
-          }
-          // Broadcast the edit to all clients
-          for (const client of clients.values()) {
-            if (client.readyState === WebSocket.OPEN) {
-              client.send(
-                JSON.stringify({
-                  type: 'room-updated',
-                  roomId,
-                  patch: msg,
-                })
-              );
-            }
-          }
-        }
-        // --- Handle privileged room resize ---
-        else if (msg.type === 'resize-room') {
-          // Privileged: grow/shrink room dimensions.
-          const player = positions.get(id);
-          // Only allow privilege >= 10
-          if (!player || player.privilege < 10) {
-            ws.send(JSON.stringify({ type: 'error', message: 'Insufficient privileges' }));
-            return;
-          }
-          
-          // Validate roomId
-          const roomIdValidation = validateRoomId(msg.roomId);
-          if (!roomIdValidation.valid) {
-            ws.send(JSON.stringify({ type: 'error', message: roomIdValidation.error }));
-            return;
-          }
-          const roomId = roomIdValidation.sanitized;
-          
-          // Validate resize dimensions
-          const resizeValidation = validateResizeRequest(msg);
-          if (!resizeValidation.valid) {
-            ws.send(JSON.stringify({ type: 'error', message: resizeValidation.error }));
-            return;
-          }
-          
-          const newW = msg.width;
-          const newH = msg.height;
-          const zoneId = msg.zoneId !== undefined ? msg.zoneId : 0;
-          const zoneDef = worldData.zones[zoneId];
-          if (!zoneDef) {
-            ws.send(JSON.stringify({ type: 'error', message: 'Unknown zone' }));
-            return;
-          }
-          const roomFile = path.join(worldDir, zoneDef.path, `${roomId}.json`);
-          let roomJson;
-          try {
-            roomJson = JSON.parse(fs.readFileSync(roomFile, 'utf8'));
-          } catch (e) {
-            ws.send(JSON.stringify({ type: 'error', message: 'Failed to load room data' }));
-            return;
-          }
-          const oldW = roomJson.width;
-          const oldH = roomJson.height;
-          // Resize each existing row
-          for (let y = 0; y < roomJson.tiles.length; y++) {
-            const row = roomJson.tiles[y];
-            if (newW > oldW) {
-              for (let x = oldW; x < newW; x++) {
-                row.push({ terrain: 'void', tileExits: {} });
-              }
-            } else if (newW < oldW) {
-              row.length = newW;
-            }
-          }
-          // Adjust number of rows
-          if (newH > oldH) {
-            for (let y = oldH; y < newH; y++) {
-              const newRow = [];
-              for (let x = 0; x < newW; x++) {
-                newRow.push({ terrain: 'void', tileExits: {} });
-              }
-              roomJson.tiles.push(newRow);
-            }
-          } else if (newH < oldH) {
-            roomJson.tiles.length = newH;
-          }
-          // Update metadata
-          roomJson.width = newW;
-          roomJson.height = newH;
-          // Persist back to disk with error handling
-          const writeResult = safeFileWrite(roomFile, JSON.stringify(roomJson, null, 2));
-          if (!writeResult.success) {
-            ws.send(JSON.stringify({ type: 'error', message: 'Failed to save room resize' }));
-            return;
-          }
-          // Broadcast the resize to all clients
-          for (const client of clients.values()) {
-            if (client.readyState === WebSocket.OPEN) {
-              client.send(
-                JSON.stringify({
-                  type: 'room-resized',
-                  roomId,
-                  width: newW,
-                  height: newH,
-                })
-              );
-            }
-          }
-        }
-      } catch (e) {
-        logError('MESSAGE_PARSE', e, { 
-          clientId: id, 
-          playerName: nameMap.get(id),
-          rawMessage: message.toString().substring(0, 200) // First 200 chars for debugging
-        });
-        // Send error response to client
-        if (ws.readyState === WebSocket.OPEN) {
-          ws.send(JSON.stringify({ 
-            type: 'error', 
-            message: 'Invalid message format' 
-          }));
-        }
-      }
-    });
+/** Apply a change of equipment: stats, persistence, and who needs to know. */
+function equipmentChanged(id) {
+  const player = positions.get(id);
+  vitals.setStatModifiers(player, equipmentModifiers(player.equipment));
+  savePlayerData(player);
+  sendToPlayer(id, equipmentMessage(player));
+  sendToPlayer(id, { type: 'vitals', hp: player.hp, maxHp: player.maxHp });
+  for (const [otherId, client] of clients) {
+    if (otherId !== id && client.readyState === WebSocket.OPEN) {
+      client.send(JSON.stringify({ type: 'player-equipment', id, equipment: player.equipment }));
+    }
+  }
+}
 
-    ws.on('close', () => {
-      // Clean up any NPC timers for this player (if they were controlling NPCs)
-      // Note: This is more for safety - in practice NPCs are server-controlled
-      
-      // Persist player snapshot + notify others.
-      const data = positions.get(id);
-      if (data) {
-        try {
-          savePlayerData(data);
-        } catch (err) {
-          logError('PLAYER_SAVE', err, { playerId: id, playerName: data.name });
-        }
-      }
-      clients.delete(id);
-      positions.delete(id);
-      nameMap.delete(id);
-      for (let client of clients.values()) {
-        if (client.readyState === WebSocket.OPEN) {
-          client.send(JSON.stringify({ type: 'leave', id }));
-        }
-      }
-      console.log(`Client ${id} (${name}) disconnected.`);
-    });
-  });
-});
+/** Take worn items the player no longer carries off (e.g. respawned objects). */
+function refreshEquipment(playerName) {
+  const id = findOnlinePlayerId(playerName);
+  const player = id !== null && positions.get(id);
+  if (!player) return;
+  const kept = equipment.sanitizeEquipment(player.equipment, (entry) =>
+    objectInstances.some((i) => i.instanceId === entry.instanceId && i.pickedUpBy === playerName)
+  );
+  if (Object.keys(kept).length === Object.keys(player.equipment).length) return;
+  player.equipment = kept;
+  equipmentChanged(id);
+}
 
-/** Broadcast or unicast (id) wrapper around ws.send. */
-function sendMessage(target, data) {
-  const message = JSON.stringify(data);
-  console.log(`message to send: ${message}`);
-  if (typeof target === 'number') {
-    const ws = clients.get(target);
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      ws.send(message);
+/** Handle `equip` { instanceId }: wear an inventory item, swapping out what was in its slot. */
+function handleEquip(id, msg) {
+  const player = positions.get(id);
+  if (!player) return;
+  const inst = objectInstances.find(
+    (i) => i.instanceId === msg.instanceId && i.pickedUpBy === player.name
+  );
+  if (!inst) {
+    sendToPlayer(id, { type: 'error', message: "You don't have that item." });
+    return;
+  }
+  const def = objects[inst.typeId];
+  const settings = equipment.equipSettings(def);
+  if (!settings) {
+    sendToPlayer(id, { type: 'error', message: "You can't wear that." });
+    return;
+  }
+  if (inventory.quantityOf(inst) > 1) {
+    sendToPlayer(id, { type: 'error', message: 'Take one off the stack first.' });
+    return;
+  }
+  if (isWornBy(player, inst)) return;
+  player.equipment = {
+    ...player.equipment,
+    [settings.slot]: { instanceId: inst.instanceId, typeId: inst.typeId },
+  };
+  equipmentChanged(id);
+  sendToPlayer(id, { type: 'notification', text: `You put on the ${def.name || 'item'}.` });
+}
+
+/** Handle `unequip` { slot }. */
+function handleUnequip(id, msg) {
+  const player = positions.get(id);
+  const entry = player && equipment.SLOTS.includes(msg.slot) && player.equipment[msg.slot];
+  if (!entry) {
+    sendToPlayer(id, { type: 'error', message: "You aren't wearing anything there." });
+    return;
+  }
+  const rest = { ...player.equipment };
+  delete rest[msg.slot];
+  player.equipment = rest;
+  equipmentChanged(id);
+  const name = (objects[entry.typeId] || {}).name || 'item';
+  sendToPlayer(id, { type: 'notification', text: `You take off the ${name}.` });
+}
+
+// --- Quests ---
+// Quest definitions (quests.json, see server/quests.js) are advanced by game
+// events: pickups, talking to NPCs, entering rooms, and named events raised by
+// behavior modules (gameState.questEvent) and dialogue actions. Progress is
+// kept in the player file and shown in the client's Quests tab (`quest-log`).
+
+const questsManifestPath = path.join(__dirname, 'quests.json');
+
+/**
+ * Read quest definitions from quests.json: a map of quests by id, or of
+ * { path } entries naming quest files. Invalid quests are skipped.
+ * @returns {Object|null} null if the manifest is unparseable
+ */
+function loadQuestDefinitions() {
+  if (!fs.existsSync(questsManifestPath)) return {};
+  // Quests whose file fails to load are left out rather than failing the rest
+  const entries = readManifest(questsManifestPath, { baseDir: __dirname, skipBroken: true });
+  if (!entries) return null;
+  const definitions = {};
+  entries.forEach(([questId, quest]) => {
+    if (questId === null) {
+      console.warn('quests.json must map quest ids to quests; skipping an unnamed entry');
+      return;
     }
-  } else {
-    for (const ws of clients.values()) {
-      if (ws.readyState === WebSocket.OPEN) {
-        ws.send(message);
-      }
+    const check = quests.validateQuest(quest);
+    if (check.valid) {
+      definitions[questId] = quest;
+    } else {
+      console.warn(`Invalid quest ${questId}: ${check.error}`);
     }
+  });
+  return definitions;
+}
+let questDefinitions = loadQuestDefinitions() || {};
+
+function questLogMessage(player) {
+  return { type: 'quest-log', quests: quests.questLog(questDefinitions, player.quests) };
+}
+
+/** Tell the player what changed, hand out rewards and persist their progress. */
+function applyQuestUpdates(id, updates) {
+  if (!updates.length) return;
+  const player = positions.get(id);
+  let rewarded = false;
+  const completed = updates.filter((u) => u.kind === 'completed').map((u) => u.questId);
+  updates.forEach(({ questId, kind }) => {
+    const quest = questDefinitions[questId];
+    // The last step of a quest is announced by its completion
+    if (kind === 'step' && completed.includes(questId)) return;
+    const text = {
+      started: `New quest: ${quest.name}`,
+      step: `Quest updated: ${quest.name}`,
+      completed: `Quest complete: ${quest.name}`,
+    }[kind];
+    sendToPlayer(id, { type: 'notification', text });
+    if (kind !== 'completed' || !quest.reward) return;
+    const { coins = 0, items = [] } = quest.reward;
+    if (Number.isInteger(coins) && coins > 0) player.coins += coins;
+    items.forEach((item) => {
+      const def = findObjectDefinition(item);
+      if (def) giveNewItem(id, def);
+      else console.warn(`Quest ${questId} rewards unknown item "${item}"`);
+    });
+    rewarded = true;
+  });
+  if (rewarded) {
+    saveObjectsState();
+    player.inventory = objectInstances.filter((i) => i.pickedUpBy === player.name);
+    sendToPlayer(id, { type: 'coins', coins: player.coins });
+    sendToPlayer(id, inventoryMessage(player.name));
   }
+  savePlayerData(player);
+  sendToPlayer(id, questLogMessage(player));
 }
-/** Lookup player by name in memory. */
-function getPlayerByName(name) {
-  for (const [id, data] of positions.entries()) {
-    if (data.name === name) return data;
+
+/** Feed a game event ({ type: 'pickup' | 'talk' | 'enter' | 'event', ... }) to a player's quests. */
+function questEvent(id, event) {
+  const player = positions.get(id);
+  if (!player) return;
+  const holds = (item) => inventoryKeys(player.name).includes(item);
+  applyQuestUpdates(id, quests.applyEvent(questDefinitions, player.quests, event, holds));
+}
+
+/** Start a quest for a player (scripts and dialogue); no-op if unknown or already taken. */
+function startPlayerQuest(id, questId) {
+  const player = positions.get(id);
+  if (!player) return;
+  const holds = (item) => inventoryKeys(player.name).includes(item);
+  applyQuestUpdates(id, quests.startQuest(questDefinitions, player.quests, questId, holds));
+}
+
+// --- Examine ---
+// `examine` { targetType, instanceId | playerId | x, y } is answered with an
+// `examine-result` for the client's inspector panel. Texts come from content
+// (`description`/`descriptions`, see server/descriptions.js) and an entity's
+// behavior may rewrite them with getDescription(entity, viewer, context, gameState).
+
+/** Time, season and (for `state` variants) the examined instance. */
+function describeContext(state = {}) {
+  return {
+    timeOfDay: descriptions.timeOfDay(gameTime.hour),
+    season: descriptions.seasonOf(gameTime.day),
+    state,
+  };
+}
+
+/** Ask an entity's behavior for its description; keeps `description` if it gives no text. */
+function behaviorDescription(entity, viewer, description, context) {
+  const behavior = behaviorOf(entity);
+  if (!scriptRuntime.has(behavior, 'getDescription')) return description;
+  const { timeOfDay, season } = context;
+  const result = scriptRuntime.call(behavior, 'getDescription', [
+    entity,
+    viewer,
+    { timeOfDay, season, description },
+    scriptApiFor(entity),
+  ]);
+  return typeof result === 'string' && result ? result : description;
+}
+
+function describeObject(inst, viewer) {
+  const def = objects[inst.typeId] || {};
+  // `state` variants see the instance's fields and its behavior's `state`
+  const context = describeContext({ ...inst, ...inst.state });
+  const description = behaviorDescription(
+    inst,
+    viewer,
+    descriptions.resolveDescription(def, context),
+    context
+  );
+  const details = [];
+  const quantity = inventory.quantityOf(inst);
+  if (quantity > 1) details.push(`A stack of ${quantity}.`);
+  const settings = containerOf(inst);
+  if (settings) {
+    const state = inst.state || {};
+    const held = contentsOf(inst).length;
+    if (state.locked) details.push("It's locked.");
+    else if (state.open) details.push(`It holds ${held} of ${settings.capacity} items.`);
+    else details.push("It's closed.");
   }
-  return null;
+  return { name: def.name || 'Unknown', spriteKey: def.sprite, description, details };
 }
 
-// Start combined HTTP + WebSocket server
-const port = process.env.PORT || 8081;
-server.listen(port, () => {
-  console.log(`HTTP + WebSocket server listening on port ${port}`);
-});
+/** Resolvers per examine target type: (viewer id, viewer, msg) => result or null if not visible. */
+const EXAMINE_TARGETS = {
+  npc(id, viewer, msg) {
+    const npc = npcInstances.find(
+      (n) => n.instanceId === msg.instanceId && n.zone === viewer.zone && n.roomId === viewer.roomId
+    );
+    if (!npc) return null;
+    const tmpl = npcTemplates.find((t) => t.id === npc.typeId) || {};
+    const context = describeContext(npc);
+    const description = behaviorDescription(
+      npc,
+      scriptPlayerView(id, viewer),
+      descriptions.resolveDescription(tmpl, context),
+      context
+    );
+    const health = descriptions.healthPhrase(npc.hp, npc.maxHp);
+    return {
+      name: npc.name,
+      spriteKey: npc.sprite,
+      description,
+      details: health ? [`${npc.name} ${health}`] : [],
+    };
+  },
+
+  object(id, viewer, msg) {
+    const inst = objectInstances.find(
+      (i) =>
+        i.instanceId === msg.instanceId &&
+        liesInWorld(i) &&
+        i.zone === viewer.zone &&
+        i.roomId === viewer.roomId
+    );
+    return inst ? describeObject(inst, scriptPlayerView(id, viewer)) : null;
+  },
+
+  item(id, viewer, msg) {
+    const inst = objectInstances.find(
+      (i) => i.instanceId === msg.instanceId && i.pickedUpBy === viewer.name
+    );
+    return inst ? describeObject(inst, scriptPlayerView(id, viewer)) : null;
+  },
+
+  player(id, viewer, msg) {
+    const other = positions.get(Number(msg.playerId));
+    if (!other || other.zone !== viewer.zone || other.roomId !== viewer.roomId) return null;
+    const health = descriptions.healthPhrase(other.hp, other.maxHp);
+    const worn = Object.values(other.equipment || {})
+      .map((entry) => (objects[entry.typeId] || {}).name)
+      .filter(Boolean);
+    const details = [`Role: ${other.role}`];
+    if (worn.length) details.push(`Wearing: ${worn.join(', ')}`);
+    return { name: other.name, description: health && `${other.name} ${health}`, details };
+  },
+
+  tile(id, viewer, msg) {
+    const room = roomCache.getRoom(viewer.zone, viewer.roomId);
+    const tile = room && room.tiles[msg.y]?.[msg.x];
+    if (!tile || !Number.isInteger(msg.x) || !Number.isInteger(msg.y)) return null;
+    const physics = tilePhysicsAt(room, msg.x, msg.y);
+    const details = [];
+    if (vitals.hazardDamage(physics) > 0) {
+      details.push(`Hazardous: ${vitals.hazardDamage(physics)} damage per second`);
+    }
+    if (physics.slipperiness > 0) details.push('Slippery underfoot');
+    const drift = tilePhysics.conveyorDrift(physics);
+    if (drift.x || drift.y) details.push(`The ground moves ${physics.conveyorDirection}`);
+    const speed = tilePhysics.walkSpeedOn(physics) / tilePhysics.BASE_WALK_SPEED;
+    if (speed < 1) details.push('Slow going');
+    if (speed > 1) details.push('Easy walking');
+    Object.keys(tile.tileExits || {}).forEach((direction) => details.push(`A way ${direction}`));
+    return {
+      name: physics.displayName || tile.terrain,
+      spriteKey: tile.terrain,
+      description: descriptions.resolveDescription(physics, describeContext()),
+      details,
+    };
+  },
+};
+
+/** Handle `examine`: describe something the player can see (or carries). */
+function handleExamine(id, msg) {
+  const viewer = positions.get(id);
+  // Own keys only: a targetType of "constructor" must not reach Object's prototype
+  if (!viewer || !Object.hasOwn(EXAMINE_TARGETS, msg.targetType)) return;
+  const resolve = EXAMINE_TARGETS[msg.targetType];
+  const result = resolve(id, viewer, msg);
+  if (!result) {
+    sendToPlayer(id, { type: 'error', message: "You don't see that here." });
+    return;
+  }
+  sendToPlayer(id, { type: 'examine-result', targetType: msg.targetType, ...result });
+}
 
 /**
  * Main server tick (1 Hz)
@@ -1351,104 +4057,178 @@ setInterval(() => {
   }
 
   // --- Object respawn cycle ---
-  objectInstances.forEach((inst) => {
+  // (over a copy: handing back a container's contents may merge stacks away)
+  [...objectInstances].forEach((inst) => {
     if (inst.pickedUpBy !== null && inst.respawnAfterSec && inst.removedAt) {
       const elapsed = gameTime.tick - inst.removedAt;
       if (elapsed >= inst.respawnAfterSec) {
+        const holderId = findOnlinePlayerId(inst.pickedUpBy);
+        releaseContents(inst, inst.pickedUpBy);
         inst.pickedUpBy = null;
         inst.removedAt = null;
+        fillFromLoot(inst);
         saveObjectsState();
         broadcastToRoom(inst.zone, inst.roomId, {
           type: 'object-spawned',
-          instance: inst,
+          instance: publicObjectView(inst),
         });
+        // It leaves the pocket, and the body, of whoever still carried it
+        if (holderId !== null) {
+          const holder = positions.get(holderId);
+          holder.inventory = objectInstances.filter((i) => i.pickedUpBy === holder.name);
+          savePlayerData(holder);
+          sendToPlayer(holderId, inventoryMessage(holder.name));
+          refreshEquipment(holder.name);
+        }
       }
     }
   });
 
+  // --- Player vitals: hazard damage, regeneration, death ---
+  updatePlayerVitals(gameTime.tick);
+
   // --- NPC roaming around ---
+  // A broken NPC entry skips its turn rather than stopping the tick
   npcInstances.forEach((npc) => {
-    const roam = npc.roam;
-    if (!roam || roam.type !== 'random') return;
-
-    // If already en route, let clients handle the walk
-    if (npc.movePath) return;
-
-    // Decide whether to start a new random move
-    const randRoll = Math.random() * 100;
-    if (randRoll < roam.frequency) {
-      // Load room definition
-      const zoneDef = worldData.zones[npc.zone];
-      const roomFile = `${worldDir}/${zoneDef.path}/${npc.roomId}.json`;
-      const roomDef = JSON.parse(fs.readFileSync(roomFile, 'utf8'));
-
-      // Pick a random reachable tile and compute path
-      const target = pickRandomTile(roomDef, true);
-      const path = findPath([npc.x, npc.y], [target.x, target.y], roomDef.tiles, roomDef.tileExits);
-      //console.log(`NPC ${npc.instanceId} selected target ${target.x},${target.y}, path:`, path);
-      if (path && path.length > 1) {
-        // Compute path length in tiles (edges)
-        const pathLen = path.length - 1;
-        const minLen = roam.minDuration;
-        const maxLen = roam.maxDuration;
-        const rate = roam.rate || 1;
-
-        // Only start if within the configured min/max tiles
-        if (pathLen >= minLen && pathLen <= maxLen) {
-          // ms per tile adjusted by rate
-          const segmentDuration = Math.floor(NPC_BASE_TILE_DURATION / rate);
-          //console.log(`NPC ${npc.instanceId} roaming ${pathLen} tiles at rate=${rate}, segmentDuration=${segmentDuration}`);
-
-          // Broadcast the full path to clients
-          //console.log(`Broadcasting npc-start-path for ${npc.instanceId}`);
-          broadcastToRoom(npc.zone, npc.roomId, {
-            type: 'npc-start-path',
-            instanceId: npc.instanceId,
-            path,
-            segmentDuration,
-          });
-          const totalTiles = path.length - 1;
-          const totalMs = totalTiles * segmentDuration;
-
-          // Use managed timer to prevent memory leaks
-          startNpcMovementTimer(npc.instanceId, () => {
-            // update official position
-            const [tx, ty] = path[path.length - 1];
-            npc.x = tx;
-            npc.y = ty;
-            saveNpcState();
-
-            // inform any late-joining clients
-            broadcastToRoom(npc.zone, npc.roomId, {
-              type: 'npc-move',
-              npc,
-            });
-          }, totalMs);
-        }
-      }
+    try {
+      roamNpc(npc);
+    } catch (error) {
+      logError('NPC_ROAM', error, { instanceId: npc.instanceId });
     }
   });
 
-  // --- NPC custom behavior hooks (for javascript code in /scripts/) ---
+  // --- NPC behavior scripts (sandboxed, see server/scripting.js) ---
+  // Catches moves the event-driven updates don't see (teleports, respawns)
+  npcInstances.forEach((npc) => npcEvents.updateAwareness(npc));
   npcInstances.forEach((npc) => {
-    if (npc.behavior && typeof npc.behavior.onTick === 'function') {
-      try {
-        const gameState = {
-          playersInRoom: (zone, roomId) =>
-            Array.from(positions.entries())
-              .filter(([pid, p]) => p.zone === zone && p.roomId === roomId)
-              .map(([pid, p]) => ({ id: pid, ...p })),
-          broadcastToRoom,
-          sendToPlayer,
-        };
-        npc.behavior.onTick(npc, gameState);
-      } catch (err) {
-        console.error(`Error in onTick for NPC ${npc.instanceId}:`, err);
-      }
+    if (scriptRuntime.has(npc.behavior, 'onTick')) {
+      scriptRuntime.call(npc.behavior, 'onTick', [npc, scriptApiFor(npc)]);
     }
   });
+  // Objects lying in the world run their onTick too
+  objectInstances.forEach((inst) => {
+    if (liesInWorld(inst)) dispatchObjectEvent(inst, 'onTick');
+  });
+  // Behavior memory lives on the NPC or object; persist it with the rest of its state
+  if (gameTime.tick % 60 === 0) {
+    saveNpcState();
+    saveObjectsState();
+  }
 }, 1000);
 
+// --- Hot Reload ---
+// Behavior modules and data manifests are re-read when their files change, so
+// content can be edited without restarting (and disconnecting) everyone.
+// Set HOT_RELOAD=0 to disable.
+
+const hotReloader = createHotReloader({ logError });
+
+/** Send a message to every connected player. */
+function broadcastToAll(msg) {
+  const data = JSON.stringify(msg);
+  for (const client of clients.values()) {
+    if (client.readyState === WebSocket.OPEN) client.send(data);
+  }
+}
+
+/** Re-send every player the NPCs in their room (after template changes). */
+function resendNpcs() {
+  for (const [id, client] of clients) {
+    const pos = positions.get(id);
+    if (!pos || client.readyState !== WebSocket.OPEN) continue;
+    const npcs = npcInstances
+      .filter((n) => n.zone === pos.zone && n.roomId === pos.roomId)
+      .map(publicNpcView);
+    client.send(JSON.stringify({ type: 'init-npcs', npcs }));
+  }
+}
+
+/** Swap a changed behavior module into its templates/object definitions and their live instances. */
+function reloadBehaviorModule(filePath) {
+  const templates = behaviorUsers(npcTemplates, filePath, __dirname);
+  const definitions = behaviorUsers(Object.values(objects), filePath, __dirname);
+  if (!templates.length && !definitions.length) return;
+  // A module that fails to load leaves the previous version running
+  const behavior = loadBehaviorModule(templates[0] || definitions[0], true);
+  if (!behavior) return;
+  swapBehavior(definitions, objectInstances, behavior, (inst) => scriptRuntime.clearTimers(inst));
+  swapBehavior(templates, npcInstances, behavior, (npc) => {
+    // Timers set by the old version would call into its retired sandbox
+    scriptRuntime.clearTimers(npc);
+    // The new version starts with no one known, so enter hooks fire again
+    npcEvents.forget(npc);
+  });
+  console.log(`Reloaded behavior module ${path.relative(__dirname, filePath)}`);
+}
+
+function reloadNpcTemplates() {
+  const templates = loadNpcTemplates();
+  if (!templates) return;
+  npcTemplates = templates;
+  npcInstances.forEach((npc) => applyNpcTemplate(npc));
+  saveNpcState();
+  resendNpcs();
+}
+
+function reloadObjectDefinitions() {
+  const definitions = loadObjectDefinitions();
+  if (!definitions) return;
+  objects = definitions;
+  broadcastToAll({ type: 'definitions-updated', objects: Object.values(objects) });
+  console.log('Reloaded object definitions');
+}
+
+function reloadQuestDefinitions() {
+  const definitions = loadQuestDefinitions();
+  if (!definitions) return;
+  questDefinitions = definitions;
+  for (const id of clients.keys()) {
+    const player = positions.get(id);
+    if (player) sendToPlayer(id, questLogMessage(player));
+  }
+  console.log('Reloaded quest definitions');
+}
+
+function reloadPhysicsRules() {
+  loadPhysicsRules();
+  broadcastToAll({ type: 'definitions-updated', properties: physicsRules });
+  console.log('Reloaded physics rules');
+}
+
+if (process.env.HOT_RELOAD !== '0') {
+  const isJson = (fileName) => fileName.endsWith('.json');
+  const rootFiles = {
+    'npcs.json': reloadNpcTemplates,
+    'objects.json': reloadObjectDefinitions,
+    'quests.json': reloadQuestDefinitions,
+    'properties.json': reloadPhysicsRules,
+    'assets.json': reloadPhysicsRules,
+  };
+  hotReloader.watchDir(
+    __dirname,
+    (fileName) => Object.prototype.hasOwnProperty.call(rootFiles, fileName),
+    (filePath) => rootFiles[path.basename(filePath)]()
+  );
+  hotReloader.watchDir(path.join(__dirname, 'assets/npcs'), isJson, reloadNpcTemplates);
+  hotReloader.watchDir(path.join(__dirname, 'assets/objects'), isJson, reloadObjectDefinitions);
+  // Every directory holding a dialogue tree
+  const dialogueDirs = new Set(
+    npcTemplates
+      .filter((t) => t.dialogue)
+      .map((t) => path.dirname(path.join(__dirname, t.dialogue)))
+  );
+  dialogueDirs.forEach((dir) => hotReloader.watchDir(dir, isJson, reloadNpcTemplates));
+  // Every directory holding a behavior module
+  const behaviorDirs = new Set(
+    [...npcTemplates, ...Object.values(objects)]
+      .filter((t) => t.behaviorModule)
+      .map((t) => path.dirname(path.join(__dirname, t.behaviorModule)))
+  );
+  behaviorDirs.forEach((dir) =>
+    hotReloader.watchDir(dir, (fileName) => fileName.endsWith('.js'), reloadBehaviorModule)
+  );
+}
+
 // --- Graceful Shutdown Handling ---
 
 /**
@@ -1459,6 +4239,8 @@ function gracefulShutdown(signal) {
   
   // Clear all NPC movement timers to prevent memory leaks
   clearAllNpcTimers();
+  scriptRuntime.clearTimers();
+  hotReloader.close();
   
   // Close WebSocket server
   wss.close((err) => {
@@ -1481,6 +4263,7 @@ function gracefulShutdown(signal) {
     try {
       console.log('Saving final game state...');
       fs.writeFileSync(stateFile, JSON.stringify(gameTime, null, 2));
+      saveNpcState();
       console.log('Game state saved successfully.');
     } catch (error) {
       logError('SHUTDOWN', error, { phase: 'final_state_save' });
@@ -0,0 +1,130 @@
+/**
+ * good-fido: Account credentials + login throttling
+ * --------------------------------------
+ * - PBKDF2-SHA512 password hashing with a configurable cost
+ *   (PASSWORD_KDF_ITERATIONS env var). The cost is stored per player record
+ *   so older hashes still verify and can be upgraded on the next login.
+ * - Exponential backoff for failed logins, tracked per name and per IP.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+// Cost used by records that predate the `iterations` field
+const LEGACY_KDF_ITERATIONS = 1000;
+const KDF_ITERATIONS = parseInt(process.env.PASSWORD_KDF_ITERATIONS, 10) || 210000;
+const KDF_KEY_LENGTH = 64;
+const KDF_DIGEST = 'sha512';
+
+const PASSWORD_MIN_LENGTH = 6;
+const PASSWORD_MAX_LENGTH = 128;
+
+/**
+ * Hash a password with a fresh random salt.
+ * @returns {Promise<{salt:string, hash:string, iterations:number}>}
+ */
+async function hashPassword(password, iterations = KDF_ITERATIONS) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = await pbkdf2(password, salt, iterations, KDF_KEY_LENGTH, KDF_DIGEST);
+  return { salt, hash: key.toString('hex'), iterations };
+}
+
+/**
+ * Verify a password against a stored record ({ salt, hash, iterations? }).
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, record) {
+  if (!record || !record.salt || !record.hash) return false;
+  const iterations = record.iterations || LEGACY_KDF_ITERATIONS;
+  const expected = Buffer.from(record.hash, 'hex');
+  const key = await pbkdf2(password, record.salt, iterations, expected.length, KDF_DIGEST);
+  return expected.length === key.length && crypto.timingSafeEqual(expected, key);
+}
+
+/** True if a record was hashed with less than the configured cost. */
+function needsRehash(record) {
+  return (record.iterations || LEGACY_KDF_ITERATIONS) < KDF_ITERATIONS;
+}
+
+/**
+ * Validate a new password (existing passwords are never re-checked).
+ */
+function validateNewPassword(password) {
+  if (typeof password !== 'string') {
+    return { valid: false, error: 'Password must be a string' };
+  }
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    return {
+      valid: false,
+      error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters`,
+    };
+  }
+  if (password.length > PASSWORD_MAX_LENGTH) {
+    return { valid: false, error: 'Password too long' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Track failed logins by key ("name:bob", "ip:1.2.3.4"). After `freeAttempts`
+ * failures a key is locked for baseDelayMs, doubling per further failure up
+ * to maxDelayMs. Entries expire after `forgetAfterMs` without failures.
+ */
+function createLoginThrottle({
+  freeAttempts = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 15 * 60 * 1000,
+  forgetAfterMs = 60 * 60 * 1000,
+} = {}) {
+  const entries = new Map(); // key -> { failures, lockedUntil, lastFailureAt }
+
+  /** Milliseconds until any of `keys` may try again (0 = allowed now). */
+  function retryAfter(keys, now = Date.now()) {
+    let wait = 0;
+    for (const key of keys) {
+      const entry = entries.get(key);
+      if (entry) wait = Math.max(wait, entry.lockedUntil - now);
+    }
+    return wait;
+  }
+
+  function recordFailure(keys, now = Date.now()) {
+    for (const key of keys) {
+      const entry = entries.get(key) || { failures: 0, lockedUntil: 0, lastFailureAt: 0 };
+      entry.failures += 1;
+      entry.lastFailureAt = now;
+      const excess = entry.failures - freeAttempts;
+      if (excess > 0) {
+        entry.lockedUntil = now + Math.min(maxDelayMs, baseDelayMs * 2 ** (excess - 1));
+      }
+      entries.set(key, entry);
+    }
+  }
+
+  /** Forget failures for a key after a successful login. */
+  function reset(key) {
+    entries.delete(key);
+  }
+
+  /** Drop stale entries; call periodically. */
+  function prune(now = Date.now()) {
+    for (const [key, entry] of entries) {
+      if (now - entry.lastFailureAt > forgetAfterMs && now >= entry.lockedUntil) {
+        entries.delete(key);
+      }
+    }
+  }
+
+  return { retryAfter, recordFailure, reset, prune };
+}
+
+module.exports = {
+  KDF_ITERATIONS,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  validateNewPassword,
+  createLoginThrottle,
+};
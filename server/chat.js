@@ -0,0 +1,100 @@
+/**
+ * good-fido: Player chat helpers
+ * --------------------------------------
+ * - Channels: say and emote (room), shout (nearby tiles), whisper (one player),
+ *   global.
+ * - Text cleanup: length cap, control characters stripped, profanity masked.
+ * - Flood control: per-player message rate limit plus repeat suppression.
+ *
+ * Routing itself lives in server.js, next to the broadcast helpers.
+ */
+
+const CHAT_CHANNELS = ['say', 'emote', 'shout', 'whisper', 'global'];
+const CHAT_MAX_LENGTH = 200;
+// Shout reaches players within this many tiles (same room)
+const SHOUT_RADIUS_TILES = 8;
+const MUTE_LIST_MAX = 100;
+
+// Matched as word prefixes, case-insensitive ("shitty" is caught by "shit")
+const PROFANITY = ['fuck', 'shit', 'cunt', 'bitch', 'asshole', 'bastard', 'dick', 'wank'];
+const PROFANITY_RE = new RegExp(`\\b(${PROFANITY.join('|')})\\w*`, 'gi');
+
+/**
+ * Normalize chat text: strip control characters, collapse whitespace, cap length.
+ * @returns {{valid:boolean, error?:string, text?:string}}
+ */
+function sanitizeChatText(text) {
+  if (typeof text !== 'string') {
+    return { valid: false, error: 'Message must be text' };
+  }
+  const cleaned = text
+    .replace(/[\u0000-\u001f\u007f]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!cleaned) {
+    return { valid: false, error: 'Message is empty' };
+  }
+  if (cleaned.length > CHAT_MAX_LENGTH) {
+    return { valid: false, error: `Message too long (max ${CHAT_MAX_LENGTH} characters)` };
+  }
+  return { valid: true, text: cleaned };
+}
+
+/** Replace profane words with asterisks of the same length. */
+function maskProfanity(text) {
+  return text.replace(PROFANITY_RE, (word) => '*'.repeat(word.length));
+}
+
+/**
+ * Per-player flood guard. More than `maxMessages` within `windowMs` silences
+ * the sender for `cooldownMs`; the same text twice within `repeatWindowMs`
+ * is dropped.
+ */
+function createFloodGuard({
+  maxMessages = 5,
+  windowMs = 5000,
+  cooldownMs = 10000,
+  repeatWindowMs = 3000,
+} = {}) {
+  const senders = new Map(); // id -> { sentAt: number[], blockedUntil, lastText, lastAt }
+
+  /** @returns {{allowed:boolean, error?:string}} */
+  function check(id, text, now = Date.now()) {
+    const state = senders.get(id) || { sentAt: [], blockedUntil: 0, lastText: null, lastAt: 0 };
+    senders.set(id, state);
+    if (now < state.blockedUntil) {
+      const secs = Math.ceil((state.blockedUntil - now) / 1000);
+      return { allowed: false, error: `You are sending messages too quickly. Wait ${secs}s.` };
+    }
+    if (text === state.lastText && now - state.lastAt < repeatWindowMs) {
+      return { allowed: false, error: 'Please do not repeat yourself.' };
+    }
+    state.sentAt = state.sentAt.filter((t) => now - t < windowMs);
+    if (state.sentAt.length >= maxMessages) {
+      state.blockedUntil = now + cooldownMs;
+      state.sentAt = [];
+      return { allowed: false, error: 'You are sending messages too quickly.' };
+    }
+    state.sentAt.push(now);
+    state.lastText = text;
+    state.lastAt = now;
+    return { allowed: true };
+  }
+
+  /** Drop state for a player who left. */
+  function forget(id) {
+    senders.delete(id);
+  }
+
+  return { check, forget };
+}
+
+module.exports = {
+  CHAT_CHANNELS,
+  CHAT_MAX_LENGTH,
+  SHOUT_RADIUS_TILES,
+  MUTE_LIST_MAX,
+  sanitizeChatText,
+  maskProfanity,
+  createFloodGuard,
+};
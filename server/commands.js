@@ -0,0 +1,97 @@
+/**
+ * good-fido: Console command registry
+ * --------------------------------------
+ * - Clients send { type: 'command', name, args } for lines typed as "/name args".
+ * - Who may run a command is set by its "command:<name>" entry in the
+ *   permission table (server/roles.js); the registry hides and refuses
+ *   commands the caller's role does not allow.
+ * - The built-in commands are registered by server.js, which owns game state.
+ */
+
+const roles = require('./roles');
+
+const MAX_ARGS = 16;
+const MAX_ARG_LENGTH = 200;
+
+/**
+ * @param {Object} [deps]
+ * @param {Function} [deps.logError] – (category, error, context) logger
+ */
+function createCommandRegistry({ logError = console.error } = {}) {
+  const commands = new Map(); // name -> definition
+  const aliases = new Map(); // alias -> name
+
+  /**
+   * Register a command.
+   * @param {Object} def
+   * @param {string} def.name
+   * @param {string[]} [def.aliases]
+   * @param {string} [def.usage]        – e.g. "/goto <player>"
+   * @param {string} [def.description]
+   * @param {Function} def.run          – (ctx, args) => void
+   */
+  function register(def) {
+    if (!def || !/^[a-z][a-z0-9-]*$/.test(def.name) || typeof def.run !== 'function') {
+      throw new Error(`Invalid command definition: ${def && def.name}`);
+    }
+    const command = {
+      aliases: [],
+      usage: `/${def.name}`,
+      description: '',
+      ...def,
+    };
+    commands.set(command.name, command);
+    command.aliases.forEach((alias) => aliases.set(alias, command.name));
+  }
+
+  /** Look up a command by name or alias (case-insensitive). */
+  function resolve(name) {
+    const key = String(name).toLowerCase();
+    return commands.get(key) || commands.get(aliases.get(key)) || null;
+  }
+
+  /** Commands a player with `role` may run, for the client's /help and completion. */
+  function list(role) {
+    return [...commands.values()]
+      .filter((c) => roles.can(role, `command:${c.name}`))
+      .map(({ name, aliases: names, usage, description }) => ({
+        name,
+        aliases: names,
+        usage,
+        description,
+      }));
+  }
+
+  /**
+   * Validate and run a command for a player.
+   * @param {{player:Object, reply:Function}} ctx – reply(text) answers the caller
+   * @param {string} name
+   * @param {string[]} args
+   */
+  function execute(ctx, name, args) {
+    const command = typeof name === 'string' ? resolve(name) : null;
+    // Privileged commands look unknown to players who can't use them
+    if (!command || !roles.can(ctx.player.role, `command:${command.name}`)) {
+      ctx.reply(`Unknown command: /${name}. Try /help.`);
+      return;
+    }
+    if (
+      !Array.isArray(args) ||
+      args.length > MAX_ARGS ||
+      !args.every((a) => typeof a === 'string' && a.length <= MAX_ARG_LENGTH)
+    ) {
+      ctx.reply(`Usage: ${command.usage}`);
+      return;
+    }
+    try {
+      command.run(ctx, args);
+    } catch (error) {
+      logError('COMMAND', error, { command: command.name, player: ctx.player.name });
+      ctx.reply(`/${command.name} failed.`);
+    }
+  }
+
+  return { register, resolve, list, execute };
+}
+
+module.exports = { createCommandRegistry };
@@ -0,0 +1,105 @@
+/**
+ * good-fido: Containers
+ * --------------------------------------
+ * - An object definition with `container` holds other objects:
+ *   "container": { "capacity": 6, "key": "iron_key" }
+ *   `capacity` is how many items fit (default 10); `key` is the item key that
+ *   locks and unlocks it (leave it out for a container without a lock).
+ * - Held objects are ordinary instances with `containedIn` set to the
+ *   container's instanceId and `pickedUpBy: null`. They go wherever the
+ *   container goes, so a carried chest is an inventory inside the inventory.
+ * - Whether a container is open or locked lives in its public `state`
+ *   ({ open, locked }); things go in and out only while it is open. Room
+ *   spawns that respawn can't be put away: they have to stay where their
+ *   respawn can find them.
+ * - Room spawn definitions may carry a loot table, rolled when the object
+ *   spawns and every time it respawns:
+ *   "loot": [{ "item": "rock", "chance": 0.5, "count": 2 }]
+ *   Each entry is rolled once: with probability `chance` (default 1) it adds
+ *   `count` (default 1) of the item, as far as the capacity allows.
+ * - A carried container that respawns is emptied first: its contents go back
+ *   to whoever carried it (see the respawn cycle in server.js).
+ */
+
+const DEFAULT_CAPACITY = 10;
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * A definition's container settings with defaults filled in.
+ * @returns {{capacity:number, key:string|null}|null} null if it is no container
+ */
+function containerSettings(def) {
+  if (!def || !isPlainObject(def.container)) return null;
+  const { capacity, key } = def.container;
+  return {
+    capacity: Number.isInteger(capacity) && capacity > 0 ? capacity : DEFAULT_CAPACITY,
+    key: typeof key === 'string' && key ? key : null,
+  };
+}
+
+/**
+ * Check a spawn's loot table; `itemExists(key)` says whether an item key is a known object.
+ * @returns {{valid:boolean, error?:string}}
+ */
+function validateLoot(loot, itemExists) {
+  if (!Array.isArray(loot)) return { valid: false, error: '"loot" must be a list' };
+  for (const [index, entry] of loot.entries()) {
+    const where = `Loot entry ${index}`;
+    if (!isPlainObject(entry) || !itemExists(entry.item)) {
+      const item = JSON.stringify(entry && entry.item);
+      return { valid: false, error: `${where}: unknown item ${item}` };
+    }
+    if (entry.chance !== undefined && !(entry.chance >= 0 && entry.chance <= 1)) {
+      return { valid: false, error: `${where}: "chance" must be between 0 and 1` };
+    }
+    if (entry.count !== undefined && !(Number.isInteger(entry.count) && entry.count > 0)) {
+      return { valid: false, error: `${where}: "count" must be a positive whole number` };
+    }
+  }
+  return { valid: true };
+}
+
+/**
+ * Roll a loot table.
+ * @param {Array<{item:string, chance?:number, count?:number}>} loot
+ * @param {Function} [random] – returns a number in [0, 1)
+ * @returns {string[]} item keys, one per item to create
+ */
+function rollLoot(loot, random = Math.random) {
+  const items = [];
+  loot.forEach((entry) => {
+    const chance = entry.chance === undefined ? 1 : entry.chance;
+    if (random() >= chance) return;
+    for (let n = 0; n < (entry.count || 1); n++) items.push(entry.item);
+  });
+  return items;
+}
+
+/**
+ * Can `item` go into `container`, which already holds `held` items?
+ * @returns {{valid:boolean, error?:string}}
+ */
+function checkPut(settings, container, item, held) {
+  if (!(container.state && container.state.open)) return { valid: false, error: "It's closed." };
+  if (item === container) return { valid: false, error: "That won't fit inside itself." };
+  if (item.respawnAfterSec) return { valid: false, error: "That can't be put away." };
+  if (held >= settings.capacity) return { valid: false, error: "There's no room left in it." };
+  return { valid: true };
+}
+
+/**
+ * Can the player lock (`locking`) or unlock the container, carrying `keys`?
+ * @returns {{valid:boolean, error?:string}}
+ */
+function checkLock(settings, container, locking, keys) {
+  const state = container.state || {};
+  if (!settings.key) return { valid: false, error: "It doesn't have a lock." };
+  if (locking && state.locked) return { valid: false, error: "It's already locked." };
+  if (!locking && !state.locked) return { valid: false, error: "It isn't locked." };
+  if (locking && state.open) return { valid: false, error: 'Close it first.' };
+  if (!keys.includes(settings.key)) return { valid: false, error: "You don't have the key." };
+  return { valid: true };
+}
+
+module.exports = { containerSettings, validateLoot, rollLoot, checkPut, checkLock };
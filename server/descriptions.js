@@ -0,0 +1,73 @@
+/**
+ * good-fido: Examine descriptions
+ * --------------------------------------
+ * - Content with a `description` (object and NPC templates, physics rules)
+ *   may add `descriptions`: variants tried in order, the first whose `when`
+ *   matches replacing the plain description:
+ *     [{ "text": "...", "when": { "timeOfDay": "night", "season": ["winter"],
+ *                                 "state": { "pickedUpBy": null } } }]
+ * - timeOfDay: morning (5-11), afternoon (12-17), evening (18-20), night (21-4).
+ *   season: winter, spring, summer, fall. Either may be a list.
+ * - state: values the examined instance's fields must equal.
+ */
+
+const SEASONS = ['winter', 'spring', 'summer', 'fall'];
+const DAYS_PER_SEASON = 90;
+
+/** Name of the part of the day for a game hour (0-23). */
+function timeOfDay(hour) {
+  if (hour >= 5 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 18) return 'afternoon';
+  if (hour >= 18 && hour < 21) return 'evening';
+  return 'night';
+}
+
+/** Season name for a game day (360-day years). */
+function seasonOf(day) {
+  return SEASONS[Math.floor((day % (SEASONS.length * DAYS_PER_SEASON)) / DAYS_PER_SEASON)];
+}
+
+const oneOf = (expected, actual) =>
+  (Array.isArray(expected) ? expected : [expected]).some(
+    (value) => String(value).toLowerCase() === actual
+  );
+
+function variantMatches(when, context) {
+  if (!when || typeof when !== 'object') return true;
+  if (when.timeOfDay !== undefined && !oneOf(when.timeOfDay, context.timeOfDay)) return false;
+  if (when.season !== undefined && !oneOf(when.season, context.season)) return false;
+  if (when.state && typeof when.state === 'object') {
+    const state = context.state || {};
+    return Object.entries(when.state).every(([key, value]) => state[key] === value);
+  }
+  return true;
+}
+
+/**
+ * Pick the description of `source` for the moment.
+ * @param {{description?:string, descriptions?:Array<{text:string, when?:Object}>}} source
+ * @param {{timeOfDay:string, season:string, state?:Object}} context
+ * @returns {string} '' if the source has none
+ */
+function resolveDescription(source, context) {
+  if (!source) return '';
+  const variants = Array.isArray(source.descriptions) ? source.descriptions : [];
+  const variant = variants.find(
+    (v) => v && typeof v.text === 'string' && variantMatches(v.when, context)
+  );
+  if (variant) return variant.text;
+  return typeof source.description === 'string' ? source.description : '';
+}
+
+/** A few words on how hurt someone looks. */
+function healthPhrase(hp, maxHp) {
+  if (!(maxHp > 0)) return '';
+  const share = hp / maxHp;
+  if (share <= 0) return 'is out cold.';
+  if (share < 0.25) return 'is badly hurt.';
+  if (share < 0.6) return 'is wounded.';
+  if (share < 1) return 'has a few scrapes.';
+  return 'looks healthy.';
+}
+
+module.exports = { timeOfDay, seasonOf, resolveDescription, healthPhrase };
@@ -0,0 +1,144 @@
+/**
+ * good-fido: NPC dialogue trees
+ * --------------------------------------
+ * - Trees are JSON files named by an NPC template's `dialogue` field:
+ *   { start, nodes: { <id>: { text, actions?, choices?: [{ text, next?, if?, actions? }] } } }
+ *   `next` names the node a choice leads to; leaving it out ends the talk.
+ * - Conditions (`if`, all must hold): { hasItem }, { lacksItem }, { flag, equals? },
+ *   { notFlag }. Flags are per-player values kept in the player file.
+ * - Actions: { give }, { take } (item keys), { setFlag, value? }, { clearFlag },
+ *   { emote }, { startQuest }, { questEvent } (see server/quests.js). They are
+ *   applied by server.js, which owns the conversation state and the world.
+ * - `{player}` and `{npc}` in texts are replaced with the names.
+ */
+
+const CONDITION_KEYS = ['hasItem', 'lacksItem', 'flag', 'notFlag'];
+const ACTION_KEYS = ['give', 'take', 'setFlag', 'clearFlag', 'emote', 'startQuest', 'questEvent'];
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isText = (value) => typeof value === 'string' && value.length > 0;
+
+function validateConditions(conditions, where) {
+  if (conditions === undefined) return { valid: true };
+  if (!Array.isArray(conditions)) return { valid: false, error: `${where}: "if" must be a list` };
+  for (const condition of conditions) {
+    const key = isPlainObject(condition) && CONDITION_KEYS.find((k) => k in condition);
+    if (!key || !isText(condition[key])) {
+      return { valid: false, error: `${where}: unknown condition ${JSON.stringify(condition)}` };
+    }
+  }
+  return { valid: true };
+}
+
+function validateActions(actions, where) {
+  if (actions === undefined) return { valid: true };
+  if (!Array.isArray(actions)) return { valid: false, error: `${where}: "actions" must be a list` };
+  for (const action of actions) {
+    const key = isPlainObject(action) && ACTION_KEYS.find((k) => k in action);
+    if (!key || !isText(action[key])) {
+      return { valid: false, error: `${where}: unknown action ${JSON.stringify(action)}` };
+    }
+  }
+  return { valid: true };
+}
+
+/**
+ * Check a dialogue tree's shape and that every `next` names a node.
+ * @returns {{valid:boolean, error?:string}}
+ */
+function validateDialogueTree(tree) {
+  if (!isPlainObject(tree) || !isPlainObject(tree.nodes)) {
+    return { valid: false, error: 'Dialogue needs a "nodes" object' };
+  }
+  if (!isPlainObject(tree.nodes[tree.start])) {
+    return { valid: false, error: `Start node "${tree.start}" not found` };
+  }
+  for (const [nodeId, node] of Object.entries(tree.nodes)) {
+    const where = `Node "${nodeId}"`;
+    if (!isPlainObject(node) || !isText(node.text)) {
+      return { valid: false, error: `${where} needs "text"` };
+    }
+    const nodeActions = validateActions(node.actions, where);
+    if (!nodeActions.valid) return nodeActions;
+    if (node.choices !== undefined && !Array.isArray(node.choices)) {
+      return { valid: false, error: `${where}: "choices" must be a list` };
+    }
+    for (const [index, choice] of (node.choices || []).entries()) {
+      const choiceWhere = `${where} choice ${index}`;
+      if (!isPlainObject(choice) || !isText(choice.text)) {
+        return { valid: false, error: `${choiceWhere} needs "text"` };
+      }
+      if (choice.next !== undefined && !isPlainObject(tree.nodes[choice.next])) {
+        return { valid: false, error: `${choiceWhere}: next node "${choice.next}" not found` };
+      }
+      const checks = [
+        validateConditions(choice.if, choiceWhere),
+        validateActions(choice.actions, choiceWhere),
+      ];
+      const failed = checks.find((check) => !check.valid);
+      if (failed) return failed;
+    }
+  }
+  return { valid: true };
+}
+
+/**
+ * True if every condition holds for the player.
+ * @param {Array<Object>} [conditions]
+ * @param {{items:Array<string>, flags:Object}} subject – the player's item keys and flags
+ */
+function conditionsMet(conditions, subject) {
+  return (conditions || []).every((c) => {
+    if ('hasItem' in c) return subject.items.includes(c.hasItem);
+    if ('lacksItem' in c) return !subject.items.includes(c.lacksItem);
+    if ('flag' in c) {
+      const value = subject.flags[c.flag];
+      return 'equals' in c ? value === c.equals : !!value;
+    }
+    if ('notFlag' in c) return !subject.flags[c.notFlag];
+    return false;
+  });
+}
+
+/** Fill in `{player}` and `{npc}`. */
+function fillText(text, names) {
+  return text.replace(/\{(player|npc)\}/g, (match, key) => names[key]);
+}
+
+/**
+ * What the player sees at a node: its text and the choices whose conditions
+ * hold. Choice `index` is the position in the node's full list, which is
+ * what the client sends back.
+ * @returns {{nodeId:string, text:string, choices:Array<{index:number, text:string}>}}
+ */
+function nodeView(tree, nodeId, subject, names) {
+  const node = tree.nodes[nodeId];
+  const choices = [];
+  (node.choices || []).forEach((choice, index) => {
+    if (conditionsMet(choice.if, subject)) {
+      choices.push({ index, text: fillText(choice.text, names) });
+    }
+  });
+  return { nodeId, text: fillText(node.text, names), choices };
+}
+
+/**
+ * Look up the choice a player picked, re-checking its conditions.
+ * @returns {{valid:boolean, error?:string, choice?:Object}}
+ */
+function pickChoice(tree, nodeId, index, subject) {
+  const node = tree.nodes[nodeId];
+  const choice = node && Number.isInteger(index) ? (node.choices || [])[index] : undefined;
+  if (!choice || !conditionsMet(choice.if, subject)) {
+    return { valid: false, error: 'That is not an option.' };
+  }
+  return { valid: true, choice };
+}
+
+module.exports = {
+  validateDialogueTree,
+  conditionsMet,
+  fillText,
+  nodeView,
+  pickChoice,
+};
@@ -0,0 +1,72 @@
+/**
+ * good-fido: Equipment
+ * --------------------------------------
+ * - Object definitions with `equip` can be worn in one slot:
+ *   "equip": { "slot": "head", "stats": { "luck": 2 }, "overlay": "wildflowers" }
+ *   `stats` are added to the wearer's base stats while worn; `overlay` is the
+ *   image key drawn over the player sprite (the item's own sprite if left out).
+ * - Slots: head, body, hands, feet, tool; one item each.
+ * - Players keep `equipment` in their player file:
+ *   { <slot>: { instanceId, typeId } }. Worn items stay in the inventory (and
+ *   count against capacity) but can't leave it until they are taken off.
+ */
+
+const SLOTS = ['head', 'body', 'hands', 'feet', 'tool'];
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * A definition's equip settings with defaults filled in.
+ * @returns {{slot:string, stats:Object, overlay:string|null}|null} null if it can't be worn
+ */
+function equipSettings(def) {
+  if (!def || !isPlainObject(def.equip) || !SLOTS.includes(def.equip.slot)) return null;
+  const stats = {};
+  if (isPlainObject(def.equip.stats)) {
+    for (const [key, value] of Object.entries(def.equip.stats)) {
+      if (Number.isFinite(value)) stats[key] = value;
+    }
+  }
+  const overlay = typeof def.equip.overlay === 'string' ? def.equip.overlay : null;
+  return { slot: def.equip.slot, stats, overlay };
+}
+
+/**
+ * Keep the entries of a saved `equipment` map that still name a worn item;
+ * `isCarried(entry)` says whether the player still has that instance.
+ * @returns {Object} { <slot>: { instanceId, typeId } }
+ */
+function sanitizeEquipment(saved, isCarried) {
+  const equipment = {};
+  if (!isPlainObject(saved)) return equipment;
+  SLOTS.forEach((slot) => {
+    const entry = saved[slot];
+    if (isPlainObject(entry) && typeof entry.instanceId === 'string' && isCarried(entry)) {
+      equipment[slot] = { instanceId: entry.instanceId, typeId: entry.typeId };
+    }
+  });
+  return equipment;
+}
+
+/**
+ * Stat bonuses of everything worn, summed per stat.
+ * @param {Object[]} defs – definitions of the worn items
+ */
+function statModifiers(defs) {
+  const modifiers = {};
+  defs.forEach((def) => {
+    const settings = equipSettings(def);
+    if (!settings) return;
+    for (const [key, value] of Object.entries(settings.stats)) {
+      modifiers[key] = (modifiers[key] || 0) + value;
+    }
+  });
+  return modifiers;
+}
+
+/** Is `instanceId` worn in any slot? */
+function isWorn(equipment, instanceId) {
+  return Object.values(equipment || {}).some((entry) => entry.instanceId === instanceId);
+}
+
+module.exports = { SLOTS, equipSettings, sanitizeEquipment, statModifiers, isWorn };
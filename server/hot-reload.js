@@ -0,0 +1,100 @@
+/**
+ * good-fido: Hot reloading of content files
+ * --------------------------------------
+ * - Watches directories (not single files: editors often save by replacing
+ *   the file, which ends a per-file watch) and calls a handler when a
+ *   matching file changes.
+ * - Bursts of events for one file (save = truncate + write) are debounced.
+ * - swapBehavior() hands a reloaded behavior module to the definitions using
+ *   it and their live instances.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Quiet period before a changed file is reloaded, in ms
+const DEBOUNCE_MS = 150;
+
+/**
+ * Definitions (NPC templates) whose `behaviorModule` is the file at `filePath`.
+ * @param {Array<Object>} definitions
+ * @param {string} filePath – absolute path
+ * @param {string} baseDir  – behaviorModule paths are relative to this
+ */
+function behaviorUsers(definitions, filePath, baseDir) {
+  return definitions.filter(
+    (def) => def.behaviorModule && path.join(baseDir, def.behaviorModule) === filePath
+  );
+}
+
+/**
+ * Give `definitions` and the live `instances` made from them (matched by
+ * `typeId`) a reloaded behavior module. Instances holding their own
+ * `behavior` (NPCs) get the new one; others (objects) read it from their
+ * definition.
+ * @param {Array<Object>} definitions – from behaviorUsers()
+ * @param {Array<Object>} instances
+ * @param {Object} behavior
+ * @param {Function} [retire] – (instance) called before an instance drops its old version
+ */
+function swapBehavior(definitions, instances, behavior, retire = () => {}) {
+  definitions.forEach((def) => (def.behavior = behavior));
+  instances.forEach((inst) => {
+    if (!definitions.some((def) => def.id === inst.typeId)) return;
+    retire(inst);
+    if ('behavior' in inst) inst.behavior = behavior;
+  });
+}
+
+/**
+ * Create a watcher registry.
+ * @param {Object} deps
+ * @param {Function} [deps.logError] – (category, error, context) logger
+ */
+function createHotReloader({ logError = console.error } = {}) {
+  const watchers = [];
+  const pending = new Map(); // absolute file path -> timeout
+
+  /**
+   * Call `onChange(filePath)` when a file in `dir` accepted by `filter(fileName)` changes.
+   * Missing directories are skipped.
+   */
+  function watchDir(dir, filter, onChange) {
+    if (!fs.existsSync(dir)) return;
+    try {
+      const watcher = fs.watch(dir, (eventType, fileName) => {
+        if (!fileName || !filter(fileName)) return;
+        const filePath = path.join(dir, fileName);
+        clearTimeout(pending.get(filePath));
+        pending.set(
+          filePath,
+          setTimeout(() => {
+            pending.delete(filePath);
+            // Deleted (or mid-rename) files have nothing to reload
+            if (!fs.existsSync(filePath)) return;
+            try {
+              onChange(filePath);
+            } catch (error) {
+              logError('HOT_RELOAD', error, { file: filePath });
+            }
+          }, DEBOUNCE_MS)
+        );
+      });
+      watcher.on('error', (error) => logError('HOT_RELOAD', error, { dir }));
+      watchers.push(watcher);
+    } catch (error) {
+      logError('HOT_RELOAD', error, { dir });
+    }
+  }
+
+  /** Stop watching (shutdown). */
+  function close() {
+    watchers.splice(0).forEach((watcher) => watcher.close());
+    pending.forEach((timeout) => clearTimeout(timeout));
+    pending.clear();
+  }
+
+  return { watchDir, close };
+}
+
+module.exports = { createHotReloader, behaviorUsers, swapBehavior };
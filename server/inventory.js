@@ -0,0 +1,101 @@
+/**
+ * good-fido: Inventory stacks and carrying capacity
+ * --------------------------------------
+ * - Carried items are object instances whose `pickedUpBy` is the holder's
+ *   name (players) or a sentinel such as "npc:<instanceId>".
+ * - Object definitions may declare `"stackable": true` (at most `maxStack`
+ *   per stack, default 20) and a `"weight"` (default 1).
+ * - Instances of stackable types carry a `quantity`; everything else counts
+ *   as one. Picking up a stackable item merges it into a stack the player
+ *   already has (unless it is a respawning room spawn, which has to stay
+ *   itself to return to its spot); dropping, selling or giving part of a
+ *   stack splits it.
+ * - An item that leaves the game from a player's inventory (taken in a
+ *   dialogue, sold) is removed, unless it is a respawning room spawn: that
+ *   one only changes hands, so the respawn cycle still returns it to its spot.
+ * - A player carries at most MAX_SLOTS stacks and MAX_WEIGHT weight; a
+ *   container weighs what it holds on top of its own weight.
+ */
+
+const DEFAULT_MAX_STACK = 20;
+const DEFAULT_WEIGHT = 1;
+const MAX_SLOTS = 16;
+const MAX_WEIGHT = 60;
+
+/** How many items an instance stands for. */
+function quantityOf(inst) {
+  return Number.isInteger(inst.quantity) && inst.quantity > 0 ? inst.quantity : 1;
+}
+
+/** Largest stack of a definition's items; 1 for items that don't stack. */
+function maxStack(def) {
+  if (!def || !def.stackable) return 1;
+  return Number.isInteger(def.maxStack) && def.maxStack > 0 ? def.maxStack : DEFAULT_MAX_STACK;
+}
+
+/** Weight of `quantity` items of a definition. */
+function weightOf(def, quantity = 1) {
+  const hasWeight = def && typeof def.weight === 'number' && def.weight >= 0;
+  return (hasWeight ? def.weight : DEFAULT_WEIGHT) * quantity;
+}
+
+/**
+ * The stack in `inventory` that `inst` can merge into whole, or undefined.
+ * @param {Object[]} inventory – instances the player carries
+ */
+function findStack(inventory, inst, def) {
+  const limit = maxStack(def);
+  if (limit <= 1) return undefined;
+  return inventory.find(
+    (other) =>
+      other !== inst &&
+      other.typeId === inst.typeId &&
+      quantityOf(other) + quantityOf(inst) <= limit
+  );
+}
+
+/**
+ * Can a player carrying `load` take on `adding`?
+ * @param {{slots:number, weight:number}} load
+ * @param {{slots:number, weight:number}} adding – `slots` is 0 when it merges into a stack
+ * @returns {{valid:boolean, error?:string}}
+ */
+function checkCapacity(load, adding) {
+  if (load.slots + adding.slots > MAX_SLOTS) {
+    return { valid: false, error: "You can't carry any more things." };
+  }
+  if (load.weight + adding.weight > MAX_WEIGHT) {
+    return { valid: false, error: "That's too heavy to carry with everything else." };
+  }
+  return { valid: true };
+}
+
+/**
+ * Take a carried item away from its holder for good.
+ * @param {Object[]} instances – all object instances
+ * @param {Object} inst        – the carried instance
+ * @param {string} newHolder   – `pickedUpBy` sentinel for a respawning item
+ * @param {number} tick        – current game tick, its removal time
+ * @returns {boolean} true if the instance was removed from `instances`
+ */
+function removeCarriedItem(instances, inst, newHolder, tick) {
+  if (inst.respawnAfterSec) {
+    inst.pickedUpBy = newHolder;
+    inst.removedAt = tick;
+    return false;
+  }
+  const index = instances.indexOf(inst);
+  if (index !== -1) instances.splice(index, 1);
+  return index !== -1;
+}
+
+module.exports = {
+  MAX_SLOTS,
+  MAX_WEIGHT,
+  quantityOf,
+  maxStack,
+  weightOf,
+  findStack,
+  checkCapacity,
+  removeCarriedItem,
+};
@@ -0,0 +1,50 @@
+/**
+ * good-fido: Content manifests
+ * --------------------------------------
+ * - npcs.json and objects.json are either an array of { path } entries, each
+ *   pointing at a JSON file, or a map of inline definitions keyed by name.
+ * - A manifest that is missing or doesn't parse reads as null, so a reload
+ *   of a half-saved file keeps the definitions already in use.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read a manifest and the definition files it points to.
+ * @param {string} manifestPath
+ * @param {Object} options
+ * @param {string} options.baseDir        – entry paths are relative to this
+ * @param {boolean} [options.skipBroken]  – leave out entries whose file fails to load,
+ *   rather than failing the whole manifest
+ * @param {Function} [options.warn]       – (message, error) logger
+ * @returns {Array<[string|null, Object]>|null} [key, definition] pairs (key is null
+ *   in array manifests); null if the manifest is missing or unusable
+ */
+function readManifest(manifestPath, { baseDir, skipBroken = false, warn = console.warn }) {
+  if (!fs.existsSync(manifestPath)) return null;
+  const name = path.basename(manifestPath);
+  let entries;
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    entries = Array.isArray(manifest) ? manifest.map((e) => [null, e]) : Object.entries(manifest);
+  } catch (err) {
+    warn(`Failed to parse ${name}:`, err);
+    return null;
+  }
+  const definitions = [];
+  for (const [key, entry] of entries) {
+    try {
+      const data = entry.path
+        ? JSON.parse(fs.readFileSync(path.join(baseDir, entry.path), 'utf8'))
+        : { ...entry };
+      definitions.push([key, data]);
+    } catch (err) {
+      warn(`Failed to load ${name} entry ${(entry && entry.path) || key}:`, err);
+      if (!skipBroken) return null;
+    }
+  }
+  return definitions;
+}
+
+module.exports = { readManifest };
@@ -0,0 +1,158 @@
+/**
+ * good-fido: Player movement validation
+ * --------------------------------------
+ * - Clients move their own sprite and report { x, y, roomId, zone? }; the
+ *   server checks each report against the room's tiles before accepting it.
+ * - Checks: room bounds, void tiles (sampled along the path so a fast update
+ *   can't hop a wall), speed (a small burst budget refilled at the fastest
+ *   speed the tiles allow) and, on a room change, that an exit leads there.
+ * - Rooms come from the caller's in-memory lookup (the room cache); nothing
+ *   here touches the disk.
+ */
+
+// Tile edge length in pixels (matches client TILE_SIZE)
+const TILE_SIZE = 32;
+// Movement allowance a player may bank for network jitter, in px
+const PLAYER_MOVE_BURST = TILE_SIZE * 2;
+// How far (in tiles) a player may be from an exit when crossing it
+const EXIT_TOLERANCE_TILES = 1;
+
+/** Convert a player's top-left pixel coordinate to the tile under its body center. */
+function pixelToTile(px) {
+  return Math.floor((px + TILE_SIZE / 2) / TILE_SIZE);
+}
+
+/** True if (tx,ty) lies inside the room and is not void. */
+function isPassableTile(roomJson, tx, ty) {
+  const tile = roomJson.tiles[ty]?.[tx];
+  return !!tile && tile.terrain !== 'void';
+}
+
+/**
+ * Walk the straight line between two pixel positions in half-tile steps
+ * so a fast update cannot hop over a one-tile void wall.
+ */
+function isPassableSegment(roomJson, fromX, fromY, toX, toY) {
+  const steps = Math.max(1, Math.ceil(Math.hypot(toX - fromX, toY - fromY) / (TILE_SIZE / 2)));
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps;
+    const tx = pixelToTile(fromX + (toX - fromX) * t);
+    const ty = pixelToTile(fromY + (toY - fromY) * t);
+    if (!isPassableTile(roomJson, tx, ty)) return false;
+  }
+  return true;
+}
+
+/**
+ * Find a tileExit or teleport exit in `fromRoom` that legitimately moves a
+ * player standing near `fromTile` into `target` ({ zone, roomId }) at `destTile`.
+ * Exits without a `zoneId` stay in `fromZone`.
+ * @param {Function} resolveZone – (zoneId) => zone key, or null if unknown
+ * @returns {{zoneId?:string,roomId:number,x:number,y:number}|null} matched exit target
+ */
+function findRoomTransition(fromRoom, fromZone, fromTile, target, destTile, resolveZone) {
+  const near = (a, b) =>
+    Math.abs(a.x - b.x) <= EXIT_TOLERANCE_TILES && Math.abs(a.y - b.y) <= EXIT_TOLERANCE_TILES;
+  const leadsToTarget = (exit) =>
+    exit.roomId === target.roomId &&
+    (exit.zoneId === undefined ? fromZone : resolveZone(exit.zoneId)) === target.zone &&
+    near(exit, destTile);
+
+  for (let y = 0; y < fromRoom.tiles.length; y++) {
+    for (let x = 0; x < fromRoom.tiles[y].length; x++) {
+      const exits = fromRoom.tiles[y][x].tileExits;
+      if (!exits || !near({ x, y }, fromTile)) continue;
+      for (const exit of Object.values(exits)) {
+        if (exit && leadsToTarget(exit)) return exit;
+      }
+    }
+  }
+  for (const teleport of fromRoom.exits || []) {
+    const { from, to } = teleport;
+    if (from && to && near(from, fromTile) && leadsToTarget(to)) {
+      return to;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a client movement update against the authoritative player state.
+ * @param {Object} player    – authoritative { x, y, zone, roomId }
+ * @param {Object} moveState – per-connection { budget, lastMoveAt }, updated in place
+ * @param {Object} msg       – client { x, y, roomId, zone? }
+ * @param {number} now       – timestamp in ms
+ * @param {Object} world
+ * @param {Function} world.getRoom     – (zoneKey, roomId) => room JSON or null
+ * @param {Function} world.resolveZone – (zoneId) => zone key, or null if unknown
+ * @param {Function} world.maxSpeedAt  – (room, tx, ty) => fastest px/s on that tile
+ * @returns {{valid:boolean, error?:string, zone?:string}} zone is the accepted zone key
+ */
+function validateMove(player, moveState, msg, now, world) {
+  if (!Number.isFinite(msg.x) || !Number.isFinite(msg.y) || !Number.isInteger(msg.roomId)) {
+    return { valid: false, error: 'Invalid movement data' };
+  }
+  const targetZone = msg.zone === undefined ? player.zone : world.resolveZone(msg.zone);
+  if (targetZone === null) {
+    return { valid: false, error: 'Unknown zone' };
+  }
+  const targetRoom = world.getRoom(targetZone, msg.roomId);
+  if (!targetRoom || !Array.isArray(targetRoom.tiles)) {
+    return { valid: false, error: 'Unknown room' };
+  }
+  const destTile = { x: pixelToTile(msg.x), y: pixelToTile(msg.y) };
+  if (!targetRoom.tiles[destTile.y]?.[destTile.x]) {
+    return { valid: false, error: 'Out of room bounds' };
+  }
+  if (!isPassableTile(targetRoom, destTile.x, destTile.y)) {
+    return { valid: false, error: 'Tile is blocked' };
+  }
+
+  // Refill the movement budget for the time elapsed since the last update, at the
+  // fastest speed the tiles being left or entered allow
+  const fromRoom = world.getRoom(player.zone, player.roomId);
+  const fromTile = { x: pixelToTile(player.x), y: pixelToTile(player.y) };
+  const maxSpeed = Math.max(
+    world.maxSpeedAt(fromRoom, fromTile.x, fromTile.y),
+    world.maxSpeedAt(targetRoom, destTile.x, destTile.y)
+  );
+  const elapsed = moveState.lastMoveAt === null ? 0 : now - moveState.lastMoveAt;
+  const budget = Math.min(
+    PLAYER_MOVE_BURST,
+    moveState.budget + (maxSpeed * Math.max(0, elapsed)) / 1000
+  );
+  moveState.lastMoveAt = now;
+  moveState.budget = budget;
+
+  if (targetZone !== player.zone || msg.roomId !== player.roomId) {
+    const target = { zone: targetZone, roomId: msg.roomId };
+    const exit =
+      fromRoom &&
+      findRoomTransition(fromRoom, player.zone, fromTile, target, destTile, world.resolveZone);
+    if (!exit) {
+      return { valid: false, error: 'Illegal room transition' };
+    }
+    // Crossing an exit relocates the player; distance is not comparable.
+    return { valid: true, zone: targetZone };
+  }
+
+  const distance = Math.hypot(msg.x - player.x, msg.y - player.y);
+  if (distance > budget) {
+    return { valid: false, error: 'Moving too fast' };
+  }
+  if (!isPassableSegment(targetRoom, player.x, player.y, msg.x, msg.y)) {
+    return { valid: false, error: 'Path is blocked' };
+  }
+  moveState.budget = budget - distance;
+  return { valid: true, zone: targetZone };
+}
+
+module.exports = {
+  TILE_SIZE,
+  PLAYER_MOVE_BURST,
+  pixelToTile,
+  isPassableTile,
+  isPassableSegment,
+  findRoomTransition,
+  validateMove,
+};
@@ -0,0 +1,121 @@
+/**
+ * good-fido: NPC event hooks
+ * --------------------------------------
+ * - Besides onTick, getContextMenu and onContextAction, behaviors may export
+ *   event hooks, so NPCs can react instead of polling every tick:
+ *     onSpawn(npc, gameState)                     – placed in the world (server start)
+ *     onPathComplete(npc, gameState)              – finished a walk (roaming or moveTo)
+ *     onPlayerEnter(npc, player, event, gameState) / onPlayerLeave(...)
+ *         event.scope: 'room' (the NPC's room) or 'proximity' (within the
+ *         template's `proximityRadius` tiles)
+ *     onSpeak(npc, player, event, gameState)      – event { text, channel }: said in
+ *         the NPC's room, or shouted within earshot
+ *     onItemGiven(npc, player, event, gameState)  – event { item, instanceId }; return
+ *         false to refuse the item (a hook that throws or times out refuses it too)
+ * - Enter/leave hooks fire once per change: each NPC remembers who was in its
+ *   room and proximity when last updated, and only the difference is reported.
+ * - Hooks run through the script runtime (server/scripting.js) with the
+ *   gameState API appended to their arguments.
+ */
+
+const { tileDistance } = require('./roaming');
+
+// Default for an NPC template's `proximityRadius`, in tiles
+const NPC_PROXIMITY_RADIUS = 3;
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.runtime           – script runtime ({ has, call, tryCall })
+ * @param {Function} deps.apiFor          – (npc) => gameState API
+ * @param {Function} deps.playersInRoom   – (zone, roomId) => player views ({ id, x, y } in tiles, ...)
+ * @param {Function} [deps.proximityRadius] – (npc) => tiles
+ * @param {number} deps.shoutRadius       – tiles a shout carries
+ */
+function createNpcEvents({
+  runtime,
+  apiFor,
+  playersInRoom,
+  proximityRadius = () => NPC_PROXIMITY_RADIUS,
+  shoutRadius,
+}) {
+  // npc instanceId -> { room, proximity }: Maps of playerId -> last script view of that player
+  const awareness = new Map();
+
+  /** Call an NPC behavior hook with the gameState API appended; undefined if it has none. */
+  function dispatch(npc, hook, ...args) {
+    if (!runtime.has(npc.behavior, hook)) return undefined;
+    return runtime.call(npc.behavior, hook, [npc, ...args, apiFor(npc)]);
+  }
+
+  /** Compare who is in an NPC's room and proximity with last time; fire enter/leave hooks. */
+  function updateAwareness(npc) {
+    const listening =
+      runtime.has(npc.behavior, 'onPlayerEnter') || runtime.has(npc.behavior, 'onPlayerLeave');
+    if (!listening) {
+      awareness.delete(npc.instanceId);
+      return;
+    }
+    const before = awareness.get(npc.instanceId) || { room: new Map(), proximity: new Map() };
+    const now = { room: new Map(), proximity: new Map() };
+    const radius = proximityRadius(npc);
+    playersInRoom(npc.zone, npc.roomId).forEach((view) => {
+      now.room.set(view.id, view);
+      if (tileDistance(view, npc) <= radius) now.proximity.set(view.id, view);
+    });
+    awareness.set(npc.instanceId, now);
+
+    const left = (scope) =>
+      before[scope].forEach((view, id) => {
+        if (!now[scope].has(id)) dispatch(npc, 'onPlayerLeave', view, { scope });
+      });
+    const entered = (scope) =>
+      now[scope].forEach((view, id) => {
+        if (!before[scope].has(id)) dispatch(npc, 'onPlayerEnter', view, { scope });
+      });
+    // Walking away leaves the proximity before the room; arriving is the reverse
+    left('proximity');
+    left('room');
+    entered('room');
+    entered('proximity');
+  }
+
+  /** Forget who an NPC knows about (behavior reloaded), so enter hooks fire again. */
+  function forget(npc) {
+    awareness.delete(npc.instanceId);
+  }
+
+  /**
+   * Let NPCs within earshot of a say/shout react to it.
+   * @param {Array<Object>} npcs
+   * @param {Object} speaker – the speaker's player view (zone, roomId, tile x/y)
+   */
+  function notifySpeech(npcs, speaker, channel, text) {
+    if (channel !== 'say' && channel !== 'shout') return;
+    npcs.forEach((npc) => {
+      if (npc.zone !== speaker.zone || npc.roomId !== speaker.roomId) return;
+      if (channel === 'shout' && tileDistance(speaker, npc) > shoutRadius) return;
+      dispatch(npc, 'onSpeak', speaker, { text, channel });
+    });
+  }
+
+  /**
+   * Offer an item to an NPC through its onItemGiven hook.
+   * @param {Object} event – { item, instanceId }
+   * @returns {'accepted'|'refused'|'unwanted'} unwanted: the behavior has no onItemGiven
+   */
+  function offerItem(npc, player, event) {
+    if (!runtime.has(npc.behavior, 'onItemGiven')) return 'unwanted';
+    // A hook that failed has not agreed to anything
+    const { ok, value } = runtime.tryCall(npc.behavior, 'onItemGiven', [
+      npc,
+      player,
+      event,
+      apiFor(npc),
+    ]);
+    return ok && value !== false ? 'accepted' : 'refused';
+  }
+
+  return { dispatch, updateAwareness, forget, notifySpeech, offerItem };
+}
+
+module.exports = { NPC_PROXIMITY_RADIUS, createNpcEvents };
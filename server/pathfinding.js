@@ -0,0 +1,207 @@
+/**
+ * good-fido: Pathfinding
+ * --------------------------------------
+ * - Weighted A* over room tiles. The caller prices each tile (physics such as
+ *   slowFactor and hazards, objects, other NPCs); Infinity means blocked.
+ *   Void and out-of-room tiles are always blocked.
+ * - Optional diagonal steps, which never cut the corner of a blocked tile.
+ * - Optional cross-room plans: a tile's `tileExits` and the room's teleport
+ *   `exits` become extra edges into the target room.
+ * - Paths are returned as legs split at every exit taken: [{ zone, roomId,
+ *   path }], where `path` lists the leg's [x, y] tiles including its first.
+ */
+
+const DIRECTION_STEPS = {
+  up: [0, -1],
+  down: [0, 1],
+  left: [-1, 0],
+  right: [1, 0],
+};
+const DIAGONAL_STEPS = [
+  [1, 1],
+  [1, -1],
+  [-1, 1],
+  [-1, -1],
+];
+// Cost of taking an exit into another room (on top of the destination tile's cost)
+const EXIT_COST = 1;
+// Give up after expanding this many tiles (keeps one bad request from stalling the tick)
+const MAX_EXPANSIONS = 20000;
+
+/** Minimal binary min-heap keyed by `priority`. */
+function createHeap() {
+  const items = [];
+  const swap = (i, j) => ([items[i], items[j]] = [items[j], items[i]]);
+  return {
+    get size() {
+      return items.length;
+    },
+    push(item) {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (items[parent].priority <= items[i].priority) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = i * 2 + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < items.length && items[left].priority < items[smallest].priority) {
+            smallest = left;
+          }
+          if (right < items.length && items[right].priority < items[smallest].priority) {
+            smallest = right;
+          }
+          if (smallest === i) break;
+          swap(i, smallest);
+          i = smallest;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+/**
+ * Create a pathfinder over the world's rooms.
+ * @param {Object} deps
+ * @param {Function} deps.getRoom – (zoneKey, roomId) => room JSON or null
+ * @param {Function} deps.resolveZoneKey – (zoneId) => zone key or null
+ */
+function createPathfinder({ getRoom, resolveZoneKey }) {
+  const nodeKey = (zone, roomId, x, y) => `${zone},${roomId},${x},${y}`;
+
+  function isOpen(room, x, y) {
+    const tile = room.tiles[y]?.[x];
+    return !!tile && tile.terrain !== 'void';
+  }
+
+  /** Rooms reachable from a tile through its tileExits, and teleports standing on it. */
+  function exitTargets(zone, room, x, y) {
+    const targets = [];
+    const tileExits = room.tiles[y][x].tileExits;
+    Object.values(tileExits || {}).forEach((exit) => exit && targets.push(exit));
+    (room.exits || []).forEach(({ from, to }) => {
+      if (from && to && from.x === x && from.y === y) targets.push(to);
+    });
+    return targets
+      .map((to) => ({
+        zone: to.zoneId === undefined ? zone : resolveZoneKey(to.zoneId),
+        roomId: to.roomId,
+        x: to.x,
+        y: to.y,
+      }))
+      .filter((to) => to.zone !== null && Number.isInteger(to.roomId));
+  }
+
+  /**
+   * Find the cheapest path between two tiles.
+   * @param {{zone:string, roomId:number, x:number, y:number}} from
+   * @param {{zone:string, roomId:number, x:number, y:number}} to
+   * @param {Object} options
+   * @param {Function} options.tileCost – (zone, roomId, x, y) => cost of entering the tile
+   *   (1 = plain walking; Infinity = blocked)
+   * @param {boolean} [options.diagonal=false] – allow diagonal steps
+   * @param {boolean} [options.crossRooms=false] – follow tileExits/exits into other rooms
+   * @param {number} [options.minTileCost=1] – cheapest possible tile (keeps the heuristic admissible)
+   * @returns {Array<{zone:string, roomId:number, path:Array<[number,number]>}>|null}
+   */
+  function findPath(from, to, options) {
+    const { tileCost, diagonal = false, crossRooms = false, minTileCost = 1 } = options;
+    const goalKey = nodeKey(to.zone, to.roomId, to.x, to.y);
+    const steps = diagonal
+      ? [...Object.values(DIRECTION_STEPS), ...DIAGONAL_STEPS]
+      : Object.values(DIRECTION_STEPS);
+
+    // Distance estimate; zero outside the goal room since exits may jump anywhere
+    const heuristic = (node) => {
+      if (node.zone !== to.zone || node.roomId !== to.roomId) return 0;
+      const dx = Math.abs(node.x - to.x);
+      const dy = Math.abs(node.y - to.y);
+      const tiles = diagonal ? Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy) : dx + dy;
+      return tiles * minTileCost;
+    };
+
+    const startRoom = getRoom(from.zone, from.roomId);
+    const goalRoom = getRoom(to.zone, to.roomId);
+    if (!startRoom || !goalRoom || !isOpen(goalRoom, to.x, to.y)) return null;
+
+    const start = { ...from, cost: 0, parent: null };
+    const best = new Map([[nodeKey(from.zone, from.roomId, from.x, from.y), start]]);
+    const open = createHeap();
+    open.push({ node: start, priority: heuristic(start) });
+    let expansions = 0;
+
+    while (open.size && expansions < MAX_EXPANSIONS) {
+      const { node } = open.pop();
+      const key = nodeKey(node.zone, node.roomId, node.x, node.y);
+      if (best.get(key) !== node) continue; // superseded by a cheaper route
+      if (key === goalKey) return toLegs(node);
+      expansions++;
+
+      const room = getRoom(node.zone, node.roomId);
+      const blocked = (x, y) =>
+        !isOpen(room, x, y) || !(tileCost(node.zone, node.roomId, x, y) < Infinity);
+      const neighbours = [];
+      steps.forEach(([dx, dy]) => {
+        const x = node.x + dx;
+        const y = node.y + dy;
+        // No squeezing diagonally past a blocked corner
+        if (
+          blocked(x, y) ||
+          (dx && dy && (blocked(node.x + dx, node.y) || blocked(node.x, node.y + dy)))
+        ) {
+          return;
+        }
+        const stepLength = dx && dy ? Math.SQRT2 : 1;
+        neighbours.push({ zone: node.zone, roomId: node.roomId, x, y, stepLength, viaExit: false });
+      });
+      if (crossRooms) {
+        exitTargets(node.zone, room, node.x, node.y).forEach((target) => {
+          const targetRoom = getRoom(target.zone, target.roomId);
+          if (!targetRoom || !isOpen(targetRoom, target.x, target.y)) return;
+          neighbours.push({ ...target, stepLength: 1, viaExit: true });
+        });
+      }
+
+      neighbours.forEach(({ zone, roomId, x, y, stepLength, viaExit }) => {
+        const cost = tileCost(zone, roomId, x, y);
+        if (!(cost < Infinity)) return;
+        const total = node.cost + cost * stepLength + (viaExit ? EXIT_COST : 0);
+        const nextKey = nodeKey(zone, roomId, x, y);
+        const known = best.get(nextKey);
+        if (known && known.cost <= total) return;
+        const next = { zone, roomId, x, y, viaExit, cost: total, parent: node };
+        best.set(nextKey, next);
+        open.push({ node: next, priority: total + heuristic(next) });
+      });
+    }
+    return null;
+  }
+
+  /** Walk parent links back to the start and split the route at every exit taken. */
+  function toLegs(goal) {
+    const nodes = [];
+    for (let node = goal; node; node = node.parent) nodes.unshift(node);
+    const legs = [];
+    nodes.forEach(({ zone, roomId, x, y, viaExit }) => {
+      if (!legs.length || viaExit) legs.push({ zone, roomId, path: [] });
+      legs[legs.length - 1].path.push([x, y]);
+    });
+    return legs;
+  }
+
+  return { findPath };
+}
+
+module.exports = { createPathfinder };
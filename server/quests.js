@@ -0,0 +1,165 @@
+/**
+ * good-fido: Quests
+ * --------------------------------------
+ * - Quests are data (quests.json, keyed by quest id):
+ *   { name, description?, start?, steps: [{ text, <trigger> }], reward?: { coins?, items? } }
+ * - A trigger is one of { pickup: <item key> }, { talk: <NPC name> },
+ *   { enter: { zone, roomId } } or { event: <name> } (raised by behavior
+ *   modules and dialogue actions). `start` is a trigger too; quests without
+ *   one are only started by scripts.
+ * - A step is done when its trigger fires. A `pickup` step that becomes
+ *   current while the player already carries the item is done right away.
+ * - Per-player progress lives in the player file:
+ *   quests: { <id>: { step, done } }, `step` being the current step's index.
+ */
+
+const TRIGGER_KEYS = ['pickup', 'talk', 'enter', 'event'];
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isText = (value) => typeof value === 'string' && value.length > 0;
+
+function validateTrigger(trigger, where) {
+  const key = isPlainObject(trigger) && TRIGGER_KEYS.find((k) => k in trigger);
+  if (!key) return { valid: false, error: `${where} needs one of ${TRIGGER_KEYS.join(', ')}` };
+  if (key === 'enter') {
+    const target = trigger.enter;
+    if (!isPlainObject(target) || target.zone === undefined || !Number.isInteger(target.roomId)) {
+      return { valid: false, error: `${where}: "enter" needs { zone, roomId }` };
+    }
+  } else if (!isText(trigger[key])) {
+    return { valid: false, error: `${where}: "${key}" must be a name` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Check a quest definition.
+ * @returns {{valid:boolean, error?:string}}
+ */
+function validateQuest(quest) {
+  if (!isPlainObject(quest) || !isText(quest.name)) {
+    return { valid: false, error: 'Quest needs a "name"' };
+  }
+  if (quest.start !== undefined) {
+    const start = validateTrigger(quest.start, '"start"');
+    if (!start.valid) return start;
+  }
+  if (!Array.isArray(quest.steps) || !quest.steps.length) {
+    return { valid: false, error: 'Quest needs a list of "steps"' };
+  }
+  for (const [index, step] of quest.steps.entries()) {
+    const where = `Step ${index}`;
+    if (!isPlainObject(step) || !isText(step.text)) {
+      return { valid: false, error: `${where} needs "text"` };
+    }
+    const trigger = validateTrigger(step, where);
+    if (!trigger.valid) return trigger;
+  }
+  return { valid: true };
+}
+
+/**
+ * Does a trigger fire for a game event?
+ * @param {Object} trigger
+ * @param {{type:string, item?:string, npc?:string, zone?:string, roomId?:number, name?:string}} event
+ */
+function matchesTrigger(trigger, event) {
+  if (!trigger) return false;
+  switch (event.type) {
+    case 'pickup':
+      return trigger.pickup === event.item;
+    case 'talk':
+      return isText(trigger.talk) && trigger.talk.toLowerCase() === event.npc.toLowerCase();
+    case 'enter':
+      return (
+        isPlainObject(trigger.enter) &&
+        String(trigger.enter.zone) === String(event.zone) &&
+        trigger.enter.roomId === event.roomId
+      );
+    case 'event':
+      return trigger.event === event.name;
+    default:
+      return false;
+  }
+}
+
+/** Move past steps that are already done (items already carried); mark the quest done at the end. */
+function settle(quest, progress, holds, updates, questId) {
+  while (progress.step < quest.steps.length) {
+    const step = quest.steps[progress.step];
+    if (!(isText(step.pickup) && holds(step.pickup))) break;
+    progress.step++;
+    updates.push({ questId, kind: 'step' });
+  }
+  if (progress.step >= quest.steps.length) {
+    progress.done = true;
+    updates.push({ questId, kind: 'completed' });
+  }
+}
+
+/**
+ * Start a quest for a player unless they already have it.
+ * @param {Object} quests – definitions by id
+ * @param {Object} state – the player's `quests`, updated in place
+ * @param {Function} holds – (item key) => true if the player carries one
+ * @returns {Array<{questId:string, kind:string}>} what changed
+ */
+function startQuest(quests, state, questId, holds) {
+  // Own keys only: ids like "constructor" come from scripts and dialogue content
+  if (!Object.hasOwn(quests, questId) || Object.hasOwn(state, questId)) return [];
+  const quest = quests[questId];
+  const updates = [{ questId, kind: 'started' }];
+  state[questId] = { step: 0, done: false };
+  settle(quest, state[questId], holds, updates, questId);
+  return updates;
+}
+
+/**
+ * Apply a game event to a player's quests: start quests whose `start` fires
+ * and advance those whose current step's trigger fires.
+ * @returns {Array<{questId:string, kind:'started'|'step'|'completed'}>} what changed
+ */
+function applyEvent(quests, state, event, holds) {
+  const updates = [];
+  Object.entries(quests).forEach(([questId, quest]) => {
+    const progress = state[questId];
+    if (!progress) {
+      if (matchesTrigger(quest.start, event)) {
+        updates.push(...startQuest(quests, state, questId, holds));
+      }
+      return;
+    }
+    if (progress.done || !matchesTrigger(quest.steps[progress.step], event)) return;
+    progress.step++;
+    updates.push({ questId, kind: 'step' });
+    settle(quest, progress, holds, updates, questId);
+  });
+  return updates;
+}
+
+/**
+ * The player's quest log for the client: started quests with their finished
+ * steps and the current one.
+ * @returns {Array<{id:string, name:string, description:string, done:boolean, steps:Array<{text:string, done:boolean}>}>}
+ */
+function questLog(quests, state) {
+  return Object.entries(state)
+    .filter(([questId]) => quests[questId])
+    .map(([questId, progress]) => {
+      const quest = quests[questId];
+      const shown = Math.min(progress.step + 1, quest.steps.length);
+      const steps = quest.steps.slice(0, shown).map((step, index) => ({
+        text: step.text,
+        done: progress.done || index < progress.step,
+      }));
+      return {
+        id: questId,
+        name: quest.name,
+        description: quest.description || '',
+        done: progress.done,
+        steps,
+      };
+    });
+}
+
+module.exports = { validateQuest, matchesTrigger, startQuest, applyEvent, questLog };
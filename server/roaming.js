@@ -0,0 +1,198 @@
+/**
+ * good-fido: NPC roaming
+ * --------------------------------------
+ * - Each `roam.type` picks where an NPC walks next: `random` (anywhere free it
+ *   may go), `wander` (within `radius` of its spawn), `patrol` (its room
+ *   entry's waypoints in order, looping), `follow` and `flee` (the nearest
+ *   players). The caller plans and walks the route (see pathfinding.js).
+ * - `roam.constrain` decides which rooms an NPC may enter: "room" (default,
+ *   its home room), "zone" (its home zone) or "region" (rooms sharing its
+ *   home room's `region` tag).
+ * - Targets are { zone?, roomId?, x, y, stopShort? }, defaulting to the NPC's
+ *   current room, or null to stay put this tick.
+ */
+
+const { isPassableTile } = require('./movement');
+
+// Roam settings not given in npcs.json or the room's npcs[] entry
+const ROAM_DEFAULTS = {
+  frequency: 100, // % chance per tick to start a move
+  rate: 1, // walking speed multiplier
+  minDuration: 1, // random: shortest walk worth taking, in tiles
+  maxDuration: Infinity, // longest single walk, in tiles
+  radius: 4, // wander: distance from spawn; flee: how close a player must be
+  distance: 1, // follow: tiles to keep from the player
+};
+
+const tileDistance = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+
+const constraintOf = (npc) => (npc.roam && npc.roam.constrain) || 'room';
+
+/**
+ * Pick a random tile in the room. With `passableOnly`, void tiles and tiles
+ * for which `isBlocked(x, y)` is true are never picked.
+ * @returns {{x:number, y:number}|null} null if no tile qualifies
+ */
+function pickRandomTile(
+  roomDef,
+  passableOnly = true,
+  isBlocked = () => false,
+  random = Math.random
+) {
+  const coords = [];
+  for (let y = 0; y < roomDef.tiles.length; y++) {
+    for (let x = 0; x < roomDef.tiles[y].length; x++) {
+      if (passableOnly && (!isPassableTile(roomDef, x, y) || isBlocked(x, y))) continue;
+      coords.push({ x, y });
+    }
+  }
+  return coords.length ? coords[Math.floor(random() * coords.length)] : null;
+}
+
+/**
+ * @param {Object} world
+ * @param {Function} world.getRoom       – (zone, roomId) => room JSON or null
+ * @param {Function} world.resolveZoneKey – (zoneId) => zone key or null
+ * @param {Function} world.tileCost      – (npc) => (zone, roomId, x, y) => number (Infinity = blocked)
+ * @param {Function} world.playerTiles   – (zone, roomId) => [{ id, x, y }] of players there
+ * @param {Function} [world.random]      – Math.random stand-in
+ */
+function createRoaming({ getRoom, resolveZoneKey, tileCost, playerTiles, random = Math.random }) {
+  /** Whether an NPC's `roam.constrain` lets it into a room. */
+  function mayEnterRoom(npc, zone, roomId) {
+    const { home } = npc;
+    const constrain = constraintOf(npc);
+    if (constrain === 'zone') return zone === home.zone;
+    if (constrain === 'region') {
+      const region = getRoom(home.zone, home.roomId)?.region;
+      if (region === undefined) return zone === home.zone && roomId === home.roomId;
+      return getRoom(zone, roomId)?.region === region;
+    }
+    return zone === home.zone && roomId === home.roomId;
+  }
+
+  /** Rooms reachable through a room's tileExits and teleport exits: [{ zone, roomId }]. */
+  function neighbourRooms(zone, roomId) {
+    const room = getRoom(zone, roomId);
+    if (!room || !Array.isArray(room.tiles)) return [];
+    const found = new Map();
+    const add = (to) => {
+      const toZone = to.zoneId === undefined ? zone : resolveZoneKey(to.zoneId);
+      if (toZone !== null && Number.isInteger(to.roomId)) {
+        found.set(`${toZone},${to.roomId}`, { zone: toZone, roomId: to.roomId });
+      }
+    };
+    room.tiles.forEach((row) =>
+      row.forEach((tile) =>
+        Object.values((tile && tile.tileExits) || {}).forEach((e) => e && add(e))
+      )
+    );
+    (room.exits || []).forEach(({ to }) => to && add(to));
+    found.delete(`${zone},${roomId}`);
+    return [...found.values()];
+  }
+
+  /** The NPC's current room and the neighbouring rooms its `roam.constrain` lets it into. */
+  function allowedRooms(npc) {
+    const rooms = [{ zone: npc.zone, roomId: npc.roomId }, ...neighbourRooms(npc.zone, npc.roomId)];
+    return rooms.filter(({ zone, roomId }) => mayEnterRoom(npc, zone, roomId));
+  }
+
+  /** A random tile in a room the NPC could stand on, optionally limited by `filter(x, y)`. */
+  function randomFreeTile(npc, zone, roomId, filter = () => true) {
+    const room = getRoom(zone, roomId);
+    if (!room) return null;
+    const cost = tileCost(npc);
+    const tile = pickRandomTile(
+      room,
+      true,
+      (x, y) => !filter(x, y) || cost(zone, roomId, x, y) === Infinity,
+      random
+    );
+    return tile && { zone, roomId, ...tile };
+  }
+
+  /** Where each `roam.type` sends an NPC next (see the module comment). */
+  const targets = {
+    // Anywhere free in this room or, when `constrain` allows, a neighbouring room
+    random(npc) {
+      const allowed = allowedRooms(npc);
+      if (!allowed.length) return null;
+      const { zone, roomId } = allowed[Math.floor(random() * allowed.length)];
+      return randomFreeTile(npc, zone, roomId);
+    },
+
+    // A free tile within `radius` of the spawn point
+    wander(npc, roam) {
+      const { home } = npc;
+      return randomFreeTile(
+        npc,
+        home.zone,
+        home.roomId,
+        (x, y) => tileDistance({ x, y }, home) <= roam.radius
+      );
+    },
+
+    // The room entry's `patrol` waypoints ({ x, y, roomId?, zoneId? }) in order, looping
+    patrol(npc) {
+      const points = npc.patrol;
+      if (!points || !points.length) return null;
+      const targetOf = (point) => ({
+        zone: point.zoneId === undefined ? npc.home.zone : resolveZoneKey(point.zoneId),
+        roomId: point.roomId === undefined ? npc.home.roomId : point.roomId,
+        x: point.x,
+        y: point.y,
+      });
+      let target = targetOf(points[npc.patrolIndex % points.length]);
+      const arrived =
+        target.zone === npc.zone && target.roomId === npc.roomId && tileDistance(target, npc) === 0;
+      if (arrived) {
+        npc.patrolIndex = (npc.patrolIndex + 1) % points.length;
+        target = targetOf(points[npc.patrolIndex]);
+      }
+      return target;
+    },
+
+    // The nearest player in the room, stopping `distance` tiles short
+    follow(npc, roam) {
+      const players = playerTiles(npc.zone, npc.roomId);
+      const nearest = players.sort((a, b) => tileDistance(a, npc) - tileDistance(b, npc))[0];
+      if (!nearest || tileDistance(nearest, npc) <= roam.distance) return null;
+      return { x: nearest.x, y: nearest.y, stopShort: roam.distance };
+    },
+
+    // Away from players within `radius`: the free tile nearby farthest from all of them
+    flee(npc, roam) {
+      const threats = playerTiles(npc.zone, npc.roomId).filter(
+        (p) => tileDistance(p, npc) <= roam.radius
+      );
+      if (!threats.length) return null;
+      const safety = (tile) => Math.min(...threats.map((p) => tileDistance(p, tile)));
+      const room = getRoom(npc.zone, npc.roomId);
+      if (!room) return null;
+      const cost = tileCost(npc);
+      let best = { x: npc.x, y: npc.y };
+      for (let y = npc.y - roam.radius; y <= npc.y + roam.radius; y++) {
+        for (let x = npc.x - roam.radius; x <= npc.x + roam.radius; x++) {
+          if (!room.tiles[y]?.[x] || cost(npc.zone, npc.roomId, x, y) === Infinity) continue;
+          if (safety({ x, y }) > safety(best)) best = { x, y };
+        }
+      }
+      return best.x === npc.x && best.y === npc.y ? null : best;
+    },
+  };
+
+  /**
+   * The next target for an NPC's `roam.type`, or null (unknown type, or nowhere to go).
+   * @param {Object} npc
+   * @param {Object} roam – the NPC's roam settings merged over ROAM_DEFAULTS
+   */
+  function pickTarget(npc, roam) {
+    const pick = Object.prototype.hasOwnProperty.call(targets, roam.type) && targets[roam.type];
+    return pick ? pick(npc, roam) : null;
+  }
+
+  return { mayEnterRoom, neighbourRooms, allowedRooms, pickTarget };
+}
+
+module.exports = { ROAM_DEFAULTS, tileDistance, constraintOf, pickRandomTile, createRoaming };
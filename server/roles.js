@@ -0,0 +1,90 @@
+/**
+ * good-fido: Player roles and permissions
+ * --------------------------------------
+ * - Roles, lowest to highest: player, builder, moderator, admin. Each role
+ *   has every permission of the roles below it.
+ * - PERMISSIONS maps every client message type ("message:<type>") and slash
+ *   command ("command:<name>") to the lowest role allowed to use it.
+ *   Anything not listed is refused.
+ * - Player files store `role`; older files only have a numeric `privilege`,
+ *   where 10 meant "may edit the world" and maps to admin.
+ */
+
+const ROLES = ['player', 'builder', 'moderator', 'admin'];
+const DEFAULT_ROLE = 'player';
+const LEGACY_ADMIN_PRIVILEGE = 10;
+
+const PERMISSIONS = {
+  // Client -> server messages
+  'message:update': 'player',
+  'message:pickup': 'player',
+  'message:drop': 'player',
+  'message:chat': 'player',
+  'message:chat-mute': 'player',
+  'message:command': 'player',
+  'message:request-objects-and-npcs': 'player',
+  'message:get-context-menu': 'player',
+  'message:context-action': 'player',
+  'message:give-item': 'player',
+  'message:dialogue-choice': 'player',
+  'message:dialogue-end': 'player',
+  'message:examine': 'player',
+  'message:shop-buy': 'player',
+  'message:shop-sell': 'player',
+  'message:container-put': 'player',
+  'message:container-take': 'player',
+  'message:equip': 'player',
+  'message:unequip': 'player',
+  'message:edit-tile': 'builder',
+  'message:edit-tile-behavior': 'builder',
+  'message:edit-tile-exits': 'builder',
+  'message:resize-room': 'builder',
+
+  // Slash commands
+  'command:who': 'player',
+  'command:where': 'player',
+  'command:time': 'player',
+  'command:emote': 'player',
+  'command:goto': 'builder',
+  'command:spawn': 'builder',
+  'command:summon': 'moderator',
+  'command:kick': 'moderator',
+  'command:role': 'admin',
+};
+
+function isRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Role stored in a player record, migrating legacy `privilege` values.
+ * @param {{role?:string, privilege?:number}} record
+ * @returns {string}
+ */
+function roleOfRecord(record) {
+  if (record && isRole(record.role)) return record.role;
+  if (record && record.privilege >= LEGACY_ADMIN_PRIVILEGE) return 'admin';
+  return DEFAULT_ROLE;
+}
+
+/** True if `role` may use `permission` (e.g. "message:edit-tile"). */
+function can(role, permission) {
+  const required = PERMISSIONS[permission];
+  if (!required || !isRole(role)) return false;
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/** Every permission `role` holds, for the client to decide what UI to show. */
+function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter((permission) => can(role, permission));
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  isRole,
+  roleOfRecord,
+  can,
+  permissionsFor,
+};
@@ -0,0 +1,116 @@
+/**
+ * good-fido: Server-side room cache
+ * --------------------------------------
+ * - Lazily loads room JSON (world/<zone path>/<roomId>.json) on first use.
+ * - Keeps parsed rooms in memory keyed by "zoneKey,roomId".
+ * - Edits go through saveRoom(), which persists to disk and drops the cached
+ *   copy if the write fails so the next read reflects what is on disk.
+ *
+ * Consumers (movement validation, NPC roaming, editors) share the cached room
+ * objects; mutate them only when you intend to save them back.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a room cache bound to a world manifest.
+ * @param {Object} deps
+ * @param {string} deps.worldDir   – absolute path of the world/ directory
+ * @param {Object} deps.worldData  – parsed world.json (`zones` map or array)
+ * @param {Function} [deps.logError] – (category, error, context) logger
+ */
+function createRoomCache({ worldDir, worldData, logError = console.error }) {
+  const rooms = new Map(); // "zoneKey,roomId" -> room JSON
+
+  const cacheKey = (zoneKey, roomId) => `${zoneKey},${roomId}`;
+
+  /** Directory of a zone, or null if the zone key is unknown. */
+  function zoneDir(zoneKey) {
+    const zoneDef = worldData.zones[zoneKey];
+    if (!zoneDef) return null;
+    const zonePath = typeof zoneDef === 'string' ? zoneDef : zoneDef.path;
+    return path.join(worldDir, zonePath);
+  }
+
+  /** Absolute path of a room file, or null if the zone/room id is invalid. */
+  function roomFilePath(zoneKey, roomId) {
+    const dir = zoneDir(zoneKey);
+    if (!dir || !Number.isInteger(roomId) || roomId < 0) return null;
+    return path.join(dir, `${roomId}.json`);
+  }
+
+  /**
+   * Get a room definition, loading it from disk on first access.
+   * @returns {Object|null} room JSON, or null if missing/unreadable
+   */
+  function getRoom(zoneKey, roomId) {
+    const key = cacheKey(zoneKey, roomId);
+    if (rooms.has(key)) return rooms.get(key);
+
+    const filePath = roomFilePath(zoneKey, roomId);
+    if (!filePath || !fs.existsSync(filePath)) return null;
+    try {
+      const roomJson = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!Array.isArray(roomJson.tiles)) return null;
+      rooms.set(key, roomJson);
+      return roomJson;
+    } catch (error) {
+      logError('ROOM_LOAD', error, { zoneKey, roomId });
+      return null;
+    }
+  }
+
+  /**
+   * Persist a (possibly mutated) room and keep it as the cached copy.
+   * On failure the cache entry is invalidated.
+   * @returns {{success:boolean, error?:string}}
+   */
+  function saveRoom(zoneKey, roomId, roomJson) {
+    const filePath = roomFilePath(zoneKey, roomId);
+    if (!filePath) return { success: false, error: 'Unknown room' };
+    try {
+      fs.writeFileSync(filePath, JSON.stringify(roomJson, null, 2));
+      rooms.set(cacheKey(zoneKey, roomId), roomJson);
+      return { success: true };
+    } catch (error) {
+      logError('ROOM_SAVE', error, { zoneKey, roomId });
+      invalidate(zoneKey, roomId);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /** Drop one room from the cache; the next getRoom() re-reads the file. */
+  function invalidate(zoneKey, roomId) {
+    rooms.delete(cacheKey(zoneKey, roomId));
+  }
+
+  /**
+   * Room ids of a zone: from the zone's index.json if present, else the
+   * `rooms` list in world.json, else numeric *.json files in the directory.
+   * @returns {number[]}
+   */
+  function listRoomIds(zoneKey) {
+    const dir = zoneDir(zoneKey);
+    if (!dir) return [];
+    const indexPath = path.join(dir, 'index.json');
+    try {
+      if (fs.existsSync(indexPath)) {
+        const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+        if (Array.isArray(index.rooms)) return index.rooms.map((r) => r.id);
+      }
+    } catch (error) {
+      logError('ROOM_INDEX', error, { zoneKey });
+    }
+    const zoneDef = worldData.zones[zoneKey];
+    if (zoneDef && Array.isArray(zoneDef.rooms)) return zoneDef.rooms.slice();
+    return fs
+      .readdirSync(dir)
+      .filter((file) => /^\d+\.json$/.test(file))
+      .map((file) => parseInt(file, 10));
+  }
+
+  return { getRoom, saveRoom, invalidate, listRoomIds, roomFilePath };
+}
+
+module.exports = { createRoomCache };
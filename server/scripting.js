@@ -0,0 +1,190 @@
+/**
+ * good-fido: Behavior scripting runtime
+ * --------------------------------------
+ * - Behavior modules (assets/npcs/behaviors/*.js) run in their own `vm`
+ *   context: `module`/`exports` and a prefixed `console`, no `require` or
+ *   `process`. Everything else a script needs comes through the gameState
+ *   API passed to its hooks (built in server.js, documented in
+ *   assets/npcs/behaviors/_TEMPLATE.js).
+ * - Every hook call and timer callback runs with a CPU time limit; a
+ *   behavior that keeps timing out is disabled until its file is reloaded.
+ *   Hooks are synchronous: async ones are refused, and a hook that returns a
+ *   promise counts as failed. Promise jobs a call queues anyway run before it
+ *   returns, inside its limit.
+ * - The sandbox keeps runaway or buggy content from stalling the server. It
+ *   is not a security boundary against hostile code: objects handed to
+ *   scripts belong to the server's realm.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// CPU time a single hook call or timer callback may use, in ms
+const DEFAULT_TIMEOUT_MS = 50;
+// Consecutive timeouts after which a behavior is switched off
+const MAX_STRIKES = 3;
+// Pending timers per owner (NPC), and the shortest delay allowed, in ms
+const MAX_TIMERS_PER_OWNER = 16;
+const MIN_TIMER_DELAY_MS = 50;
+
+// Calls the function placed in the context, so the call itself runs under the time limit.
+// Async hooks are refused before they start, and a promise result counts as a failure.
+// It always completes (errors are stashed, not thrown): a script that throws skips the
+// context's microtask drain, which would leave queued jobs for the next call.
+const invokeScript = new vm.Script(`
+  try {
+    const tag = Object.prototype.toString.call(__invoke.fn);
+    __invoke.async = tag === '[object AsyncFunction]' || tag === '[object AsyncGeneratorFunction]';
+    if (!__invoke.async) {
+      __invoke.result = __invoke.fn.apply(undefined, __invoke.args);
+      __invoke.async = __invoke.result instanceof Promise;
+      if (__invoke.async) __invoke.result.catch(() => {});
+    }
+  } catch (error) {
+    __invoke.threw = true;
+    __invoke.error = error;
+  }
+`);
+
+/**
+ * Create a script runtime.
+ * @param {Object} deps
+ * @param {Function} [deps.logError] – (category, error, context) logger
+ * @param {number} [deps.timeoutMs]
+ */
+function createScriptRuntime({ logError = console.error, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const timers = new Map(); // owner -> Set of timeout handles
+
+  /**
+   * Compile and run a behavior file in a fresh context.
+   * @param {string} filePath – absolute path
+   * @returns {{file:string, hooks:Object, context:Object, strikes:number, disabled:boolean}}
+   * @throws on syntax errors, errors or timeouts while the module body runs
+   */
+  function load(filePath) {
+    const file = path.basename(filePath);
+    const sandboxModule = { exports: {} };
+    const prefix = `[${file}]`;
+    const context = vm.createContext(
+      {
+        module: sandboxModule,
+        exports: sandboxModule.exports,
+        console: {
+          log: (...args) => console.log(prefix, ...args),
+          warn: (...args) => console.warn(prefix, ...args),
+          error: (...args) => console.error(prefix, ...args),
+        },
+      },
+      // Run queued promise jobs at the end of each evaluation, under its timeout
+      { microtaskMode: 'afterEvaluate' }
+    );
+    const source = fs.readFileSync(filePath, 'utf8');
+    new vm.Script(source, { filename: filePath }).runInContext(context, { timeout: timeoutMs });
+    return {
+      file,
+      hooks: sandboxModule.exports || {},
+      context,
+      strikes: 0,
+      disabled: false,
+      // Behaviors ride along on NPC objects; keep them out of saved state and messages
+      toJSON: () => undefined,
+    };
+  }
+
+  /**
+   * Run `fn(...args)` inside the behavior's context under the time limit.
+   * @returns {{ok:boolean, value:*}} ok is false if the behavior is disabled or the call failed
+   */
+  function invoke(behavior, fn, args, label) {
+    if (behavior.disabled) return { ok: false, value: undefined };
+    const pending = { fn, args, result: undefined, async: false, threw: false, error: undefined };
+    behavior.context.__invoke = pending;
+    try {
+      invokeScript.runInContext(behavior.context, { timeout: timeoutMs });
+      if (pending.threw) throw pending.error;
+      if (pending.async) throw new TypeError(`${label} must not be async or return a promise`);
+      behavior.strikes = 0;
+      return { ok: true, value: pending.result };
+    } catch (error) {
+      const timedOut = error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+      if (timedOut && ++behavior.strikes >= MAX_STRIKES) {
+        behavior.disabled = true;
+      }
+      logError('BEHAVIOR_SCRIPT', error, {
+        file: behavior.file,
+        hook: label,
+        disabled: behavior.disabled,
+      });
+      return { ok: false, value: undefined };
+    } finally {
+      behavior.context.__invoke = null;
+    }
+  }
+
+  /** True if the behavior exports a hook of that name. */
+  function has(behavior, hook) {
+    return !!behavior && !behavior.disabled && typeof behavior.hooks[hook] === 'function';
+  }
+
+  /**
+   * Call a hook and report whether it ran, for callers that must tell a failed
+   * hook from one that returned nothing.
+   * @returns {{ok:boolean, value:*}} ok is false if the hook is missing, threw or timed out
+   */
+  function tryCall(behavior, hook, args) {
+    if (!has(behavior, hook)) return { ok: false, value: undefined };
+    return invoke(behavior, behavior.hooks[hook], args, hook);
+  }
+
+  /**
+   * Call a hook, e.g. call(npc.behavior, 'onTick', [npc, gameState]).
+   * @returns {*} the hook's return value, or undefined if missing or it failed
+   */
+  function call(behavior, hook, args) {
+    return tryCall(behavior, hook, args).value;
+  }
+
+  /**
+   * Schedule a script callback for `owner` (an NPC or object); cleared with clearTimers(owner).
+   * @returns {Object|null} handle for clearTimer, or null if the owner has too many timers
+   */
+  function setTimer(owner, behavior, fn, delayMs, args = []) {
+    if (typeof fn !== 'function') return null;
+    const pending = timers.get(owner) || new Set();
+    if (pending.size >= MAX_TIMERS_PER_OWNER) return null;
+    const delay = Math.max(MIN_TIMER_DELAY_MS, Number(delayMs) || 0);
+    const handle = setTimeout(() => {
+      pending.delete(handle);
+      if (!pending.size) timers.delete(owner);
+      invoke(behavior, fn, args, 'timer');
+    }, delay);
+    pending.add(handle);
+    timers.set(owner, pending);
+    return handle;
+  }
+
+  function clearTimer(owner, handle) {
+    const pending = timers.get(owner);
+    if (!pending || !pending.has(handle)) return;
+    clearTimeout(handle);
+    pending.delete(handle);
+    if (!pending.size) timers.delete(owner);
+  }
+
+  /**
+   * Cancel every timer of an owner (behavior reloaded, NPC gone, object taken
+   * out of the world), or of all owners.
+   */
+  function clearTimers(owner) {
+    const owners = owner === undefined ? [...timers.keys()] : [owner];
+    owners.forEach((o) => {
+      (timers.get(o) || []).forEach((handle) => clearTimeout(handle));
+      timers.delete(o);
+    });
+  }
+
+  return { load, has, call, tryCall, setTimer, clearTimer, clearTimers };
+}
+
+module.exports = { createScriptRuntime };
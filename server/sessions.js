@@ -0,0 +1,74 @@
+/**
+ * good-fido: Signed session tokens
+ * --------------------------------------
+ * - Issued in the `init` payload; presented as { action: 'resume', token }
+ *   after a dropped connection so the client can skip the login form.
+ * - Token = base64url(JSON { name, iat, exp }) + "." + HMAC-SHA256 signature.
+ * - The signature also covers the account's password salt, so changing the
+ *   password or deleting the character invalidates outstanding tokens.
+ * - revoke(name) refuses every token issued to that name so far (a kicked
+ *   player must log in again). Revocations are kept in memory only.
+ * - SESSION_SECRET keeps tokens valid across restarts; otherwise a random
+ *   per-process secret is used.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * @param {Object} [opts]
+ * @param {string} [opts.secret] – HMAC key (default: SESSION_SECRET or random)
+ * @param {number} [opts.ttlMs]  – token lifetime
+ */
+function createSessionTokens({
+  secret = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+  ttlMs = 12 * 60 * 60 * 1000,
+} = {}) {
+  const sign = (body, salt) =>
+    crypto.createHmac('sha256', secret).update(`${body}.${salt}`).digest('base64url');
+  const revokedAt = new Map(); // name -> tokens issued at or before this time are refused
+
+  /** Issue a token for `name`, bound to the account's current salt. */
+  function issue(name, salt, now = Date.now()) {
+    const body = Buffer.from(JSON.stringify({ name, iat: now, exp: now + ttlMs })).toString(
+      'base64url'
+    );
+    return `${body}.${sign(body, salt)}`;
+  }
+
+  /** Refuse all tokens issued to `name` up to `now`; later logins get working tokens again. */
+  function revoke(name, now = Date.now()) {
+    // Entries older than a token lifetime can't match any unexpired token
+    for (const [revokedName, at] of revokedAt) {
+      if (at + ttlMs <= now) revokedAt.delete(revokedName);
+    }
+    revokedAt.set(name, now);
+  }
+
+  /**
+   * Check a token. `lookupSalt(name)` returns the account's salt or null.
+   * @returns {string|null} the account name, or null if invalid/expired
+   */
+  function verify(token, lookupSalt, now = Date.now()) {
+    if (typeof token !== 'string') return null;
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (e) {
+      return null;
+    }
+    if (!payload || typeof payload.name !== 'string' || !(payload.exp > now)) return null;
+    if (revokedAt.has(payload.name) && !(payload.iat > revokedAt.get(payload.name))) return null;
+    const salt = lookupSalt(payload.name);
+    if (!salt) return null;
+    const expected = Buffer.from(sign(body, salt));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+    return payload.name;
+  }
+
+  return { issue, verify, revoke };
+}
+
+module.exports = { createSessionTokens };
@@ -0,0 +1,141 @@
+/**
+ * good-fido: Vendors and currency
+ * --------------------------------------
+ * - Players carry `coins`, kept in their player file.
+ * - An NPC template with a `shop` is a vendor; no code per shopkeeper:
+ *   "shop": {
+ *     "stock": [{ "item": "rock", "price": 5, "quantity": 3, "restockSec": 120 }],
+ *     "buys": { "chest": 12 },
+ *     "sellRatio": 0.5
+ *   }
+ *   `quantity` is how many the vendor holds when fully stocked (leave it out
+ *   for an endless supply); one more arrives every `restockSec` seconds.
+ * - Vendors buy the items named in `buys` at those prices, and take back
+ *   their own stock at `sellRatio` (default 0.5, 0 to refuse) of its price.
+ * - Stock levels live on the NPC instance (`shopStock`) and are brought up to
+ *   date lazily whenever the shop is used.
+ */
+
+const DEFAULT_SELL_RATIO = 0.5;
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isPrice = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Check a template's `shop`; `itemExists(key)` says whether an item key is a known object.
+ * @returns {{valid:boolean, error?:string}}
+ */
+function validateShop(shop, itemExists) {
+  if (!isPlainObject(shop)) return { valid: false, error: '"shop" must be an object' };
+  if (!Array.isArray(shop.stock || [])) return { valid: false, error: '"stock" must be a list' };
+  for (const [index, entry] of (shop.stock || []).entries()) {
+    const where = `Stock entry ${index}`;
+    if (!isPlainObject(entry) || !itemExists(entry.item)) {
+      const item = JSON.stringify(entry && entry.item);
+      return { valid: false, error: `${where}: unknown item ${item}` };
+    }
+    if (!isPrice(entry.price)) {
+      return { valid: false, error: `${where}: "price" must be a whole number` };
+    }
+    if (entry.quantity !== undefined && !(Number.isInteger(entry.quantity) && entry.quantity > 0)) {
+      return { valid: false, error: `${where}: "quantity" must be a positive whole number` };
+    }
+    if (entry.restockSec !== undefined && !(entry.restockSec > 0)) {
+      return { valid: false, error: `${where}: "restockSec" must be positive` };
+    }
+  }
+  if (shop.buys !== undefined && !isPlainObject(shop.buys)) {
+    return { valid: false, error: '"buys" must map item keys to prices' };
+  }
+  for (const [item, price] of Object.entries(shop.buys || {})) {
+    if (!itemExists(item) || !isPrice(price)) {
+      return { valid: false, error: `Bad "buys" entry for "${item}"` };
+    }
+  }
+  if (shop.sellRatio !== undefined && !(shop.sellRatio >= 0 && shop.sellRatio <= 1)) {
+    return { valid: false, error: '"sellRatio" must be between 0 and 1' };
+  }
+  return { valid: true };
+}
+
+/** The stock entry for an item key, or undefined. */
+function stockEntry(shop, item) {
+  return (shop.stock || []).find((entry) => entry.item === item);
+}
+
+/**
+ * Bring a vendor's stock levels up to `now` (ms), adding entries for new
+ * stock lines and restocking limited ones.
+ * @param {Object} shop – the template's `shop`
+ * @param {Object} [state] – the NPC's `shopStock`: { [item]: { quantity, restockAt } }
+ * @returns {Object} the updated state
+ */
+function restock(shop, state = {}, now = Date.now()) {
+  const next = {};
+  (shop.stock || []).forEach((entry) => {
+    if (entry.quantity === undefined) return;
+    const line = state[entry.item] || { quantity: entry.quantity, restockAt: null };
+    let { quantity, restockAt } = line;
+    quantity = Math.min(quantity, entry.quantity);
+    if (entry.restockSec && quantity < entry.quantity) {
+      const interval = entry.restockSec * 1000;
+      if (restockAt === null) restockAt = now + interval;
+      while (now >= restockAt && quantity < entry.quantity) {
+        quantity++;
+        restockAt += interval;
+      }
+    }
+    next[entry.item] = { quantity, restockAt: quantity < entry.quantity ? restockAt : null };
+  });
+  return next;
+}
+
+/** How many of an item the vendor has; Infinity for endless stock, 0 if not sold. */
+function quantityOf(shop, state, item) {
+  const entry = stockEntry(shop, item);
+  if (!entry) return 0;
+  if (entry.quantity === undefined) return Infinity;
+  return state[item] ? state[item].quantity : entry.quantity;
+}
+
+/** Coins the vendor pays for an item, or null if it won't buy it. */
+function offerFor(shop, item) {
+  if (isPlainObject(shop.buys) && item in shop.buys) return shop.buys[item];
+  const entry = stockEntry(shop, item);
+  const ratio = shop.sellRatio === undefined ? DEFAULT_SELL_RATIO : shop.sellRatio;
+  if (!entry || ratio <= 0) return null;
+  return Math.floor(entry.price * ratio);
+}
+
+/**
+ * Can the player buy `item`? On success `entry` is the stock line.
+ * @returns {{valid:boolean, error?:string, entry?:Object}}
+ */
+function checkPurchase(shop, state, item, coins) {
+  const entry = stockEntry(shop, item);
+  if (!entry) return { valid: false, error: "That isn't for sale here." };
+  if (quantityOf(shop, state, item) < 1) return { valid: false, error: 'Sold out.' };
+  if (coins < entry.price) return { valid: false, error: "You can't afford that." };
+  return { valid: true, entry };
+}
+
+/** Take one bought item out of limited stock. */
+function removeFromStock(shop, state, item) {
+  if (state[item] && state[item].quantity > 0) state[item].quantity--;
+}
+
+/** Put one sold item back on the shelf, if the vendor stocks it (up to the full quantity). */
+function addToStock(shop, state, item) {
+  const entry = stockEntry(shop, item);
+  if (entry && state[item] && state[item].quantity < entry.quantity) state[item].quantity++;
+}
+
+module.exports = {
+  validateShop,
+  restock,
+  quantityOf,
+  offerFor,
+  checkPurchase,
+  removeFromStock,
+  addToStock,
+};
@@ -0,0 +1,113 @@
+/**
+ * good-fido: Tile behavior edit validation
+ * --------------------------------------
+ * - Builders send edit-tile-behavior { physicsRule?, overrides? }; the request
+ *   is checked here against properties.json before the room is touched.
+ * - An override key must appear in some physics rule, with a value of the
+ *   same type (numbers finite and non-negative). `physicsRule` and
+ *   `displayName` can't be overridden.
+ * - Footprint settings (footprintSprite/Lifetime/Alpha) can be overridden even
+ *   where no rule sets them; their types come from tile-physics' defaults. A
+ *   footprintSprite is an image key from assets.json or the default decal.
+ * - Rules, the known audio/image keys and the footprint defaults are passed in
+ *   on every call, so edits see the current files.
+ */
+
+const TILE_SOUND_TYPES = ['loop', 'oneshot'];
+const TILE_DIRECTIONS = ['up', 'down', 'left', 'right'];
+const MAX_TILE_OVERRIDES = 32;
+// Footprint override keys -> their field in FOOTPRINT_DEFAULTS (tile-physics.mjs)
+const FOOTPRINT_KEYS = {
+  footprintSprite: 'sprite',
+  footprintLifetime: 'lifetime',
+  footprintAlpha: 'alpha',
+};
+
+/**
+ * Validate one per-tile property override.
+ * @param {string} key
+ * @param {*} value
+ * @param {Object} catalog
+ * @param {Object} catalog.physicsRules – parsed properties.json
+ * @param {string[]} catalog.audioKeys  – audio keys from assets.json
+ * @param {string[]} catalog.imageKeys  – image keys from assets.json
+ * @param {Object} catalog.footprintDefaults – FOOTPRINT_DEFAULTS from tile-physics.mjs
+ * @returns {string|null} error message, or null if valid
+ */
+function validateTilePropertyValue(
+  key,
+  value,
+  { physicsRules, audioKeys, imageKeys, footprintDefaults }
+) {
+  // Own keys only, so `__proto__`, `constructor` and friends stay unknown
+  const fromRules = Object.values(physicsRules)
+    .filter((rule) => Object.hasOwn(rule, key))
+    .map((rule) => rule[key])
+    .find((v) => v !== undefined);
+  const example =
+    fromRules === undefined && Object.hasOwn(FOOTPRINT_KEYS, key)
+      ? footprintDefaults[FOOTPRINT_KEYS[key]]
+      : fromRules;
+  if (key === 'physicsRule' || key === 'displayName' || example === undefined) {
+    return `Unknown tile property: ${key}`;
+  }
+  if (typeof value !== typeof example) {
+    return `${key} must be a ${typeof example}`;
+  }
+  if (typeof value === 'number' && (!Number.isFinite(value) || value < 0)) {
+    return `${key} must be a non-negative number`;
+  }
+  if (key === 'conveyorDirection' && !TILE_DIRECTIONS.includes(value)) {
+    return `conveyorDirection must be one of ${TILE_DIRECTIONS.join(', ')}`;
+  }
+  if (key === 'footprintAlpha' && value > 1) {
+    return 'footprintAlpha must be between 0 and 1';
+  }
+  if (
+    key === 'footprintSprite' &&
+    value !== footprintDefaults.sprite &&
+    !imageKeys.includes(value)
+  ) {
+    return 'footprintSprite must be an image key from assets.json';
+  }
+  if (
+    key === 'sound' &&
+    (!value || !audioKeys.includes(value.resource) || !TILE_SOUND_TYPES.includes(value.type))
+  ) {
+    return `sound needs a known audio resource and a type (${TILE_SOUND_TYPES.join(', ')})`;
+  }
+  return null;
+}
+
+/**
+ * Validate an edit-tile-behavior request: `physicsRule` names a rule in
+ * properties.json (null/'' clears it); `overrides` maps property keys to
+ * values (null removes that override).
+ * @param {Object} msg
+ * @param {Object} catalog – see validateTilePropertyValue()
+ * @returns {{valid:boolean, error?:string}}
+ */
+function validateTileBehaviorEdit(msg, catalog) {
+  const { physicsRules } = catalog;
+  if (msg.physicsRule && !Object.prototype.hasOwnProperty.call(physicsRules, msg.physicsRule)) {
+    return { valid: false, error: `Unknown physics rule: ${msg.physicsRule}` };
+  }
+  if (msg.overrides === undefined) {
+    return { valid: true };
+  }
+  if (!msg.overrides || typeof msg.overrides !== 'object' || Array.isArray(msg.overrides)) {
+    return { valid: false, error: 'Overrides must be an object' };
+  }
+  const entries = Object.entries(msg.overrides);
+  if (entries.length > MAX_TILE_OVERRIDES) {
+    return { valid: false, error: 'Too many overrides' };
+  }
+  for (const [key, value] of entries) {
+    if (value === null) continue;
+    const error = validateTilePropertyValue(key, value, catalog);
+    if (error) return { valid: false, error };
+  }
+  return { valid: true };
+}
+
+module.exports = { MAX_TILE_OVERRIDES, validateTilePropertyValue, validateTileBehaviorEdit };
@@ -0,0 +1,122 @@
+/**
+ * good-fido: Vitals (health) model shared by players and NPCs
+ * --------------------------------------
+ * - Base stats (strength, vitality, luck) come from the player file or an
+ *   NPC template's `base_stats` in npcs.json; missing stats use defaults.
+ * - Derived: maxHp and regenPerSecond (from vitality), after adding the
+ *   entity's `statModifiers` (players' worn equipment) to its base stats.
+ * - Entities carry flat fields: { stats, statModifiers?, hp, maxHp, lastDamagedTick }.
+ * - Damage and regeneration are applied by the server tick (server.js).
+ */
+
+const DEFAULT_STATS = { strength: 10, vitality: 10, luck: 10 };
+const BASE_MAX_HP = 100;
+const HP_PER_VITALITY = 5;
+const BASE_REGEN_PER_SECOND = 1;
+// Seconds after taking damage before regeneration resumes
+const REGEN_DELAY_TICKS = 5;
+
+/**
+ * Merge stats over the defaults, keeping only finite non-negative numbers.
+ * @returns {{strength:number, vitality:number, luck:number}}
+ */
+function normalizeStats(stats) {
+  const result = { ...DEFAULT_STATS };
+  if (stats && typeof stats === 'object') {
+    for (const [key, value] of Object.entries(stats)) {
+      if (Number.isFinite(value) && value >= 0) result[key] = value;
+    }
+  }
+  return result;
+}
+
+/** Base stats plus the entity's modifiers, none below zero. */
+function effectiveStats(entity) {
+  const result = { ...entity.stats };
+  for (const [key, value] of Object.entries(entity.statModifiers || {})) {
+    result[key] = Math.max(0, (result[key] || 0) + value);
+  }
+  return result;
+}
+
+/** Max HP and regeneration rate for a set of (normalized) stats. */
+function deriveVitals(stats) {
+  return {
+    maxHp: Math.max(1, BASE_MAX_HP + (stats.vitality - DEFAULT_STATS.vitality) * HP_PER_VITALITY),
+    regenPerSecond: BASE_REGEN_PER_SECOND * (stats.vitality / DEFAULT_STATS.vitality),
+  };
+}
+
+/**
+ * Set stats/hp/maxHp on an entity. A saved `hp` is kept (clamped to the
+ * new max); otherwise the entity starts at full health.
+ * @param {Object} entity – player or NPC instance (mutated)
+ * @param {Object} [stats] – base stats
+ * @param {number} [savedHp]
+ * @param {Object} [modifiers] – stat bonuses on top of the base stats
+ */
+function initVitals(entity, stats, savedHp, modifiers) {
+  entity.stats = normalizeStats(stats);
+  if (modifiers) entity.statModifiers = modifiers;
+  const { maxHp } = deriveVitals(effectiveStats(entity));
+  entity.maxHp = maxHp;
+  entity.hp = Number.isFinite(savedHp) ? Math.min(maxHp, Math.max(0, savedHp)) : maxHp;
+  entity.lastDamagedTick = null;
+  return entity;
+}
+
+/**
+ * Subtract HP. @returns {boolean} true if this blow killed the entity
+ */
+function applyDamage(entity, amount, tick) {
+  if (!(amount > 0) || entity.hp <= 0) return false;
+  entity.hp = Math.max(0, entity.hp - amount);
+  entity.lastDamagedTick = tick;
+  return entity.hp === 0;
+}
+
+/**
+ * Regenerate one tick's worth of HP unless recently damaged or dead.
+ * @returns {boolean} true if hp changed
+ */
+function regenerate(entity, tick) {
+  if (entity.hp <= 0 || entity.hp >= entity.maxHp) return false;
+  if (entity.lastDamagedTick !== null && tick - entity.lastDamagedTick < REGEN_DELAY_TICKS) {
+    return false;
+  }
+  const { regenPerSecond } = deriveVitals(effectiveStats(entity));
+  entity.hp = Math.min(entity.maxHp, entity.hp + regenPerSecond);
+  return true;
+}
+
+/** Replace the entity's stat modifiers; max HP follows and HP stays within it. */
+function setStatModifiers(entity, modifiers) {
+  entity.statModifiers = modifiers;
+  entity.maxHp = deriveVitals(effectiveStats(entity)).maxHp;
+  entity.hp = Math.min(entity.hp, entity.maxHp);
+}
+
+/** Restore full health (respawn). */
+function restoreVitals(entity) {
+  entity.hp = entity.maxHp;
+  entity.lastDamagedTick = null;
+}
+
+/** Damage per second a tile's effective physics deals, or 0. */
+function hazardDamage(physics) {
+  if (!physics || !physics.hazard) return 0;
+  return Number.isFinite(physics.damagePerSecond) ? Math.max(0, physics.damagePerSecond) : 0;
+}
+
+module.exports = {
+  DEFAULT_STATS,
+  normalizeStats,
+  effectiveStats,
+  deriveVitals,
+  initVitals,
+  setStatModifiers,
+  applyDamage,
+  regenerate,
+  restoreVitals,
+  hazardDamage,
+};
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const accounts = require('../server/accounts');
+
+// Tests hash with a low cost; the cost itself is just a parameter
+const FAST = 1000;
+
+test("hashed passwords verify and wrong ones don't", async () => {
+  const record = await accounts.hashPassword('hunter22', FAST);
+  assert.equal(record.iterations, FAST);
+  assert.match(record.salt, /^[0-9a-f]{32}$/);
+  assert.equal(await accounts.verifyPassword('hunter22', record), true);
+  assert.equal(await accounts.verifyPassword('hunter23', record), false);
+});
+
+test('every hash gets its own salt', async () => {
+  const a = await accounts.hashPassword('same-password', FAST);
+  const b = await accounts.hashPassword('same-password', FAST);
+  assert.notEqual(a.salt, b.salt);
+  assert.notEqual(a.hash, b.hash);
+});
+
+test('records without an iteration count verify at the legacy cost', async () => {
+  const { salt, hash } = await accounts.hashPassword('old-password', 1000);
+  const legacy = { salt, hash };
+  assert.equal(await accounts.verifyPassword('old-password', legacy), true);
+  assert.equal(accounts.needsRehash(legacy), accounts.KDF_ITERATIONS > 1000);
+  assert.equal(accounts.needsRehash({ salt, hash, iterations: accounts.KDF_ITERATIONS }), false);
+});
+
+test('incomplete records never verify', async () => {
+  assert.equal(await accounts.verifyPassword('x', null), false);
+  assert.equal(await accounts.verifyPassword('x', { salt: 'ab' }), false);
+});
+
+test('new passwords must be strings of a sensible length', () => {
+  assert.equal(accounts.validateNewPassword(123456).valid, false);
+  assert.equal(accounts.validateNewPassword('short').valid, false);
+  assert.equal(accounts.validateNewPassword('x'.repeat(129)).valid, false);
+  assert.deepEqual(accounts.validateNewPassword('long enough'), {
+    valid: true,
+  });
+});
+
+test('the login throttle lets a few failures through, then backs off exponentially', () => {
+  const throttle = accounts.createLoginThrottle({
+    freeAttempts: 2,
+    baseDelayMs: 1000,
+    maxDelayMs: 5000,
+  });
+  const keys = ['name:bob', 'ip:1.2.3.4'];
+  throttle.recordFailure(keys, 0);
+  throttle.recordFailure(keys, 0);
+  assert.equal(throttle.retryAfter(keys, 0), 0);
+
+  throttle.recordFailure(keys, 0);
+  assert.equal(throttle.retryAfter(keys, 0), 1000);
+  assert.equal(throttle.retryAfter(keys, 600), 400);
+  throttle.recordFailure(keys, 1000);
+  assert.equal(throttle.retryAfter(keys, 1000), 2000);
+  throttle.recordFailure(keys, 3000);
+  throttle.recordFailure(keys, 3000);
+  assert.equal(throttle.retryAfter(keys, 3000), 5000, 'capped at maxDelayMs');
+});
+
+test("throttling is per key: one locked name doesn't lock another", () => {
+  const throttle = accounts.createLoginThrottle({ freeAttempts: 0 });
+  throttle.recordFailure(['name:bob'], 0);
+  assert.ok(throttle.retryAfter(['name:bob'], 0) > 0);
+  assert.equal(throttle.retryAfter(['name:alice'], 0), 0);
+  // A locked IP still blocks any name tried from it
+  throttle.recordFailure(['ip:1.2.3.4'], 0);
+  assert.ok(throttle.retryAfter(['name:alice', 'ip:1.2.3.4'], 0) > 0);
+});
+
+test('a successful login resets a key and stale entries are pruned', () => {
+  const throttle = accounts.createLoginThrottle({
+    freeAttempts: 0,
+    baseDelayMs: 1000,
+    forgetAfterMs: 10000,
+  });
+  throttle.recordFailure(['name:bob'], 0);
+  throttle.reset('name:bob');
+  assert.equal(throttle.retryAfter(['name:bob'], 0), 0);
+
+  throttle.recordFailure(['name:carol'], 0);
+  throttle.prune(5000);
+  throttle.recordFailure(['name:carol'], 5000);
+  assert.equal(throttle.retryAfter(['name:carol'], 5000), 2000, 'remembered');
+  throttle.prune(20000);
+  throttle.recordFailure(['name:carol'], 20000);
+  assert.equal(throttle.retryAfter(['name:carol'], 20000), 1000, 'forgotten');
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const chat = require('../server/chat');
+
+test('chat text is cleaned up and length-capped', () => {
+  assert.deepEqual(chat.sanitizeChatText('  hello\n\tthere  '), {
+    valid: true,
+    text: 'hello there',
+  });
+  assert.equal(chat.sanitizeChatText('a\u0007b').text, 'a b');
+  assert.equal(chat.sanitizeChatText(' \n ').valid, false);
+  assert.equal(chat.sanitizeChatText(null).valid, false);
+  assert.equal(chat.sanitizeChatText('x'.repeat(chat.CHAT_MAX_LENGTH)).valid, true);
+  assert.equal(chat.sanitizeChatText('x'.repeat(chat.CHAT_MAX_LENGTH + 1)).valid, false);
+});
+
+test('profanity is masked word by word, keeping its length', () => {
+  assert.equal(chat.maskProfanity('well SHITTY luck'), 'well ****** luck');
+  assert.equal(chat.maskProfanity('a scunthorpe pun'), 'a scunthorpe pun');
+});
+
+test('the flood guard silences a sender who posts too fast', () => {
+  const guard = chat.createFloodGuard({
+    maxMessages: 2,
+    windowMs: 1000,
+    cooldownMs: 5000,
+  });
+  assert.equal(guard.check(1, 'one', 0).allowed, true);
+  assert.equal(guard.check(1, 'two', 10).allowed, true);
+  assert.equal(guard.check(1, 'three', 20).allowed, false);
+  assert.match(guard.check(1, 'four', 2000).error, /Wait 4s/);
+  assert.equal(guard.check(1, 'five', 5020).allowed, true);
+  // Other senders are unaffected
+  assert.equal(guard.check(2, 'hi', 20).allowed, true);
+});
+
+test('the flood guard drops quick repeats and forgets players who leave', () => {
+  const guard = chat.createFloodGuard({ repeatWindowMs: 1000 });
+  assert.equal(guard.check(1, 'same', 0).allowed, true);
+  assert.equal(guard.check(1, 'same', 500).allowed, false);
+  assert.equal(guard.check(1, 'same', 1500).allowed, true);
+  guard.forget(1);
+  assert.equal(guard.check(1, 'same', 1600).allowed, true);
+});
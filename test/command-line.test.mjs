@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { completeLine, createLineHistory } from '../command-line.mjs';
+
+const commands = ['goto', 'global', 'g', 'who', 'whisper', 'w'];
+const players = ['Alice', 'Alfred', 'Bob'];
+
+test('a single match completes in full with a trailing space', () => {
+  assert.deepEqual(completeLine('/go', commands, players), {
+    line: '/goto ',
+    matches: ['/goto'],
+  });
+  assert.equal(completeLine('/whi', commands, players).line, '/whisper ');
+  assert.equal(completeLine('/whisper b', commands, players).line, '/whisper Bob ');
+});
+
+test('several matches complete to their common prefix', () => {
+  assert.deepEqual(completeLine('/wh', commands, players), {
+    line: '/wh',
+    matches: ['/who', '/whisper'],
+  });
+  assert.equal(completeLine('/gl', ['glance', 'global'], players).line, '/gl');
+  assert.equal(completeLine('/g', ['glance', 'glare'], players).line, '/gla');
+
+  // Player names match case-insensitively and keep their own case
+  assert.deepEqual(completeLine('/goto al', commands, players), {
+    line: '/goto Al',
+    matches: ['Alice', 'Alfred'],
+  });
+});
+
+test('lines that are not commands or have no match are left alone', () => {
+  assert.deepEqual(completeLine('hello', commands, players), { line: 'hello', matches: [] });
+  assert.deepEqual(completeLine('/zz', commands, players), { line: '/zz', matches: [] });
+  assert.deepEqual(completeLine('/goto zed', commands, players), {
+    line: '/goto zed',
+    matches: [],
+  });
+});
+
+test('history steps back and forth and ends on an empty line', () => {
+  const history = createLineHistory(10);
+  assert.equal(history.browse(-1), null);
+  history.push('/who');
+  history.push('/goto Bob');
+  assert.equal(history.browse(-1), '/goto Bob');
+  assert.equal(history.browse(-1), '/who');
+  assert.equal(history.browse(-1), '/who');
+  assert.equal(history.browse(1), '/goto Bob');
+  assert.equal(history.browse(1), '');
+  assert.equal(history.browse(1), '');
+});
+
+test('history skips repeats, drops the oldest past the cap and resets on push', () => {
+  const history = createLineHistory(2);
+  history.push('/a');
+  history.push('/a');
+  history.push('/b');
+  history.push('/c');
+  assert.equal(history.browse(-1), '/c');
+  assert.equal(history.browse(-1), '/b');
+  assert.equal(history.browse(-1), '/b');
+
+  history.push('/d');
+  assert.equal(history.browse(-1), '/d');
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCommandRegistry } = require('../server/commands');
+
+/** A registry with a player command and a moderator one, plus a ctx that records replies. */
+function setup() {
+  const registry = createCommandRegistry({ logError: () => {} });
+  const runs = [];
+  registry.register({
+    name: 'who',
+    aliases: ['online'],
+    usage: '/who',
+    description: 'List players.',
+    run: (ctx, args) => runs.push(['who', args]),
+  });
+  registry.register({
+    name: 'kick',
+    usage: '/kick <player>',
+    run: (ctx, args) => runs.push(['kick', args]),
+  });
+  const ctx = (role = 'player') => {
+    const replies = [];
+    return { player: { name: 'bob', role }, reply: (text) => replies.push(text), replies };
+  };
+  return { registry, runs, ctx };
+}
+
+test('the command list only shows commands the role allows', () => {
+  const { registry } = setup();
+  assert.deepEqual(
+    registry.list('player').map((c) => c.name),
+    ['who']
+  );
+  assert.deepEqual(
+    registry.list('moderator').map((c) => c.name),
+    ['who', 'kick']
+  );
+  assert.deepEqual(registry.list('player')[0], {
+    name: 'who',
+    aliases: ['online'],
+    usage: '/who',
+    description: 'List players.',
+  });
+});
+
+test('commands resolve by name or alias, case-insensitively', () => {
+  const { registry, runs, ctx } = setup();
+  assert.equal(registry.resolve('ONLINE').name, 'who');
+  assert.equal(registry.resolve('nope'), null);
+  registry.execute(ctx(), 'Online', ['a']);
+  assert.deepEqual(runs, [['who', ['a']]]);
+});
+
+test("commands the caller's role doesn't allow look unknown", () => {
+  const { registry, runs, ctx } = setup();
+  const player = ctx('builder');
+  registry.execute(player, 'kick', ['alice']);
+  registry.execute(player, 'dance', []);
+  assert.deepEqual(runs, []);
+  assert.deepEqual(player.replies, [
+    'Unknown command: /kick. Try /help.',
+    'Unknown command: /dance. Try /help.',
+  ]);
+
+  registry.execute(ctx('moderator'), 'kick', ['alice']);
+  assert.deepEqual(runs, [['kick', ['alice']]]);
+});
+
+test('malformed arguments get the usage line instead of running', () => {
+  const { registry, runs, ctx } = setup();
+  const admin = ctx('admin');
+  registry.execute(admin, 'kick', 'alice');
+  registry.execute(admin, 'kick', [42]);
+  registry.execute(admin, 'kick', ['x'.repeat(201)]);
+  registry.execute(admin, 'kick', new Array(17).fill('a'));
+  assert.deepEqual(runs, []);
+  assert.deepEqual(admin.replies, new Array(4).fill('Usage: /kick <player>'));
+});
+
+test('a command that throws is reported, not propagated', () => {
+  const { registry, ctx } = setup();
+  registry.register({
+    name: 'time',
+    run() {
+      throw new Error('kaboom');
+    },
+  });
+  const player = ctx();
+  registry.execute(player, 'time', []);
+  assert.deepEqual(player.replies, ['/time failed.']);
+});
+
+test('invalid definitions are refused', () => {
+  const { registry } = setup();
+  assert.throws(() => registry.register({ name: 'Bad Name', run() {} }));
+  assert.throws(() => registry.register({ name: 'norun' }));
+});
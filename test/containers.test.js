@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const containers = require('../server/containers');
+
+const settings = { capacity: 2, key: 'iron_key' };
+
+test('container settings get defaults; other objects are no containers', () => {
+  assert.deepEqual(containers.containerSettings({ container: {} }), {
+    capacity: 10,
+    key: null,
+  });
+  assert.deepEqual(
+    containers.containerSettings({
+      container: { capacity: 6, key: 'iron_key' },
+    }),
+    { capacity: 6, key: 'iron_key' }
+  );
+  assert.equal(containers.containerSettings({ name: 'Rock' }), null);
+  assert.equal(containers.containerSettings(undefined), null);
+});
+
+test('loot tables are checked and rolled entry by entry', () => {
+  const known = (item) => item === 'rock';
+  assert.deepEqual(containers.validateLoot([{ item: 'rock', chance: 0.5 }], known), {
+    valid: true,
+  });
+  assert.match(containers.validateLoot([{ item: 'gem' }], known).error, /unknown item/);
+  assert.match(containers.validateLoot([{ item: 'rock', count: 0 }], known).error, /"count"/);
+
+  const loot = [
+    { item: 'rock', count: 2 },
+    { item: 'gem', chance: 0.5 },
+  ];
+  assert.deepEqual(
+    containers.rollLoot(loot, () => 0.9),
+    ['rock', 'rock']
+  );
+  assert.deepEqual(
+    containers.rollLoot(loot, () => 0.1),
+    ['rock', 'rock', 'gem']
+  );
+});
+
+test('items go in only while it is open and has room', () => {
+  const chest = { state: { open: true } };
+  const rock = {};
+  assert.equal(containers.checkPut(settings, chest, rock, 1).valid, true);
+  assert.match(containers.checkPut(settings, chest, rock, 2).error, /no room/);
+  assert.match(containers.checkPut(settings, chest, chest, 0).error, /itself/);
+  assert.match(containers.checkPut(settings, {}, rock, 0).error, /closed/);
+  // A spawn that respawns must not vanish into a chest
+  const spawned = { respawnAfterSec: 30 };
+  assert.match(containers.checkPut(settings, chest, spawned, 0).error, /can't be put away/);
+});
+
+test('locking needs the key and a closed lid', () => {
+  const keys = ['iron_key'];
+  const closed = { state: { open: false } };
+  assert.equal(containers.checkLock(settings, closed, true, keys).valid, true);
+  assert.match(containers.checkLock(settings, closed, true, []).error, /key/);
+  assert.match(
+    containers.checkLock(settings, { state: { open: true } }, true, keys).error,
+    /Close it first/
+  );
+  assert.match(containers.checkLock(settings, closed, false, keys).error, /isn't locked/);
+  assert.equal(
+    containers.checkLock(settings, { state: { locked: true } }, false, keys).valid,
+    true
+  );
+  assert.match(
+    containers.checkLock({ capacity: 2, key: null }, closed, true, keys).error,
+    /doesn't have a lock/
+  );
+});
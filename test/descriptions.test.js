@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { timeOfDay, seasonOf, resolveDescription, healthPhrase } = require('../server/descriptions');
+
+test('timeOfDay splits the day at 5, 12, 18 and 21', () => {
+  const at = (hours) => hours.map(timeOfDay);
+  assert.deepEqual(at([0, 4, 5, 11]), ['night', 'night', 'morning', 'morning']);
+  assert.deepEqual(at([12, 17, 18, 20]), ['afternoon', 'afternoon', 'evening', 'evening']);
+  assert.deepEqual(at([21, 23]), ['night', 'night']);
+});
+
+test('seasonOf runs 90-day seasons from winter and wraps around each 360-day year', () => {
+  const on = (days) => days.map(seasonOf);
+  assert.deepEqual(on([0, 89, 90, 179]), ['winter', 'winter', 'spring', 'spring']);
+  assert.deepEqual(on([180, 269, 270, 359]), ['summer', 'summer', 'fall', 'fall']);
+  assert.deepEqual(on([360, 449, 450, 720 + 275]), ['winter', 'winter', 'spring', 'fall']);
+});
+
+const noon = { timeOfDay: 'afternoon', season: 'summer' };
+
+test('variants are tried in order and the first match wins', () => {
+  const source = {
+    description: 'A rock.',
+    descriptions: [
+      { text: 'A rock glowing in the dark.', when: { timeOfDay: 'night' } },
+      { text: 'A sun-warmed rock.', when: { season: ['summer', 'spring'] } },
+      { text: 'A warm rock at midday.', when: { timeOfDay: 'afternoon' } },
+    ],
+  };
+  assert.equal(resolveDescription(source, noon), 'A sun-warmed rock.');
+  assert.equal(
+    resolveDescription(source, { timeOfDay: 'night', season: 'summer' }),
+    'A rock glowing in the dark.'
+  );
+  assert.equal(resolveDescription(source, { timeOfDay: 'morning', season: 'winter' }), 'A rock.');
+
+  // A variant without `when` always matches, shadowing everything after it
+  const fallback = { descriptions: [{ text: 'Always.' }, { text: 'Never.', when: {} }] };
+  assert.equal(resolveDescription(fallback, noon), 'Always.');
+});
+
+test('every condition of a variant must hold, matched case-insensitively', () => {
+  const source = {
+    description: 'A bush.',
+    descriptions: [
+      { text: 'A snowy bush at night.', when: { timeOfDay: 'Night', season: 'WINTER' } },
+    ],
+  };
+  assert.equal(
+    resolveDescription(source, { timeOfDay: 'night', season: 'winter' }),
+    'A snowy bush at night.'
+  );
+  assert.equal(resolveDescription(source, { timeOfDay: 'night', season: 'fall' }), 'A bush.');
+});
+
+test("state conditions compare the examined instance's fields", () => {
+  const source = {
+    description: 'An empty spot.',
+    descriptions: [
+      { text: 'A berry bush, ripe.', when: { state: { pickedUpBy: null } } },
+      { text: 'A picked-over bush.', when: { state: { pickedUpBy: 'npc:gregory' } } },
+    ],
+  };
+  const stateOf = (pickedUpBy) => ({ ...noon, state: { pickedUpBy } });
+  assert.equal(resolveDescription(source, stateOf(null)), 'A berry bush, ripe.');
+  assert.equal(resolveDescription(source, stateOf('npc:gregory')), 'A picked-over bush.');
+  assert.equal(resolveDescription(source, stateOf('Ann')), 'An empty spot.');
+  // No instance state at all: state conditions can't hold
+  assert.equal(resolveDescription(source, noon), 'An empty spot.');
+});
+
+test('sources without a usable description read as empty', () => {
+  assert.equal(resolveDescription(null, noon), '');
+  assert.equal(resolveDescription({}, noon), '');
+  assert.equal(resolveDescription({ descriptions: [{ when: {} }, null] }, noon), '');
+});
+
+test('healthPhrase reads the share of hit points left', () => {
+  assert.equal(healthPhrase(10, 10), 'looks healthy.');
+  assert.equal(healthPhrase(9, 10), 'has a few scrapes.');
+  assert.equal(healthPhrase(5, 10), 'is wounded.');
+  assert.equal(healthPhrase(2, 10), 'is badly hurt.');
+  assert.equal(healthPhrase(0, 10), 'is out cold.');
+  assert.equal(healthPhrase(5, 0), '');
+});
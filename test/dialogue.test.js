@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const dialogue = require('../server/dialogue');
+
+const tree = {
+  start: 'hello',
+  nodes: {
+    hello: {
+      text: "Hi {player}, I'm {npc}.",
+      choices: [
+        { text: 'Bye' },
+        { text: 'Got the key', if: [{ hasItem: 'key' }], next: 'thanks' },
+        { text: 'Again?', if: [{ flag: 'met', equals: 2 }], next: 'thanks' },
+      ],
+    },
+    thanks: { text: 'Thanks!', actions: [{ take: 'key' }] },
+  },
+};
+const names = { player: 'Ann', npc: 'Gregory' };
+
+test('well-formed trees pass, and the shipped trees are valid', () => {
+  assert.deepEqual(dialogue.validateDialogueTree(tree), { valid: true });
+  const dir = path.join(__dirname, '..', 'assets', 'npcs', 'dialogue');
+  fs.readdirSync(dir).forEach((file) => {
+    const shipped = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    assert.deepEqual(dialogue.validateDialogueTree(shipped), { valid: true });
+  });
+});
+
+test('broken trees are rejected with the offending node named', () => {
+  assert.match(dialogue.validateDialogueTree({ start: 'x', nodes: {} }).error, /Start node "x"/);
+  const dangling = {
+    start: 'a',
+    nodes: { a: { text: 'A', choices: [{ text: 'go', next: 'b' }] } },
+  };
+  assert.match(dialogue.validateDialogueTree(dangling).error, /next node "b" not found/);
+  const badAction = {
+    start: 'a',
+    nodes: { a: { text: 'A', actions: [{ explode: 'now' }] } },
+  };
+  assert.match(dialogue.validateDialogueTree(badAction).error, /Node "a": unknown action/);
+});
+
+test('conditions check items and flags', () => {
+  const subject = { items: ['key'], flags: { met: 2 } };
+  assert.equal(dialogue.conditionsMet(undefined, subject), true);
+  assert.equal(dialogue.conditionsMet([{ hasItem: 'key' }], subject), true);
+  assert.equal(dialogue.conditionsMet([{ lacksItem: 'key' }], subject), false);
+  assert.equal(dialogue.conditionsMet([{ flag: 'met' }], subject), true);
+  assert.equal(dialogue.conditionsMet([{ flag: 'met', equals: 1 }], subject), false);
+  assert.equal(dialogue.conditionsMet([{ notFlag: 'angry' }], subject), true);
+});
+
+test('nodes show only the choices whose conditions hold, with names filled in', () => {
+  const view = dialogue.nodeView(tree, 'hello', { items: [], flags: {} }, names);
+  assert.equal(view.text, "Hi Ann, I'm Gregory.");
+  assert.deepEqual(view.choices, [{ index: 0, text: 'Bye' }]);
+  const withKey = dialogue.nodeView(tree, 'hello', { items: ['key'], flags: { met: 2 } }, names);
+  assert.deepEqual(
+    withKey.choices.map((c) => c.index),
+    [0, 1, 2]
+  );
+});
+
+test('a picked choice is re-checked on the server', () => {
+  const subject = { items: [], flags: {} };
+  assert.equal(dialogue.pickChoice(tree, 'hello', 0, subject).valid, true);
+  assert.equal(dialogue.pickChoice(tree, 'hello', 1, subject).valid, false);
+  assert.equal(dialogue.pickChoice(tree, 'hello', 9, subject).valid, false);
+  assert.equal(dialogue.pickChoice(tree, 'hello', '0', subject).valid, false);
+  assert.equal(dialogue.pickChoice(tree, 'nowhere', 0, subject).valid, false);
+  const picked = dialogue.pickChoice(tree, 'hello', 1, {
+    items: ['key'],
+    flags: {},
+  });
+  assert.equal(picked.choice.next, 'thanks');
+});
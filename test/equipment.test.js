@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const equipment = require('../server/equipment');
+const vitals = require('../server/vitals');
+
+const helmet = { equip: { slot: 'head', stats: { vitality: 4, luck: 'x' } } };
+const boots = { equip: { slot: 'feet', stats: { vitality: 2, luck: -1 } } };
+
+test('only known slots can be worn; bad stat values are dropped', () => {
+  assert.deepEqual(equipment.equipSettings(helmet), {
+    slot: 'head',
+    stats: { vitality: 4 },
+    overlay: null,
+  });
+  assert.equal(equipment.equipSettings({ equip: { slot: 'tail' } }), null);
+  assert.equal(equipment.equipSettings({ name: 'Rock' }), null);
+});
+
+test('saved equipment keeps only items the player still carries', () => {
+  const saved = {
+    head: { instanceId: 'a', typeId: 5 },
+    feet: { instanceId: 'b', typeId: 6 },
+    tail: { instanceId: 'c', typeId: 7 },
+    body: 'junk',
+  };
+  const kept = equipment.sanitizeEquipment(saved, (entry) => entry.instanceId !== 'b');
+  assert.deepEqual(kept, { head: { instanceId: 'a', typeId: 5 } });
+  assert.equal(equipment.isWorn(kept, 'a'), true);
+  assert.equal(equipment.isWorn(kept, 'b'), false);
+  assert.deepEqual(
+    equipment.sanitizeEquipment(null, () => true),
+    {}
+  );
+});
+
+test("worn items add up and change the wearer's max HP", () => {
+  const modifiers = equipment.statModifiers([helmet, boots, { name: 'Rock' }]);
+  assert.deepEqual(modifiers, { vitality: 6, luck: -1 });
+
+  const player = vitals.initVitals({}, {});
+  vitals.setStatModifiers(player, modifiers);
+  assert.equal(vitals.effectiveStats(player).vitality, 16);
+  assert.equal(player.maxHp, 130);
+  vitals.restoreVitals(player);
+  assert.equal(player.hp, 130);
+
+  vitals.setStatModifiers(player, {});
+  assert.equal(player.maxHp, 100);
+  assert.equal(player.hp, 100, 'taking gear off clamps hp to the new max');
+  vitals.setStatModifiers(player, { luck: -50 });
+  assert.equal(vitals.effectiveStats(player).luck, 0, 'stats never go negative');
+});
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHotReloader, behaviorUsers, swapBehavior } = require('../server/hot-reload');
+const { readManifest } = require('../server/manifests');
+const { createScriptRuntime } = require('../server/scripting');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goodfido-reload-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const behaviorSource = (version) => `module.exports = { version: ${version} };\n`;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('a reloaded behavior module is swapped into live NPCs of the templates using it', async (t) => {
+  const dir = tempDir(t);
+  const runtime = createScriptRuntime({ logError: () => {} });
+  t.after(() => runtime.clearTimers());
+  const modulePath = path.join(dir, 'dog.js');
+  fs.writeFileSync(modulePath, behaviorSource(1));
+  const old = runtime.load(modulePath);
+  const templates = [
+    { id: 1, behaviorModule: 'dog.js', behavior: old },
+    { id: 2, behaviorModule: 'cat.js', behavior: null },
+  ];
+  const npcs = [
+    { instanceId: 'a', typeId: 1, behavior: old },
+    { instanceId: 'b', typeId: 2, behavior: old },
+    { instanceId: 'c', typeId: 1, behavior: old },
+  ];
+  // Timers the old version set, for a swapped NPC and for one of another type
+  const fired = [];
+  runtime.setTimer(npcs[0], old, () => fired.push('a'), 50);
+  runtime.setTimer(npcs[1], old, () => fired.push('b'), 50);
+
+  fs.writeFileSync(modulePath, behaviorSource(2));
+  const users = behaviorUsers(templates, modulePath, dir);
+  assert.deepEqual(
+    users.map((u) => u.id),
+    [1]
+  );
+  swapBehavior(users, npcs, runtime.load(modulePath), (npc) => runtime.clearTimers(npc));
+
+  assert.equal(templates[0].behavior.hooks.version, 2);
+  assert.deepEqual(
+    npcs.map((n) => n.behavior.hooks.version),
+    [2, 1, 2]
+  );
+  // The old version's timers for swapped NPCs are gone; others still fire
+  await sleep(120);
+  assert.deepEqual(fired, ['b']);
+});
+
+test('object instances keep reading a reloaded behavior from their definition', (t) => {
+  const dir = tempDir(t);
+  const runtime = createScriptRuntime({ logError: () => {} });
+  const modulePath = path.join(dir, 'chest.js');
+  fs.writeFileSync(modulePath, behaviorSource(1));
+  const definitions = [{ id: 7, behaviorModule: 'chest.js', behavior: runtime.load(modulePath) }];
+  const chest = { instanceId: 'c1', typeId: 7 };
+  const retired = [];
+
+  fs.writeFileSync(modulePath, behaviorSource(2));
+  swapBehavior(definitions, [chest], runtime.load(modulePath), (inst) => retired.push(inst));
+  assert.equal(definitions[0].behavior.hooks.version, 2);
+  assert.deepEqual(retired, [chest]);
+  assert.equal('behavior' in chest, false);
+});
+
+test('a behavior module that fails to load leaves the previous version running', (t) => {
+  const dir = tempDir(t);
+  const runtime = createScriptRuntime({ logError: () => {} });
+  const modulePath = path.join(dir, 'broken.js');
+  fs.writeFileSync(modulePath, behaviorSource(1));
+  const templates = [{ id: 1, behaviorModule: 'broken.js', behavior: runtime.load(modulePath) }];
+  const npcs = [{ typeId: 1, behavior: templates[0].behavior }];
+
+  // What the server's reload does: swap only what loaded
+  fs.writeFileSync(modulePath, 'module.exports = {');
+  let behavior = null;
+  try {
+    behavior = runtime.load(modulePath);
+  } catch (error) {
+    assert.ok(error instanceof SyntaxError);
+  }
+  if (behavior) swapBehavior(templates, npcs, behavior);
+  assert.equal(npcs[0].behavior.hooks.version, 1);
+});
+
+test('manifests read as array entries with paths or as inline maps', (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'rock.json'), JSON.stringify({ id: 1, name: 'Rock' }));
+  fs.writeFileSync(path.join(dir, 'list.json'), JSON.stringify([{ path: 'rock.json' }]));
+  fs.writeFileSync(path.join(dir, 'map.json'), JSON.stringify({ tree: { id: 2, name: 'Tree' } }));
+
+  assert.deepEqual(readManifest(path.join(dir, 'list.json'), { baseDir: dir }), [
+    [null, { id: 1, name: 'Rock' }],
+  ]);
+  assert.deepEqual(readManifest(path.join(dir, 'map.json'), { baseDir: dir }), [
+    ['tree', { id: 2, name: 'Tree' }],
+  ]);
+  assert.equal(readManifest(path.join(dir, 'missing.json'), { baseDir: dir }), null);
+});
+
+test('an invalid manifest reads as null, so reloads keep the old definitions', (t) => {
+  const dir = tempDir(t);
+  const manifestPath = path.join(dir, 'npcs.json');
+  const warnings = [];
+  const options = { baseDir: dir, warn: (message) => warnings.push(message) };
+  fs.writeFileSync(manifestPath, JSON.stringify({ fido: { id: 1 } }));
+  let templates = readManifest(manifestPath, options);
+
+  // What the server's reload does with the result
+  const reload = () => {
+    const next = readManifest(manifestPath, options);
+    if (next) templates = next;
+  };
+  fs.writeFileSync(manifestPath, '{ "fido": { "id": 1 ');
+  reload();
+  assert.deepEqual(templates, [['fido', { id: 1 }]]);
+  assert.match(warnings[0], /Failed to parse npcs\.json/);
+
+  fs.writeFileSync(manifestPath, JSON.stringify({ fido: { id: 1 }, rex: { id: 2 } }));
+  reload();
+  assert.equal(templates.length, 2);
+});
+
+test('a broken entry fails the manifest unless broken entries are skipped', (t) => {
+  const dir = tempDir(t);
+  const manifestPath = path.join(dir, 'objects.json');
+  fs.writeFileSync(path.join(dir, 'bad.json'), '{');
+  fs.writeFileSync(path.join(dir, 'good.json'), JSON.stringify({ id: 3 }));
+  fs.writeFileSync(manifestPath, JSON.stringify([{ path: 'bad.json' }, { path: 'good.json' }]));
+  const warn = () => {};
+
+  assert.equal(readManifest(manifestPath, { baseDir: dir, warn }), null);
+  assert.deepEqual(readManifest(manifestPath, { baseDir: dir, warn, skipBroken: true }), [
+    [null, { id: 3 }],
+  ]);
+});
+
+test('a burst of writes to a watched file is reloaded once', async (t) => {
+  const dir = tempDir(t);
+  const reloader = createHotReloader({ logError: () => {} });
+  t.after(() => reloader.close());
+  const changed = [];
+  reloader.watchDir(
+    dir,
+    (fileName) => fileName.endsWith('.json'),
+    (file) => changed.push(file)
+  );
+
+  const filePath = path.join(dir, 'npcs.json');
+  fs.writeFileSync(filePath, '{');
+  fs.writeFileSync(filePath, '{}');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+  await new Promise((resolve) => setTimeout(resolve, 600));
+
+  assert.deepEqual(changed, [filePath]);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const inventory = require('../server/inventory');
+
+const rock = { stackable: true, maxStack: 3, weight: 2 };
+const stick = { stackable: true };
+const lamp = { weight: 0 };
+
+test('quantities, stack sizes and weights fall back to defaults', () => {
+  assert.equal(inventory.quantityOf({ quantity: 4 }), 4);
+  assert.equal(inventory.quantityOf({ quantity: 0 }), 1);
+  assert.equal(inventory.quantityOf({}), 1);
+  assert.equal(inventory.maxStack(rock), 3);
+  assert.equal(inventory.maxStack(stick), 20);
+  assert.equal(inventory.maxStack(lamp), 1);
+  assert.equal(inventory.weightOf(rock, 3), 6);
+  assert.equal(inventory.weightOf(lamp, 5), 0);
+  assert.equal(inventory.weightOf({}), 1);
+});
+
+test('items merge into a stack only while it stays under the limit', () => {
+  const carried = [{ typeId: 1, quantity: 3 }, { typeId: 1, quantity: 1 }, { typeId: 2 }];
+  assert.equal(inventory.findStack(carried, { typeId: 1, quantity: 2 }, rock), carried[1]);
+  assert.equal(inventory.findStack(carried, { typeId: 1, quantity: 3 }, rock), undefined);
+  assert.equal(inventory.findStack(carried, { typeId: 2 }, lamp), undefined);
+  assert.equal(inventory.findStack(carried, carried[1], rock), undefined, 'never into itself');
+});
+
+test("slot and weight limits refuse what doesn't fit", () => {
+  const { MAX_SLOTS, MAX_WEIGHT } = inventory;
+  const full = { slots: MAX_SLOTS, weight: 0 };
+  assert.match(inventory.checkCapacity(full, { slots: 1, weight: 0 }).error, /carry any more/);
+  assert.equal(
+    inventory.checkCapacity(full, { slots: 0, weight: 1 }).valid,
+    true,
+    'merging into a stack takes no slot'
+  );
+  const heavy = { slots: 1, weight: MAX_WEIGHT - 2 };
+  assert.equal(inventory.checkCapacity(heavy, { slots: 1, weight: 2 }).valid, true);
+  assert.match(inventory.checkCapacity(heavy, { slots: 1, weight: 3 }).error, /too heavy/);
+});
+
+const carried = (instanceId, extra = {}) => ({
+  instanceId,
+  typeId: 1,
+  zone: '0',
+  roomId: 0,
+  x: 2,
+  y: 3,
+  pickedUpBy: 'Ann',
+  removedAt: 5,
+  respawnAfterSec: null,
+  ...extra,
+});
+
+test('an item that does not respawn is removed for good', () => {
+  const key = carried('key');
+  const instances = [carried('rock'), key];
+  assert.equal(inventory.removeCarriedItem(instances, key, 'npc:gregory', 40), true);
+  assert.deepEqual(
+    instances.map((i) => i.instanceId),
+    ['rock']
+  );
+  // Already gone: nothing else is touched
+  assert.equal(inventory.removeCarriedItem(instances, key, 'npc:gregory', 41), false);
+  assert.equal(instances.length, 1);
+});
+
+test('a respawning room spawn changes hands and restarts its respawn timer', () => {
+  const berry = carried('berry', { respawnAfterSec: 30 });
+  const instances = [berry];
+  assert.equal(inventory.removeCarriedItem(instances, berry, 'npc:gregory', 40), false);
+  assert.deepEqual(instances, [
+    carried('berry', { respawnAfterSec: 30, pickedUpBy: 'npc:gregory', removedAt: 40 }),
+  ]);
+});
+
+test("a sold respawning item leaves the seller's inventory but stays in the world", () => {
+  const berry = carried('berry', { respawnAfterSec: 30 });
+  const rock = carried('rock');
+  const instances = [berry, rock];
+  inventory.removeCarriedItem(instances, berry, 'npc:vendor', 12);
+  inventory.removeCarriedItem(instances, rock, 'npc:vendor', 12);
+  assert.deepEqual(
+    instances.filter((i) => i.pickedUpBy === 'Ann'),
+    []
+  );
+  // Still there for the respawn cycle, at its spawn spot
+  assert.deepEqual(instances, [berry]);
+  assert.deepEqual([berry.zone, berry.roomId, berry.x, berry.y], ['0', 0, 2, 3]);
+});
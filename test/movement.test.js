@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const movement = require('../server/movement');
+
+const { TILE_SIZE, PLAYER_MOVE_BURST } = movement;
+
+/** A width×height room of grass with void at the given "x,y" tiles. */
+function makeRoom(width, height, voids = [], extra = {}) {
+  const tiles = [];
+  for (let y = 0; y < height; y++) {
+    const row = [];
+    for (let x = 0; x < width; x++) {
+      row.push({ terrain: voids.includes(`${x},${y}`) ? 'void' : 'grass' });
+    }
+    tiles.push(row);
+  }
+  return { tiles, ...extra };
+}
+
+function makeWorld(rooms, speed = 100) {
+  return {
+    getRoom: (zone, roomId) => rooms[`${zone},${roomId}`] || null,
+    resolveZone: (zoneId) =>
+      Object.keys(rooms).some((key) => key.startsWith(`${zoneId},`)) ? String(zoneId) : null,
+    maxSpeedAt: () => speed,
+  };
+}
+
+const at = (tx, ty) => ({ x: tx * TILE_SIZE, y: ty * TILE_SIZE });
+const freshState = () => ({ budget: PLAYER_MOVE_BURST, lastMoveAt: null });
+
+test('pixelToTile picks the tile under the body center', () => {
+  assert.equal(movement.pixelToTile(0), 0);
+  assert.equal(movement.pixelToTile(15), 0);
+  assert.equal(movement.pixelToTile(16), 1);
+  assert.equal(movement.pixelToTile(-16), 0);
+});
+
+test('accepts a short step onto an open tile', () => {
+  const world = makeWorld({ '0,0': makeRoom(5, 5) });
+  const player = { zone: '0', roomId: 0, ...at(1, 1) };
+  const state = freshState();
+  const result = movement.validateMove(player, state, { ...at(2, 1), roomId: 0 }, 1000, world);
+  assert.deepEqual(result, { valid: true, zone: '0' });
+  assert.equal(state.budget, PLAYER_MOVE_BURST - TILE_SIZE);
+});
+
+test('rejects malformed, unknown and out-of-bounds targets', () => {
+  const world = makeWorld({ '0,0': makeRoom(3, 3) });
+  const player = { zone: '0', roomId: 0, ...at(1, 1) };
+  const check = (msg) => movement.validateMove(player, freshState(), msg, 0, world).error;
+  assert.equal(check({ x: '1', y: 0, roomId: 0 }), 'Invalid movement data');
+  assert.equal(check({ x: 0, y: 0, roomId: 1.5 }), 'Invalid movement data');
+  assert.equal(check({ ...at(1, 1), roomId: 0, zone: '9' }), 'Unknown zone');
+  assert.equal(check({ ...at(1, 1), roomId: 7 }), 'Unknown room');
+  assert.equal(check({ ...at(5, 1), roomId: 0 }), 'Out of room bounds');
+});
+
+test('rejects moving onto or through a void tile', () => {
+  const world = makeWorld({ '0,0': makeRoom(5, 1, ['2,0']) });
+  const player = { zone: '0', roomId: 0, ...at(1, 0) };
+  const onto = movement.validateMove(player, freshState(), { ...at(2, 0), roomId: 0 }, 0, world);
+  assert.equal(onto.error, 'Tile is blocked');
+  const through = movement.validateMove(player, freshState(), { ...at(3, 0), roomId: 0 }, 0, world);
+  assert.equal(through.error, 'Path is blocked');
+});
+
+test('rejects moves faster than the refilled budget allows', () => {
+  const world = makeWorld({ '0,0': makeRoom(10, 1) }, 100);
+  const player = { zone: '0', roomId: 0, ...at(0, 0) };
+  const state = freshState();
+  const far = movement.validateMove(player, state, { ...at(3, 0), roomId: 0 }, 0, world);
+  assert.equal(far.error, 'Moving too fast');
+
+  // The budget refills at the tile speed, up to the burst allowance (two tiles)
+  state.budget = 0;
+  state.lastMoveAt = 0;
+  const later = movement.validateMove(player, state, { ...at(2, 0), roomId: 0 }, 1000, world);
+  assert.equal(later.valid, true);
+});
+
+test('room changes need an exit near the player that leads there', () => {
+  const from = makeRoom(3, 3);
+  from.tiles[1][2].tileExits = { east: { roomId: 1, x: 0, y: 1 } };
+  const world = makeWorld({ '0,0': from, '0,1': makeRoom(3, 3) });
+  const target = { ...at(0, 1), roomId: 1 };
+
+  const nearExit = { zone: '0', roomId: 0, ...at(2, 1) };
+  assert.deepEqual(movement.validateMove(nearExit, freshState(), target, 0, world), {
+    valid: true,
+    zone: '0',
+  });
+
+  const farFromExit = { zone: '0', roomId: 0, ...at(0, 1) };
+  assert.equal(
+    movement.validateMove(farFromExit, freshState(), target, 0, world).error,
+    'Illegal room transition'
+  );
+});
+
+test('teleport exits and cross-zone exits are honoured', () => {
+  const from = makeRoom(3, 3, [], {
+    exits: [{ from: { x: 0, y: 0 }, to: { zoneId: '1', roomId: 4, x: 2, y: 2 } }],
+  });
+  const world = makeWorld({ '0,0': from, '1,4': makeRoom(3, 3) });
+  const player = { zone: '0', roomId: 0, ...at(0, 0) };
+  const result = movement.validateMove(
+    player,
+    freshState(),
+    { ...at(2, 2), roomId: 4, zone: 1 },
+    0,
+    world
+  );
+  assert.deepEqual(result, { valid: true, zone: '1' });
+});
@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScriptRuntime } = require('../server/scripting');
+const { createNpcEvents, NPC_PROXIMITY_RADIUS } = require('../server/npc-events');
+
+// Every hook reports its call through the gameState API the events module appends
+const RECORDING_BEHAVIOR = `
+module.exports = {
+  onSpawn: (npc, api) => api.record('spawn'),
+  onPathComplete: (npc, api) => api.record('path-complete', npc.x, npc.y),
+  onPlayerEnter: (npc, player, event, api) => api.record('enter', player.name, event.scope),
+  onPlayerLeave: (npc, player, event, api) => api.record('leave', player.name, event.scope),
+  onSpeak: (npc, player, event, api) => api.record('speak', player.name, event.channel, event.text),
+  onItemGiven: (npc, player, event, api) => event.item === 'rock',
+};
+`;
+
+function loadBehavior(t, runtime, source) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goodfido-events-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'behavior.js');
+  fs.writeFileSync(file, source);
+  return runtime.load(file);
+}
+
+/** Events over a movable list of `players` ({ id, name, zone, roomId, x, y }). */
+function setup(
+  t,
+  {
+    source = RECORDING_BEHAVIOR,
+    proximityRadius,
+    logError = (category, error) => assert.fail(error),
+    timeoutMs,
+  } = {}
+) {
+  const runtime = createScriptRuntime({ logError, timeoutMs });
+  const calls = [];
+  const players = [];
+  const events = createNpcEvents({
+    runtime,
+    apiFor: () => ({ record: (...call) => calls.push(call) }),
+    playersInRoom: (zone, roomId) => players.filter((p) => p.zone === zone && p.roomId === roomId),
+    proximityRadius,
+    shoutRadius: 5,
+  });
+  const npc = {
+    instanceId: 'dog',
+    zone: '0',
+    roomId: 0,
+    x: 10,
+    y: 10,
+    behavior: loadBehavior(t, runtime, source),
+  };
+  const takeCalls = () => calls.splice(0);
+  return { events, npc, players, takeCalls };
+}
+
+const player = (id, name, x, y, roomId = 0) => ({ id, name, zone: '0', roomId, x, y });
+
+test('arriving fires room then proximity enter hooks, each exactly once', (t) => {
+  const { events, npc, players, takeCalls } = setup(t);
+  players.push(player(1, 'Ann', 0, 0));
+  events.updateAwareness(npc);
+  assert.deepEqual(takeCalls(), [['enter', 'Ann', 'room']]);
+
+  Object.assign(players[0], { x: 10 - NPC_PROXIMITY_RADIUS, y: 10 });
+  events.updateAwareness(npc);
+  assert.deepEqual(takeCalls(), [['enter', 'Ann', 'proximity']]);
+
+  // Nothing changed: no repeats
+  events.updateAwareness(npc);
+  events.updateAwareness(npc);
+  assert.deepEqual(takeCalls(), []);
+});
+
+test('leaving the room at once fires proximity then room leave hooks, each exactly once', (t) => {
+  const { events, npc, players, takeCalls } = setup(t);
+  players.push(player(1, 'Ann', 9, 10));
+  events.updateAwareness(npc);
+  assert.deepEqual(takeCalls(), [
+    ['enter', 'Ann', 'room'],
+    ['enter', 'Ann', 'proximity'],
+  ]);
+
+  players[0].roomId = 1;
+  events.updateAwareness(npc);
+  events.updateAwareness(npc);
+  assert.deepEqual(takeCalls(), [
+    ['leave', 'Ann', 'proximity'],
+    ['leave', 'Ann', 'room'],
+  ]);
+});
+
+test('each player is tracked separately, within the template proximity radius', (t) => {
+  const { events, npc, players, takeCalls } = setup(t, { proximityRadius: () => 1 });
+  players.push(player(1, 'Ann', 11, 10), player(2, 'Bob', 12, 10));
+  events.updateAwareness(npc);
+  assert.deepEqual(takeCalls(), [
+    ['enter', 'Ann', 'room'],
+    ['enter', 'Bob', 'room'],
+    ['enter', 'Ann', 'proximity'],
+  ]);
+
+  players.splice(0, 1);
+  events.updateAwareness(npc);
+  assert.deepEqual(takeCalls(), [
+    ['leave', 'Ann', 'proximity'],
+    ['leave', 'Ann', 'room'],
+  ]);
+});
+
+test('forgetting an NPC (behavior reloaded) makes enter hooks fire again', (t) => {
+  const { events, npc, players, takeCalls } = setup(t);
+  players.push(player(1, 'Ann', 0, 0));
+  events.updateAwareness(npc);
+  takeCalls();
+  events.forget(npc);
+  events.updateAwareness(npc);
+  assert.deepEqual(takeCalls(), [['enter', 'Ann', 'room']]);
+});
+
+test('NPCs without enter/leave hooks track nobody', (t) => {
+  const { events, npc, players, takeCalls } = setup(t, {
+    source: 'module.exports = { onTick() {} };',
+  });
+  players.push(player(1, 'Ann', 0, 0));
+  events.updateAwareness(npc);
+  assert.deepEqual(takeCalls(), []);
+});
+
+test('says in the room and shouts within earshot reach onSpeak', (t) => {
+  const { events, npc, takeCalls } = setup(t);
+  const npcs = [npc];
+  events.notifySpeech(npcs, player(1, 'Ann', 0, 0), 'say', 'hello');
+  events.notifySpeech(npcs, player(1, 'Ann', 10, 15), 'shout', 'HEY');
+  assert.deepEqual(takeCalls(), [
+    ['speak', 'Ann', 'say', 'hello'],
+    ['speak', 'Ann', 'shout', 'HEY'],
+  ]);
+
+  // Out of earshot, another room, or a channel NPCs don't overhear
+  events.notifySpeech(npcs, player(1, 'Ann', 10, 16), 'shout', 'HEY');
+  events.notifySpeech(npcs, player(1, 'Ann', 10, 10, 1), 'say', 'hello');
+  events.notifySpeech(npcs, player(1, 'Ann', 10, 10), 'whisper', 'psst');
+  events.notifySpeech(npcs, player(1, 'Ann', 10, 10), 'global', 'hi all');
+  assert.deepEqual(takeCalls(), []);
+});
+
+test('onItemGiven accepts, refuses with false, or the NPC has no use for items', (t) => {
+  const { events, npc } = setup(t);
+  const ann = player(1, 'Ann', 10, 11);
+  assert.equal(events.offerItem(npc, ann, { item: 'rock', instanceId: 'a' }), 'accepted');
+  assert.equal(events.offerItem(npc, ann, { item: 'stick', instanceId: 'b' }), 'refused');
+
+  const { events: plain, npc: uninterested } = setup(t, { source: 'module.exports = {};' });
+  assert.equal(plain.offerItem(uninterested, ann, { item: 'rock', instanceId: 'a' }), 'unwanted');
+});
+
+test('an onItemGiven hook that throws or times out refuses the item', (t) => {
+  const failures = [];
+  const { events, npc } = setup(t, {
+    source: `module.exports = {
+      onItemGiven(npc, player, event) {
+        if (event.item === 'rock') throw new Error('bad');
+        for (;;);
+      },
+    };`,
+    logError: (category, error, context) => failures.push(context.hook),
+    timeoutMs: 5,
+  });
+  const ann = player(1, 'Ann', 10, 11);
+  assert.equal(events.offerItem(npc, ann, { item: 'rock', instanceId: 'a' }), 'refused');
+  for (let i = 0; i < 3; i++) {
+    assert.equal(events.offerItem(npc, ann, { item: 'stick', instanceId: 'b' }), 'refused');
+  }
+  assert.deepEqual(failures, Array(4).fill('onItemGiven'));
+  // Switched off after repeated timeouts: it no longer takes items at all
+  assert.equal(events.offerItem(npc, ann, { item: 'stick', instanceId: 'b' }), 'unwanted');
+});
+
+test('onSpawn and onPathComplete get the NPC and the gameState API', (t) => {
+  const { events, npc, takeCalls } = setup(t);
+  events.dispatch(npc, 'onSpawn');
+  events.dispatch(npc, 'onPathComplete');
+  assert.deepEqual(takeCalls(), [['spawn'], ['path-complete', 10, 10]]);
+  // Hooks a behavior doesn't export are skipped
+  assert.equal(events.dispatch(npc, 'onTick'), undefined);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPathfinder } = require('../server/pathfinding');
+
+/** Build a room from rows of characters: "." grass, "#" void. */
+function roomFrom(rows, extra = {}) {
+  return {
+    tiles: rows.map((row) => [...row].map((c) => ({ terrain: c === '#' ? 'void' : 'grass' }))),
+    ...extra,
+  };
+}
+
+function pathfinderOver(rooms) {
+  return createPathfinder({
+    getRoom: (zone, roomId) => rooms[`${zone},${roomId}`] || null,
+    resolveZoneKey: (zoneId) => (zoneId === 'far' ? 'far' : null),
+  });
+}
+
+const at = (x, y, roomId = 0, zone = '0') => ({ zone, roomId, x, y });
+const plain = () => 1;
+
+test('a straight path lists every tile, start included', () => {
+  const { findPath } = pathfinderOver({ '0,0': roomFrom(['.....']) });
+  assert.deepEqual(findPath(at(0, 0), at(4, 0), { tileCost: plain }), [
+    {
+      zone: '0',
+      roomId: 0,
+      path: [
+        [0, 0],
+        [1, 0],
+        [2, 0],
+        [3, 0],
+        [4, 0],
+      ],
+    },
+  ]);
+});
+
+test('void tiles are walked around, and a walled-off goal has no path', () => {
+  const { findPath } = pathfinderOver({
+    '0,0': roomFrom(['...', '.#.', '...']),
+    '0,1': roomFrom(['.#.', '.#.', '.#.']),
+  });
+  const [leg] = findPath(at(0, 1), at(2, 1), { tileCost: plain });
+  assert.equal(leg.path.length, 5);
+  assert.ok(!leg.path.some(([x, y]) => x === 1 && y === 1));
+  assert.equal(findPath(at(0, 0, 1), at(2, 0, 1), { tileCost: plain }), null);
+  assert.equal(findPath(at(0, 0), at(1, 1), { tileCost: plain }), null);
+});
+
+test('expensive tiles are avoided when a cheaper detour exists', () => {
+  const { findPath } = pathfinderOver({ '0,0': roomFrom(['...', '...']) });
+  const mud = (zone, roomId, x, y) => (x === 1 && y === 0 ? 10 : 1);
+  const [leg] = findPath(at(0, 0), at(2, 0), { tileCost: mud });
+  assert.deepEqual(leg.path, [
+    [0, 0],
+    [0, 1],
+    [1, 1],
+    [2, 1],
+    [2, 0],
+  ]);
+  const blocked = (zone, roomId, x, y) => (x === 1 ? Infinity : 1);
+  assert.equal(findPath(at(0, 0), at(2, 0), { tileCost: blocked }), null);
+});
+
+test('diagonal steps never cut a blocked corner', () => {
+  const { findPath } = pathfinderOver({ '0,0': roomFrom(['..', '..']) });
+  const [open] = findPath(at(0, 0), at(1, 1), {
+    tileCost: plain,
+    diagonal: true,
+  });
+  assert.deepEqual(open.path, [
+    [0, 0],
+    [1, 1],
+  ]);
+  const corner = (zone, roomId, x, y) => (x === 1 && y === 0 ? Infinity : 1);
+  const [around] = findPath(at(0, 0), at(1, 1), {
+    tileCost: corner,
+    diagonal: true,
+  });
+  assert.deepEqual(around.path, [
+    [0, 0],
+    [0, 1],
+    [1, 1],
+  ]);
+});
+
+test('cross-room plans follow exits and split into legs', () => {
+  const { findPath } = pathfinderOver({
+    '0,0': roomFrom(['...'], {
+      exits: [{ from: { x: 2, y: 0 }, to: { zoneId: 'far', roomId: 3, x: 0, y: 0 } }],
+    }),
+    'far,3': roomFrom(['..']),
+  });
+  const from = at(0, 0);
+  const to = at(1, 0, 3, 'far');
+  assert.equal(findPath(from, to, { tileCost: plain }), null, 'same room only');
+  assert.deepEqual(findPath(from, to, { tileCost: plain, crossRooms: true }), [
+    {
+      zone: '0',
+      roomId: 0,
+      path: [
+        [0, 0],
+        [1, 0],
+        [2, 0],
+      ],
+    },
+    {
+      zone: 'far',
+      roomId: 3,
+      path: [
+        [0, 0],
+        [1, 0],
+      ],
+    },
+  ]);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const quests = require('../server/quests');
+
+const defs = {
+  errand: {
+    name: 'Errand',
+    start: { talk: 'Gregory' },
+    steps: [
+      { text: 'Find a rock', pickup: 'rock' },
+      { text: 'Go north', enter: { zone: 0, roomId: 1 } },
+      { text: 'Report back', talk: 'Gregory' },
+    ],
+  },
+  scripted: { name: 'Scripted', steps: [{ text: 'Ring', event: 'bell' }] },
+};
+const carries =
+  (...items) =>
+  (item) =>
+    items.includes(item);
+
+test('quest definitions are checked, and quests.json is valid', () => {
+  Object.values(defs).forEach((quest) =>
+    assert.deepEqual(quests.validateQuest(quest), { valid: true })
+  );
+  const shipped = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'quests.json'), 'utf8'));
+  Object.values(shipped).forEach((quest) =>
+    assert.deepEqual(quests.validateQuest(quest), { valid: true })
+  );
+  assert.match(quests.validateQuest({ name: 'X', steps: [] }).error, /steps/);
+  assert.match(
+    quests.validateQuest({ name: 'X', steps: [{ text: 'Wait' }] }).error,
+    /Step 0 needs one of/
+  );
+  assert.match(
+    quests.validateQuest({
+      name: 'X',
+      steps: [{ text: 'Go', enter: { zone: 0 } }],
+    }).error,
+    /"enter" needs/
+  );
+});
+
+test('triggers match their event type only', () => {
+  const talk = { type: 'talk', npc: 'gregory' };
+  assert.equal(quests.matchesTrigger({ talk: 'Gregory' }, talk), true);
+  assert.equal(quests.matchesTrigger({ pickup: 'Gregory' }, talk), false);
+  assert.equal(
+    quests.matchesTrigger(
+      { enter: { zone: 0, roomId: 1 } },
+      { type: 'enter', zone: '0', roomId: 1 }
+    ),
+    true
+  );
+  assert.equal(quests.matchesTrigger(undefined, talk), false);
+});
+
+test('events start quests and advance the current step only', () => {
+  const state = {};
+  const holds = carries();
+  assert.deepEqual(
+    quests.applyEvent(defs, state, { type: 'pickup', item: 'rock' }, holds),
+    [],
+    'not started yet'
+  );
+  assert.deepEqual(quests.applyEvent(defs, state, { type: 'talk', npc: 'Gregory' }, holds), [
+    { questId: 'errand', kind: 'started' },
+  ]);
+  const enter = { type: 'enter', zone: '0', roomId: 1 };
+  assert.deepEqual(quests.applyEvent(defs, state, enter, holds), []);
+  quests.applyEvent(defs, state, { type: 'pickup', item: 'rock' }, holds);
+  quests.applyEvent(defs, state, enter, holds);
+  assert.deepEqual(quests.applyEvent(defs, state, { type: 'talk', npc: 'Gregory' }, holds), [
+    { questId: 'errand', kind: 'step' },
+    { questId: 'errand', kind: 'completed' },
+  ]);
+  assert.deepEqual(state.errand, { step: 3, done: true });
+});
+
+test('pickup steps already satisfied are skipped when they come up', () => {
+  const state = {};
+  assert.deepEqual(quests.startQuest(defs, state, 'errand', carries('rock')), [
+    { questId: 'errand', kind: 'started' },
+    { questId: 'errand', kind: 'step' },
+  ]);
+  assert.equal(state.errand.step, 1);
+  assert.deepEqual(quests.startQuest(defs, state, 'errand', carries()), []);
+  assert.deepEqual(quests.startQuest(defs, state, 'nope', carries()), []);
+  // Names inherited from Object.prototype are not quests
+  ['constructor', '__proto__', 'toString'].forEach((questId) =>
+    assert.deepEqual(quests.startQuest(defs, {}, questId, carries()), [])
+  );
+});
+
+test('the quest log shows finished steps and the current one', () => {
+  const state = { errand: { step: 1, done: false }, gone: { step: 0 } };
+  const [log] = quests.questLog(defs, state);
+  assert.equal(quests.questLog(defs, state).length, 1);
+  assert.deepEqual(log.steps, [
+    { text: 'Find a rock', done: true },
+    { text: 'Go north', done: false },
+  ]);
+  assert.equal(log.done, false);
+});
@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoaming, tileDistance, ROAM_DEFAULTS } = require('../server/roaming');
+
+/** Build a room from rows of characters: "." grass, "#" void. */
+function roomFrom(rows, extra = {}) {
+  return {
+    tiles: rows.map((row) => [...row].map((c) => ({ terrain: c === '#' ? 'void' : 'grass' }))),
+    ...extra,
+  };
+}
+
+const open9 = Array(9).fill('.........');
+
+const rooms = {
+  // Home room: a tile exit east into room 1, a teleport exit to room 2 and one to zone "far"
+  '0,0': roomFrom(open9, {
+    region: 'woods',
+    exits: [{ to: { roomId: 2 } }, { to: { zoneId: 'far', roomId: 0 } }],
+  }),
+  '0,1': roomFrom(open9, { region: 'woods' }),
+  '0,2': roomFrom(open9, { region: 'town' }),
+  '0,3': roomFrom(open9),
+  'far,0': roomFrom(open9, { region: 'woods' }),
+};
+rooms['0,0'].tiles[4][8].tileExits = { right: { roomId: 1 } };
+
+/**
+ * Roaming over `rooms`, with `players` ([{ id, x, y }], all in room 0,0),
+ * `blocked` ("x,y" tiles) and a scripted `random`.
+ */
+function roamingWith({ players = [], blocked = [], random = () => 0 } = {}) {
+  const roaming = createRoaming({
+    getRoom: (zone, roomId) => rooms[`${zone},${roomId}`] || null,
+    resolveZoneKey: (zoneId) => (zoneId === 'far' || zoneId === '0' ? zoneId : null),
+    tileCost: (npc) => (zone, roomId, x, y) =>
+      !roaming.mayEnterRoom(npc, zone, roomId) || blocked.includes(`${x},${y}`) ? Infinity : 1,
+    playerTiles: (zone, roomId) =>
+      zone === '0' && roomId === 0 ? players.map((p) => ({ ...p })) : [],
+    random,
+  });
+  return roaming;
+}
+
+function npcAt(x, y, roam = {}, extra = {}) {
+  return {
+    zone: '0',
+    roomId: 0,
+    x,
+    y,
+    home: { zone: '0', roomId: 0, x: 4, y: 4 },
+    roam,
+    ...extra,
+  };
+}
+
+const settings = (roam) => ({ ...ROAM_DEFAULTS, ...roam });
+const sorted = (list) => list.map(({ zone, roomId }) => `${zone},${roomId}`).sort();
+
+test('neighbouring rooms come from tile exits and teleport exits', () => {
+  const roaming = roamingWith();
+  assert.deepEqual(sorted(roaming.neighbourRooms('0', 0)), ['0,1', '0,2', 'far,0']);
+  assert.deepEqual(roaming.neighbourRooms('0', 9), []);
+});
+
+test('constrain "room" (the default) keeps an NPC in its home room', () => {
+  const roaming = roamingWith();
+  const npc = npcAt(1, 1, { type: 'random' });
+  assert.deepEqual(sorted(roaming.allowedRooms(npc)), ['0,0']);
+  assert.equal(roaming.mayEnterRoom(npc, '0', 1), false);
+});
+
+test('constrain "zone" allows any room in the home zone', () => {
+  const roaming = roamingWith();
+  const npc = npcAt(1, 1, { type: 'random', constrain: 'zone' });
+  assert.deepEqual(sorted(roaming.allowedRooms(npc)), ['0,0', '0,1', '0,2']);
+  assert.equal(roaming.mayEnterRoom(npc, '0', 3), true);
+});
+
+test('constrain "region" allows rooms sharing the home room\'s region tag', () => {
+  const roaming = roamingWith();
+  const npc = npcAt(1, 1, { type: 'random', constrain: 'region' });
+  assert.deepEqual(sorted(roaming.allowedRooms(npc)), ['0,0', '0,1', 'far,0']);
+  assert.equal(roaming.mayEnterRoom(npc, '0', 3), false);
+
+  // A home room without a region falls back to the room itself
+  const untagged = npcAt(1, 1, { constrain: 'region' }, { roomId: 3 });
+  untagged.home = { zone: '0', roomId: 3, x: 1, y: 1 };
+  assert.equal(roaming.mayEnterRoom(untagged, '0', 3), true);
+  assert.equal(roaming.mayEnterRoom(untagged, '0', 0), false);
+});
+
+test('random targets a free tile in an allowed room, or nothing if none is allowed', () => {
+  const roaming = roamingWith({ blocked: ['0,0'] });
+  const npc = npcAt(4, 4, { type: 'random' });
+  // random() = 0 picks the first candidate: (0,0) is blocked, so (1,0)
+  assert.deepEqual(roaming.pickTarget(npc, settings(npc.roam)), {
+    zone: '0',
+    roomId: 0,
+    x: 1,
+    y: 0,
+  });
+
+  const stray = npcAt(1, 1, { type: 'random' }, { roomId: 2 });
+  assert.equal(roaming.pickTarget(stray, settings(stray.roam)), null);
+});
+
+test('wander stays within radius of the spawn point', () => {
+  for (const roll of [0, 0.25, 0.5, 0.75, 0.999]) {
+    const roaming = roamingWith({ random: () => roll });
+    const npc = npcAt(4, 4, { type: 'wander', radius: 2 });
+    const target = roaming.pickTarget(npc, settings(npc.roam));
+    assert.ok(tileDistance(target, npc.home) <= 2, `roll ${roll}: ${JSON.stringify(target)}`);
+  }
+});
+
+test('patrol heads for the current waypoint and wraps around after the last', () => {
+  const roaming = roamingWith();
+  const patrol = [
+    { x: 1, y: 1 },
+    { x: 3, y: 1, roomId: 1 },
+  ];
+  const npc = npcAt(0, 0, { type: 'patrol' }, { patrol, patrolIndex: 0 });
+  assert.deepEqual(roaming.pickTarget(npc, settings(npc.roam)), {
+    zone: '0',
+    roomId: 0,
+    x: 1,
+    y: 1,
+  });
+
+  // Arriving moves on to the next waypoint (in another room)
+  Object.assign(npc, { x: 1, y: 1 });
+  assert.deepEqual(roaming.pickTarget(npc, settings(npc.roam)), {
+    zone: '0',
+    roomId: 1,
+    x: 3,
+    y: 1,
+  });
+  assert.equal(npc.patrolIndex, 1);
+
+  // Arriving at the last one wraps back to the first
+  Object.assign(npc, { roomId: 1, x: 3, y: 1 });
+  assert.deepEqual(roaming.pickTarget(npc, settings(npc.roam)), {
+    zone: '0',
+    roomId: 0,
+    x: 1,
+    y: 1,
+  });
+  assert.equal(npc.patrolIndex, 0);
+
+  assert.equal(
+    roaming.pickTarget(npcAt(0, 0, { type: 'patrol' }), settings({ type: 'patrol' })),
+    null
+  );
+});
+
+test('follow goes for the nearest player and stops `distance` short', () => {
+  const players = [
+    { id: 1, x: 8, y: 8 },
+    { id: 2, x: 4, y: 7 },
+  ];
+  const roaming = roamingWith({ players });
+  const npc = npcAt(4, 4, { type: 'follow', distance: 1 });
+  assert.deepEqual(roaming.pickTarget(npc, settings(npc.roam)), { x: 4, y: 7, stopShort: 1 });
+
+  // Already close enough, or nobody around
+  const near = npcAt(4, 6, { type: 'follow', distance: 1 });
+  assert.equal(roaming.pickTarget(near, settings(near.roam)), null);
+  assert.equal(roamingWith().pickTarget(npc, settings(npc.roam)), null);
+});
+
+test('flee picks the reachable tile farthest from players within radius', () => {
+  const roaming = roamingWith({ players: [{ id: 1, x: 4, y: 5 }] });
+  const npc = npcAt(4, 4, { type: 'flee', radius: 2 });
+  // The far corners of the search square are 5 tiles from the player; the first found wins
+  assert.deepEqual(roaming.pickTarget(npc, settings(npc.roam)), { x: 2, y: 2 });
+  const blocked = roamingWith({ players: [{ id: 1, x: 4, y: 5 }], blocked: ['2,2'] });
+  assert.deepEqual(blocked.pickTarget(npc, settings(npc.roam)), { x: 6, y: 2 });
+
+  // Players beyond the radius are no threat
+  const calm = roamingWith({ players: [{ id: 1, x: 4, y: 8 }] });
+  assert.equal(calm.pickTarget(npc, settings(npc.roam)), null);
+});
+
+test('unknown roam types stay put', () => {
+  const npc = npcAt(4, 4, { type: 'teleport' });
+  assert.equal(roamingWith().pickTarget(npc, settings(npc.roam)), null);
+  assert.equal(roamingWith().pickTarget(npc, settings({ type: 'toString' })), null);
+});
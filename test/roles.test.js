@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const roles = require('../server/roles');
+
+test('higher roles inherit every permission of the lower ones', () => {
+  assert.equal(roles.can('player', 'message:update'), true);
+  assert.equal(roles.can('player', 'message:edit-tile'), false);
+  assert.equal(roles.can('builder', 'message:edit-tile'), true);
+  assert.equal(roles.can('builder', 'command:kick'), false);
+  assert.equal(roles.can('moderator', 'command:kick'), true);
+  assert.equal(roles.can('moderator', 'command:role'), false);
+  assert.equal(roles.can('admin', 'command:role'), true);
+});
+
+test('unlisted permissions and unknown roles are refused', () => {
+  assert.equal(roles.can('admin', 'message:format-disk'), false);
+  assert.equal(roles.can('superuser', 'message:update'), false);
+  assert.equal(roles.can(undefined, 'message:update'), false);
+});
+
+test('permissionsFor lists exactly what a role can do', () => {
+  const player = roles.permissionsFor('player');
+  const admin = roles.permissionsFor('admin');
+  assert.ok(player.includes('message:chat'));
+  assert.ok(!player.includes('command:spawn'));
+  assert.deepEqual(admin.sort(), Object.keys(roles.PERMISSIONS).sort());
+  assert.deepEqual(roles.permissionsFor('nobody'), []);
+});
+
+test('records keep their role; legacy privilege values are migrated', () => {
+  assert.equal(roles.roleOfRecord({ role: 'moderator' }), 'moderator');
+  assert.equal(roles.roleOfRecord({ privilege: 10 }), 'admin');
+  assert.equal(roles.roleOfRecord({ privilege: 0 }), roles.DEFAULT_ROLE);
+  assert.equal(roles.roleOfRecord({ role: 'wizard' }), roles.DEFAULT_ROLE);
+  assert.equal(roles.roleOfRecord(null), roles.DEFAULT_ROLE);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRoomCache } = require('../server/room-cache');
+
+const room = (terrain = 'grass') => ({ tiles: [[{ terrain }, { terrain }]] });
+
+/** A throwaway world dir with zone "0" (rooms 0 and 1 on disk) and an empty zone "1". */
+function makeWorld(t, { index = null } = {}) {
+  const worldDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goodfido-rooms-'));
+  t.after(() => fs.rmSync(worldDir, { recursive: true, force: true }));
+  const zoneDir = path.join(worldDir, 'zones', 'start');
+  fs.mkdirSync(zoneDir, { recursive: true });
+  fs.mkdirSync(path.join(worldDir, 'zones', 'empty'));
+  fs.writeFileSync(path.join(zoneDir, '0.json'), JSON.stringify(room()));
+  fs.writeFileSync(path.join(zoneDir, '1.json'), JSON.stringify(room('sand')));
+  if (index) fs.writeFileSync(path.join(zoneDir, 'index.json'), JSON.stringify(index));
+  const worldData = { zones: { 0: 'zones/start', 1: { path: 'zones/empty', rooms: [7] } } };
+  const cache = createRoomCache({ worldDir, worldData, logError: () => {} });
+  return { cache, zoneDir };
+}
+
+const readRoom = (zoneDir, roomId) =>
+  JSON.parse(fs.readFileSync(path.join(zoneDir, `${roomId}.json`), 'utf8'));
+
+test('rooms load on first access and are then served from memory', (t) => {
+  const { cache, zoneDir } = makeWorld(t);
+  const first = cache.getRoom('0', 0);
+  assert.equal(first.tiles[0][0].terrain, 'grass');
+
+  // A change on disk is not seen until the room is invalidated
+  fs.writeFileSync(path.join(zoneDir, '0.json'), JSON.stringify(room('water')));
+  assert.equal(cache.getRoom('0', 0), first);
+  cache.invalidate('0', 0);
+  assert.equal(cache.getRoom('0', 0).tiles[0][0].terrain, 'water');
+});
+
+test('unknown zones, bad ids, missing and malformed files give null', (t) => {
+  const { cache, zoneDir } = makeWorld(t);
+  fs.writeFileSync(path.join(zoneDir, '2.json'), '{ not json');
+  fs.writeFileSync(path.join(zoneDir, '3.json'), JSON.stringify({ name: 'no tiles' }));
+  assert.equal(cache.getRoom('9', 0), null);
+  assert.equal(cache.getRoom('0', -1), null);
+  assert.equal(cache.getRoom('0', '0'), null);
+  assert.equal(cache.getRoom('0', 5), null);
+  assert.equal(cache.getRoom('0', 2), null);
+  assert.equal(cache.getRoom('0', 3), null);
+});
+
+test('listRoomIds prefers index.json, then the world manifest, then the directory', (t) => {
+  const indexed = makeWorld(t, { index: { rooms: [{ id: 1 }, { id: 0 }] } });
+  assert.deepEqual(indexed.cache.listRoomIds('0'), [1, 0]);
+
+  const { cache } = makeWorld(t);
+  assert.deepEqual(
+    cache.listRoomIds('0').sort((a, b) => a - b),
+    [0, 1]
+  );
+  assert.deepEqual(cache.listRoomIds('1'), [7]);
+  assert.deepEqual(cache.listRoomIds('9'), []);
+});
+
+test('edits saved through the cache are written to disk and served afterwards', (t) => {
+  const { cache, zoneDir } = makeWorld(t);
+  // An edit-tile style change: mutate the cached room, then save it back
+  const roomJson = cache.getRoom('0', 0);
+  roomJson.tiles[0][1].terrain = 'dirt';
+  assert.deepEqual(cache.saveRoom('0', 0, roomJson), { success: true });
+  assert.equal(readRoom(zoneDir, 0).tiles[0][1].terrain, 'dirt');
+
+  // A resize-room style change: save a replacement object
+  const resized = { ...roomJson, tiles: [...roomJson.tiles, [{ terrain: 'grass' }]] };
+  cache.saveRoom('0', 0, resized);
+  assert.equal(cache.getRoom('0', 0), resized);
+  assert.equal(readRoom(zoneDir, 0).tiles.length, 2);
+});
+
+test('a failed save drops the cached copy so the next read matches the disk', (t) => {
+  const { cache, zoneDir } = makeWorld(t);
+  const roomJson = cache.getRoom('0', 1);
+  roomJson.tiles[0][0].terrain = 'lava';
+  // Make the write fail by putting a directory where the room file goes
+  fs.rmSync(path.join(zoneDir, '1.json'));
+  fs.mkdirSync(path.join(zoneDir, '1.json'));
+  assert.equal(cache.saveRoom('0', 1, roomJson).success, false);
+  fs.rmdirSync(path.join(zoneDir, '1.json'));
+  fs.writeFileSync(path.join(zoneDir, '1.json'), JSON.stringify(room('sand')));
+  assert.equal(cache.getRoom('0', 1).tiles[0][0].terrain, 'sand');
+  assert.equal(cache.saveRoom('9', 0, roomJson).success, false);
+});
@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScriptRuntime } = require('../server/scripting');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Write a behavior module to a temp file and load it. */
+function loadBehavior(runtime, source) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goodfido-script-'));
+  const file = path.join(dir, 'behavior.js');
+  fs.writeFileSync(file, source);
+  try {
+    return runtime.load(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+}
+
+const quiet = () => {};
+
+test('hooks run in the sandbox and missing hooks are skipped', () => {
+  const runtime = createScriptRuntime({ logError: quiet });
+  const behavior = loadBehavior(
+    runtime,
+    "module.exports = { onTick: (npc) => typeof require + typeof process + ':' + npc.name };"
+  );
+  assert.equal(runtime.has(behavior, 'onTick'), true);
+  assert.equal(runtime.call(behavior, 'onTick', [{ name: 'fido' }]), 'undefinedundefined:fido');
+  assert.equal(runtime.has(behavior, 'onContextAction'), false);
+  assert.equal(runtime.call(behavior, 'onContextAction', []), undefined);
+  // Behaviors ride along on NPCs but never end up in saved state
+  assert.equal(JSON.stringify({ behavior }), '{}');
+});
+
+test('a module body that throws or never finishes fails to load', () => {
+  const runtime = createScriptRuntime({ logError: quiet, timeoutMs: 5 });
+  assert.throws(() => loadBehavior(runtime, 'module.exports = {'), SyntaxError);
+  assert.throws(() => loadBehavior(runtime, 'for (;;);'), { code: 'ERR_SCRIPT_EXECUTION_TIMEOUT' });
+});
+
+test('a hook that throws is logged and returns undefined', () => {
+  const errors = [];
+  const runtime = createScriptRuntime({
+    logError: (category, error, context) => errors.push(context),
+  });
+  const behavior = loadBehavior(
+    runtime,
+    "module.exports = { onTick() { throw new Error('bad'); } };"
+  );
+  assert.equal(runtime.call(behavior, 'onTick', []), undefined);
+  assert.deepEqual(errors, [{ file: 'behavior.js', hook: 'onTick', disabled: false }]);
+  // Errors other than timeouts don't count against the behavior
+  assert.equal(behavior.strikes, 0);
+});
+
+test('tryCall tells a failed hook from one that returned nothing', () => {
+  const runtime = createScriptRuntime({ logError: quiet });
+  const behavior = loadBehavior(
+    runtime,
+    "module.exports = { onTick() {}, onSpawn() { throw new Error('bad'); } };"
+  );
+  assert.deepEqual(runtime.tryCall(behavior, 'onTick', []), { ok: true, value: undefined });
+  assert.deepEqual(runtime.tryCall(behavior, 'onSpawn', []), { ok: false, value: undefined });
+  assert.deepEqual(runtime.tryCall(behavior, 'onLook', []), { ok: false, value: undefined });
+});
+
+test('a behavior that keeps timing out is switched off', () => {
+  const errors = [];
+  const runtime = createScriptRuntime({
+    timeoutMs: 5,
+    logError: (category) => errors.push(category),
+  });
+  const behavior = loadBehavior(runtime, 'module.exports = { onTick: () => { for (;;); } };');
+  for (let i = 0; i < 3; i++) runtime.call(behavior, 'onTick', []);
+  assert.equal(behavior.disabled, true);
+  assert.equal(runtime.has(behavior, 'onTick'), false);
+  assert.deepEqual(errors, Array(3).fill('BEHAVIOR_SCRIPT'));
+});
+
+test('a call that finishes in time clears earlier strikes', () => {
+  const runtime = createScriptRuntime({ timeoutMs: 5, logError: quiet });
+  const behavior = loadBehavior(
+    runtime,
+    'module.exports = { onTick: (spin) => { while (spin); return true; } };'
+  );
+  runtime.call(behavior, 'onTick', [true]);
+  runtime.call(behavior, 'onTick', [true]);
+  assert.equal(behavior.strikes, 2);
+  assert.equal(runtime.call(behavior, 'onTick', [false]), true);
+  assert.equal(behavior.strikes, 0);
+  runtime.call(behavior, 'onTick', [true]);
+  assert.equal(behavior.disabled, false);
+});
+
+test('async hooks are refused, so an await cannot outlive the time limit', () => {
+  const errors = [];
+  const runtime = createScriptRuntime({
+    timeoutMs: 20,
+    logError: (category, error, context) => errors.push([error.message, context.hook]),
+  });
+  const behavior = loadBehavior(
+    runtime,
+    `module.exports = {
+      async onTick() { await null; for (;;); },
+      async *onSpawn() { for (;;); },
+      onItemGiven: () => Promise.resolve(false),
+      onLook: () => 'fine',
+    };`
+  );
+  const started = Date.now();
+  assert.equal(runtime.call(behavior, 'onTick', []), undefined);
+  assert.equal(runtime.call(behavior, 'onSpawn', []), undefined);
+  assert.equal(runtime.call(behavior, 'onItemGiven', []), undefined);
+  assert.equal(runtime.call(behavior, 'onLook', []), 'fine');
+  assert.ok(Date.now() - started < 1000);
+  assert.deepEqual(errors, [
+    ['onTick must not be async or return a promise', 'onTick'],
+    ['onSpawn must not be async or return a promise', 'onSpawn'],
+    ['onItemGiven must not be async or return a promise', 'onItemGiven'],
+  ]);
+});
+
+test('promise jobs a hook queues run before the call returns', () => {
+  const runtime = createScriptRuntime({ logError: quiet });
+  const behavior = loadBehavior(
+    runtime,
+    `let ticks = 0;
+    module.exports = {
+      onTick() { Promise.resolve().then(() => { ticks++; }); },
+      onLook: () => ticks,
+    };`
+  );
+  runtime.call(behavior, 'onTick', []);
+  assert.equal(runtime.call(behavior, 'onLook', []), 1);
+});
+
+test('timer callbacks run in the sandbox, no sooner than the minimum delay', async () => {
+  const runtime = createScriptRuntime({ logError: quiet });
+  const behavior = loadBehavior(runtime, 'module.exports = {};');
+  const fired = [];
+  runtime.setTimer({}, behavior, (word) => fired.push(word), 0, ['woof']);
+  await sleep(20);
+  assert.deepEqual(fired, []);
+  await sleep(80);
+  assert.deepEqual(fired, ['woof']);
+});
+
+test("clearing an owner's timers cancels only that owner's callbacks", async () => {
+  const runtime = createScriptRuntime({ logError: quiet });
+  const behavior = loadBehavior(runtime, 'module.exports = {};');
+  const fired = [];
+  const sold = { name: 'sold' };
+  const kept = { name: 'kept' };
+  runtime.setTimer(sold, behavior, () => fired.push('sold'), 50);
+  runtime.setTimer(kept, behavior, () => fired.push('kept'), 50);
+  runtime.clearTimers(sold);
+  await sleep(120);
+  assert.deepEqual(fired, ['kept']);
+});
+
+test('each owner has a cap on pending timers', () => {
+  const runtime = createScriptRuntime({ logError: quiet });
+  const behavior = loadBehavior(runtime, 'module.exports = {};');
+  const owner = {};
+  const handles = [];
+  for (let i = 0; i < 17; i++) {
+    handles.push(runtime.setTimer(owner, behavior, () => {}, 1000));
+  }
+  assert.equal(handles.filter(Boolean).length, 16);
+  assert.equal(handles[16], null);
+  // A cleared timer frees its slot
+  runtime.clearTimer(owner, handles[0]);
+  assert.notEqual(
+    runtime.setTimer(owner, behavior, () => {}, 1000),
+    null
+  );
+  // Non-functions are not scheduled
+  assert.equal(runtime.setTimer({}, behavior, 'code', 1000), null);
+  runtime.clearTimers();
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionTokens } = require('../server/sessions');
+
+const salts = { bob: 'salt-1' };
+const lookupSalt = (name) => salts[name] || null;
+
+test('an issued token verifies to its account name', () => {
+  const tokens = createSessionTokens({ secret: 's3cret', ttlMs: 1000 });
+  const token = tokens.issue('bob', 'salt-1', 0);
+  assert.equal(tokens.verify(token, lookupSalt, 500), 'bob');
+});
+
+test('tokens expire after their lifetime', () => {
+  const tokens = createSessionTokens({ secret: 's3cret', ttlMs: 1000 });
+  const token = tokens.issue('bob', 'salt-1', 0);
+  assert.equal(tokens.verify(token, lookupSalt, 1000), null);
+});
+
+test('a tampered payload or signature is rejected', () => {
+  const tokens = createSessionTokens({ secret: 's3cret', ttlMs: 1000 });
+  const [, signature] = tokens.issue('bob', 'salt-1', 0).split('.');
+  const forged = Buffer.from(JSON.stringify({ name: 'bob', exp: 10 ** 15 })).toString('base64url');
+  assert.equal(tokens.verify(`${forged}.${signature}`, lookupSalt, 0), null);
+
+  const token = tokens.issue('bob', 'salt-1', 0);
+  const flipped = token.slice(0, -1) + (token.endsWith('A') ? 'B' : 'A');
+  assert.equal(tokens.verify(flipped, lookupSalt, 0), null);
+});
+
+test("tokens from another secret don't verify", () => {
+  const ours = createSessionTokens({ secret: 'ours', ttlMs: 1000 });
+  const theirs = createSessionTokens({ secret: 'theirs', ttlMs: 1000 });
+  assert.equal(ours.verify(theirs.issue('bob', 'salt-1', 0), lookupSalt, 0), null);
+});
+
+test('changing the password salt or deleting the account revokes tokens', () => {
+  const tokens = createSessionTokens({ secret: 's3cret', ttlMs: 1000 });
+  const token = tokens.issue('bob', 'salt-1', 0);
+  assert.equal(
+    tokens.verify(token, () => 'salt-2', 0),
+    null
+  );
+  assert.equal(
+    tokens.verify(token, () => null, 0),
+    null
+  );
+});
+
+test('garbage is rejected without throwing', () => {
+  const tokens = createSessionTokens({ secret: 's3cret' });
+  for (const junk of [undefined, 42, '', 'no-dot', '!!!.???', 'e30.abc']) {
+    assert.equal(tokens.verify(junk, lookupSalt), null);
+  }
+});
+
+test('revoking a name refuses its earlier tokens but not later logins', () => {
+  const tokens = createSessionTokens({ secret: 's3cret', ttlMs: 1000 });
+  const kicked = tokens.issue('bob', 'salt-1', 100);
+  const other = tokens.issue('alice', 'salt-1', 100);
+  tokens.revoke('bob', 200);
+  assert.equal(
+    tokens.verify(kicked, () => 'salt-1', 300),
+    null
+  );
+  assert.equal(
+    tokens.verify(other, () => 'salt-1', 300),
+    'alice'
+  );
+  assert.equal(tokens.verify(tokens.issue('bob', 'salt-1', 250), lookupSalt, 300), 'bob');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const shops = require('../server/shops');
+
+const shop = {
+  stock: [
+    { item: 'rock', price: 5, quantity: 2, restockSec: 10 },
+    { item: 'stick', price: 3 },
+  ],
+  buys: { chest: 12 },
+};
+const known = (item) => ['rock', 'stick', 'chest'].includes(item);
+
+test('shop definitions are checked against known items', () => {
+  assert.deepEqual(shops.validateShop(shop, known), { valid: true });
+  assert.match(
+    shops.validateShop({ stock: [{ item: 'gem', price: 1 }] }, known).error,
+    /unknown item "gem"/
+  );
+  assert.match(
+    shops.validateShop({ stock: [{ item: 'rock', price: 1.5 }] }, known).error,
+    /"price"/
+  );
+  assert.match(shops.validateShop({ buys: { rock: -1 } }, known).error, /Bad "buys" entry/);
+  assert.match(shops.validateShop({ sellRatio: 2 }, known).error, /sellRatio/);
+});
+
+test('buying checks stock and coins; endless lines never sell out', () => {
+  const state = shops.restock(shop, {}, 0);
+  assert.equal(shops.quantityOf(shop, state, 'rock'), 2);
+  assert.equal(shops.quantityOf(shop, state, 'stick'), Infinity);
+  assert.equal(shops.quantityOf(shop, state, 'chest'), 0);
+  assert.equal(shops.checkPurchase(shop, state, 'rock', 5).valid, true);
+  assert.match(shops.checkPurchase(shop, state, 'rock', 4).error, /afford/);
+  assert.match(shops.checkPurchase(shop, state, 'chest', 99).error, /for sale/);
+
+  shops.removeFromStock(shop, state, 'rock');
+  shops.removeFromStock(shop, state, 'rock');
+  assert.match(shops.checkPurchase(shop, state, 'rock', 99).error, /Sold out/);
+});
+
+test('limited stock comes back one at a time, never past full', () => {
+  let state = shops.restock(shop, {}, 0);
+  shops.removeFromStock(shop, state, 'rock');
+  shops.removeFromStock(shop, state, 'rock');
+  state = shops.restock(shop, state, 1000);
+  assert.deepEqual(state.rock, { quantity: 0, restockAt: 11000 });
+  state = shops.restock(shop, state, 11000);
+  assert.deepEqual(state.rock, { quantity: 1, restockAt: 21000 });
+  state = shops.restock(shop, state, 60000);
+  assert.deepEqual(state.rock, { quantity: 2, restockAt: null });
+  shops.addToStock(shop, state, 'rock');
+  assert.equal(state.rock.quantity, 2);
+});
+
+test('vendors pay their buy price, or part of their own price', () => {
+  assert.equal(shops.offerFor(shop, 'chest'), 12);
+  assert.equal(shops.offerFor(shop, 'rock'), 2);
+  assert.equal(shops.offerFor({ ...shop, sellRatio: 0 }, 'rock'), null);
+  assert.equal(shops.offerFor(shop, 'gem'), null);
+});
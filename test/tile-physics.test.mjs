@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as physics from '../tile-physics.mjs';
+
+const rules = {
+  ice: { slipperiness: 0.8, friction: 0.2 },
+  mud: { slowFactor: 0.5 },
+};
+
+test("a tile's rule is merged with its own overrides", () => {
+  assert.deepEqual(physics.computeFinalPhysics({ physicsRule: 'ice' }, rules), {
+    slipperiness: 0.8,
+    friction: 0.2,
+  });
+  assert.deepEqual(physics.computeFinalPhysics({ physicsRule: 'ice', friction: 1 }, rules), {
+    slipperiness: 0.8,
+    friction: 1,
+  });
+  assert.deepEqual(physics.computeFinalPhysics(undefined, rules), {});
+  assert.deepEqual(physics.computeFinalPhysics({ physicsRule: 'lava' }, rules), {});
+});
+
+test('slowFactor scales walking speed; conveyors add drift', () => {
+  assert.equal(physics.walkSpeedOn({}), physics.BASE_WALK_SPEED);
+  assert.equal(physics.walkSpeedOn(rules.mud), physics.BASE_WALK_SPEED / 2);
+  assert.deepEqual(physics.conveyorDrift({ conveyorSpeed: 2, conveyorDirection: 'left' }), {
+    x: -2 * physics.CONVEYOR_SPEED_UNIT,
+    y: 0,
+  });
+  assert.deepEqual(physics.conveyorDrift({ conveyorSpeed: 2 }), { x: 0, y: 0 });
+});
+
+test("the server's speed ceiling covers walking plus drift, capped", () => {
+  const belt = { conveyorSpeed: 1, conveyorDirection: 'up' };
+  assert.equal(physics.maxSpeedOn(belt), physics.BASE_WALK_SPEED + physics.CONVEYOR_SPEED_UNIT);
+  assert.equal(physics.maxSpeedOn({ slowFactor: 100 }), physics.MAX_BODY_SPEED);
+});
+
+test('plain tiles snap to the input; slippery ones keep momentum', () => {
+  const moving = { x: 100, y: 0 };
+  const stop = { x: 0, y: 0 };
+  assert.deepEqual(physics.stepVelocity(moving, stop, {}, 1 / 60), stop);
+  const sliding = physics.stepVelocity(moving, stop, rules.ice, 1 / 60);
+  assert.ok(sliding.x > 0 && sliding.x < 100);
+  assert.deepEqual(
+    physics.stepVelocity(moving, stop, { ...rules.ice, sticky: true }, 1 / 60),
+    stop
+  );
+});
+
+test('velocity never exceeds the body cap', () => {
+  const next = physics.stepVelocity({ x: 0, y: 0 }, { x: 1, y: 0 }, { slowFactor: 10 }, 1 / 60);
+  assert.equal(next.x, physics.MAX_BODY_SPEED);
+});
+
+test('footprint settings fall back to the defaults', () => {
+  assert.equal(physics.footprintOn({}), null);
+  assert.deepEqual(physics.footprintOn({ footprint: true }), {
+    sprite: physics.FOOTPRINT_DEFAULTS.sprite,
+    lifetime: physics.FOOTPRINT_DEFAULTS.lifetime,
+    alpha: physics.FOOTPRINT_DEFAULTS.alpha,
+  });
+  assert.deepEqual(
+    physics.footprintOn({
+      footprint: true,
+      footprintSprite: 'paw',
+      footprintLifetime: 500,
+      footprintAlpha: 3,
+    }),
+    { sprite: 'paw', lifetime: 500, alpha: 1 }
+  );
+});
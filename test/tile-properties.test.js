@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tileProperties = require('../server/tile-properties');
+
+const catalog = {
+  physicsRules: {
+    grass: { displayName: 'grassy tile', friction: 0.1, footprint: true },
+    road: { friction: 0.3, sound: { resource: 'squirt', type: 'loop' } },
+    conveyor: { conveyorSpeed: 1.5, conveyorDirection: 'right' },
+  },
+  audioKeys: ['squirt'],
+  imageKeys: ['paw', 'grass'],
+  footprintDefaults: { sprite: 'footprint', lifetime: 10000, alpha: 0.5 },
+};
+
+const check = (key, value) => tileProperties.validateTilePropertyValue(key, value, catalog);
+const edit = (msg) => tileProperties.validateTileBehaviorEdit(msg, catalog);
+
+test('keys no rule declares, and the rule bookkeeping keys, are unknown', () => {
+  assert.equal(check('gravity', 2), 'Unknown tile property: gravity');
+  assert.equal(check('physicsRule', 'grass'), 'Unknown tile property: physicsRule');
+  assert.equal(check('displayName', 'lava'), 'Unknown tile property: displayName');
+});
+
+test('inherited object keys are unknown, not looked up on the prototype', () => {
+  assert.equal(check('__proto__', {}), 'Unknown tile property: __proto__');
+  assert.equal(check('constructor', {}), 'Unknown tile property: constructor');
+  assert.equal(check('toString', 'x'), 'Unknown tile property: toString');
+  const overrides = JSON.parse('{"__proto__": {"friction": 9}}');
+  assert.deepEqual(edit({ overrides }), {
+    valid: false,
+    error: 'Unknown tile property: __proto__',
+  });
+});
+
+test('values must have the type the rules use', () => {
+  assert.equal(check('friction', 0.5), null);
+  assert.equal(check('friction', '0.5'), 'friction must be a number');
+  assert.equal(check('footprint', 1), 'footprint must be a boolean');
+  assert.equal(check('footprint', false), null);
+  assert.equal(check('friction', -1), 'friction must be a non-negative number');
+  assert.equal(check('friction', Infinity), 'friction must be a non-negative number');
+});
+
+test('conveyor directions and sounds are checked against their allowed values', () => {
+  assert.equal(check('conveyorDirection', 'up'), null);
+  assert.match(check('conveyorDirection', 'sideways'), /must be one of up, down/);
+  assert.equal(check('sound', { resource: 'squirt', type: 'oneshot' }), null);
+  assert.match(check('sound', { resource: 'boom', type: 'loop' }), /known audio resource/);
+  assert.match(check('sound', { resource: 'squirt', type: 'forever' }), /known audio resource/);
+  assert.match(check('sound', 'squirt'), /must be a object/);
+});
+
+test('edits name a known rule and carry an overrides object', () => {
+  assert.deepEqual(edit({ physicsRule: 'grass' }), { valid: true });
+  assert.deepEqual(edit({ physicsRule: null, overrides: {} }), { valid: true });
+  assert.deepEqual(edit({ physicsRule: 'lava' }), {
+    valid: false,
+    error: 'Unknown physics rule: lava',
+  });
+  // Inherited object keys are not rules
+  assert.equal(edit({ physicsRule: 'toString' }).valid, false);
+  assert.equal(edit({ overrides: null }).error, 'Overrides must be an object');
+  assert.equal(edit({ overrides: [1] }).error, 'Overrides must be an object');
+});
+
+test('null overrides clear a key; anything else is validated', () => {
+  assert.deepEqual(edit({ overrides: { gravity: null, friction: 0.2 } }), { valid: true });
+  assert.deepEqual(edit({ overrides: { friction: 0.2, gravity: 1 } }), {
+    valid: false,
+    error: 'Unknown tile property: gravity',
+  });
+});
+
+test('an edit may not carry more overrides than the cap', () => {
+  const overrides = {};
+  for (let i = 0; i <= tileProperties.MAX_TILE_OVERRIDES; i++) overrides[`k${i}`] = null;
+  assert.equal(edit({ overrides }).error, 'Too many overrides');
+});
+
+test('footprint settings can be overridden without a rule declaring them', () => {
+  assert.equal(check('footprintLifetime', 500), null);
+  assert.equal(check('footprintLifetime', '500'), 'footprintLifetime must be a number');
+  assert.equal(check('footprintAlpha', 0.2), null);
+  assert.equal(check('footprintAlpha', 1.5), 'footprintAlpha must be between 0 and 1');
+  assert.equal(check('footprintSprite', 'paw'), null);
+  // The generated default decal isn't an assets.json image but is still allowed
+  assert.equal(check('footprintSprite', 'footprint'), null);
+  assert.equal(
+    check('footprintSprite', 'boulder'),
+    'footprintSprite must be an image key from assets.json'
+  );
+  assert.equal(check('footprintSprite', 3), 'footprintSprite must be a string');
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vitals = require('../server/vitals');
+
+test('stats fall back to the defaults and drop bad values', () => {
+  assert.deepEqual(vitals.normalizeStats({ vitality: 14, luck: -2 }), {
+    strength: 10,
+    vitality: 14,
+    luck: 10,
+  });
+  assert.deepEqual(vitals.normalizeStats(null), vitals.DEFAULT_STATS);
+});
+
+test('max HP and regeneration follow vitality', () => {
+  assert.deepEqual(vitals.deriveVitals(vitals.DEFAULT_STATS), {
+    maxHp: 100,
+    regenPerSecond: 1,
+  });
+  const tough = vitals.deriveVitals({ ...vitals.DEFAULT_STATS, vitality: 20 });
+  assert.equal(tough.maxHp, 150);
+  assert.equal(tough.regenPerSecond, 2);
+  const frail = vitals.deriveVitals({ ...vitals.DEFAULT_STATS, vitality: 0 });
+  assert.equal(frail.maxHp, 50);
+});
+
+test('a saved hp survives a reload, clamped to the max', () => {
+  assert.equal(vitals.initVitals({}, {}, 40).hp, 40);
+  assert.equal(vitals.initVitals({}, {}, 400).hp, 100);
+  assert.equal(vitals.initVitals({}, {}).hp, 100);
+});
+
+test('damage kills once, and regeneration waits after a hit', () => {
+  const entity = vitals.initVitals({}, {});
+  assert.equal(vitals.applyDamage(entity, 30, 10), false);
+  assert.equal(entity.hp, 70);
+  assert.equal(vitals.regenerate(entity, 12), false, 'too soon after damage');
+  assert.equal(vitals.regenerate(entity, 15), true);
+  assert.equal(entity.hp, 71);
+
+  assert.equal(vitals.applyDamage(entity, 500, 20), true);
+  assert.equal(entity.hp, 0);
+  assert.equal(vitals.applyDamage(entity, 5, 21), false, 'already dead');
+  assert.equal(vitals.regenerate(entity, 99), false, "the dead don't heal");
+
+  vitals.restoreVitals(entity);
+  assert.equal(entity.hp, entity.maxHp);
+});
+
+test('only hazard tiles deal damage', () => {
+  assert.equal(vitals.hazardDamage({ hazard: true, damagePerSecond: 5 }), 5);
+  assert.equal(vitals.hazardDamage({ damagePerSecond: 5 }), 0);
+  assert.equal(vitals.hazardDamage({ hazard: true, damagePerSecond: -1 }), 0);
+  assert.equal(vitals.hazardDamage(null), 0);
+});
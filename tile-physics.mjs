@@ -0,0 +1,128 @@
+/**
+ * good-fido: Tile physics (shared by client and server)
+ * -------------------------------------------------------------------------------
+ * - computeFinalPhysics(): a tile's `physicsRule` template from properties.json
+ *   merged with its per-tile overrides.
+ * - stepVelocity(): the client's per-frame movement model.
+ * - maxSpeedOn(): the fastest a player can legitimately move on a tile; the
+ *   server's movement validation uses it, so both sides agree.
+ *
+ * Property meanings (all optional; a tile without properties walks normally)
+ * - slowFactor: scales walking speed (0.9 = 10% slower, 1.25 = 25% faster).
+ * - slipperiness: 0..1; above 0 the body keeps its momentum and slides
+ *   instead of stopping/turning at once.
+ * - friction: grip while slipping; lower means longer slides.
+ * - sticky: never slide, whatever the slipperiness.
+ * - conveyorSpeed + conveyorDirection: constant drift, with or without input.
+ * - bounciness: 0..1; share of speed kept (reversed) when running into a
+ *   void edge or the room border.
+ * - footprint: walkers leave fading decals (see footprintOn()); the decal is
+ *   tuned by footprintSprite (image key), footprintLifetime (ms) and
+ *   footprintAlpha (0..1).
+ *
+ * Loaded by the browser as an ES module and by server.js through import().
+ */
+
+// Walking speed on a plain tile, px/s
+export const BASE_WALK_SPEED = 100;
+// Drift per unit of conveyorSpeed, px/s
+export const CONVEYOR_SPEED_UNIT = 40;
+// Hard cap for any body, px/s (client max velocity; server budget ceiling)
+export const MAX_BODY_SPEED = 250;
+// How fast a slipping body turns toward its target velocity, per second at friction 1
+const SLIDE_GRIP_RATE = 100;
+
+export const DIRECTION_VECTORS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+};
+
+// Decal used by footprint tiles that don't name their own (drawn by the client)
+export const FOOTPRINT_DEFAULTS = { sprite: 'footprint', lifetime: 10000, alpha: 0.5 };
+
+const clamp01 = (n) => (Number.isFinite(n) ? Math.min(1, Math.max(0, n)) : 0);
+
+/**
+ * Effective physics for a tile: its `physicsRule` template with every other
+ * key in `properties` overriding it.
+ * @param {{physicsRule?:string}} properties – tile.properties (may be undefined)
+ * @param {Object} rules – parsed properties.json
+ * @returns {Object}
+ */
+export function computeFinalPhysics(properties, rules) {
+  const { physicsRule, ...overrides } = properties || {};
+  return { ...((physicsRule && rules[physicsRule]) || {}), ...overrides };
+}
+
+/** Walking speed on a tile, px/s. */
+export function walkSpeedOn(physics) {
+  const factor = physics.slowFactor;
+  return BASE_WALK_SPEED * (Number.isFinite(factor) && factor >= 0 ? factor : 1);
+}
+
+/** Conveyor drift velocity of a tile, px/s ({0,0} if none). */
+export function conveyorDrift(physics) {
+  const dir = DIRECTION_VECTORS[physics.conveyorDirection];
+  const speed = Number.isFinite(physics.conveyorSpeed) ? physics.conveyorSpeed : 0;
+  if (!dir || speed <= 0) return { x: 0, y: 0 };
+  return { x: dir.x * speed * CONVEYOR_SPEED_UNIT, y: dir.y * speed * CONVEYOR_SPEED_UNIT };
+}
+
+/** Fastest legitimate speed on a tile (walking plus drift), px/s. */
+export function maxSpeedOn(physics) {
+  const drift = conveyorDrift(physics);
+  return Math.min(MAX_BODY_SPEED, walkSpeedOn(physics) + Math.hypot(drift.x, drift.y));
+}
+
+/** Share of speed kept when bouncing off a wall on this tile (0 = stop dead). */
+export function bounceOn(physics) {
+  return clamp01(physics.bounciness);
+}
+
+/**
+ * Advance a body's velocity by one frame on a tile.
+ * @param {{x:number,y:number}} velocity – current velocity, px/s (momentum)
+ * @param {{x:number,y:number}} input – direction the player is pressing ({0,0} = none)
+ * @param {Object} physics – the tile's final physics ({} for a plain tile)
+ * @param {number} dt – seconds since the last frame
+ * @returns {{x:number,y:number}} new velocity, px/s
+ */
+export function stepVelocity(velocity, input, physics, dt) {
+  const walk = walkSpeedOn(physics);
+  const drift = conveyorDrift(physics);
+  const target = { x: input.x * walk + drift.x, y: input.y * walk + drift.y };
+
+  let next = target;
+  const slipperiness = physics.sticky ? 0 : clamp01(physics.slipperiness);
+  if (slipperiness > 0) {
+    // Ease toward the target instead of snapping: the lower the grip, the longer the slide
+    const grip = Number.isFinite(physics.friction) ? Math.max(0.001, physics.friction) : 1;
+    const blend = 1 - Math.exp((-SLIDE_GRIP_RATE * grip * dt) / slipperiness);
+    next = {
+      x: velocity.x + (target.x - velocity.x) * blend,
+      y: velocity.y + (target.y - velocity.y) * blend,
+    };
+  }
+
+  const speed = Math.hypot(next.x, next.y);
+  if (speed > MAX_BODY_SPEED) {
+    next = { x: (next.x / speed) * MAX_BODY_SPEED, y: (next.y / speed) * MAX_BODY_SPEED };
+  }
+  return next;
+}
+
+/**
+ * Footprint decal settings for a tile, or null if walkers leave no trace.
+ * @returns {{sprite:string, lifetime:number, alpha:number}|null}
+ */
+export function footprintOn(physics) {
+  if (!physics.footprint) return null;
+  const { footprintSprite, footprintLifetime, footprintAlpha } = physics;
+  return {
+    sprite: footprintSprite || FOOTPRINT_DEFAULTS.sprite,
+    lifetime: footprintLifetime > 0 ? footprintLifetime : FOOTPRINT_DEFAULTS.lifetime,
+    alpha: footprintAlpha === undefined ? FOOTPRINT_DEFAULTS.alpha : clamp01(footprintAlpha),
+  };
+}
@@ -125,36 +125,420 @@ export class ContextMenu {
   }
 }
 
+/**
+ * NPC conversation panel: the speaker, what they say, and the player's choices
+ */
+export class DialoguePanel {
+  constructor(options = {}) {
+    this.id = options.id || 'dialogue-panel';
+    this.speaker = options.speaker || '';
+    this.text = options.text || '';
+    this.choices = options.choices || [];
+    this.onChoose = options.onChoose || (() => {});
+    this.onClose = options.onClose || (() => {});
+    this.element = null;
+  }
+
+  /**
+   * Create the DOM structure - pure template creation
+   */
+  createTemplate() {
+    const panel = document.createElement('div');
+    panel.id = this.id;
+    panel.className = 'dialogue-panel';
+
+    const close = document.createElement('div');
+    close.className = 'dialogue-panel__close';
+    close.textContent = '×';
+    panel.appendChild(close);
+
+    const speaker = document.createElement('div');
+    speaker.className = 'dialogue-panel__speaker';
+    speaker.textContent = this.speaker;
+    panel.appendChild(speaker);
+
+    const text = document.createElement('div');
+    text.className = 'dialogue-panel__text';
+    text.textContent = this.text;
+    panel.appendChild(text);
+
+    this.choices.forEach((choice) => {
+      const choiceEl = document.createElement('div');
+      choiceEl.className = 'dialogue-panel__choice';
+      choiceEl.textContent = choice.text;
+      choiceEl.dataset.index = choice.index;
+      panel.appendChild(choiceEl);
+    });
+
+    return panel;
+  }
+
+  /**
+   * Bind event handlers - separated from DOM creation
+   */
+  bindEvents() {
+    if (!this.element) return;
+    this.element.addEventListener('click', (e) => {
+      // Keep clicks from reaching the game and menus underneath
+      e.stopPropagation();
+      if (e.target.closest('.dialogue-panel__close')) {
+        this.destroy();
+        this.onClose();
+        return;
+      }
+      const choice = e.target.closest('.dialogue-panel__choice');
+      if (choice) this.onChoose(Number(choice.dataset.index));
+    });
+  }
+
+  /**
+   * Render the complete panel, replacing any previous one
+   */
+  render() {
+    this.destroy();
+    this.element = this.createTemplate();
+    document.body.appendChild(this.element);
+    this.bindEvents();
+    return this.element;
+  }
+
+  /**
+   * Clean up the panel
+   */
+  destroy() {
+    const existing = document.getElementById(this.id);
+    if (existing) existing.remove();
+    this.element = null;
+  }
+}
+
+/**
+ * Vendor window: the NPC's wares (click to buy) and what it offers for the
+ * player's items (click to sell)
+ */
+export class ShopPanel {
+  constructor(options = {}) {
+    this.id = options.id || 'shop-panel';
+    this.vendor = options.vendor || '';
+    this.coins = options.coins || 0;
+    this.wares = options.wares || [];
+    this.offers = options.offers || [];
+    this.assets = options.assets || {};
+    this.onBuy = options.onBuy || (() => {});
+    this.onSell = options.onSell || (() => {});
+    this.element = null;
+  }
+
+  /**
+   * Create the DOM structure - pure template creation
+   */
+  createTemplate() {
+    const panel = document.createElement('div');
+    panel.id = this.id;
+    panel.className = 'shop-panel';
+
+    const close = document.createElement('div');
+    close.className = 'shop-panel__close';
+    close.textContent = '×';
+    panel.appendChild(close);
+
+    const title = document.createElement('div');
+    title.className = 'shop-panel__title';
+    title.textContent = `${this.vendor}'s shop`;
+    panel.appendChild(title);
+
+    const coins = document.createElement('div');
+    coins.className = 'shop-panel__coins';
+    coins.textContent = `You have ${this.coins} coins.`;
+    panel.appendChild(coins);
+
+    const wareLabel = (ware) => {
+      const stock = ware.quantity === null ? '' : ` (${ware.quantity} left)`;
+      return `${ware.name} – ${ware.price} coins${stock}`;
+    };
+    const offerLabel = (offer) => `${offer.name} – ${offer.price} coins`;
+    panel.appendChild(this.createSection('For sale', this.wares, 'buy', wareLabel));
+    panel.appendChild(this.createSection('Sell', this.offers, 'sell', offerLabel));
+
+    return panel;
+  }
+
+  /** A heading and one row per entry; `kind` is 'buy' or 'sell'. */
+  createSection(heading, entries, kind, label) {
+    const section = document.createElement('div');
+    const title = document.createElement('div');
+    title.className = 'shop-panel__heading';
+    title.textContent = heading;
+    section.appendChild(title);
+    if (!entries.length) {
+      const empty = document.createElement('div');
+      empty.className = 'shop-panel__empty';
+      empty.textContent = kind === 'buy' ? 'Nothing for sale.' : 'Nothing the vendor wants.';
+      section.appendChild(empty);
+    }
+    entries.forEach((entry) => {
+      const row = document.createElement('div');
+      row.className = 'shop-panel__row';
+      row.dataset.kind = kind;
+      row.dataset.key = kind === 'buy' ? entry.item : entry.instanceId;
+      if (kind === 'buy' && (entry.quantity === 0 || entry.price > this.coins)) {
+        row.classList.add('shop-panel__row--disabled');
+      }
+      const src = entry.spriteKey && this.assets[entry.spriteKey]?.src;
+      if (src) {
+        const icon = document.createElement('img');
+        icon.src = src;
+        row.appendChild(icon);
+      }
+      row.appendChild(document.createTextNode(label(entry)));
+      section.appendChild(row);
+    });
+    return section;
+  }
+
+  /**
+   * Bind event handlers - separated from DOM creation
+   */
+  bindEvents() {
+    if (!this.element) return;
+    this.element.addEventListener('click', (e) => {
+      // Keep clicks from reaching the game and menus underneath
+      e.stopPropagation();
+      if (e.target.closest('.shop-panel__close')) {
+        this.destroy();
+        return;
+      }
+      const row = e.target.closest('.shop-panel__row');
+      if (!row || row.classList.contains('shop-panel__row--disabled')) return;
+      if (row.dataset.kind === 'buy') this.onBuy(row.dataset.key);
+      else this.onSell(row.dataset.key);
+    });
+  }
+
+  /**
+   * Render the complete panel, replacing any previous one
+   */
+  render() {
+    this.destroy();
+    this.element = this.createTemplate();
+    document.body.appendChild(this.element);
+    this.bindEvents();
+    return this.element;
+  }
+
+  /**
+   * Clean up the panel
+   */
+  destroy() {
+    const existing = document.getElementById(this.id);
+    if (existing) existing.remove();
+    this.element = null;
+  }
+}
+
+/**
+ * Container window: what's inside (click to take) and the player's items
+ * (click to put in)
+ */
+export class ContainerPanel {
+  constructor(options = {}) {
+    this.id = options.id || 'container-panel';
+    this.instanceId = options.instanceId || '';
+    this.name = options.name || '';
+    this.capacity = options.capacity || 0;
+    this.items = options.items || [];
+    this.carried = options.carried || [];
+    this.assets = options.assets || {};
+    this.onTake = options.onTake || (() => {});
+    this.onPut = options.onPut || (() => {});
+    this.element = null;
+  }
+
+  /**
+   * Create the DOM structure - pure template creation
+   */
+  createTemplate() {
+    const panel = document.createElement('div');
+    panel.id = this.id;
+    panel.className = 'container-panel';
+    panel.dataset.instanceId = this.instanceId;
+
+    const close = document.createElement('div');
+    close.className = 'container-panel__close';
+    close.textContent = '×';
+    panel.appendChild(close);
+
+    const title = document.createElement('div');
+    title.className = 'container-panel__title';
+    title.textContent = `${this.name} (${this.items.length}/${this.capacity})`;
+    panel.appendChild(title);
+
+    panel.appendChild(this.createSection('Inside', this.items, 'take'));
+    panel.appendChild(this.createSection('Your items', this.carried, 'put'));
+
+    return panel;
+  }
+
+  /** A heading and one row per item; `kind` is 'take' or 'put'. */
+  createSection(heading, entries, kind) {
+    const section = document.createElement('div');
+    const title = document.createElement('div');
+    title.className = 'container-panel__heading';
+    title.textContent = heading;
+    section.appendChild(title);
+    if (!entries.length) {
+      const empty = document.createElement('div');
+      empty.className = 'container-panel__empty';
+      empty.textContent = kind === 'take' ? "It's empty." : 'You carry nothing.';
+      section.appendChild(empty);
+    }
+    const full = this.items.length >= this.capacity;
+    entries.forEach((entry) => {
+      const row = document.createElement('div');
+      row.className = 'container-panel__row';
+      row.dataset.kind = kind;
+      row.dataset.key = entry.instanceId;
+      if (kind === 'put' && full) row.classList.add('container-panel__row--disabled');
+      const src = entry.spriteKey && this.assets[entry.spriteKey]?.src;
+      if (src) {
+        const icon = document.createElement('img');
+        icon.src = src;
+        row.appendChild(icon);
+      }
+      const count = entry.quantity > 1 ? ` ×${entry.quantity}` : '';
+      row.appendChild(document.createTextNode(`${entry.name}${count}`));
+      section.appendChild(row);
+    });
+    return section;
+  }
+
+  /**
+   * Bind event handlers - separated from DOM creation
+   */
+  bindEvents() {
+    if (!this.element) return;
+    this.element.addEventListener('click', (e) => {
+      // Keep clicks from reaching the game and menus underneath
+      e.stopPropagation();
+      if (e.target.closest('.container-panel__close')) {
+        this.destroy();
+        return;
+      }
+      const row = e.target.closest('.container-panel__row');
+      if (!row || row.classList.contains('container-panel__row--disabled')) return;
+      if (row.dataset.kind === 'take') this.onTake(row.dataset.key);
+      else this.onPut(row.dataset.key);
+    });
+  }
+
+  /**
+   * Render the complete panel, replacing any previous one
+   */
+  render() {
+    this.destroy();
+    this.element = this.createTemplate();
+    document.body.appendChild(this.element);
+    this.bindEvents();
+    return this.element;
+  }
+
+  /**
+   * Clean up the panel
+   */
+  destroy() {
+    const existing = document.getElementById(this.id);
+    if (existing) existing.remove();
+    this.element = null;
+  }
+}
+
 /**
  * Factory function for inventory context menus
  */
 export function createInventoryContextMenu(instance, x, y, dependencies = {}) {
-  const { playerTiles, playerId, zone, ws } = dependencies;
+  const { playerTiles, playerId, zone, ws, npcs = [], objectTypes = {} } = dependencies;
+  // Carried containers open (and close) from here, like those lying in the world
+  const isContainer = !!(objectTypes[instance.typeId] || {}).container;
+  const isOpen = !!(instance.state && instance.state.open);
+  const canWear = !!(objectTypes[instance.typeId] || {}).equip;
+  const drop = (quantity) => {
+    const pd = playerTiles[playerId];
+    ws.send(
+      JSON.stringify({
+        type: 'drop',
+        instanceId: instance.instanceId,
+        zone: zone.currentZoneId,
+        roomId: zone.currentRoomId,
+        x: pd.tileX,
+        y: pd.tileY,
+        quantity,
+      })
+    );
+  };
 
   const menuItems = [
     {
       label: 'Examine',
       action: 'examine',
       handler: () => {
-        // TODO: implement actual examine logic
-        console.log('Examining:', instance);
+        ws.send(
+          JSON.stringify({ type: 'examine', targetType: 'item', instanceId: instance.instanceId })
+        );
       }
     },
     {
       label: 'Drop',
       action: 'drop',
+      handler: () => drop(),
+    },
+    // Stacks can be split one at a time
+    ...(instance.quantity > 1
+      ? [{ label: 'Drop one', action: 'drop-one', handler: () => drop(1) }]
+      : []),
+    // Worn items leave this grid for the Equipment section, which takes them off
+    ...(canWear
+      ? [
+          {
+            label: 'Wear',
+            action: 'equip',
+            handler: () => {
+              ws.send(JSON.stringify({ type: 'equip', instanceId: instance.instanceId }));
+            },
+          },
+        ]
+      : []),
+    ...(isContainer
+      ? [
+          {
+            label: isOpen ? 'Close' : 'Open',
+            action: isOpen ? 'close' : 'open',
+            handler: () => {
+              ws.send(
+                JSON.stringify({
+                  type: 'context-action',
+                  action: isOpen ? 'close' : 'open',
+                  targetType: 'object',
+                  instanceId: instance.instanceId,
+                })
+              );
+            },
+          },
+        ]
+      : []),
+    // The server checks the NPC is close enough and wants the item
+    ...npcs.map((npc) => ({
+      label: `Give to ${npc.name}`,
+      action: `give:${npc.instanceId}`,
       handler: () => {
-        const pd = playerTiles[playerId];
-        ws.send(JSON.stringify({
-          type: 'drop',
-          instanceId: instance.instanceId,
-          zone: zone.currentRoomX,
-          roomId: zone.currentRoomY,
-          x: pd.tileX,
-          y: pd.tileY,
-        }));
-      }
-    }
+        ws.send(
+          JSON.stringify({
+            type: 'give-item',
+            instanceId: instance.instanceId,
+            npcId: npc.instanceId,
+          })
+        );
+      },
+    })),
   ];
 
   const contextMenu = new ContextMenu({
@@ -164,4 +548,113 @@ export function createInventoryContextMenu(instance, x, y, dependencies = {}) {
   });
 
   return contextMenu.render();
-}
\ No newline at end of file
+}
+
+/**
+ * Factory function for the menu on a chat speaker's name
+ */
+export function createChatNameContextMenu(name, x, y, dependencies = {}) {
+  const { ws, mutedPlayers = [], onWhisper } = dependencies;
+  const isMuted = mutedPlayers.includes(name);
+
+  const menuItems = [
+    {
+      label: 'Whisper',
+      action: 'whisper',
+      handler: () => onWhisper && onWhisper(name),
+    },
+    {
+      label: isMuted ? 'Unmute' : 'Mute',
+      action: 'mute',
+      handler: () => {
+        ws.send(JSON.stringify({ type: 'chat-mute', name, muted: !isMuted }));
+      },
+    },
+  ];
+
+  const contextMenu = new ContextMenu({
+    id: 'chat-name-menu',
+    items: menuItems,
+    position: { x, y },
+  });
+
+  return contextMenu.render();
+}
+
+/**
+ * Factory function for the NPC dialogue panel
+ * @param {{npcName:string, text:string, choices:Array<{index:number, text:string}>, end:boolean}} view
+ */
+export function createDialoguePanel(view, dependencies = {}) {
+  const { ws } = dependencies;
+  // A closing line gets a single way out
+  const choices = view.end ? [{ index: -1, text: 'Farewell.' }] : view.choices;
+  const panel = new DialoguePanel({
+    speaker: view.npcName,
+    text: view.text,
+    choices,
+    onChoose: (index) => {
+      if (index === -1) {
+        panel.destroy();
+        return;
+      }
+      ws.send(JSON.stringify({ type: 'dialogue-choice', index }));
+    },
+    onClose: () => {
+      if (!view.end) ws.send(JSON.stringify({ type: 'dialogue-end' }));
+    },
+  });
+  return panel.render();
+}
+
+/** Remove the dialogue panel, if open. */
+export function closeDialoguePanel() {
+  new DialoguePanel().destroy();
+}
+
+/**
+ * Factory function for the vendor window; the server answers each trade with
+ * a fresh `shop` view, which re-renders it
+ */
+export function createShopPanel(view, dependencies = {}) {
+  const { ws, assets = {} } = dependencies;
+  const panel = new ShopPanel({
+    vendor: view.npcName,
+    coins: view.coins,
+    wares: view.wares,
+    offers: view.offers,
+    assets,
+    onBuy: (item) => ws.send(JSON.stringify({ type: 'shop-buy', npcId: view.npcId, item })),
+    onSell: (instanceId) =>
+      ws.send(JSON.stringify({ type: 'shop-sell', npcId: view.npcId, instanceId })),
+  });
+  return panel.render();
+}
+
+/**
+ * Factory function for the container window; the server answers each put and
+ * take with a fresh `container` view, which re-renders it
+ */
+export function createContainerPanel(view, dependencies = {}) {
+  const { ws, assets = {} } = dependencies;
+  const containerId = view.instanceId;
+  const panel = new ContainerPanel({
+    instanceId: containerId,
+    name: view.name,
+    capacity: view.capacity,
+    items: view.items,
+    carried: view.carried,
+    assets,
+    onTake: (instanceId) =>
+      ws.send(JSON.stringify({ type: 'container-take', containerId, instanceId })),
+    onPut: (instanceId) =>
+      ws.send(JSON.stringify({ type: 'container-put', containerId, instanceId })),
+  });
+  return panel.render();
+}
+
+/** Remove the container window, if it shows `instanceId` (any container if left out). */
+export function closeContainerPanel(instanceId) {
+  const existing = document.getElementById('container-panel');
+  if (existing && (!instanceId || existing.dataset.instanceId === instanceId)) existing.remove();
+}
@@ -1,7 +1,7 @@
 /**
  * good-fido: UI helpers (browser DOM, Phaser overlays) for client
  * -------------------------------------------------------------------------------
- * - Inventory UI, context menus, and an in-game console.
+ * - Inventory UI, context menus, and an in-game console with chat/command input.
  * - Tile/exit editor panel for wizard/edit mode.
  * - Character info overlay with tabs (Player / Inspector).
  *
@@ -17,32 +17,54 @@ import {
   editMode,
   gameFont,
   getCurrentRoom,
+  hasPermission,
   log,
+  mutedPlayers,
+  myCarry,
+  myCoins,
+  myEquipment,
   myInventory,
+  myQuests,
+  myVitals,
   objectTypes,
   physicsRules,
   playerId,
   playerTiles,
+  roomNpcs,
   TILE_SIZE,
   uiRefs,
   ws,
   zone,
 } from './client_main.js';
-import { createInventoryContextMenu } from './ui-components.js';
+import { browseHistory, completeCommandLine, runCommandLine } from './client_commands.js';
+import {
+  closeContainerPanel,
+  closeDialoguePanel,
+  createChatNameContextMenu,
+  createContainerPanel,
+  createDialoguePanel,
+  createInventoryContextMenu,
+  createShopPanel,
+} from './ui-components.js';
 
 let editGridGraphics = null;
 let tileHighlight = null;
 
 /**
  * Re-render the inventory grid inside the char-info overlay.
- * Each item renders as a TILE_SIZE icon (or text fallback) with a context menu.
- * Reads: myInventory, objectTypes, assets.
+ * Each item renders as a TILE_SIZE icon (or text fallback) with a context menu,
+ * stacks with their count, under a meter of how much more we can carry.
+ * Worn items are listed under Equipment instead.
+ * Reads: myInventory, myCarry, myEquipment, objectTypes, assets.
  */
 export function updateInventoryUI() {
   const invDiv = document.getElementById('char-info-items');
   if (!invDiv) return;
+  updateCarryMeter();
   invDiv.innerHTML = ''; // clear out existing icons
+  const worn = Object.values(myEquipment.equipment).map((entry) => entry.instanceId);
   myInventory.forEach((inst) => {
+    if (worn.includes(inst.instanceId)) return;
     const def = objectTypes[inst.typeId] || {};
     const key = def.sprite;
     const src = assets[key]?.src;
@@ -59,31 +81,93 @@ export function updateInventoryUI() {
           span.textContent = def.name || 'Unknown';
           return span;
         })();
-    el.style.margin = '2px';
-    el.style.cursor = 'pointer';
-    el.addEventListener('click', (e) => {
+    // Stacks show how many they hold in the corner
+    const slot = document.createElement('span');
+    slot.className = 'inventory-item';
+    slot.appendChild(el);
+    if (inst.quantity > 1) {
+      const count = document.createElement('span');
+      count.className = 'inventory-item__count';
+      count.textContent = inst.quantity;
+      slot.appendChild(count);
+    }
+    slot.addEventListener('click', (e) => {
       // Open an item-scoped context menu without bubbling to parent handlers.
       e.stopPropagation();
       showInventoryContextMenu(inst, e.clientX, e.clientY);
     });
-    invDiv.appendChild(el);
+    invDiv.appendChild(slot);
   });
 }
 
+/** Re-render the carried slots/weight meter above the inventory grid (noop if closed). */
+function updateCarryMeter() {
+  const el = document.getElementById('char-info-capacity');
+  if (!el) return;
+  const { slots, maxSlots, weight, maxWeight } = myCarry;
+  const ratio = maxWeight ? Math.max(0, Math.min(1, weight / maxWeight)) : 0;
+  const color = ratio < 0.75 ? '#2196f3' : ratio < 1 ? '#ffc107' : '#f44336';
+  el.innerHTML = `
+    <div style="font-size: 12px; margin-bottom: 2px;">Slots ${slots} / ${maxSlots} · Weight ${weight} / ${maxWeight}</div>
+    <div style="height: 6px; background: #444; border-radius: 3px; overflow: hidden;">
+      <div style="width: ${ratio * 100}%; height: 100%; background: ${color};"></div>
+    </div>
+  `;
+}
+
 /**
- * Draw a simple right-click menu for an inventory item (Examine / Drop).
+ * Draw a simple right-click menu for an inventory item
+ * (Examine / Drop / Wear / Open / Give to <NPC>).
  * Now uses the decoupled ContextMenu component.
- * Emits: { type:'drop', instanceId, zone, roomId, x, y }.
+ * Emits: { type:'drop', instanceId, zone, roomId, x, y }, { type:'give-item', instanceId, npcId }
+ * or, for containers, { type:'context-action', action:'open'|'close', targetType:'object', instanceId }.
+ * Wearable items add { type:'equip', instanceId }.
  */
 export function showInventoryContextMenu(instance, x, y) {
   return createInventoryContextMenu(instance, x, y, {
     playerTiles,
     playerId,
     zone,
-    ws
+    ws,
+    npcs: roomNpcs(),
+    objectTypes,
   });
 }
 
+/**
+ * Show an NPC conversation node from a `dialogue` message.
+ * Emits: { type:'dialogue-choice', index } or, when closed early, { type:'dialogue-end' }.
+ */
+export function showDialogue(msg) {
+  return createDialoguePanel(msg, { ws });
+}
+
+/** Close the conversation panel (`dialogue-end` from the server). */
+export function closeDialogue() {
+  closeDialoguePanel();
+}
+
+/**
+ * Show (or refresh) a vendor's shop window from a `shop` message.
+ * Emits: { type:'shop-buy', npcId, item } / { type:'shop-sell', npcId, instanceId }.
+ */
+export function showShop(msg) {
+  return createShopPanel(msg, { ws, assets });
+}
+
+/**
+ * Show (or refresh) an open container from a `container` message.
+ * Emits: { type:'container-take', containerId, instanceId } / { type:'container-put', containerId, instanceId }.
+ */
+export function showContainer(msg) {
+  return createContainerPanel(msg, { ws, assets });
+}
+
+/** Close the container window if it shows `instanceId` (the container was shut). */
+export function closeContainer(instanceId) {
+  closeContainerPanel(instanceId);
+}
+
 /**
  * Create the character info overlay with tabs (Player / Inspector).
  * Idempotent: removes pre-existing overlay before constructing anew.
@@ -124,21 +208,27 @@ export function createCharInfoOverlay() {
   playerTab.textContent = 'player';
   const inspectorTab = document.createElement('div');
   inspectorTab.textContent = 'Inspector';
-  [playerTab, inspectorTab].forEach((tabEl) => {
+  const questsTab = document.createElement('div');
+  questsTab.textContent = 'Quests';
+  [playerTab, inspectorTab, questsTab].forEach((tabEl) => {
     Object.assign(tabEl.style, {
       padding: '4px 8px',
       cursor: 'pointer',
     });
   });
-  tabsContainer.append(playerTab, inspectorTab);
+  tabsContainer.append(playerTab, inspectorTab, questsTab);
   overlay.appendChild(tabsContainer);
 
   // Content areas
   const playerContent = document.createElement('div');
   const inspectorContent = document.createElement('div');
+  const questsContent = document.createElement('div');
   inspectorContent.style.display = 'none';
+  questsContent.style.display = 'none';
+  questsContent.id = 'char-info-quests';
   overlay.appendChild(playerContent);
   overlay.appendChild(inspectorContent);
+  overlay.appendChild(questsContent);
 
   // Close button
   const closeBtn = document.createElement('span');
@@ -161,34 +251,58 @@ export function createCharInfoOverlay() {
   header.style.marginBottom = '8px';
   playerContent.appendChild(header);
 
+  // Health bar (filled by updateVitalsUI)
+  const health = document.createElement('div');
+  health.id = 'char-info-health';
+  health.style.marginBottom = '8px';
+  playerContent.appendChild(health);
+
+  // Coins (filled by updateCoinsUI)
+  const coins = document.createElement('div');
+  coins.id = 'char-info-coins';
+  coins.style.marginBottom = '8px';
+  playerContent.appendChild(coins);
+
+  // Carrying capacity (filled by updateInventoryUI)
+  const capacity = document.createElement('div');
+  capacity.id = 'char-info-capacity';
+  capacity.style.marginBottom = '4px';
+  playerContent.appendChild(capacity);
+
   // Inventory container
   const invDiv = document.createElement('div');
   invDiv.id = 'char-info-items';
   playerContent.appendChild(invDiv);
   updateInventoryUI();
 
+  // Worn items and stats (filled by updateEquipmentUI)
+  const equipmentDiv = document.createElement('div');
+  equipmentDiv.id = 'char-info-equipment';
+  equipmentDiv.style.marginTop = '8px';
+  playerContent.appendChild(equipmentDiv);
+
   // ---- Inspector tab content (placeholder) ----
   const inspectorPlaceholder = document.createElement('div');
   inspectorPlaceholder.textContent = 'Inspector panel';
   inspectorContent.appendChild(inspectorPlaceholder);
 
   // Tab switcher: toggles content panes and persists selection
+  const tabs = {
+    player: [playerTab, playerContent],
+    inspector: [inspectorTab, inspectorContent],
+    quests: [questsTab, questsContent],
+  };
   function activateTab(tab) {
-    if (tab === 'player') {
-      playerContent.style.display = 'block';
-      inspectorContent.style.display = 'none';
-      playerTab.style.borderBottom = '2px solid #fff';
-      inspectorTab.style.borderBottom = '';
-    } else {
-      playerContent.style.display = 'none';
-      inspectorContent.style.display = 'block';
-      inspectorTab.style.borderBottom = '2px solid #fff';
-      playerTab.style.borderBottom = '';
-    }
+    if (!tabs[tab]) tab = 'player';
+    Object.entries(tabs).forEach(([name, [tabEl, content]]) => {
+      content.style.display = name === tab ? 'block' : 'none';
+      tabEl.style.borderBottom = name === tab ? '2px solid #fff' : '';
+    });
     localStorage.setItem('lastInfoTab', tab);
   }
-  playerTab.addEventListener('click', () => activateTab('player'));
-  inspectorTab.addEventListener('click', () => activateTab('inspector'));
+  Object.entries(tabs).forEach(([name, [tabEl]]) => {
+    tabEl.addEventListener('click', () => activateTab(name));
+  });
 
   // Initialize to last active tab, defaulting to player
   const last = localStorage.getItem('lastInfoTab') || 'player';
@@ -196,11 +310,113 @@ export function createCharInfoOverlay() {
 
   // Add to DOM and track reference
   document.body.appendChild(overlay);
+  // These look their panes up by id, so fill them once the overlay is in the page
+  updateVitalsUI();
+  updateCoinsUI();
+  updateQuestsUI();
+  updateEquipmentUI();
   uiRefs.charInfoEl = overlay;
   uiRefs.inspectorContentEl = inspectorContent;
   uiRefs.activateTab = activateTab;
 }
 
+/** Re-render the HP bar in the char-info overlay from myVitals (noop if closed). */
+export function updateVitalsUI() {
+  const el = document.getElementById('char-info-health');
+  if (!el) return;
+  const { hp, maxHp } = myVitals;
+  const ratio = maxHp ? Math.max(0, Math.min(1, hp / maxHp)) : 0;
+  const color = ratio > 0.5 ? '#4caf50' : ratio > 0.25 ? '#ffc107' : '#f44336';
+  el.innerHTML = `
+    <div style="font-size: 12px; margin-bottom: 2px;">HP ${Math.round(hp)} / ${maxHp}</div>
+    <div style="height: 8px; background: #444; border-radius: 4px; overflow: hidden;">
+      <div style="width: ${ratio * 100}%; height: 100%; background: ${color};"></div>
+    </div>
+  `;
+}
+
+/** Re-render the Quests tab from myQuests (noop if the overlay is closed). */
+export function updateQuestsUI() {
+  const el = document.getElementById('char-info-quests');
+  if (!el) return;
+  el.innerHTML = '';
+  if (!myQuests.length) {
+    el.textContent = 'No quests yet.';
+    return;
+  }
+  // Open quests first, finished ones after
+  const ordered = [...myQuests.filter((q) => !q.done), ...myQuests.filter((q) => q.done)];
+  ordered.forEach((quest) => {
+    const entry = document.createElement('div');
+    entry.style.marginBottom = '8px';
+    if (quest.done) entry.style.opacity = '0.6';
+    const title = document.createElement('div');
+    title.style.fontWeight = 'bold';
+    title.textContent = quest.done ? `${quest.name} (complete)` : quest.name;
+    entry.appendChild(title);
+    if (quest.description) {
+      const desc = document.createElement('div');
+      desc.style.fontSize = '12px';
+      desc.textContent = quest.description;
+      entry.appendChild(desc);
+    }
+    const steps = document.createElement('ul');
+    steps.style = 'margin:4px 0 0;padding-left:18px';
+    quest.steps.forEach((step) => {
+      const item = document.createElement('li');
+      item.textContent = step.text;
+      if (step.done) item.style.textDecoration = 'line-through';
+      steps.appendChild(item);
+    });
+    entry.appendChild(steps);
+    el.appendChild(entry);
+  });
+}
+
+/**
+ * Re-render the Equipment section of the Player tab from myEquipment (noop if
+ * closed): one row per slot, clicking a worn item takes it off, then our stats.
+ */
+export function updateEquipmentUI() {
+  const el = document.getElementById('char-info-equipment');
+  if (!el) return;
+  el.innerHTML = '';
+  const title = document.createElement('div');
+  title.style.fontWeight = 'bold';
+  title.textContent = 'Equipment';
+  el.appendChild(title);
+  myEquipment.slots.forEach((slot) => {
+    const entry = myEquipment.equipment[slot];
+    const row = document.createElement('div');
+    row.className = 'equipment-slot';
+    const label = slot.charAt(0).toUpperCase() + slot.slice(1);
+    const name = entry ? objectTypes[entry.typeId]?.name || 'Unknown' : '—';
+    row.textContent = `${label}: ${name}`;
+    if (entry) {
+      row.classList.add('equipment-slot--worn');
+      row.title = 'Take off';
+      row.addEventListener('click', () => ws.send(JSON.stringify({ type: 'unequip', slot })));
+    }
+    el.appendChild(row);
+  });
+  const stats = Object.entries(myEquipment.stats)
+    .map(([stat, value]) => `${stat} ${value}`)
+    .join(' · ');
+  if (stats) {
+    const statsEl = document.createElement('div');
+    statsEl.style = 'font-size:12px;margin-top:4px';
+    statsEl.textContent = stats;
+    el.appendChild(statsEl);
+  }
+}
+
+/** Re-render the coin count in the char-info overlay from myCoins (noop if closed). */
+export function updateCoinsUI() {
+  const el = document.getElementById('char-info-coins');
+  if (!el) return;
+  el.textContent = `Coins: ${myCoins}`;
+}
+
 /** Remove and forget the character info overlay (if present). */
 export function removeCharInfoOverlay() {
   if (uiRefs.charInfoEl) {
@@ -251,13 +467,13 @@ export function updateEditGrid(scene) {
  */
 export function updateConsoleLayout() {
   const consoleEl = document.getElementById('floating-console');
-  const logPanel = document.getElementById('log-panel');
-  if (!consoleEl || !logPanel) return;
+  const logColumn = document.getElementById('log-column');
+  if (!consoleEl || !logColumn) return;
   const infoPanel = document.getElementById('info-panel');
 
   if (window.innerWidth < 600) {
-    // Narrow: hide log panel
-    logPanel.style.display = 'none';
+    // Narrow: hide log panel (and chat input)
+    logColumn.style.display = 'none';
     consoleEl.style.width = 'auto';
     if (infoPanel) {
       infoPanel.style.width = '100%';
@@ -265,7 +481,7 @@ export function updateConsoleLayout() {
     }
   } else {
     // Wide: show log panel again
-    logPanel.style.display = 'block';
+    logColumn.style.display = 'flex';
     consoleEl.style.width = '75%';
     if (infoPanel) {
       infoPanel.style.width = '25%';
@@ -281,6 +497,7 @@ export function updateConsoleLayout() {
  * Relies on: currentScene (for highlight), zone/getCurrentRoom(), ws.
  */
 export function showTerrainSelector(tx, ty) {
+  if (!hasPermission('message:edit-tile')) return;
   const room = getCurrentRoom();
   if (tx < 0 || ty < 0 || tx >= room.width || ty >= room.height) {
     log('edit mode but invalid tile coordinates!');
@@ -336,6 +553,7 @@ export function showTerrainSelector(tx, ty) {
 
   // --- Tile behavior (physics rules) ---------------------------------------------------------
   // Behavior selector dropdown
+  const tileProperties = room.tiles[ty][tx].properties || {};
   const behaviorContainer = document.createElement('div');
   behaviorContainer.style.marginBottom = '8px';
   const behaviorLabel = document.createElement('label');
@@ -353,27 +571,24 @@ export function showTerrainSelector(tx, ty) {
     behaviorSelect.add(opt);
   });
   // set current tile behavior if present
-  const currentBehavior = room.tiles[ty][tx].behavior || '';
-  behaviorSelect.value = currentBehavior;
+  behaviorSelect.value = tileProperties.physicsRule || '';
   // on change, send update to server
   behaviorSelect.addEventListener('change', () => {
-    // Persist behavior to server; blank value removes behavior key
-    const newBehavior = behaviorSelect.value || null;
-    ws.send(
-      JSON.stringify({
-        type: 'edit-tile-behavior',
-        roomId: zone.currentRoomY,
-        zoneId: zone.currentRoomX,
-        x: tx,
-        y: ty,
-        behavior: newBehavior,
-      })
-    );
+    // Persist rule to server; blank value removes the physicsRule key
+    sendTileBehaviorEdit(tx, ty, { physicsRule: behaviorSelect.value || null });
   });
   behaviorContainer.appendChild(behaviorLabel);
   behaviorContainer.appendChild(behaviorSelect);
   panel.appendChild(behaviorContainer);
 
+  // Per-tile overrides of individual rule keys (rebuilt when the server confirms a change)
+  const overridesContainer = document.createElement('div');
+  overridesContainer.id = 'tile-overrides';
+  overridesContainer.style.marginBottom = '8px';
+  panel.appendChild(overridesContainer);
+  Object.assign(panel.dataset, { zoneId: zone.currentZoneId, roomId: zone.currentRoomId, tx, ty });
+  renderTileOverrides(overridesContainer, room, tx, ty);
+
   // Make the panel draggable by its header
   let isDragging = false;
   let dragOffsetX = 0,
@@ -419,8 +634,8 @@ export function showTerrainSelector(tx, ty) {
       ws.send(
         JSON.stringify({
           type: 'edit-tile',
-          roomId: zone.currentRoomY,
-          zoneId: zone.currentRoomX,
+          roomId: zone.currentRoomId,
+          zoneId: zone.currentZoneId,
           x: tx,
           y: ty,
           terrain,
@@ -460,12 +675,13 @@ export function showTerrainSelector(tx, ty) {
     label.textContent = dir + ':';
     label.style.color = 'white';
     row.appendChild(label);
-    ['roomId', 'x', 'y'].forEach((field) => {
+    // zoneId is optional: blank keeps the exit inside the current zone
+    ['zoneId', 'roomId', 'x', 'y'].forEach((field) => {
       const input = document.createElement('input');
-      input.type = 'number';
+      input.type = field === 'zoneId' ? 'text' : 'number';
       input.id = `exit-${dir}-${field}`;
-      input.placeholder = field;
-      input.style.width = '50px';
+      input.placeholder = field === 'zoneId' ? 'zone' : field;
+      input.style.width = '40px';
       if (exitsDef[dir] && exitsDef[dir][field] !== undefined) {
         input.value = exitsDef[dir][field];
       }
@@ -488,19 +704,21 @@ export function showTerrainSelector(tx, ty) {
     exitDirections.forEach((dir) => {
       const enabled = document.getElementById(`exit-${dir}`).checked;
       if (enabled) {
+        const zoneVal = document.getElementById(`exit-${dir}-zoneId`).value.trim();
         const roomIdVal = parseInt(document.getElementById(`exit-${dir}-roomId`).value, 10);
         const xVal = parseInt(document.getElementById(`exit-${dir}-x`).value, 10);
         const yVal = parseInt(document.getElementById(`exit-${dir}-y`).value, 10);
         if (!isNaN(roomIdVal) && !isNaN(xVal) && !isNaN(yVal)) {
           newExits[dir] = { roomId: roomIdVal, x: xVal, y: yVal };
+          if (zoneVal) newExits[dir].zoneId = zoneVal;
         }
       }
     });
     // Build payload: include tileExits only if non-empty
     const payload = {
       type: 'edit-tile-exits',
-      roomId: zone.currentRoomY,
-      zoneId: zone.currentRoomX,
+      roomId: zone.currentRoomId,
+      zoneId: zone.currentZoneId,
       x: tx,
       y: ty,
       tileExits: Object.keys(newExits).length ? newExits : null,
@@ -511,7 +729,7 @@ export function showTerrainSelector(tx, ty) {
 
   // Highlight the currently applied terrain for this tile
   const currentTerrain =
-    zone.rooms[`${zone.currentRoomX},${zone.currentRoomY}`].tiles[ty][tx].terrain;
+    zone.rooms[`${zone.currentZoneId},${zone.currentRoomId}`].tiles[ty][tx].terrain;
   Array.from(grid.children).forEach((child) => {
     if (child.title === currentTerrain) {
       child.style.border = '2px solid yellow';
@@ -604,8 +822,8 @@ export function showTerrainSelector(tx, ty) {
     ws.send(
       JSON.stringify({
         type: 'resize-room',
-        roomId: zone.currentRoomY,
-        zoneId: zone.currentRoomX,
+        roomId: zone.currentRoomId,
+        zoneId: zone.currentZoneId,
         width: newW,
         height: newH,
       })
@@ -686,9 +904,153 @@ export function showTerrainSelector(tx, ty) {
   document.body.appendChild(panel);
 }
 
+// --- Tile property overrides ---
+
+/** Keys a tile may override, each with an example value from properties.json (gives its type). */
+function overridableTileProperties() {
+  const examples = {};
+  Object.values(physicsRules).forEach((rule) => {
+    Object.entries(rule).forEach(([key, value]) => {
+      if (key !== 'displayName' && !(key in examples)) examples[key] = value;
+    });
+  });
+  return examples;
+}
+
+/**
+ * Parse a typed override value to the type of the properties.json example
+ * (objects such as `sound` are entered as JSON).
+ * @returns {*} the value, or undefined if it doesn't parse
+ */
+function parseOverrideValue(raw, example) {
+  const text = raw.trim();
+  if (typeof example === 'number') {
+    const n = Number(text);
+    return text !== '' && Number.isFinite(n) ? n : undefined;
+  }
+  if (typeof example === 'boolean') {
+    if (text === 'true' || text === 'false') return text === 'true';
+    return undefined;
+  }
+  if (typeof example === 'object') {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return undefined;
+    }
+  }
+  return text || undefined;
+}
+
+/** Emit 'edit-tile-behavior' for a tile in the current room: { physicsRule?, overrides? }. */
+function sendTileBehaviorEdit(tx, ty, changes) {
+  ws.send(
+    JSON.stringify({
+      type: 'edit-tile-behavior',
+      roomId: zone.currentRoomId,
+      zoneId: zone.currentZoneId,
+      x: tx,
+      y: ty,
+      ...changes,
+    })
+  );
+}
+
+/**
+ * Build the overrides section of the tile editor: one row per override
+ * (✕ removes it) plus a key/value row to add or replace one.
+ */
+function renderTileOverrides(container, room, tx, ty) {
+  container.innerHTML = '';
+  const properties = room.tiles[ty][tx].properties || {};
+  const examples = overridableTileProperties();
+
+  const header = document.createElement('div');
+  header.textContent = 'Overrides:';
+  header.style.color = 'white';
+  header.style.marginBottom = '4px';
+  container.appendChild(header);
+
+  Object.entries(properties)
+    .filter(([key]) => key !== 'physicsRule')
+    .forEach(([key, value]) => {
+      const row = document.createElement('div');
+      Object.assign(row.style, { display: 'flex', alignItems: 'center', gap: '4px' });
+      const label = document.createElement('span');
+      label.textContent = `${key}: ${JSON.stringify(value)}`;
+      label.style.color = 'white';
+      label.style.flex = '1';
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = '✕';
+      removeBtn.title = `Remove ${key} override`;
+      removeBtn.style.cursor = 'pointer';
+      removeBtn.addEventListener('click', () => {
+        sendTileBehaviorEdit(tx, ty, { overrides: { [key]: null } });
+      });
+      row.appendChild(label);
+      row.appendChild(removeBtn);
+      container.appendChild(row);
+    });
+
+  const addRow = document.createElement('div');
+  Object.assign(addRow.style, { display: 'flex', gap: '4px', marginTop: '4px' });
+  const keySelect = document.createElement('select');
+  Object.keys(examples).forEach((key) => keySelect.add(new Option(key, key)));
+  const valueInput = document.createElement('input');
+  valueInput.type = 'text';
+  valueInput.style.width = '100px';
+  const showExample = () => {
+    valueInput.placeholder = JSON.stringify(examples[keySelect.value]);
+  };
+  showExample();
+  keySelect.addEventListener('change', showExample);
+  // Typing here must not drive the player or toggle edit mode
+  valueInput.addEventListener('focus', () => setGameKeyboardEnabled(false));
+  valueInput.addEventListener('blur', () => setGameKeyboardEnabled(true));
+  const setBtn = document.createElement('button');
+  setBtn.textContent = 'Set';
+  setBtn.style.cursor = 'pointer';
+  setBtn.addEventListener('click', () => {
+    const key = keySelect.value;
+    const value = parseOverrideValue(valueInput.value, examples[key]);
+    if (value === undefined) {
+      log(`Invalid value for ${key} (e.g. ${JSON.stringify(examples[key])})`);
+      return;
+    }
+    sendTileBehaviorEdit(tx, ty, { overrides: { [key]: value } });
+    valueInput.value = '';
+  });
+  addRow.appendChild(keySelect);
+  addRow.appendChild(valueInput);
+  addRow.appendChild(setBtn);
+  container.appendChild(addRow);
+}
+
+/**
+ * Re-sync the open tile editor after a 'room-updated' properties patch,
+ * if it is showing that tile.
+ */
+export function refreshTileBehaviorEditor(zoneId, roomId, tx, ty) {
+  const panel = document.getElementById('terrain-selector');
+  if (!panel) return;
+  const { dataset } = panel;
+  if (
+    dataset.zoneId !== zoneId ||
+    Number(dataset.roomId) !== roomId ||
+    Number(dataset.tx) !== tx ||
+    Number(dataset.ty) !== ty
+  ) {
+    return;
+  }
+  const room = zone.rooms[`${zoneId},${roomId}`];
+  const behaviorSelect = document.getElementById('tile-behavior-select');
+  if (behaviorSelect) behaviorSelect.value = room.tiles[ty][tx].properties?.physicsRule || '';
+  renderTileOverrides(document.getElementById('tile-overrides'), room, tx, ty);
+}
+
 /**
  * Create a docked bottom console with two columns:
- * - Left: location/time info; Right: scrollable log panel.
+ * - Left: location/time info; Right: scrollable log panel + chat input.
  * (Noop if already there)
  */
 export function createFloatingConsole() {
@@ -734,25 +1096,232 @@ export function createFloatingConsole() {
     <div id="time-info">Loading time…</div>
   `;
 
+  const logColumn = document.createElement('div');
+  logColumn.id = 'log-column';
+  Object.assign(logColumn.style, {
+    width: '75%',
+    display: 'flex',
+    flexDirection: 'column',
+    boxSizing: 'border-box',
+  });
+
   const logPanel = document.createElement('div');
   logPanel.id = 'log-panel';
   Object.assign(logPanel.style, {
-    width: '75%',
+    flex: '1',
+    minHeight: '0',
     padding: '8px',
     overflowY: 'auto',
     boxSizing: 'border-box',
   });
 
+  logColumn.appendChild(logPanel);
+  logColumn.appendChild(createChatForm());
   panel.appendChild(infoPanel);
-  panel.appendChild(logPanel);
+  panel.appendChild(logColumn);
   document.body.appendChild(panel);
 }
 
+// --- Chat input + rendering ---
+
+const CHAT_MAX_LENGTH = 200;
+const CHAT_COLORS = {
+  say: '#fefefe',
+  emote: '#c8e6a0',
+  shout: '#ffb347',
+  whisper: '#d7a6ff',
+  global: '#8fd3ff',
+};
+
+/**
+ * Hand the keyboard to a DOM input (or back to Phaser). While typing, game
+ * keys must not move the player and Phaser must not swallow space/arrows.
+ */
+function setGameKeyboardEnabled(enabled) {
+  const keyboard = currentScene?.input?.keyboard;
+  if (!keyboard) return;
+  keyboard.enabled = enabled;
+  if (enabled) {
+    keyboard.enableGlobalCapture();
+  } else {
+    keyboard.disableGlobalCapture();
+    keyboard.resetKeys();
+  }
+}
+
 /**
- * Switch to the Inspector tab and populate with NPC/Object data.
- * Renders name, optional sprite image, and description.
+ * Build the chat row: channel select, whisper target, text input.
+ * Emits: 'chat' { channel, text, to? }; lines starting with "/" are console
+ * commands (Tab completes, ArrowUp/ArrowDown walk the command history).
  */
-export function openInspectorPanel({ name, spriteKey, description }) {
+function createChatForm() {
+  const form = document.createElement('form');
+  form.id = 'chat-form';
+  Object.assign(form.style, {
+    display: 'flex',
+    gap: '4px',
+    padding: '4px 8px',
+    borderTop: '1px solid #444',
+  });
+
+  const fieldStyle = {
+    background: '#222',
+    color: '#fefefe',
+    border: '1px solid #444',
+    borderRadius: '4px',
+    fontFamily: gameFont,
+    fontSize: '13px',
+  };
+  const channelSelect = document.createElement('select');
+  channelSelect.id = 'chat-channel';
+  Object.assign(channelSelect.style, fieldStyle);
+  ['say', 'shout', 'whisper', 'global'].forEach((channel) => {
+    const opt = document.createElement('option');
+    opt.value = channel;
+    opt.textContent = channel[0].toUpperCase() + channel.slice(1);
+    channelSelect.appendChild(opt);
+  });
+
+  const toInput = document.createElement('input');
+  toInput.id = 'chat-to';
+  toInput.type = 'text';
+  toInput.placeholder = 'To';
+  Object.assign(toInput.style, fieldStyle, { width: '80px', display: 'none' });
+
+  const textInput = document.createElement('input');
+  textInput.id = 'chat-input';
+  textInput.type = 'text';
+  textInput.maxLength = CHAT_MAX_LENGTH;
+  textInput.placeholder = 'Press Enter to chat, /help for commands';
+  Object.assign(textInput.style, fieldStyle, { flex: '1', minWidth: '0' });
+
+  channelSelect.addEventListener('change', () => {
+    toInput.style.display = channelSelect.value === 'whisper' ? 'block' : 'none';
+  });
+  [channelSelect, toInput, textInput].forEach((el) => {
+    el.addEventListener('focus', () => setGameKeyboardEnabled(false));
+    el.addEventListener('blur', () => setGameKeyboardEnabled(true));
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') el.blur();
+    });
+  });
+
+  textInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Tab' && textInput.value.startsWith('/')) {
+      e.preventDefault();
+      textInput.value = completeCommandLine(textInput.value);
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      const line = browseHistory(e.key === 'ArrowUp' ? -1 : 1);
+      if (line === null) return;
+      e.preventDefault();
+      textInput.value = line;
+    }
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const text = textInput.value.trim();
+    if (text.startsWith('/')) {
+      runCommandLine(text);
+      textInput.value = '';
+      return;
+    }
+    if (!text || !ws || ws.readyState !== WebSocket.OPEN) return;
+    const payload = { type: 'chat', channel: channelSelect.value, text };
+    if (payload.channel === 'whisper') {
+      payload.to = toInput.value.trim();
+      if (!payload.to) {
+        toInput.focus();
+        return;
+      }
+    }
+    ws.send(JSON.stringify(payload));
+    textInput.value = '';
+    textInput.blur();
+    currentScene?.game.canvas.focus();
+  });
+
+  form.appendChild(channelSelect);
+  form.appendChild(toInput);
+  form.appendChild(textInput);
+  return form;
+}
+
+/** Put the cursor in the chat input (Enter key), optionally pre-filled (e.g. "/"). */
+export function focusChatInput(prefill) {
+  const input = document.getElementById('chat-input');
+  if (!input) return;
+  if (prefill !== undefined) input.value = prefill;
+  input.focus();
+}
+
+/** Switch the chat row to whisper `name` and focus the text input. */
+export function startWhisper(name) {
+  const channelSelect = document.getElementById('chat-channel');
+  const toInput = document.getElementById('chat-to');
+  if (!channelSelect || !toInput) return;
+  channelSelect.value = 'whisper';
+  toInput.value = name;
+  toInput.style.display = 'block';
+  focusChatInput();
+}
+
+/**
+ * Append a `chat` message to the log panel, colored by channel
+ * (emotes render as "* Name waves").
+ * Clicking another speaker's name opens Whisper / Mute options.
+ * @param {{channel:string, id:number, from:string, text:string, to?:string}} msg
+ */
+export function appendChatLine(msg) {
+  createFloatingConsole();
+  const logPanel = document.getElementById('log-panel');
+  const line = document.createElement('div');
+  line.style.color = CHAT_COLORS[msg.channel] || CHAT_COLORS.say;
+
+  const fromSelf = msg.id === playerId;
+  const nameEl = document.createElement('span');
+  nameEl.textContent = fromSelf ? 'You' : msg.from;
+  nameEl.style.fontWeight = '700';
+  if (!fromSelf) {
+    nameEl.style.cursor = 'pointer';
+    nameEl.addEventListener('click', (e) => {
+      e.stopPropagation();
+      createChatNameContextMenu(msg.from, e.pageX, e.pageY, {
+        ws,
+        mutedPlayers,
+        onWhisper: startWhisper,
+      });
+    });
+  }
+
+  if (msg.channel === 'emote') {
+    nameEl.textContent = msg.from;
+    line.appendChild(document.createTextNode('* '));
+    line.appendChild(nameEl);
+    line.appendChild(document.createTextNode(` ${msg.text}`));
+    logPanel.appendChild(line);
+    logPanel.scrollTop = logPanel.scrollHeight;
+    return;
+  }
+
+  const verbs = { say: ' say', shout: ' shout', global: '', whisper: ' whisper' };
+  let suffix = verbs[msg.channel] ?? '';
+  if (!fromSelf && msg.channel !== 'global') suffix += 's';
+  if (msg.channel === 'whisper' && fromSelf) suffix += ` to ${msg.to}`;
+  if (msg.channel === 'global') line.appendChild(document.createTextNode('[Global] '));
+  line.appendChild(nameEl);
+  line.appendChild(document.createTextNode(`${suffix}: ${msg.text}`));
+
+  logPanel.appendChild(line);
+  // Keep log panel scrolled to bottom
+  logPanel.scrollTop = logPanel.scrollHeight;
+}
+
+/**
+ * Switch to the Inspector tab and populate it from an `examine-result`.
+ * Renders name, optional sprite image, description and detail lines.
+ */
+export function openInspectorPanel({ name, spriteKey, description, details = [] }) {
   if (!uiRefs.charInfoEl) createCharInfoOverlay();
   uiRefs.activateTab('inspector');
   const c = uiRefs.inspectorContentEl;
@@ -763,9 +1332,9 @@ export function openInspectorPanel({ name, spriteKey, description }) {
   title.textContent = name;
   c.appendChild(title);
   // Image
-  if (spriteKey && window.assets?.[spriteKey]?.src) {
+  if (spriteKey && assets[spriteKey]?.src) {
     const img = document.createElement('img');
-    img.src = window.assets[spriteKey].src;
+    img.src = assets[spriteKey].src;
     img.style = 'width:64px;height:64px;display:block;margin-bottom:8px';
     c.appendChild(img);
   }
@@ -775,4 +1344,15 @@ export function openInspectorPanel({ name, spriteKey, description }) {
     desc.textContent = description;
     c.appendChild(desc);
   }
+  // Details (terrain effects, exits, stats)
+  if (details.length) {
+    const list = document.createElement('ul');
+    list.style = 'margin:8px 0 0;padding-left:18px';
+    details.forEach((line) => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      list.appendChild(item);
+    });
+    c.appendChild(list);
+  }
 }